@@ -461,30 +461,300 @@ class ColumnLineageVisitor extends TSqlParserVisitor {
     }
 }
 
-// Flags UPDATE/DELETE statements that have no WHERE clause. `ctx.WHERE()` returns
-// null when the clause is absent (and also covers WHERE CURRENT OF, which is fine:
-// a positioned cursor update is not a mass write).
+// Terminal (token) children of a node, uppercased: the keywords of a rule.
+function keywords(ctx) {
+    const out = [];
+    for (let i = 0; i < ctx.getChildCount(); i++) {
+        const child = ctx.getChild(i);
+        if (child.symbol !== undefined) out.push(child.getText().toUpperCase());
+    }
+    return out;
+}
+
+// Value of `left op right` when both sides are literals and the outcome does
+// not depend on the collation; null otherwise.
+function compareLiterals(left, op, right) {
+    const number = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+    if (!number.test(left) || !number.test(right)) {
+        // Strings: only identical text is known to be equal under every collation
+        return /^N?'(?:[^']|'')*'$/i.test(left) && op === '=' && left === right ? true : null;
+    }
+    const a = Number(left);
+    const b = Number(right);
+    switch (op) {
+        case '=': return a === b;
+        case '<>': case '!=': return a !== b;
+        case '<': return a < b;
+        case '>': return a > b;
+        case '<=': case '!>': return a <= b;
+        case '>=': case '!<': return a >= b;
+        default: return null;
+    }
+}
+
+// Truth value of a WHERE condition known without reading any row: true
+// for `1 = 1` or `x = @v OR 1 = 1`, false for `1 = 0`, null when it depends
+// on the data. AND binds tighter than OR, as in T-SQL.
+function conditionValue(searchCtx) {
+    const groups = [[]];
+    for (let i = 0; i < searchCtx.getChildCount(); i++) {
+        const child = searchCtx.getChild(i);
+        if (child.symbol === undefined) groups[groups.length - 1].push(predicateValue(child));
+        else if (child.getText().toUpperCase() === 'OR') groups.push([]);
+    }
+    const ands = groups.map(values => (values.includes(false) ? false : values.every(v => v === true) ? true : null));
+    return ands.includes(true) ? true : ands.every(v => v === false) ? false : null;
+}
+
+// predicate_br: NOT* (predicate | '(' search_condition ')')
+function predicateValue(predBr) {
+    const negations = keywords(predBr).filter(k => k === 'NOT').length;
+    let value = null;
+    for (let i = 0; i < predBr.getChildCount(); i++) {
+        const child = predBr.getChild(i);
+        if (child.symbol !== undefined) continue;
+        if (child.ruleIndex === TSqlParser.RULE_search_condition) {
+            value = conditionValue(child);
+        } else if (child.getChildCount() === 3 && child.getChild(1).ruleIndex === TSqlParser.RULE_comparison_operator) {
+            value = compareLiterals(child.getChild(0).getText(), child.getChild(1).getText(), child.getChild(2).getText());
+        }
+    }
+    return value === null || negations % 2 === 0 ? value : !value;
+}
+
+// Flags risky statements of a batch, one { rule, table, detail } each (rules:
+// see QueryRiskAnalyzer). UPDATE/DELETE without WHERE: `ctx.WHERE()` is null
+// when the clause is absent (WHERE CURRENT OF is fine: a positioned cursor
+// update is not a mass write); an always-true WHERE is flagged as well.
 class RiskVisitor extends TSqlParserVisitor {
     constructor() {
         super();
-        this.risks = []; // { type: 'UPDATE'|'DELETE', table: string|null }
+        this.risks = [];
     }
 
-    visitUpdate_statement(ctx) {
+    _add(rule, table = null, detail = null) {
+        this.risks.push({ rule, table, detail });
+    }
+
+    _checkWhere(ctx, type, table) {
         if (!ctx.WHERE()) {
-            this.risks.push({ type: 'UPDATE', table: extractFromDdlObject(ctx.ddl_object ? ctx.ddl_object() : null) });
+            this._add(`${type.toLowerCase()}-without-where`, table, type);
+            return;
         }
+        const condition = firstCtx(ctx.search_condition ? ctx.search_condition() : null);
+        if (condition && conditionValue(condition) === true) this._add('tautological-where', table, type);
+    }
+
+    visitUpdate_statement(ctx) {
+        this._checkWhere(ctx, 'UPDATE', extractFromDdlObject(ctx.ddl_object ? ctx.ddl_object() : null));
         this.visitChildren(ctx);
     }
 
     visitDelete_statement(ctx) {
-        if (!ctx.WHERE()) {
-            const from = ctx.delete_statement_from ? ctx.delete_statement_from() : null;
-            const ddl = from && from.ddl_object ? from.ddl_object() : null;
-            this.risks.push({ type: 'DELETE', table: extractFromDdlObject(ddl) });
+        const from = ctx.delete_statement_from ? ctx.delete_statement_from() : null;
+        const ddl = from && from.ddl_object ? from.ddl_object() : null;
+        this._checkWhere(ctx, 'DELETE', extractFromDdlObject(ddl));
+        this.visitChildren(ctx);
+    }
+
+    // WHEN NOT MATCHED BY SOURCE THEN DELETE: every target row missing from
+    // the source is deleted — the whole table when the source is empty.
+    visitMerge_statement(ctx) {
+        const target = extractFromDdlObject(firstCtx(ctx.ddl_object ? ctx.ddl_object() : null));
+        const whens = ctx.when_matches ? ctx.when_matches() : [];
+        for (const when of Array.isArray(whens) ? whens : [whens]) {
+            const action = findFirstRule(when, TSqlParser.RULE_merge_matched);
+            if (keywords(when).includes('SOURCE') && action && action.getText().toUpperCase() === 'DELETE') {
+                this._add('merge-delete-unmatched', target);
+            }
         }
         this.visitChildren(ctx);
     }
+
+    // ALTER TABLE t DROP COLUMN / CONSTRAINT, and ALTER TABLE t DISABLE TRIGGER.
+    visitAlter_table(ctx) {
+        const table = ctx.tabname ? ctx.tabname.getText() : null;
+        const words = keywords(ctx);
+        const disable = words.indexOf('DISABLE');
+        if (disable >= 0 && words[disable + 1] === 'TRIGGER') this._add('disable-trigger', table);
+        for (const column of this._findAll(ctx, TSqlParser.RULE_alter_table_drop_column)) {
+            this._add('alter-drop-column', table, this._ids(column));
+        }
+        for (const constraint of this._findAll(ctx, TSqlParser.RULE_alter_table_drop_constraint)) {
+            this._add('alter-drop-constraint', table, this._ids(constraint));
+        }
+        this.visitChildren(ctx);
+    }
+
+    visitDisable_trigger(ctx) {
+        this._add('disable-trigger', ctx.tabname ? ctx.tabname.getText() : null);
+        this.visitChildren(ctx);
+    }
+
+    visitExecute_body(ctx) {
+        this._checkProcedure(ctx);
+        this.visitChildren(ctx);
+    }
+
+    visitExecute_body_batch(ctx) {
+        this._checkProcedure(ctx);
+        this.visitChildren(ctx);
+    }
+
+    _checkProcedure(ctx) {
+        const proc = ctx.func_proc_name_server_database_schema ? ctx.func_proc_name_server_database_schema() : null;
+        if (proc && cleanTableKey(proc.getText()).split('.').pop() === 'sp_rename') this._add('sp-rename');
+    }
+
+    visitDbcc_statement(ctx) {
+        const command = ctx.getChild(1);
+        this._add('dbcc', null, command ? command.getText().toUpperCase() : null);
+    }
+
+    visitShutdown_statement() {
+        this._add('shutdown');
+    }
+
+    // Names listed by a DROP COLUMN / DROP CONSTRAINT clause.
+    _ids(ctx) {
+        return this._findAll(ctx, TSqlParser.RULE_id).map(id => id.getText()).join(', ');
+    }
+
+    _findAll(node, ruleIndex, out = []) {
+        if (!node || node.symbol !== undefined) return out;
+        if (node.ruleIndex === ruleIndex) {
+            out.push(node);
+            return out;
+        }
+        for (let i = 0; i < node.getChildCount(); i++) this._findAll(node.getChild(i), ruleIndex, out);
+        return out;
+    }
+}
+
+// DDL whose target may be a #temp table (session-local, harmless on a read-only connection).
+const TABLE_DDL_RULES = new Set(['create_table', 'alter_table', 'drop_table', 'truncate_table', 'create_index']);
+// DBCC commands that only report; every other DBCC (CHECKIDENT, SHRINK*,
+// FREEPROCCACHE, DROPCLEANBUFFERS, ...) changes the server or the database.
+const READ_ONLY_DBCC = new Set(['SHOW_STATISTICS', 'INPUTBUFFER', 'SQLPERF', 'OPENTRAN']);
+
+// Rule name -> statement label: 'create_or_alter_procedure' -> 'CREATE OR ALTER PROCEDURE'.
+function ruleLabel(ctx) {
+    return TSqlParser.ruleNames[ctx.ruleIndex].replace(/_/g, ' ').toUpperCase();
+}
+
+// Classifies every statement of a batch that would change something:
+// writes with their target, DDL, EXEC with the called procedure, and
+// server administration. Nested statements (IF/BEGIN blocks) are included.
+class WriteClassVisitor extends TSqlParserVisitor {
+    constructor() {
+        super();
+        this.statements = []; // { kind, target: string|null, detail: string|null }
+    }
+
+    _add(kind, target = null, detail = null) {
+        this.statements.push({ kind, target, detail });
+    }
+
+    // Real table behind an alias ('UPDATE t ... FROM #work t'), else the text of the target.
+    _target(ddlCtx, tableSourcesCtx) {
+        if (!ddlCtx) return null;
+        const name = extractFromDdlObject(ddlCtx) || ddlCtx.getText();
+        if (name.includes('.') || !tableSourcesCtx) return name;
+        return collectTableAliases(firstCtx(tableSourcesCtx)).get(cleanTableKey(name)) || name;
+    }
+
+    visitInsert_statement(ctx) {
+        this._add('INSERT', this._target(ctx.ddl_object ? ctx.ddl_object() : null));
+        this.visitChildren(ctx);
+    }
+
+    visitUpdate_statement(ctx) {
+        this._add('UPDATE', this._target(ctx.ddl_object ? ctx.ddl_object() : null, ctx.table_sources ? ctx.table_sources() : null));
+        this.visitChildren(ctx);
+    }
+
+    visitDelete_statement(ctx) {
+        const from = ctx.delete_statement_from ? ctx.delete_statement_from() : null;
+        const ddl = from && from.ddl_object ? from.ddl_object() : null;
+        const target = ddl ? this._target(ddl, ctx.table_sources ? ctx.table_sources() : null) : (from ? from.getText() : null);
+        this._add('DELETE', target);
+        this.visitChildren(ctx);
+    }
+
+    visitMerge_statement(ctx) {
+        this._add('MERGE', this._target(ctx.ddl_object ? ctx.ddl_object() : null));
+        this.visitChildren(ctx);
+    }
+
+    visitBulk_insert_statement(ctx) {
+        this._add('BULK INSERT', this._target(ctx.ddl_object ? ctx.ddl_object() : null));
+        this.visitChildren(ctx);
+    }
+
+    visitQuery_specification(ctx) {
+        if (ctx.into) this._add('SELECT INTO', ctx.into.getText());
+        this.visitChildren(ctx);
+    }
+
+    visitDdl_statement(ctx) {
+        const statement = ctx.getChild(0);
+        const rule = TSqlParser.ruleNames[statement.ruleIndex];
+        const table = TABLE_DDL_RULES.has(rule) ? findFirstRule(statement, TSqlParser.RULE_table_name) : null;
+        this._add('DDL', table ? table.getText() : null, ruleLabel(statement));
+    }
+
+    // CREATE [OR ALTER] PROCEDURE/FUNCTION/TRIGGER/VIEW: the body is not executed.
+    visitBatch_level_statement(ctx) {
+        const statement = ctx.getChild(0);
+        if (statement && statement.ruleIndex !== undefined) this._add('DDL', null, ruleLabel(statement));
+    }
+
+    // EXEC proc / EXEC @procVar / EXEC ('dynamic'): only a named procedure has a target.
+    visitExecute_body(ctx) {
+        const proc = ctx.func_proc_name_server_database_schema ? ctx.func_proc_name_server_database_schema() : null;
+        this._add('EXEC', proc ? proc.getText() : null);
+        this.visitChildren(ctx);
+    }
+
+    visitExecute_body_batch(ctx) {
+        const proc = ctx.func_proc_name_server_database_schema ? ctx.func_proc_name_server_database_schema() : null;
+        this._add('EXEC', proc ? proc.getText() : null);
+        this.visitChildren(ctx);
+    }
+
+    _admin(ctx) {
+        this._add('ADMIN', null, ruleLabel(ctx));
+    }
+
+    // DBCC SQLPERF(..., CLEAR) resets the wait and latch statistics.
+    visitDbcc_statement(ctx) {
+        const command = ctx.getChild(1).getText().toUpperCase();
+        if (!READ_ONLY_DBCC.has(command) || /\bCLEAR\b/i.test(ctx.getText())) this._add('ADMIN', null, `DBCC ${command}`);
+    }
+
+    visitCheckpoint_statement(ctx) { this._admin(ctx); }
+    visitBackup_statement(ctx) { this._admin(ctx); }
+    visitRestore_statement(ctx) { this._admin(ctx); }
+    visitKill_statement(ctx) { this._admin(ctx); }
+    visitShutdown_statement(ctx) { this._admin(ctx); }
+    visitReconfigure_statement(ctx) { this._admin(ctx); }
+    visitGrant_statement(ctx) { this._admin(ctx); }
+    visitRevoke_statement(ctx) { this._admin(ctx); }
+    visitDeny_statement(ctx) { this._admin(ctx); }
+    visitWritetext_statement(ctx) { this._admin(ctx); }
+    visitUpdatetext_statement(ctx) { this._admin(ctx); }
+}
+
+// Counts lexer/parser syntax errors instead of printing them.
+class SyntaxErrorCounter extends antlr4.ErrorListener {
+    constructor() {
+        super();
+        this.count = 0;
+    }
+
+    syntaxError() {
+        this.count++;
+    }
 }
 
 class BabelfishSqlParser {
@@ -554,9 +824,11 @@ class BabelfishSqlParser {
     }
 
     /**
-     * Détecte les UPDATE/DELETE sans clause WHERE.
+     * Risky statements of a batch (see RiskVisitor): UPDATE/DELETE without
+     * WHERE or with an always-true one, MERGE deleting unmatched rows, ALTER
+     * TABLE DROP COLUMN / CONSTRAINT, DISABLE TRIGGER, sp_rename, DBCC, SHUTDOWN.
      * @param {string} sqlDefinition
-     * @returns {Array<{type: string, table: string|null}>|null} null si parse impossible/désactivé
+     * @returns {Array<{rule: string, table: string|null, detail: string|null}>|null} null si parse impossible/désactivé
      */
     analyzeRisks(sqlDefinition) {
         if (!sqlDefinition || !this._enabled) return null;
@@ -577,6 +849,71 @@ class BabelfishSqlParser {
             return null;
         }
     }
+
+    /**
+     * Statements of a batch that would change something (see WriteClassVisitor).
+     * Unlike the other analyses there is no partial result: a batch with any
+     * syntax error yields null, since a skipped fragment could hide a write.
+     * @param {string} sql
+     * @returns {Array<{kind: string, target: string|null, detail: string|null}>|null}
+     */
+    classifyWrites(sql) {
+        if (!sql || !this._enabled) return null;
+
+        try {
+            const errors = new SyntaxErrorCounter();
+            const chars = new antlr4.InputStream(sql);
+            const lexer = new TSqlLexer(chars);
+            lexer.removeErrorListeners();
+            lexer.addErrorListener(errors);
+            const tokens = new antlr4.CommonTokenStream(lexer);
+            const parser = new TSqlParser(tokens);
+            parser.removeErrorListeners();
+            parser.addErrorListener(errors);
+
+            const tree = parser.tsql_file();
+            if (errors.count > 0) return null;
+            const visitor = new WriteClassVisitor();
+            visitor.visit(tree);
+            return visitor.statements;
+        } catch (err) {
+            console.warn(`[BabelfishSqlParser] Failed to classify writes: ${err.message.substring(0, 150)}`);
+            return null;
+        }
+    }
+
+    /**
+     * Character ranges of the top-level statements of a batch (a whole
+     * IF / BEGIN ... END block counts as one), trailing ';' included.
+     * Null on any syntax error: boundaries recovered from a broken batch
+     * would not be the ones the user sees.
+     * @param {string} sql
+     * @returns {Array<{start: number, end: number}>|null} end is exclusive
+     */
+    statementRanges(sql) {
+        if (!sql || !this._enabled) return null;
+
+        try {
+            const errors = new SyntaxErrorCounter();
+            const chars = new antlr4.InputStream(sql);
+            const lexer = new TSqlLexer(chars);
+            lexer.removeErrorListeners();
+            lexer.addErrorListener(errors);
+            const tokens = new antlr4.CommonTokenStream(lexer);
+            const parser = new TSqlParser(tokens);
+            parser.removeErrorListeners();
+            parser.addErrorListener(errors);
+
+            const tree = parser.tsql_file();
+            if (errors.count > 0) return null;
+            return (tree.children || [])
+                .filter(child => child instanceof antlr4.ParserRuleContext && child.stop && child.getText() !== ';')
+                .map(child => ({ start: child.start.start, end: child.stop.stop + 1 }));
+        } catch (err) {
+            console.warn(`[BabelfishSqlParser] Failed to find statements: ${err.message.substring(0, 150)}`);
+            return null;
+        }
+    }
 }
 
 module.exports = BabelfishSqlParser;
\ No newline at end of file
@@ -84,6 +84,7 @@ class CommentsService {
 
     async updateTableDescription(database, tableName, description) {
         if (!this._connectionManager.isConnected()) throw new Error('No active connection');
+        this._assertWritable();
 
         const { schema, objectName } = parseObjectName(tableName);
         await this._upsertOrDeleteExtendedProperty(database, schema, objectName, 'TABLE', null, description);
@@ -92,6 +93,7 @@ class CommentsService {
 
     async updateColumnDescription(database, tableName, columnName, description) {
         if (!this._connectionManager.isConnected()) throw new Error('No active connection');
+        this._assertWritable();
 
         const { schema, objectName } = parseObjectName(tableName);
         await this._upsertOrDeleteExtendedProperty(database, schema, objectName, 'TABLE', columnName, description);
@@ -100,6 +102,7 @@ class CommentsService {
 
     async updateObjectDescription(database, objectName, objectType, description) {
         if (!this._connectionManager.isConnected()) throw new Error('No active connection');
+        this._assertWritable();
 
         const { schema, objectName: parsedName } = parseObjectName(objectName);
         const level1type = this._mapObjectTypeToLevel1(objectType);
@@ -117,6 +120,17 @@ class CommentsService {
 
     // PRIVATE HELPERS
 
+    // Read-only connections never write comments; production connections keep
+    // them read-only until the user unlocks edits from the environment banner.
+    _assertWritable() {
+        if (this._connectionManager.isReadOnly()) {
+            throw new Error('Comments cannot be edited on a read-only connection.');
+        }
+        if (this._connectionManager.isProduction() && !this._connectionManager.areProductionWritesUnlocked()) {
+            throw new Error('Comments are read-only on a production connection. Unlock edits from the environment banner first.');
+        }
+    }
+
     async _upsertOrDeleteExtendedProperty(database, schema, objectName, level1type, columnName, description) {
         const hasDescription = description && description.trim() !== '';
 
@@ -164,7 +178,8 @@ class CommentsService {
             `;
         }
 
-        await this._connectionManager.executeQueryInDatabase(database, sql, hasDescription ? { descValue: description } : null);
+        // sp_addextendedproperty fails when replayed after it ran: never retried blindly.
+        await this._connectionManager.executeQueryInDatabase(database, sql, hasDescription ? { descValue: description } : null, { idempotent: false });
     }
 
     _mapObjectTypeToLevel1(objectType) {
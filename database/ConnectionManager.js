@@ -1,19 +1,81 @@
 'use strict';
 
 const sql = require('mssql');
+const fs = require('fs').promises;
+const ConnectionRegistry = require('./ConnectionRegistry');
+const QuerySession = require('./QuerySession');
+const ImpactPreview = require('./ImpactPreview');
+const { AUTH_TYPES, SECRET_AUTH_TYPES } = require('./authTypes');
+
+// mssql input type of each QueryParameters type, for the converted value.
+const PARAMETER_TYPES = {
+    nvarchar: () => sql.NVarChar(sql.MAX),
+    varchar: () => sql.VarChar(sql.MAX),
+    int: () => sql.Int,
+    bigint: () => sql.BigInt,
+    // Scaled to the digits typed ('12.3456789012345' keeps all of them).
+    decimal: value => sql.Decimal(38, value === null ? 0 : (String(value).split('.')[1] || '').length),
+    float: () => sql.Float,
+    bit: () => sql.Bit,
+    date: () => sql.Date,
+    datetime2: () => sql.DateTime2(7),
+    uniqueidentifier: () => sql.UniqueIdentifier
+};
+
+// Environment tags a connection can carry (stored as environment; untagged when absent).
+const ENVIRONMENTS = ['dev', 'test', 'staging', 'production'];
+
+// Azure SQL errors that go away on their own: database unavailable during a
+// failover (40613), service error / reconfiguration (40197), service busy
+// (40501), worker or session limit reached (10928, 10929).
+const TRANSIENT_ERROR_NUMBERS = new Set([40613, 40197, 40501, 10928, 10929]);
+// mssql / Node codes of a dropped connection (VPN blip, socket reset).
+const TRANSIENT_ERROR_CODES = new Set(['ESOCKET', 'ECONNRESET', 'ECONNCLOSED', 'ENOTOPEN', 'EPIPE']);
+// Codes of a request refused because the connection was not open: it never
+// reached the server, so even a write can be sent again.
+const UNSENT_ERROR_CODES = new Set(['ECONNCLOSED', 'ENOTOPEN']);
+// Waits before each retry of a failed executeQuery.
+const RETRY_DELAYS_MS = [500, 2000, 5000];
 
 class ConnectionManager {
-    constructor(connectionStorage) {
+    // The registry is shared by all panels; each ConnectionManager is one
+    // panel's binding to an entry of it.
+    constructor(connectionStorage, registry = new ConnectionRegistry()) {
         this._connectionStorage = connectionStorage;
-        this._activeConnection = null;
-        this._activeConfig = null;
+        this._registry = registry;
+        this._activeKey = null;
+        this._productionWritesUnlocked = false;
+        this._retryDelaysMs = RETRY_DELAYS_MS;
+    }
+
+    // Pool and settings of the bound entry; null once it was closed (from any panel).
+    get _activeConnection() {
+        const entry = this._activeKey && this._registry.get(this._activeKey);
+        return entry ? entry.pool : null;
+    }
+
+    get _activeConfig() {
+        const entry = this._activeKey && this._registry.get(this._activeKey);
+        return entry ? entry.config : null;
+    }
+
+    // Saved and workspace connections are keyed by name; a connection typed in
+    // the form without saving it by server, database and login.
+    static connectionKey(connectionConfig) {
+        if (connectionConfig.name) return connectionConfig.name;
+        const { server, port, database, username, authenticationType } = connectionConfig;
+        return `adhoc:${[server, port, database, authenticationType, username].map(v => v || '').join('|')}`;
     }
 
     // Objet de config natif mssql plutôt qu'une connection string concaténée à la main —
     // un mot de passe contenant ';' ou '=' pourrait sinon injecter des paramètres de connexion.
     async buildConnectionConfig(connectionConfig) {
+        const authType = ConnectionManager.resolveAuthenticationType(connectionConfig);
+
+        // The password field doubles as the client secret for a service
+        // principal; an access token is read at connect time, never stored.
         let password = connectionConfig.password;
-        if (!password && connectionConfig.name) {
+        if (!password && connectionConfig.name && SECRET_AUTH_TYPES.has(authType)) {
             password = await this._connectionStorage.getConnectionPassword(connectionConfig.name);
             if (connectionConfig.isLoadedConnection && !password) {
                 throw new Error('Password not found in secure storage');
@@ -23,30 +85,113 @@ class ConnectionManager {
         const options = {};
         if (connectionConfig.encrypt !== undefined) options.encrypt = connectionConfig.encrypt;
         if (connectionConfig.trustServerCertificate !== undefined) options.trustServerCertificate = connectionConfig.trustServerCertificate;
+        // ApplicationIntent=ReadOnly: lets an availability-group listener route to a readable secondary.
+        if (connectionConfig.readOnly) options.readOnlyIntent = true;
+
+        // 'host\INSTANCE' (SSMS notation) targets a named instance resolved through
+        // SQL Browser - unless a port is given: mssql would drop the port for the
+        // instance name, where SqlClient connects to the port.
+        const namedInstance = /^([^\\]+)\\(.+)$/.exec(connectionConfig.server || '');
+        const instanceName = connectionConfig.instanceName || (namedInstance && namedInstance[2]);
+        if (instanceName && !connectionConfig.port) options.instanceName = instanceName;
 
         // Le défaut mssql/tedious de 15s tue les requêtes longues (indexation d'une
         // grosse base, requêtes utilisateur) ; les timeouts applicatifs (annulation à
         // 5 min dans QueryHandlers, bouton Cancel de l'indexation) restent les garde-fous.
-        const config = { server: connectionConfig.server, options, requestTimeout: 300000 };
+        const config = { server: namedInstance ? namedInstance[1] : connectionConfig.server, options, requestTimeout: 300000 };
         if (connectionConfig.port) config.port = Number(connectionConfig.port);
         if (connectionConfig.database) config.database = connectionConfig.database;
-        if (connectionConfig.username && password) {
-            // 'DOMAIN\user' doit devenir { domain, user } : tedious ne passe en NTLM
-            // (compte Windows) que si config.domain est défini, comme le faisait
-            // le parser de connection string de mssql avant le passage à l'objet natif.
-            const domainUser = /^(.*)\\(.*)$/.exec(connectionConfig.username);
-            if (domainUser && domainUser[1]) {
-                config.domain = domainUser[1];
-                config.user = domainUser[2];
-            } else {
-                config.user = connectionConfig.username;
+
+        switch (authType) {
+            case AUTH_TYPES.WINDOWS: {
+                // 'DOMAIN\user' doit devenir { domain, user } : tedious ne passe en NTLM
+                // (compte Windows) que si config.domain est défini, comme le faisait
+                // le parser de connection string de mssql avant le passage à l'objet natif.
+                const domainUser = /^(.*)\\(.*)$/.exec(connectionConfig.username || '');
+                if (!domainUser || !domainUser[1]) {
+                    throw new Error('Windows authentication requires a DOMAIN\\user name');
+                }
+                if (password) {
+                    config.domain = domainUser[1];
+                    config.user = domainUser[2];
+                    config.password = password;
+                }
+                break;
             }
-            config.password = password;
+            case AUTH_TYPES.ENTRA_PASSWORD:
+                // tedious signs in through an app registration: the client ID is mandatory.
+                if (!connectionConfig.username || !password || !connectionConfig.clientId) {
+                    throw new Error('Microsoft Entra password authentication requires a user name, a password and a client ID');
+                }
+                config.authentication = {
+                    type: 'azure-active-directory-password',
+                    options: {
+                        userName: connectionConfig.username,
+                        password,
+                        clientId: connectionConfig.clientId,
+                        ...(connectionConfig.tenantId ? { tenantId: connectionConfig.tenantId } : {})
+                    }
+                };
+                break;
+            case AUTH_TYPES.SERVICE_PRINCIPAL:
+                if (!connectionConfig.clientId || !connectionConfig.tenantId || !password) {
+                    throw new Error('Service principal authentication requires a client ID, a tenant ID and a client secret');
+                }
+                config.authentication = {
+                    type: 'azure-active-directory-service-principal-secret',
+                    options: { clientId: connectionConfig.clientId, clientSecret: password, tenantId: connectionConfig.tenantId }
+                };
+                break;
+            case AUTH_TYPES.ACCESS_TOKEN:
+                config.authentication = {
+                    type: 'azure-active-directory-access-token',
+                    options: { token: await this._readAccessToken(connectionConfig) }
+                };
+                break;
+            default:
+                if (connectionConfig.username && password) {
+                    config.user = connectionConfig.username;
+                    config.password = password;
+                }
         }
 
         return config;
     }
 
+    // Connections saved before authentication modes existed carry no
+    // authenticationType: keep inferring NTLM from a 'DOMAIN\user' name.
+    static resolveAuthenticationType(connectionConfig) {
+        const type = connectionConfig.authenticationType;
+        if (type && Object.values(AUTH_TYPES).includes(type)) return type;
+        return /^[^\\]+\\/.test(connectionConfig.username || '') ? AUTH_TYPES.WINDOWS : AUTH_TYPES.SQL;
+    }
+
+    // Whether the connection's mode keeps a password or client secret in the secrets API.
+    static requiresSecret(connectionConfig) {
+        return SECRET_AUTH_TYPES.has(ConnectionManager.resolveAuthenticationType(connectionConfig));
+    }
+
+    // Tokens expire within the hour: they are read from their file or
+    // environment variable on every connect instead of being saved.
+    async _readAccessToken(connectionConfig) {
+        let token;
+        if (connectionConfig.tokenSource === 'env') {
+            if (!connectionConfig.tokenEnvVar) throw new Error('No environment variable configured for the access token');
+            token = process.env[connectionConfig.tokenEnvVar];
+            if (!token) throw new Error(`Environment variable '${connectionConfig.tokenEnvVar}' is not set`);
+        } else {
+            if (!connectionConfig.tokenFile) throw new Error('No file configured for the access token');
+            try {
+                token = await fs.readFile(connectionConfig.tokenFile, 'utf8');
+            } catch (error) {
+                throw new Error(`Cannot read access token file: ${error.message}`);
+            }
+        }
+        token = token.trim();
+        if (!token) throw new Error('Access token is empty');
+        return token;
+    }
+
     async getConnectionForDisplay(connectionName) {
         try {
             const connection = this._connectionStorage.getConnection(connectionName);
@@ -60,26 +205,59 @@ class ConnectionManager {
         }
     }
 
+    // A throwaway pool: sql.connect() would hand back the global pool instead.
     async testConnection(connectionConfig) {
-        const conn = await sql.connect(await this.buildConnectionConfig(connectionConfig));
-        await conn.close();
+        const pool = new sql.ConnectionPool(await this.buildConnectionConfig(connectionConfig));
+        await pool.connect();
+        await pool.close();
     }
 
+    // Binds to the registry entry for this connection, opening it if needed;
+    // the previously bound pool stays open for other panels or a later switch.
     async connect(connectionConfig) {
-        if (this._activeConnection) {
-            await this._activeConnection.close();
-            this._activeConnection = null;
-        }
-        this._activeConnection = await sql.connect(await this.buildConnectionConfig(connectionConfig));
-        this._activeConfig = connectionConfig;
+        const key = ConnectionManager.connectionKey(connectionConfig);
+        const entry = await this._registry.open(key, connectionConfig, () => this.buildConnectionConfig(connectionConfig));
+        this._bindEntry(entry);
+    }
+
+    // Switches to a connection another panel (or this one) already opened.
+    bind(key) {
+        const entry = this._registry.get(key);
+        if (!entry) throw new Error('This connection is no longer open');
+        this._bindEntry(entry);
+    }
+
+    _bindEntry(entry) {
+        this._activeKey = entry.key;
+        this._productionWritesUnlocked = false;
+    }
+
+    getActiveKey() {
+        return this._activeConnection ? this._activeKey : null;
+    }
+
+    getOpenConnections() {
+        return this._registry.list();
+    }
+
+    // Closes the bound pool for every panel using it.
+    async disconnect() {
+        if (!this._activeKey) return;
+        const key = this._activeKey;
+        this._activeKey = null;
+        await this._registry.close(key);
     }
 
     async connectWithSaved(connectionName) {
         const savedConnection = this._connectionStorage.getConnection(connectionName);
         if (!savedConnection) throw new Error(`Connection '${connectionName}' not found`);
 
-        const password = await this._connectionStorage.getConnectionPassword(connectionName);
-        if (!password) throw new Error(`Password not found for connection '${connectionName}'`);
+        // Token-based modes have no stored secret: only demand one when needed.
+        let password = null;
+        if (ConnectionManager.requiresSecret(savedConnection)) {
+            password = await this._connectionStorage.getConnectionPassword(connectionName);
+            if (!password) throw new Error(`Password not found for connection '${connectionName}'`);
+        }
 
         await this.connect({ ...savedConnection, password, isLoadedConnection: true });
     }
@@ -92,13 +270,127 @@ class ConnectionManager {
         return this._activeConfig?.server || 'unknown';
     }
 
-    // Expose a raw request so callers can stream results or cancel a long query.
-    createRequest() {
+    // Display name of the active connection (workspace entries carry a label).
+    getConnectionLabel() {
+        return this._activeConfig?.label || this._activeConfig?.name || this._activeConfig?.server || null;
+    }
+
+    getEnvironment() {
+        const environment = this._activeConfig?.environment;
+        return ENVIRONMENTS.includes(environment) ? environment : null;
+    }
+
+    isProduction() {
+        return this.getEnvironment() === 'production';
+    }
+
+    // Read-only connections: QueryHandlers and CommentsService refuse writes (ReadOnlyGuard).
+    isReadOnly() {
+        return !!this._activeConfig?.readOnly;
+    }
+
+    // Procedures a read-only connection may still EXEC, besides the built-in informational ones.
+    getReadOnlyAllowedProcedures() {
+        return this._activeConfig?.readOnlyAllowedProcedures || [];
+    }
+
+    // Dry-run impact preview of Query tab writes: the number of rows above
+    // which a statement is confirmed first, or null when the preview is off.
+    getImpactThreshold() {
+        if (!this._activeConfig?.impactPreview) return null;
+        const threshold = Number(this._activeConfig.impactThreshold);
+        return Number.isFinite(threshold) && threshold >= 0 ? threshold : ImpactPreview.DEFAULT_THRESHOLD;
+    }
+
+    // Severities the connection gives to Query tab risk rules ({ ruleId:
+    // severity }, see QueryRiskAnalyzer.RULES); rules not listed keep their default.
+    getRiskPolicy() {
+        return this._activeConfig?.riskRules || {};
+    }
+
+    // Metadata writes (comments) on production stay blocked until unlocked;
+    // the unlock lasts until the next connect.
+    unlockProductionWrites() {
+        this._productionWritesUnlocked = true;
+    }
+
+    areProductionWritesUnlocked() {
+        return this._productionWritesUnlocked;
+    }
+
+    // Expose a raw request so callers can stream results or cancel a long query;
+    // with a session (openSession) the request runs on the session's connection.
+    // parameters: [{ name: '@Id', type: 'int', value }] with values already
+    // converted (QueryParameters.convert), sent as real input parameters.
+    createRequest(session = null, parameters = []) {
+        let request;
+        if (session) {
+            request = session.request();
+        } else {
+            if (!this._activeConnection) throw new Error('No active connection');
+            request = this._activeConnection.request();
+        }
+        for (const { name, type, value } of parameters) {
+            request.input(name.replace(/^@/, ''), PARAMETER_TYPES[type](value), value);
+        }
+        return request;
+    }
+
+    // A connection of the pool reserved until the session is closed, for
+    // scripts whose batches must share one session.
+    async openSession() {
         if (!this._activeConnection) throw new Error('No active connection');
-        return this._activeConnection.request();
+        return new QuerySession(this._activeConnection).open();
     }
 
-    async executeQuery(query, params = null) {
+    // A transaction kept open across Query tab runs (manual transaction mode).
+    // Like a session, it holds a connection of the pool until commit or rollback.
+    async beginTransaction() {
+        if (!this._activeConnection) throw new Error('No active connection');
+        const transaction = new sql.Transaction(this._activeConnection);
+        await transaction.begin();
+        this._registry.trackTransaction(this._activeKey, transaction);
+        return transaction;
+    }
+
+    // Connection health ('connected' / 'reconnecting' / 'lost') of the bound connection.
+    getConnectionStatus() {
+        return this._activeKey ? this._registry.getStatus(this._activeKey) : null;
+    }
+
+    static isTransientError(error) {
+        for (let e = error; e; e = e.originalError) {
+            if (TRANSIENT_ERROR_NUMBERS.has(e.number) || TRANSIENT_ERROR_CODES.has(e.code)) return true;
+        }
+        return false;
+    }
+
+    // Metadata queries are retried with backoff across a transient failure,
+    // the pool being checked (and rebuilt if dead) before each retry. Writes
+    // pass { idempotent: false }: one interrupted on the way may have run, so
+    // it is only sent again when it never left (connection not open); otherwise
+    // the connection is repaired in the background and the error surfaces.
+    async executeQuery(query, params = null, { idempotent = true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._runQuery(query, params);
+            } catch (error) {
+                const key = this._activeKey;
+                if (!key || !ConnectionManager.isTransientError(error)) throw error;
+                if (!idempotent && !UNSENT_ERROR_CODES.has(error.code)) {
+                    this.reportConnectionError(error);
+                    throw error;
+                }
+                if (attempt >= this._retryDelaysMs.length) {
+                    if (this._registry.getStatus(key) !== ConnectionRegistry.STATUS.CONNECTED) this._registry.markLost(key);
+                    throw error;
+                }
+                await this._registry.recover(key, this._retryDelaysMs[attempt]);
+            }
+        }
+    }
+
+    async _runQuery(query, params) {
         if (!this._activeConnection) throw new Error('No active connection');
         const request = this._activeConnection.request();
         if (params) {
@@ -109,21 +401,28 @@ class ConnectionManager {
         return await request.query(query);
     }
 
+    // For requests that must not be replayed (user batches may have partly
+    // run): repairs the connection in the background so the next run works.
+    // Returns whether the error was a connection interruption.
+    reportConnectionError(error) {
+        if (!this._activeKey || !ConnectionManager.isTransientError(error)) return false;
+        this._registry.reconnect(this._activeKey).catch(e => console.error('Reconnect failed:', e));
+        return true;
+    }
+
     // Centralise le `USE [database];` répété identiquement dans presque tous les services
     // pour éviter qu'une requête l'oublie et interroge la mauvaise base.
-    async executeQueryInDatabase(database, query, params = null) {
-        return this.executeQuery(`USE [${database}];\n${query}`, params);
+    async executeQueryInDatabase(database, query, params = null, options = {}) {
+        return this.executeQuery(`USE [${database}];\n${query}`, params, options);
     }
 
+    // Releases this panel's binding; the pool itself belongs to the registry.
     async dispose() {
-        if (this._activeConnection) {
-            try { await this._activeConnection.close(); } catch (error) {
-                console.error('Error closing connection during dispose:', error);
-            }
-            this._activeConnection = null;
-            this._activeConfig = null;
-        }
+        this._activeKey = null;
     }
 }
 
+ConnectionManager.AUTH_TYPES = AUTH_TYPES;
+ConnectionManager.ENVIRONMENTS = ENVIRONMENTS;
+
 module.exports = ConnectionManager;
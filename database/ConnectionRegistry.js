@@ -0,0 +1,267 @@
+'use strict';
+
+const sql = require('mssql');
+const { EventEmitter } = require('events');
+
+// Health of an open connection, shown in the webview header.
+const STATUS = { CONNECTED: 'connected', RECONNECTING: 'reconnecting', LOST: 'lost' };
+
+// Every open pool answers a trivial query this often; a failed ping starts
+// the same recovery as a transient query error.
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+const PING_TIMEOUT_MS = 10000;
+// Waits before each reconnect attempt of the health monitor (~30 s in total,
+// the usual length of an Azure SQL failover).
+const RECONNECT_DELAYS_MS = [1000, 4000, 10000, 15000];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Extension-wide set of open connection pools, shared by every SQL Wayfarer
+// panel. Each panel's ConnectionManager binds to one entry; switching a panel
+// to another connection leaves the previous pool open, so coming back to a
+// server is instant. Emits 'change' whenever a pool is opened or closed, and
+// 'status' (key, status) when a connection's health changes.
+class ConnectionRegistry extends EventEmitter {
+    constructor({ healthCheckIntervalMs = HEALTH_CHECK_INTERVAL_MS, reconnectDelaysMs = RECONNECT_DELAYS_MS } = {}) {
+        super();
+        this._entries = new Map(); // key -> { key, pool, config, status, transactions }
+        this._opening = new Map(); // key -> in-flight open promise
+        this._recovering = new Map(); // key -> in-flight recovery promise
+        // key -> async () => mssql config. Kept in memory only, so a dead pool
+        // can be rebuilt without asking for the secret again.
+        this._builders = new Map();
+        this._healthCheckIntervalMs = healthCheckIntervalMs;
+        this._reconnectDelaysMs = reconnectDelaysMs;
+        this._healthTimer = null;
+    }
+
+    // Returns the open entry for key, or connects a new pool with the mssql
+    // config produced by buildSqlConfig (only called when a pool is needed).
+    // An entry opened with other settings (connection edited since) is
+    // reopened; panels bound to the key follow it, unless one of them has a
+    // manual transaction open on the pool: closing it would roll the work
+    // back behind the panel's back, so it must commit or roll back first.
+    // Concurrent opens of the same key share one attempt.
+    async open(key, connectionConfig, buildSqlConfig) {
+        const existing = this._entries.get(key);
+        if (existing && existing.pool.connected && ConnectionRegistry._sameSettings(existing.config, connectionConfig)) {
+            return existing;
+        }
+        if (existing && existing.transactions.size > 0) {
+            throw new Error('A manual transaction is open on this connection. Commit or roll it back before connecting with the edited settings.');
+        }
+        if (this._opening.has(key)) return this._opening.get(key);
+
+        const opening = (async () => {
+            // Replaced without a 'change' in between: bound panels are not disconnected.
+            if (existing) {
+                this._entries.delete(key);
+                await ConnectionRegistry._closePool(existing);
+            }
+            let pool;
+            try {
+                pool = await this._connectPool(key, buildSqlConfig);
+            } catch (error) {
+                if (existing) this.emit('change'); // the old entry is gone
+                throw error;
+            }
+            // The secret stays in the pool's own config (and the builder) only.
+            const entry = { key, pool, config: ConnectionRegistry._withoutSecret(connectionConfig), status: STATUS.CONNECTED, transactions: new Set() };
+            this._entries.set(key, entry);
+            this._builders.set(key, buildSqlConfig);
+            this._updateHealthTimer();
+            this.emit('change');
+            this.emit('status', key, entry.status);
+            return entry;
+        })();
+
+        this._opening.set(key, opening);
+        try {
+            return await opening;
+        } finally {
+            this._opening.delete(key);
+        }
+    }
+
+    async _connectPool(key, buildSqlConfig) {
+        const pool = new sql.ConnectionPool(await buildSqlConfig());
+        // mssql re-emits non-socket connection errors on the pool; without a
+        // listener they would crash the extension host. The next query or ping
+        // notices the broken connection and recovers.
+        pool.on('error', error => console.error(`Connection '${key}' error:`, error.message));
+        await pool.connect();
+        return pool;
+    }
+
+    static _withoutSecret(connectionConfig) {
+        const settings = { ...connectionConfig };
+        delete settings.password;
+        delete settings.isLoadedConnection;
+        return settings;
+    }
+
+    static _sameSettings(a, b) {
+        const canonical = config => JSON.stringify(Object.entries(ConnectionRegistry._withoutSecret(config))
+            .filter(([, value]) => value !== undefined && value !== '')
+            .sort(([x], [y]) => x.localeCompare(y)));
+        return canonical(a) === canonical(b);
+    }
+
+    get(key) {
+        return this._entries.get(key) || null;
+    }
+
+    // Counts a manual transaction against the entry until it commits or
+    // rolls back (aborted by the server included), for open().
+    trackTransaction(key, transaction) {
+        const entry = this._entries.get(key);
+        if (!entry) return;
+        entry.transactions.add(transaction);
+        const ended = () => entry.transactions.delete(transaction);
+        transaction.once('commit', ended);
+        transaction.once('rollback', ended);
+    }
+
+    getStatus(key) {
+        const entry = this._entries.get(key);
+        return entry ? entry.status : null;
+    }
+
+    // Summary of the open connections, for the header connection picker.
+    list() {
+        return Array.from(this._entries.values()).map(({ key, config, status }) => ({
+            key,
+            label: config.label || config.name || config.server,
+            server: config.server,
+            environment: config.environment || null,
+            status
+        }));
+    }
+
+    _setStatus(entry, status) {
+        if (entry.status === status) return;
+        entry.status = status;
+        this.emit('status', entry.key, status);
+    }
+
+    // One recovery attempt after delayMs: the pool is kept if it answers a
+    // ping, rebuilt otherwise. Concurrent callers (several failing queries,
+    // the health monitor) share the same attempt. Resolves to true once the
+    // connection works again; on failure the status stays 'reconnecting'
+    // and the caller decides when to give up (markLost).
+    async recover(key, delayMs = 0) {
+        if (this._recovering.has(key)) return this._recovering.get(key);
+        const entry = this._entries.get(key);
+        if (!entry) return false;
+
+        const recovering = (async () => {
+            this._setStatus(entry, STATUS.RECONNECTING);
+            if (delayMs) await sleep(delayMs);
+            if (this._entries.get(key) !== entry) return false; // closed meanwhile
+            if (!(await ConnectionRegistry._ping(entry.pool))) {
+                try {
+                    const pool = await this._connectPool(key, this._builders.get(key));
+                    if (this._entries.get(key) !== entry) {
+                        await ConnectionRegistry._closePool({ key, pool });
+                        return false;
+                    }
+                    const old = entry.pool;
+                    entry.pool = pool;
+                    await ConnectionRegistry._closePool({ key, pool: old });
+                } catch (error) {
+                    console.warn(`Reconnect of '${key}' failed:`, error.message);
+                    return false;
+                }
+            }
+            this._setStatus(entry, STATUS.CONNECTED);
+            return true;
+        })();
+
+        this._recovering.set(key, recovering);
+        try {
+            return await recovering;
+        } finally {
+            this._recovering.delete(key);
+        }
+    }
+
+    markLost(key) {
+        const entry = this._entries.get(key);
+        if (entry) this._setStatus(entry, STATUS.LOST);
+    }
+
+    // Retries recover() with the configured backoff; a connection that stays
+    // unreachable is marked lost and retried again on the next health check.
+    async reconnect(key) {
+        for (const delay of this._reconnectDelaysMs) {
+            if (!this._entries.has(key)) return false;
+            if (await this.recover(key, delay)) return true;
+        }
+        this.markLost(key);
+        return false;
+    }
+
+    static async _ping(pool) {
+        if (!pool.connected) return false;
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), PING_TIMEOUT_MS); });
+        const ping = pool.request().query('SELECT 1').then(() => true, () => false);
+        try {
+            return await Promise.race([ping, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Lightweight health ping of every open pool, so a dropped VPN or a
+    // failover shows up in the header (and is repaired) before the next click.
+    async checkHealth() {
+        await Promise.all(Array.from(this._entries.values()).map(async entry => {
+            if (this._recovering.has(entry.key)) return;
+            if (entry.status === STATUS.LOST) {
+                if (!(await this.recover(entry.key))) this.markLost(entry.key);
+            } else if (!(await ConnectionRegistry._ping(entry.pool))) {
+                await this.reconnect(entry.key);
+            }
+        }));
+    }
+
+    _updateHealthTimer() {
+        if (this._entries.size && !this._healthTimer && this._healthCheckIntervalMs > 0) {
+            this._healthTimer = setInterval(() => {
+                this.checkHealth().catch(error => console.error('Connection health check failed:', error));
+            }, this._healthCheckIntervalMs);
+            // Never keeps the extension host (or a test run) alive by itself.
+            this._healthTimer.unref?.();
+        } else if (!this._entries.size && this._healthTimer) {
+            clearInterval(this._healthTimer);
+            this._healthTimer = null;
+        }
+    }
+
+    async close(key) {
+        const entry = this._entries.get(key);
+        if (!entry) return;
+        this._entries.delete(key);
+        this._builders.delete(key);
+        this._updateHealthTimer();
+        await ConnectionRegistry._closePool(entry);
+        this.emit('change');
+    }
+
+    static async _closePool(entry) {
+        try { await entry.pool.close(); } catch (error) {
+            console.error(`Error closing connection '${entry.key}':`, error);
+        }
+    }
+
+    async closeAll() {
+        for (const key of Array.from(this._entries.keys())) {
+            await this.close(key);
+        }
+    }
+}
+
+ConnectionRegistry.STATUS = STATUS;
+
+module.exports = ConnectionRegistry;
@@ -113,6 +113,21 @@ class DatabaseService {
         return result.recordset.map(row => ({ name: row.column_name, type: row.data_type }));
     }
 
+    // Parameters of a procedure or function in declaration order (the return
+    // value, parameter 0, excluded): [{ name, type, output }].
+    async getProcedureParameters(database, objectName) {
+        if (!this._connectionManager.isConnected()) throw new Error('No active connection');
+
+        const result = await this._connectionManager.executeQueryInDatabase(database, `
+            SELECT p.name AS parameter_name, TYPE_NAME(p.user_type_id) AS data_type, p.is_output
+            FROM sys.parameters p
+            WHERE p.object_id = OBJECT_ID(@objectName) AND p.parameter_id > 0
+            ORDER BY p.parameter_id
+        `, { objectName });
+
+        return result.recordset.map(row => ({ name: row.parameter_name, type: row.data_type, output: !!row.is_output }));
+    }
+
     async getTableDetails(database, tableName) {
         if (!this._connectionManager.isConnected()) throw new Error('No active connection');
 
@@ -225,6 +240,26 @@ class DatabaseService {
         }
     }
 
+    // MS_Description and row count (from partition metadata, null for
+    // objects without rows of their own) for the .sql editor hovers.
+    async getObjectSummary(database, objectName) {
+        if (!this._connectionManager.isConnected()) throw new Error('No active connection');
+
+        const result = await this._connectionManager.executeQueryInDatabase(database, `
+            SELECT
+                CAST(ep.value AS NVARCHAR(MAX)) AS description,
+                (SELECT SUM(p.rows) FROM sys.partitions p
+                 WHERE p.object_id = o.object_id AND p.index_id IN (0, 1)) AS row_count
+            FROM sys.objects o
+            LEFT JOIN sys.extended_properties ep
+                ON ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.class = 1 AND ep.name = 'MS_Description'
+            WHERE o.object_id = OBJECT_ID(@objectName)
+        `, { objectName });
+
+        const row = result.recordset[0];
+        return row ? { description: row.description || '', rowCount: row.row_count } : null;
+    }
+
     async getObjectInfo(database, objectName) {
         if (!this._connectionManager.isConnected()) throw new Error('No active connection');
 
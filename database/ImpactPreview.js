@@ -0,0 +1,169 @@
+'use strict';
+
+// Statements that start a row-counting statement at the top level of a batch.
+const COUNTED = new Set(['select', 'insert', 'update', 'delete', 'merge']);
+const WRITES = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+
+// A dry run executes the script in a transaction that is rolled back. Scripts
+// doing any of this could commit, end that transaction, reach outside the
+// database or run code we cannot see, so they are not dry-run.
+const UNSAFE = [
+    [/\b(begin|commit|rollback|save)\s+(tran|transaction|work)\b|\bcommit\b|\brollback\b/, 'transaction control'],
+    [/\b(exec|execute|sp_executesql)\b/, 'EXEC'],
+    [/\b(create|alter|drop|truncate)\b|\b(enable|disable)\s+trigger\b/, 'DDL'],
+    [/\bbulk\s+insert\b|\b(backup|restore|dbcc|kill|shutdown|reconfigure|waitfor|writetext|updatetext)\b/, 'administrative statement'],
+    [/\b(openquery|openrowset|opendatasource)\b/, 'remote data access']
+];
+
+// Dry-run impact preview of a Query tab script: before the real run, the
+// script runs in a transaction that is rolled back (QueryHandlers), and the
+// row counts the server reports are matched here to the statements of each
+// batch, so "UPDATE dbo.Orders — 2,000,000 row(s)" can be confirmed first.
+class ImpactPreview {
+    // Why the script must not be dry-run, or null when it may.
+    static unsafeReason(sql) {
+        const code = ImpactPreview._tokens(sql || '').map(t => t.word || t.punct || '').join(' ');
+        const found = UNSAFE.find(([pattern]) => pattern.test(code));
+        return found ? found[1] : null;
+    }
+
+    // Top-level statements of a batch that report a row count, in order:
+    // [{ kind: 'SELECT' | 'INSERT' | 'UPDATE' | 'DELETE' | 'MERGE', target }].
+    // `conditional` is set when IF / WHILE may skip or repeat some of them.
+    static statements(sql) {
+        const tokens = ImpactPreview._tokens(sql || '');
+        const statements = [];
+        let conditional = false;
+        let depth = 0;
+        let current = null; // { kind, target, hasSource } of the statement being read
+        let previous = null;
+        tokens.forEach((token, i) => {
+            const next = tokens[i + 1] || {};
+            if (token.punct === '(' || token.punct === ')') {
+                depth = Math.max(0, depth + (token.punct === '(' ? 1 : -1));
+            } else if (depth === 0) {
+                const word = token.word;
+                if (token.punct === ';') {
+                    current = null;
+                } else if (word === 'if' || word === 'while') {
+                    conditional = true;
+                    current = null;
+                } else if (word === 'with' && !current && next.punct !== '(') {
+                    current = { kind: 'WITH' }; // CTE: the statement is the one after it
+                } else if (word === 'values' && current) {
+                    current.hasSource = true;
+                } else if (COUNTED.has(word) && !ImpactPreview._continues(word, current, previous, next)) {
+                    const kind = word.toUpperCase();
+                    if (current && current.kind === 'WITH') current.kind = kind;
+                    else current = { kind };
+                    if (kind !== 'SELECT') current.target = ImpactPreview._target(tokens, i + 1);
+                    statements.push(current);
+                }
+            }
+            previous = token;
+        });
+        return {
+            statements: statements.map(({ kind, target }) => (target ? { kind, target } : { kind })),
+            conditional
+        };
+    }
+
+    // The INSERT / UPDATE / DELETE / MERGE statements of a batch.
+    static writes(sql) {
+        return ImpactPreview.statements(sql).statements.filter(statement => WRITES.has(statement.kind));
+    }
+
+    // Pairs the row counts of one batch with its statements. When they do not
+    // line up (IF / WHILE, counts from triggers), the counts are listed as
+    // statement 1, 2, ... of the batch instead.
+    static describe(sql, counts) {
+        const { statements, conditional } = ImpactPreview.statements(sql);
+        if (!conditional && statements.length === counts.length) {
+            return statements.map((statement, i) => ({ ...statement, rows: counts[i] }))
+                .filter(entry => WRITES.has(entry.kind));
+        }
+        return counts.map((rows, i) => ({ kind: null, label: `Statement ${i + 1}`, rows }));
+    }
+
+    // Largest number of rows a single statement would change (unlabelled
+    // counts are taken as changes: better ask once too often).
+    static maxRows(entries) {
+        return entries.reduce((max, e) => Math.max(max, e.rows), 0);
+    }
+
+    static label(entry) {
+        if (!entry.kind) return entry.label;
+        return entry.target ? `${entry.kind} ${entry.target}` : entry.kind;
+    }
+
+    // The preview as text, for the confirmation dialogs:
+    // "UPDATE dbo.Orders — 2,000,000 row(s)", then the triggers.
+    static lines(impact) {
+        if (impact.skipped) return [`Impact preview skipped: ${impact.skipped}.`];
+        const batched = new Set(impact.entries.map(e => e.batch)).size > 1;
+        const lines = impact.entries.map(e =>
+            `${batched ? `Batch ${e.batch}, ` : ''}${ImpactPreview.label(e)} — ${e.rows.toLocaleString('en-US')} row(s)`);
+        if (impact.error) lines.push(`The dry run stopped on an error: ${impact.error}`);
+        if (impact.triggers === null) lines.push('Triggers could not be listed.');
+        else if (impact.triggers.length > 0) lines.push(`Triggers that fire: ${impact.triggers.map(t => t.trigger).join(', ')}`);
+        return lines;
+    }
+
+    // INSERT ... SELECT, UNION SELECT, MERGE ... THEN UPDATE / DELETE / INSERT
+    // and UPDATE STATISTICS do not start a counted statement.
+    static _continues(word, current, previous, next) {
+        if (previous && ['then', 'union', 'all', 'except', 'intersect', 'for', 'of', 'on'].includes(previous.word)) return true;
+        if (word === 'update' && next.word === 'statistics') return true;
+        if (word === 'select' && current && current.kind === 'INSERT' && !current.hasSource) {
+            current.hasSource = true;
+            return true;
+        }
+        return false;
+    }
+
+    // Target of INSERT [INTO] / UPDATE / DELETE [FROM] / MERGE [INTO], skipping TOP (n).
+    static _target(tokens, i) {
+        if (tokens[i] && tokens[i].word === 'top') {
+            i++;
+            if (tokens[i] && tokens[i].punct === '(') {
+                let depth = 0;
+                do {
+                    if (tokens[i].punct === '(') depth++;
+                    else if (tokens[i].punct === ')') depth--;
+                    i++;
+                } while (tokens[i] && depth > 0);
+            } else {
+                i++;
+            }
+            if (tokens[i] && tokens[i].word === 'percent') i++;
+        }
+        if (tokens[i] && (tokens[i].word === 'into' || tokens[i].word === 'from')) i++;
+        const parts = [];
+        while (tokens[i] && (tokens[i].name || tokens[i].word)) {
+            parts.push(tokens[i].name || tokens[i].text);
+            if (!tokens[i + 1] || tokens[i + 1].punct !== '.') break;
+            i += 2;
+        }
+        return parts.length > 0 ? parts.join('.') : null;
+    }
+
+    // Words (lowercased, with their text), [names] / "names", @variables and
+    // punctuation; literals and comments dropped.
+    static _tokens(sql) {
+        const tokens = [];
+        const pattern = /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|N?'(?:[^']|'')*'?|"(?:[^"]|"")*"?|\[(?:[^\]]|\]\])*\]?|@@?[\w$#@]+|[A-Za-z_#][\w$#@]*|[().;,]/g;
+        let match;
+        while ((match = pattern.exec(sql)) !== null) {
+            const text = match[0];
+            if (text[0] === '[' || text[0] === '"') tokens.push({ name: text });
+            else if (text[0] === '@') tokens.push({ variable: text });
+            else if (/^[A-Za-z_#]/.test(text)) tokens.push({ word: text.toLowerCase(), text });
+            else if (/^[().;,]$/.test(text)) tokens.push({ punct: text });
+        }
+        return tokens;
+    }
+}
+
+ImpactPreview.DEFAULT_THRESHOLD = 1000;
+
+module.exports = ImpactPreview;
@@ -45,18 +45,22 @@ class IndexService {
     // click asking for dependencies or column usage) share one in-flight
     // promise: without this, a second call would reset _progressCallback /
     // _cancelRequested mid-build and could run a duplicate full rebuild.
+    // Keyed by server too: the panel may have switched connection meanwhile.
     async getIndex(database, progressCallback = null) {
-        if (this._inFlight && this._inFlightDatabase === database) {
+        const flightKey = `${this._getCurrentServerName()}|${database}`;
+        if (this._inFlight && this._inFlightKey === flightKey) {
             return this._inFlight;
         }
 
-        this._inFlightDatabase = database;
+        this._inFlightKey = flightKey;
         this._inFlight = this._getIndexInternal(database, progressCallback);
         try {
             return await this._inFlight;
         } finally {
-            this._inFlight = null;
-            this._inFlightDatabase = null;
+            if (this._inFlightKey === flightKey) {
+                this._inFlight = null;
+                this._inFlightKey = null;
+            }
         }
     }
 
@@ -82,6 +86,12 @@ class IndexService {
         return index;
     }
 
+    // The index saved for `database` as is: no live check, never built. For
+    // callers that must not wait for indexing (Query tab trigger cascade).
+    async getCachedIndex(database) {
+        return this._loadIndex(this._getIndexFilePath(database, this._getCurrentServerName()));
+    }
+
     async forceReindex(database, progressCallback = null) {
         console.log(`Force reindexing database: ${database}`);
         this._progressCallback = progressCallback;
@@ -446,9 +456,9 @@ class IndexService {
 
     _getCurrentServerName() { return this._connectionManager.getServerName(); }
 
-    _getIndexFilePath(database) {
+    _getIndexFilePath(database, server = this._currentServer) {
         const slug = name => (name || '').replace(/[^a-zA-Z0-9_.-]/g, '_');
-        return path.join(this._indexDir, `${slug(this._currentServer)}_${slug(database)}.json`);
+        return path.join(this._indexDir, `${slug(server)}_${slug(database)}.json`);
     }
 
     async _ensureIndexDir() {
@@ -0,0 +1,43 @@
+'use strict';
+
+// "Line 12: Invalid object name 'dbo.Ordres'." as QueryHandlers formats SQL
+// errors, the line being an editor line (startLine applied).
+const LINE_PREFIX = /^Line (\d+): (.*)$/;
+
+// Errors of a run as { line, message }, for the diagnostics of the .sql
+// editor it was started from. Errors without a line number are put on the
+// first line of the failing batch, or of the query.
+class QueryDiagnostics {
+    // message: the queryResult or queryError posted for the run.
+    static fromMessage(message, startLine = 1) {
+        if (message.command === 'queryError') {
+            return message.cancelled ? [] : QueryDiagnostics.parse(message.message, startLine);
+        }
+        if (message.command === 'queryResult') {
+            return (message.batches || [])
+                .filter(batch => batch.status === 'error')
+                .flatMap(batch => QueryDiagnostics.parse(batch.message, batch.startLine));
+        }
+        return [];
+    }
+
+    // One diagnostic per "Line N:" line; the lines that follow without a
+    // prefix continue its message.
+    static parse(text, fallbackLine = 1) {
+        const diagnostics = [];
+        for (const line of String(text || '').split(/\r?\n/)) {
+            if (!line.trim()) continue;
+            const match = LINE_PREFIX.exec(line);
+            if (match) {
+                diagnostics.push({ line: Number(match[1]), message: match[2] });
+            } else if (diagnostics.length > 0) {
+                diagnostics[diagnostics.length - 1].message += `\n${line}`;
+            } else {
+                diagnostics.push({ line: fallbackLine, message: line });
+            }
+        }
+        return diagnostics;
+    }
+}
+
+module.exports = QueryDiagnostics;
@@ -0,0 +1,76 @@
+'use strict';
+
+// Entries kept when the sqlwayfarer.queryHistory.limit setting is not set.
+const DEFAULT_LIMIT = 50;
+
+// The Query tab's run history, newest first: { query, database, success,
+// durationMs, timestamp, pinned }. An entry is identified by its query text
+// and database: running it again moves it to the top. Pinned entries are
+// favourites: they never count against the limit and are never evicted.
+class QueryHistory {
+    // Returns the new list; the limit applies to unpinned entries.
+    static record(history, entry, limit = DEFAULT_LIMIT) {
+        const previous = history.find(e => QueryHistory.same(e, entry));
+        const next = [
+            { ...entry, ...(previous && previous.pinned ? { pinned: true } : {}) },
+            ...history.filter(e => e !== previous)
+        ];
+        let unpinned = 0;
+        return next.filter(e => e.pinned || ++unpinned <= limit);
+    }
+
+    static setPinned(history, { query, database }, pinned) {
+        return history.map(e => {
+            if (!QueryHistory.same(e, { query, database })) return e;
+            const copy = { ...e, pinned: true };
+            if (!pinned) delete copy.pinned;
+            return copy;
+        });
+    }
+
+    // Clearing keeps the favourites.
+    static clear(history) {
+        return history.filter(e => e.pinned);
+    }
+
+    // Entries of `database` ('' for all) whose query contains every word of
+    // `text`, case-insensitively; pinned entries first, then newest first.
+    static search(history, { text = '', database = '' } = {}) {
+        const words = String(text).toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = history.filter(e => (!database || e.database === database)
+            && words.every(word => e.query.toLowerCase().includes(word)));
+        return [...matches.filter(e => e.pinned), ...matches.filter(e => !e.pinned)];
+    }
+
+    // Databases found in the history, for the filter list.
+    static databases(history) {
+        return [...new Set(history.map(e => e.database).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    }
+
+    static same(a, b) {
+        return a.query === b.query && a.database === b.database;
+    }
+
+    // The entry as a .sql file: when, where and how it ran as header comments.
+    static toSql(entry) {
+        const header = [
+            `-- Database: ${entry.database}`,
+            `-- Run at: ${new Date(entry.timestamp).toISOString()}`,
+            `-- Duration: ${entry.durationMs !== undefined ? `${entry.durationMs} ms` : 'unknown'}`,
+            `-- Status: ${entry.success ? 'succeeded' : 'failed'}`
+        ];
+        if (entry.pinned) header.push('-- Pinned');
+        return `${header.join('\n')}\n\n${entry.query.replace(/\s+$/, '')}\n`;
+    }
+
+    // Sortable and unique within an export: 20261019-142203-Sales-007.sql (UTC).
+    static fileName(entry, index) {
+        const stamp = new Date(entry.timestamp).toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+        const database = String(entry.database || 'query').replace(/[\\/:*?"<>|\s]+/g, '_');
+        return `${stamp}-${database}-${String(index + 1).padStart(3, '0')}.sql`;
+    }
+}
+
+QueryHistory.DEFAULT_LIMIT = DEFAULT_LIMIT;
+
+module.exports = QueryHistory;
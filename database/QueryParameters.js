@@ -0,0 +1,136 @@
+'use strict';
+
+// Types offered by the Query tab's parameter form; ConnectionManager maps
+// them to mssql input types.
+const TYPES = ['nvarchar', 'varchar', 'int', 'bigint', 'decimal', 'float', 'bit', 'date', 'datetime2', 'uniqueidentifier'];
+
+// Keywords that start a new statement, ending the variable list of a DECLARE
+// written without a semicolon.
+const STATEMENT_KEYWORDS = new Set([
+    'select', 'insert', 'update', 'delete', 'merge', 'set', 'exec', 'execute', 'if', 'while', 'begin',
+    'print', 'return', 'declare', 'with', 'truncate', 'raiserror', 'throw', 'open', 'fetch', 'close', 'deallocate'
+]);
+
+const UUID = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
+
+// The `@variables` of the Query tab that are used but not declared, so the
+// user can supply them as real input parameters instead of editing the text.
+class QueryParameters {
+    // Undeclared variables of one batch, in order of first use, with their
+    // first spelling (names compare case-insensitively). Strings, comments and
+    // quoted identifiers are skipped, as are @@functions. A batch creating a
+    // procedure, function or trigger has none: its variables are its own.
+    static find(sql) {
+        const tokens = QueryParameters._tokens(sql || '');
+        if (tokens.some((t, i) => t.word === 'create' && /^(proc|procedure|function|trigger)$/.test((tokens[i + 1] || {}).word))) {
+            return [];
+        }
+
+        const declared = new Set();
+        const used = new Map();
+        let inDeclare = false;
+        let expectName = false; // next variable is one being declared
+        let execStart = -1; // index of the first token after EXEC, while in one
+        let depth = 0;
+        tokens.forEach((token, i) => {
+            if (token.variable) {
+                const key = token.variable.toLowerCase();
+                // `EXEC p @Param = ...` names a parameter of p (but `EXEC @rc = p` is a variable).
+                const namedArgument = execStart >= 0 && i > execStart && (tokens[i + 1] || {}).punct === '=';
+                if (expectName) declared.add(key);
+                else if (!namedArgument && !used.has(key)) used.set(key, token.variable);
+                expectName = false;
+            } else if (token.word === 'declare') {
+                inDeclare = true;
+                expectName = true;
+                execStart = -1;
+                depth = 0;
+            } else if (token.punct === '(') {
+                depth++;
+            } else if (token.punct === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (token.punct === ',' && inDeclare && depth === 0) {
+                expectName = true;
+            } else if (token.punct === ';' || (depth === 0 && STATEMENT_KEYWORDS.has(token.word))) {
+                inDeclare = false;
+                expectName = false;
+                execStart = token.word === 'exec' || token.word === 'execute' ? i + 1 : -1;
+            } else if (token.word) {
+                expectName = false; // DECLARE name CURSOR ...
+            }
+        });
+        return [...used].filter(([key]) => !declared.has(key)).map(([, name]) => name);
+    }
+
+    // Converts the text typed in the form to the value sent for `type`.
+    // Throws with a message naming the parameter on an invalid value.
+    static convert({ name, type, value, isNull }) {
+        if (!TYPES.includes(type)) throw new Error(`Parameter ${name}: unknown type '${type}'.`);
+        if (isNull) return null;
+        const text = String(value == null ? '' : value);
+        const trimmed = text.trim();
+        const invalid = () => new Error(`Parameter ${name}: '${text}' is not a valid ${type}.`);
+
+        switch (type) {
+            case 'nvarchar':
+            case 'varchar':
+                return text;
+            case 'int': {
+                const n = Number(trimmed);
+                if (!/^[+-]?\d+$/.test(trimmed) || n < -2147483648 || n > 2147483647) throw invalid();
+                return n;
+            }
+            case 'bigint':
+                // Kept as text: beyond 2^53 a Number would lose digits.
+                if (!/^[+-]?\d{1,19}$/.test(trimmed)) throw invalid();
+                return trimmed;
+            case 'decimal': {
+                // Kept as text too, within decimal(38)'s digits; the driver
+                // sizes the parameter from it (ConnectionManager).
+                const match = /^[+-]?(\d*)\.?(\d*)$/.exec(trimmed);
+                if (!match || !(match[1] || match[2]) || match[1].replace(/^0+/, '').length + match[2].length > 38) throw invalid();
+                return trimmed;
+            }
+            case 'float':
+                if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(trimmed)) throw invalid();
+                return Number(trimmed);
+            case 'bit':
+                if (/^(1|true)$/i.test(trimmed)) return true;
+                if (/^(0|false)$/i.test(trimmed)) return false;
+                throw invalid();
+            case 'date':
+            case 'datetime2': {
+                // Read as UTC (the driver sends dates in UTC), so '2024-01-31'
+                // arrives as typed whatever the local time zone.
+                const iso = trimmed.replace(' ', 'T');
+                const hasZone = /(z|[+-]\d\d:?\d\d)$/i.test(iso);
+                const date = new Date(iso.includes('T') && !hasZone ? `${iso}Z` : iso);
+                if (!trimmed || Number.isNaN(date.getTime())) throw invalid();
+                return date;
+            }
+            case 'uniqueidentifier':
+                if (!UUID.test(trimmed)) throw invalid();
+                return trimmed.replace(/[{}]/g, '');
+        }
+        return text;
+    }
+
+    // Words (lowercased), @variables and punctuation; literals and comments dropped.
+    static _tokens(sql) {
+        const tokens = [];
+        const pattern = /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|N?'(?:[^']|'')*'?|"(?:[^"]|"")*"?|\[(?:[^\]]|\]\])*\]?|@@[\w$#@]*|@[\w$#@]+|[A-Za-z_#][\w$#@]*|[(),;=]/g;
+        let match;
+        while ((match = pattern.exec(sql)) !== null) {
+            const text = match[0];
+            if (text.startsWith('@@')) continue;
+            if (text[0] === '@') tokens.push({ variable: text });
+            else if (/^[A-Za-z_#]/.test(text)) tokens.push({ word: text.toLowerCase() });
+            else if (/^[(),;=]$/.test(text)) tokens.push({ punct: text });
+        }
+        return tokens;
+    }
+}
+
+QueryParameters.TYPES = TYPES;
+
+module.exports = QueryParameters;
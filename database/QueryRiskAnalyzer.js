@@ -1,44 +1,129 @@
 'use strict';
 
-// Flags destructive statements in a query before execution:
-// - UPDATE / DELETE without WHERE (via the T-SQL parser; regex heuristic as fallback)
-// - TRUNCATE TABLE and DROP <object> (regex: keywords are unambiguous)
-// Returns human-readable risk descriptions; an empty array means "safe to run".
+// What happens when a rule matches: nothing, a note next to the results, a
+// confirmation before the run, or a refusal to run.
+const SEVERITIES = ['off', 'warn', 'confirm', 'block'];
+
+// The risk rules, by id. A connection may change the severity of any of them
+// (ConnectionManager.getRiskPolicy); the defaults ask before running.
+const RULES = {
+    'update-without-where': { label: 'UPDATE without WHERE', severity: 'confirm' },
+    'delete-without-where': { label: 'DELETE without WHERE', severity: 'confirm' },
+    'tautological-where': { label: 'UPDATE / DELETE with an always-true WHERE', severity: 'confirm' },
+    'merge-delete-unmatched': { label: 'MERGE … WHEN NOT MATCHED BY SOURCE THEN DELETE', severity: 'confirm' },
+    'truncate': { label: 'TRUNCATE TABLE', severity: 'confirm' },
+    'drop': { label: 'DROP <object>', severity: 'confirm' },
+    'alter-drop-column': { label: 'ALTER TABLE … DROP COLUMN', severity: 'confirm' },
+    'alter-drop-constraint': { label: 'ALTER TABLE … DROP CONSTRAINT', severity: 'confirm' },
+    'disable-trigger': { label: 'DISABLE TRIGGER', severity: 'confirm' },
+    'sp-rename': { label: 'sp_rename', severity: 'confirm' },
+    'dbcc': { label: 'DBCC', severity: 'confirm' },
+    'shutdown': { label: 'SHUTDOWN', severity: 'confirm' }
+};
+
+// Statement rules, found by the T-SQL parser (regex heuristics as fallback).
+// TRUNCATE and DROP are always matched by regex: their keywords are unambiguous.
+const FALLBACKS = [
+    ['alter-drop-column', /\balter\s+table\s+(?<table>[^\s;]+)\s+drop\s+column\s+(?:if\s+exists\s+)?(?<detail>[^\s;,]+)/gi],
+    ['alter-drop-constraint', /\balter\s+table\s+(?<table>[^\s;]+)\s+drop\s+constraint\s+(?:if\s+exists\s+)?(?<detail>[^\s;,]+)/gi],
+    ['disable-trigger', /\balter\s+table\s+(?<table>[^\s;]+)\s+disable\s+trigger\b/gi],
+    ['disable-trigger', /(?<!\balter\s+table\s+[^\s;]+\s+)\bdisable\s+trigger\b[^;]*?\bon\s+(?<table>[^\s;]+)/gi],
+    ['sp-rename', /\bsp_rename\b/gi],
+    ['dbcc', /\bdbcc\s+(?<detail>\w+)/gi],
+    ['shutdown', /^\s*shutdown\b/gim]
+];
+
+// Flags destructive statements in a query before execution and grades them by
+// the connection's policy. Risks are returned as { rule, severity, message };
+// an empty array means "safe to run".
 class QueryRiskAnalyzer {
     constructor(sqlParser = null) {
         this._sqlParser = sqlParser;
     }
 
-    analyze(sql) {
+    // policy: { ruleId: severity } overriding RULES; rules set to 'off' are left out.
+    assess(sql, policy = {}) {
+        return this._findRisks(sql)
+            .map(risk => ({ ...risk, severity: QueryRiskAnalyzer.severity(risk.rule, policy) }))
+            .filter(risk => risk.severity !== 'off');
+    }
+
+    // Human-readable risk descriptions.
+    analyze(sql, policy = {}) {
+        return this.assess(sql, policy).map(risk => risk.message);
+    }
+
+    static severity(rule, policy = {}) {
+        const chosen = policy && policy[rule];
+        return SEVERITIES.includes(chosen) ? chosen : RULES[rule].severity;
+    }
+
+    _findRisks(sql) {
         if (!sql) return [];
         const risks = [];
+        const add = (rule, message) => risks.push({ rule, message });
 
         const parsed = this._sqlParser ? this._sqlParser.analyzeRisks(sql) : null;
         if (parsed) {
-            for (const risk of parsed) {
-                risks.push(risk.table
-                    ? `${risk.type} without WHERE on ${risk.table}`
-                    : `${risk.type} without WHERE`);
-            }
+            for (const risk of parsed) add(risk.rule, QueryRiskAnalyzer._describe(risk));
         } else {
             // Parser unavailable or SQL unparseable: coarse per-statement heuristic.
             for (const statement of sql.split(/;|^\s*GO\s*$/im)) {
                 const match = statement.match(/^\s*(update|delete)\b/i);
-                if (match && !/\bwhere\b/i.test(statement)) {
-                    risks.push(`${match[1].toUpperCase()} without WHERE`);
+                if (!match) continue;
+                const type = match[1].toUpperCase();
+                const where = statement.match(/\bwhere\s+(.*)$/is);
+                if (!where) add(`${type.toLowerCase()}-without-where`, `${type} without WHERE`);
+                else if (/^\(*\s*(\d+)\s*=\s*\1\s*\)*\s*$/.test(where[1])) add('tautological-where', `${type} with an always-true WHERE`);
+            }
+            for (const statement of sql.split(/^\s*GO\s*$/im)) {
+                if (/\bmerge\b[\s\S]*\bwhen\s+not\s+matched\s+by\s+source\b(?:(?!\bwhen\b)[\s\S])*\bthen\s+delete\b/i.test(statement)) {
+                    add('merge-delete-unmatched', 'MERGE deleting rows not matched by source');
+                }
+            }
+            for (const [rule, pattern] of FALLBACKS) {
+                for (const match of sql.matchAll(pattern)) {
+                    add(rule, QueryRiskAnalyzer._describe({ rule, table: null, detail: null, ...match.groups }, match[0]));
                 }
             }
         }
 
         for (const truncate of sql.match(/\btruncate\s+table\s+[^\s;]+/gi) || []) {
-            risks.push(truncate.replace(/\s+/g, ' ').trim());
+            add('truncate', truncate.replace(/\s+/g, ' ').trim());
         }
         for (const drop of sql.match(/\bdrop\s+(?:table|view|procedure|proc|function|trigger|index|database)\s+[^\s;]+/gi) || []) {
-            risks.push(drop.replace(/\s+/g, ' ').trim());
+            add('drop', drop.replace(/\s+/g, ' ').trim());
         }
 
         return risks;
     }
+
+    // { rule, table, detail } from the parser (or a fallback match) as text.
+    static _describe({ rule, table, detail }, matched = null) {
+        const on = table ? ` on ${table}` : '';
+        switch (rule) {
+            case 'update-without-where':
+            case 'delete-without-where':
+                return `${detail} without WHERE${on}`;
+            case 'tautological-where':
+                return `${detail} with an always-true WHERE${on}`;
+            case 'merge-delete-unmatched':
+                return `MERGE deleting rows not matched by source${on}`;
+            case 'alter-drop-column':
+                return `ALTER TABLE ${table} DROP COLUMN ${detail}`;
+            case 'alter-drop-constraint':
+                return `ALTER TABLE ${table} DROP CONSTRAINT ${detail}`;
+            case 'disable-trigger':
+                return `DISABLE TRIGGER${on}`;
+            case 'dbcc':
+                return detail ? `DBCC ${detail.toUpperCase()}` : 'DBCC';
+            default:
+                return matched ? matched.trim() : RULES[rule].label;
+        }
+    }
 }
 
+QueryRiskAnalyzer.RULES = RULES;
+QueryRiskAnalyzer.SEVERITIES = SEVERITIES;
+
 module.exports = QueryRiskAnalyzer;
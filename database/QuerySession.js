@@ -0,0 +1,69 @@
+'use strict';
+
+const sql = require('mssql');
+
+// One pooled connection held for a whole script run, so that the batches
+// between GO lines share a session (temp tables, SET options, USE) as they do
+// in SSMS. Requests created here run on that connection: the class provides
+// the parent interface mssql requests use (acquire / release / config /
+// connected, as sql.Transaction does), without opening a transaction.
+class QuerySession {
+    constructor(pool) {
+        this._pool = pool;
+        this._connection = null;
+    }
+
+    async open() {
+        this._connection = await this._pool.acquire(this);
+        return this;
+    }
+
+    get config() {
+        return this._pool.config;
+    }
+
+    get connected() {
+        return this._pool.connected && this._connection !== null;
+    }
+
+    get collation() {
+        return this._pool.collation;
+    }
+
+    acquire(request, callback) {
+        if (!this._connection) {
+            setImmediate(callback, new sql.ConnectionError('The query session is closed.', 'ENOTOPEN'));
+        } else {
+            setImmediate(callback, null, this._connection, this._pool.config);
+        }
+        return this;
+    }
+
+    // Requests hand the connection back after each batch; it stays with the
+    // session until close().
+    release() {
+        return this;
+    }
+
+    request() {
+        return new sql.Request(this);
+    }
+
+    // Resets the session (temp tables, SET options, database) before handing
+    // the connection back, so other users of the pool do not inherit it.
+    async close() {
+        const connection = this._connection;
+        if (!connection) return;
+        this._connection = null;
+        await new Promise(resolve => {
+            try {
+                connection.reset(() => resolve());
+            } catch {
+                resolve(); // connection already closed; the pool discards it
+            }
+        });
+        this._pool.release(connection);
+    }
+}
+
+module.exports = QuerySession;
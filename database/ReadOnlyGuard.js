@@ -0,0 +1,93 @@
+'use strict';
+
+// Decides whether a batch may run on a read-only connection, from the
+// statements the T-SQL parser classifies (BabelfishSqlParser.classifyWrites):
+// - INSERT / UPDATE / DELETE / MERGE / BULK INSERT / SELECT INTO are refused,
+//   except on #temp tables and @table variables (session-local);
+// - DDL is refused, except CREATE / ALTER / DROP / TRUNCATE of a #temp table;
+// - EXEC is refused unless the procedure is allowlisted; dynamic EXEC never passes;
+//   built-in procedures pass only unqualified or in sys / master (dbo.sp_help
+//   is a user procedure that may write);
+// - BACKUP, RESTORE, KILL, GRANT, SHUTDOWN, CHECKPOINT, ... are refused, and
+//   DBCC except the commands that only report (SHOW_STATISTICS, OPENTRAN, ...).
+// Without the parser, or when it cannot parse the whole batch, a keyword scan
+// refuses anything that looks like a write (fail closed).
+// Returns human-readable violations; an empty array means "allowed".
+
+// System procedures that only report information.
+const READ_ONLY_PROCEDURES = new Set([
+    'sp_help', 'sp_helptext', 'sp_helpindex', 'sp_helpconstraint', 'sp_helptrigger', 'sp_helpdb',
+    'sp_helpfile', 'sp_helpuser', 'sp_helprole', 'sp_helprotect', 'sp_columns', 'sp_tables',
+    'sp_stored_procedures', 'sp_sproc_columns', 'sp_fkeys', 'sp_pkeys', 'sp_statistics',
+    'sp_special_columns', 'sp_databases', 'sp_spaceused', 'sp_depends', 'sp_who', 'sp_who2',
+    'sp_lock', 'sp_server_info', 'sp_monitor', 'sp_describe_first_result_set',
+    'sp_describe_undeclared_parameters', 'xp_msver'
+]);
+// Qualifiers under which a name still designates the built-in procedure.
+const SYSTEM_QUALIFIERS = new Set(['', 'sys', 'master.', 'master.sys']);
+
+// Fallback: keywords that can only start or mark a write.
+const WRITE_KEYWORDS = /\b(insert|update|delete|merge|into|create|alter|drop|truncate|exec|execute|grant|revoke|deny|backup|restore|kill|shutdown|reconfigure|writetext|updatetext|dbcc|checkpoint)\b/gi;
+
+class ReadOnlyGuard {
+    constructor(sqlParser = null) {
+        this._sqlParser = sqlParser;
+    }
+
+    // allowedProcedures: the connection's own allowlist ('proc' or 'schema.proc').
+    check(sql, allowedProcedures = []) {
+        if (!sql) return [];
+        const statements = this._sqlParser ? this._sqlParser.classifyWrites(sql) : null;
+        if (!statements) return ReadOnlyGuard._scanKeywords(sql);
+
+        const allowed = new Set(allowedProcedures.map(ReadOnlyGuard._normalizeName));
+        const violations = [];
+        for (const { kind, target, detail } of statements) {
+            if (kind === 'EXEC') {
+                if (!target) violations.push('EXEC of dynamic SQL or a procedure variable');
+                else if (!ReadOnlyGuard._isAllowedProcedure(target, allowed)) violations.push(`EXEC ${target} (not in the allowed procedures)`);
+            } else if (kind === 'ADMIN') {
+                violations.push(detail);
+            } else if (!ReadOnlyGuard._isSessionLocal(target)) {
+                const label = kind === 'DDL' ? detail : kind;
+                violations.push(target ? `${label} ${target}` : label);
+            }
+        }
+        return [...new Set(violations)];
+    }
+
+    // '#work', '##shared' and '@rows' live in tempdb or the batch, not in the database.
+    static _isSessionLocal(target) {
+        return !!target && /^\[?[#@]/.test(target);
+    }
+
+    // A qualified allowlist entry ('app.usp_Report') matches that name only;
+    // a bare one the unqualified call and dbo, where an unqualified name
+    // usually resolves.
+    static _isAllowedProcedure(name, allowed) {
+        const normalized = ReadOnlyGuard._normalizeName(name);
+        const parts = normalized.split('.');
+        const procedure = parts[parts.length - 1];
+        const qualifier = parts.slice(0, -1).join('.');
+        if (READ_ONLY_PROCEDURES.has(procedure) && SYSTEM_QUALIFIERS.has(qualifier)) return true;
+        return allowed.has(normalized) || (allowed.has(procedure) && (qualifier === '' || qualifier === 'dbo'));
+    }
+
+    static _normalizeName(name) {
+        return String(name).replace(/[[\]"]/g, '').trim().toLowerCase();
+    }
+
+    // Comments, string literals and [quoted identifiers] are blanked first so
+    // that 'update' in a comment or a column named [Delete] does not count.
+    static _scanKeywords(sql) {
+        const code = sql
+            .replace(/--[^\n]*/g, ' ')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/N?'(?:[^']|'')*'/g, "''")
+            .replace(/\[(?:[^\]]|\]\])*\]/g, '[]');
+        const found = new Set((code.match(WRITE_KEYWORDS) || []).map(k => k.toUpperCase()));
+        return [...found].map(keyword => `${keyword} (the batch could not be fully analysed)`);
+    }
+}
+
+module.exports = ReadOnlyGuard;
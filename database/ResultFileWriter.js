@@ -0,0 +1,103 @@
+'use strict';
+
+const fs = require('fs');
+
+// Writes one result set to a file row by row, for "Export all rows": the
+// rows are streamed from the server straight to disk and never held in
+// memory. CSV (RFC 4180, UTF-8 BOM for Excel) or JSON (an array of objects,
+// binary values as 0x... strings, dates as ISO strings).
+class ResultFileWriter {
+    constructor(filePath, format) {
+        if (!ResultFileWriter.FORMATS.includes(format)) throw new Error(`Unknown export format '${format}'.`);
+        this.filePath = filePath;
+        this.format = format;
+        this.rows = 0;
+        this._columns = null;
+        this._error = null;
+        this._stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+        this._stream.on('error', error => { this._error = this._error || error; });
+    }
+
+    // The write methods return false when the file is behind: the caller
+    // should pause the source until drain().
+    writeHeader(columns) {
+        this._columns = columns;
+        if (this.format === 'csv') return this._write('\ufeff' + columns.map(ResultFileWriter.csvField).join(',') + '\r\n');
+        return this._write('[');
+    }
+
+    writeRow(row) {
+        const columns = this._columns;
+        this.rows++;
+        if (this.format === 'csv') return this._write(columns.map(col => ResultFileWriter.csvField(row[col])).join(',') + '\r\n');
+        const object = {};
+        columns.forEach(col => { object[col] = ResultFileWriter.jsonValue(row[col]); });
+        return this._write(`${this.rows > 1 ? ',' : ''}\n  ${JSON.stringify(object)}`);
+    }
+
+    // Resolves once the file has caught up. Rejects when the stream fails or
+    // closes first (disk full, access denied, ...): 'drain' then never comes.
+    drain() {
+        return new Promise((resolve, reject) => {
+            const stream = this._stream;
+            const settle = () => {
+                // A destroyed stream reports its error, then closes.
+                const waiting = stream.destroyed ? !stream.closed : stream.writableNeedDrain;
+                if (waiting && !this._error) return;
+                stream.off('drain', settle);
+                stream.off('error', settle);
+                stream.off('close', settle);
+                if (this._error) reject(this._error);
+                else if (stream.destroyed) reject(new Error('The file was closed before all rows were written.'));
+                else resolve();
+            };
+            stream.on('drain', settle);
+            stream.on('error', settle);
+            stream.on('close', settle);
+            settle();
+        });
+    }
+
+    // Ends the file; throws if any write failed (disk full, access denied, ...).
+    async close() {
+        if (this.format === 'json') this._write(this.rows > 0 ? '\n]\n' : ']\n');
+        await new Promise(resolve => this._stream.end(resolve));
+        if (this._error) throw this._error;
+    }
+
+    // Cancelled or failed export: no half-written file is left behind.
+    async discard() {
+        await new Promise(resolve => {
+            if (this._stream.closed) resolve();
+            else { this._stream.once('close', resolve); this._stream.destroy(); }
+        });
+        await fs.promises.unlink(this.filePath).catch(() => { /* never created */ });
+    }
+
+    _write(text) {
+        if (this._error) throw this._error;
+        return this._stream.write(text);
+    }
+
+    // Same escaping as the webview's CSV export (QueryManager.toDelimited).
+    static csvField(value) {
+        let text;
+        if (value === null || value === undefined) text = '';
+        else if (value instanceof Date) text = value.toISOString();
+        else if (Buffer.isBuffer(value)) text = '0x' + value.toString('hex').toUpperCase();
+        else if (typeof value === 'object') text = JSON.stringify(value);
+        else text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static jsonValue(value) {
+        if (value === undefined) return null;
+        if (Buffer.isBuffer(value)) return '0x' + value.toString('hex').toUpperCase();
+        if (typeof value === 'bigint') return String(value);
+        return value;
+    }
+}
+
+ResultFileWriter.FORMATS = ['csv', 'json'];
+
+module.exports = ResultFileWriter;
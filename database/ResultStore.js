@@ -0,0 +1,91 @@
+'use strict';
+
+// Rows kept per result set in the extension host for the result grid's
+// paging; rows beyond are counted but discarded while streaming.
+const ROW_LIMIT = 100000;
+
+// The result sets of a panel's last query run, kept so that the result grid
+// can page through rows beyond the first page, sorted and filtered over all
+// kept rows (not only those already sent to the webview). A new run replaces
+// them: pages of an older run are refused.
+class ResultStore {
+    constructor() {
+        this._id = 0;
+        this._sets = [];
+        this._views = new Map(); // setIndex -> { key, rows } of the last sort/filter asked
+    }
+
+    // Returns the id pages must quote.
+    save(resultSets) {
+        this._id++;
+        this._sets = resultSets;
+        this._views.clear();
+        return this._id;
+    }
+
+    clear() {
+        this._sets = [];
+        this._views.clear();
+    }
+
+    // sort: { column, descending } or null; filters: { column: text } matched
+    // case-insensitively against the value as the grid displays it.
+    // @returns {{ rows: object[], matchingRows: number }}
+    page(resultId, setIndex, { offset = 0, count = 1000, sort = null, filters = {} } = {}) {
+        const set = resultId === this._id ? this._sets[setIndex] : null;
+        if (!set) throw new Error('These results are no longer available. Run the query again.');
+
+        const rows = this._view(setIndex, set, sort, filters || {});
+        const start = Math.max(0, Number(offset) || 0);
+        return { rows: rows.slice(start, start + Math.max(0, Number(count) || 0)), matchingRows: rows.length };
+    }
+
+    // Sorting 100k rows for every page would be wasteful: the last view of
+    // each set is reused while its sort and filters stay the same.
+    _view(setIndex, set, sort, filters) {
+        const active = Object.entries(filters)
+            .filter(([column, text]) => set.columns.includes(column) && String(text || '').trim())
+            .map(([column, text]) => [column, String(text).trim().toLowerCase()]);
+        const key = JSON.stringify({ sort, active });
+        const cached = this._views.get(setIndex);
+        if (cached && cached.key === key) return cached.rows;
+
+        let rows = active.length === 0
+            ? set.rows.slice()
+            : set.rows.filter(row => active.every(([column, text]) => ResultStore.displayText(row[column]).toLowerCase().includes(text)));
+        if (sort && set.columns.includes(sort.column)) {
+            const direction = sort.descending ? -1 : 1;
+            // Stable: equal values keep the server's order.
+            rows = rows
+                .map((row, index) => ({ row, index }))
+                .sort((a, b) => ResultStore.compare(a.row[sort.column], b.row[sort.column]) * direction || a.index - b.index)
+                .map(entry => entry.row);
+        }
+        this._views.set(setIndex, { key, rows });
+        return rows;
+    }
+
+    // NULLs first, then numbers, dates and text each in their natural order.
+    static compare(a, b) {
+        const aNull = a === null || a === undefined;
+        const bNull = b === null || b === undefined;
+        if (aNull || bNull) return aNull === bNull ? 0 : aNull ? -1 : 1;
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (typeof a === 'bigint' || typeof b === 'bigint') return a < b ? -1 : a > b ? 1 : 0;
+        if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+        if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+        return ResultStore.displayText(a).localeCompare(ResultStore.displayText(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    // Same text as the grid's cells (ResultGrid.formatValue).
+    static displayText(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+}
+
+ResultStore.ROW_LIMIT = ROW_LIMIT;
+
+module.exports = ResultStore;
@@ -0,0 +1,108 @@
+'use strict';
+
+// sys.objects types of the local index, named like DatabaseService.getObjects()
+// does; triggers are not completed, hovered or opened from .sql files.
+const OBJECT_TYPES = { U: 'Table', V: 'View', P: 'Procedure', FN: 'Function', IF: 'Function', TF: 'Function' };
+// Object lists are read again after this delay, so a rebuilt index or a
+// created table shows up without reloading the window.
+const OBJECTS_TTL_MS = 60 * 1000;
+
+// Schema metadata for the .sql editor features, per connection and database
+// (source.key): the object list from the local index, or from DatabaseService
+// while the database has none, and columns and procedure parameters fetched
+// on first use. Lookups of columns and parameters are synchronous so the
+// SqlAutocomplete engine can use them; load*() fetches what they miss.
+//
+// source: { key, database, indexService, databaseService }
+class SqlSchemaCache {
+    constructor(now = Date.now) {
+        this._now = now;
+        this._entries = new Map();
+    }
+
+    // Objects in the shape of DatabaseService.getObjects().
+    async objects(source) {
+        const entry = this._entry(source);
+        if (!entry.objects || this._now() - entry.objectsLoadedAt > OBJECTS_TTL_MS) {
+            if (!entry.pendingObjects) {
+                entry.pendingObjects = this._readObjects(source).then(objects => {
+                    entry.objects = objects;
+                    entry.objectsLoadedAt = this._now();
+                }).finally(() => { entry.pendingObjects = null; });
+            }
+            await entry.pendingObjects;
+        }
+        return entry.objects;
+    }
+
+    // [{ name, type }] or undefined when not fetched yet.
+    columns(source, qualifiedName) {
+        return this._entry(source).columns.get(qualifiedName.toLowerCase());
+    }
+
+    loadColumns(source, qualifiedName) {
+        return this._load(source, 'columns', qualifiedName,
+            () => source.databaseService.getObjectColumns(source.database, qualifiedName));
+    }
+
+    // [{ name, type, output }] or undefined when not fetched yet.
+    parameters(source, qualifiedName) {
+        return this._entry(source).parameters.get(qualifiedName.toLowerCase());
+    }
+
+    loadParameters(source, qualifiedName) {
+        return this._load(source, 'parameters', qualifiedName,
+            () => source.databaseService.getProcedureParameters(source.database, qualifiedName));
+    }
+
+    async _readObjects(source) {
+        const index = await source.indexService.getCachedIndex(source.database);
+        return index ? SqlSchemaCache.fromIndex(index) : source.databaseService.getObjects(source.database);
+    }
+
+    // One fetch per object even when several requests ask at once; a failed
+    // fetch caches an empty list rather than retrying on every keystroke.
+    _load(source, kind, qualifiedName, fetch) {
+        const entry = this._entry(source);
+        const key = qualifiedName.toLowerCase();
+        if (entry[kind].has(key)) return Promise.resolve(entry[kind].get(key));
+        const pendingKey = `${kind}|${key}`;
+        if (!entry.pending.has(pendingKey)) {
+            entry.pending.set(pendingKey, fetch()
+                .catch(error => {
+                    console.warn(`Failed to load the ${kind} of ${qualifiedName}:`, error.message);
+                    return [];
+                })
+                .then(values => {
+                    entry[kind].set(key, values);
+                    entry.pending.delete(pendingKey);
+                    return values;
+                }));
+        }
+        return entry.pending.get(pendingKey);
+    }
+
+    _entry(source) {
+        let entry = this._entries.get(source.key);
+        if (!entry) {
+            entry = { objects: null, objectsLoadedAt: 0, pendingObjects: null, columns: new Map(), parameters: new Map(), pending: new Map() };
+            this._entries.set(source.key, entry);
+        }
+        return entry;
+    }
+
+    // Index entries ({ name, schema, qualifiedName, type }) as getObjects() objects.
+    static fromIndex(index) {
+        return Object.values(index.objects || {})
+            .filter(obj => OBJECT_TYPES[obj.type])
+            .map(obj => ({
+                name: obj.schema === 'dbo' ? obj.name : `${obj.schema}.${obj.name}`,
+                object_name: obj.name,
+                qualified_name: obj.qualifiedName,
+                object_type: OBJECT_TYPES[obj.type],
+                schema_name: obj.schema
+            }));
+    }
+}
+
+module.exports = SqlSchemaCache;
@@ -0,0 +1,77 @@
+'use strict';
+
+const splitBatches = require('./splitBatches');
+
+// Finds the statement under the cursor of the Query tab, for "Run current
+// statement": first the GO batch holding the cursor, then, inside it, the
+// top-level statement according to the T-SQL parser (a whole IF / BEGIN ...
+// END block is one statement). When the parser is unavailable or the batch
+// does not parse, the paragraph around the cursor (text between blank lines)
+// is used instead.
+class StatementLocator {
+    constructor(sqlParser = null) {
+        this._sqlParser = sqlParser;
+    }
+
+    // Returns { start, end } offsets in text (end exclusive), or null when the
+    // cursor's batch holds no statement.
+    locate(text, offset) {
+        if (!text) return null;
+        const cursor = Math.max(0, Math.min(offset, text.length));
+        const batch = StatementLocator._batchAt(splitBatches(text), cursor);
+        const batchText = text.slice(batch.start, batch.end);
+        const local = cursor - batch.start;
+
+        const statements = this._sqlParser ? this._sqlParser.statementRanges(batchText) : null;
+        const range = statements
+            ? StatementLocator._pick(statements, local)
+            : StatementLocator._paragraphAt(batchText, local);
+        if (!range) return null;
+
+        const trimmed = StatementLocator._trim(batchText, range);
+        return trimmed && { start: batch.start + trimmed.start, end: batch.start + trimmed.end };
+    }
+
+    // A cursor on a GO line belongs to the batch it closes.
+    static _batchAt(batches, cursor) {
+        return batches.find(b => cursor <= b.end) || batches[batches.length - 1];
+    }
+
+    // The statement containing the cursor; between two statements, the one
+    // just before it (the cursor sits after its ';' or on the blank line
+    // below); before the first one, the first one.
+    static _pick(statements, cursor) {
+        if (statements.length === 0) return null;
+        const containing = statements.find(s => cursor >= s.start && cursor <= s.end);
+        if (containing) return containing;
+        const before = statements.filter(s => s.end <= cursor);
+        return before.length ? before[before.length - 1] : statements[0];
+    }
+
+    static _paragraphAt(text, cursor) {
+        const blankLine = /\n[ \t]*\r?\n/g;
+        let start = 0;
+        let end = text.length;
+        let match;
+        while ((match = blankLine.exec(text)) !== null) {
+            const separatorEnd = match.index + match[0].length;
+            if (separatorEnd <= cursor) {
+                start = separatorEnd;
+            } else {
+                // Next blank line, or the one the cursor is on (paragraph above wins).
+                end = match.index;
+                break;
+            }
+            blankLine.lastIndex = match.index + 1;
+        }
+        return { start, end };
+    }
+
+    static _trim(text, { start, end }) {
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        return start < end ? { start, end } : null;
+    }
+}
+
+module.exports = StatementLocator;
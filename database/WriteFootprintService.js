@@ -1,5 +1,12 @@
 'use strict';
 
+const ImpactPreview = require('./ImpactPreview');
+
+// Statement kinds reported by BabelfishSqlParser.analyzeOperations that write data.
+const WRITE_OPERATIONS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+// Index key of the anonymous code object an ad-hoc script is analyzed as.
+const AD_HOC = '(query)';
+
 // Computes the *effective write footprint* of a programmable object (stored
 // procedure, function, view, trigger): every table it reads or writes, followed
 // transitively through called procedures/functions/views AND through the DML
@@ -17,9 +24,10 @@
 // The heavy lifting (analyzeFootprint) is a pure function over the cached index
 // plus a trigger→parent map, so it is fully unit-testable without a database.
 class WriteFootprintService {
-    constructor(connectionManager, indexService) {
+    constructor(connectionManager, indexService, sqlParser = null) {
         this._connectionManager = connectionManager;
         this._indexService = indexService;
+        this._sqlParser = sqlParser;
     }
 
     // Live entry point: pulls the cached index and a fresh trigger→parent map,
@@ -37,6 +45,37 @@ class WriteFootprintService {
         return footprint;
     }
 
+    // Footprint of an ad-hoc script (the Query tab's batches), analyzed as an
+    // anonymous code object: the tables it writes itself and those written by
+    // the triggers it fires (see adHocFootprint). Uses the index as cached so
+    // a run never waits for indexing; null when the database is not indexed.
+    async analyzeAdHoc(database, batches) {
+        const index = await this._indexService.getCachedIndex(database);
+        if (!index) return null;
+        const triggers = await this._getTriggerParents(database);
+        const columnRefs = {};
+        const writes = [];
+        for (const sql of batches) {
+            const parsed = this._parseAdHoc(sql);
+            for (const [table, cols] of Object.entries(parsed.columnRefs)) columnRefs[table] = { ...columnRefs[table], ...cols };
+            writes.push(...parsed.writes);
+        }
+        return WriteFootprintService.adHocFootprint({ index, triggers, columnRefs, writes });
+    }
+
+    // Column lineage and written tables of one batch. The lineage misses
+    // writes without columns (DELETE, INSERT without a column list): the
+    // written tables come from the statement operations, or from a plain
+    // statement scan when the batch does not parse.
+    _parseAdHoc(sql) {
+        const columnRefs = (this._sqlParser && this._sqlParser.analyzeColumns(sql)) || {};
+        const operations = this._sqlParser ? this._sqlParser.analyzeOperations(sql) : null;
+        const writes = operations
+            ? Object.keys(operations).filter(table => operations[table].some(op => WRITE_OPERATIONS.includes(op)))
+            : ImpactPreview.writes(sql).map(statement => statement.target).filter(Boolean);
+        return { columnRefs, writes };
+    }
+
     // All FK edges in the database; filtered to the footprint tables in JS
     // (foreignKeysAmong) so the query stays simple and cache-friendly.
     async _getForeignKeys(database) {
@@ -96,8 +135,62 @@ class WriteFootprintService {
         }));
     }
 
+    // Enabled triggers that fire when the given tables are written (Query
+    // tab impact preview). Direct triggers only, not their cascade.
+    async triggersOn(database, tables) {
+        if (!tables || tables.length === 0) return [];
+        const triggers = await this._getTriggerParents(database);
+        return WriteFootprintService.triggersOnTables(triggers, tables);
+    }
+
     // === Pure analysis ===
 
+    /**
+     * analyzeFootprint over an ad-hoc script added to the index as an
+     * anonymous code object.
+     * @param {object}   columnRefs  the script's lineage { tableKey: { column: { write } } }
+     * @param {string[]} writes      tables the script writes
+     * @returns {{ direct, cascaded, triggersFired, truncated }} qualified names of
+     *          the tables written directly and of those written only by triggers
+     */
+    static adHocFootprint({ index, triggers = [], columnRefs = {}, writes = [] }) {
+        const refs = { ...columnRefs };
+        for (const table of writes) {
+            const key = WriteFootprintService._clean(table);
+            // Whole-row write: the table counts as written even without a column.
+            refs[key] = { ...refs[key], '*': { write: true, confident: true } };
+        }
+        const entry = { qualifiedName: AD_HOC, type: 'SQL', columnRefs: refs, dependencies: [], possibleRefs: [] };
+        const objects = { ...((index && index.objects) || {}), [AD_HOC]: entry };
+        const footprint = WriteFootprintService.analyzeFootprint({ index: { objects }, triggers, target: AD_HOC });
+
+        // Written by the script itself, matched like the analyzer does (schema optional).
+        const own = Object.entries(refs)
+            .filter(([, cols]) => Object.values(cols || {}).some(c => c && c.write))
+            .map(([table]) => WriteFootprintService._clean(table));
+        const isOwn = name => {
+            const clean = WriteFootprintService._clean(name);
+            return own.some(key => key === clean || (!key.includes('.') && key === clean.split('.').pop()));
+        };
+        const written = footprint.tables.filter(t => t.access === 'write').map(t => t.qualifiedName);
+        return {
+            direct: written.filter(isOwn),
+            cascaded: written.filter(name => !isOwn(name)),
+            triggersFired: footprint.triggersFired,
+            truncated: footprint.truncated
+        };
+    }
+
+    // [{ trigger, parentTable }] of the enabled triggers on `tables`. A name
+    // written without its schema (`Orders`) matches the table in any schema.
+    static triggersOnTables(triggers, tables) {
+        const names = tables.map(WriteFootprintService._clean);
+        const matches = parent => names.some(name => name === parent || (!name.includes('.') && parent.split('.').pop() === name));
+        return (triggers || [])
+            .filter(t => !t.disabled && matches(WriteFootprintService._clean(t.parentTable)))
+            .map(t => ({ trigger: t.trigger, parentTable: t.parentTable }));
+    }
+
     static _clean(name) {
         return (name || '').replace(/\[|\]/g, '').toLowerCase();
     }
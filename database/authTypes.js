@@ -0,0 +1,15 @@
+'use strict';
+
+// Authentication modes selectable per connection (stored as authenticationType).
+const AUTH_TYPES = {
+    SQL: 'sql',
+    WINDOWS: 'windows',
+    ENTRA_PASSWORD: 'entraPassword',
+    SERVICE_PRINCIPAL: 'servicePrincipal',
+    ACCESS_TOKEN: 'accessToken'
+};
+
+// Modes whose secret (password or client secret) lives in the secrets API.
+const SECRET_AUTH_TYPES = new Set([AUTH_TYPES.SQL, AUTH_TYPES.WINDOWS, AUTH_TYPES.ENTRA_PASSWORD, AUTH_TYPES.SERVICE_PRINCIPAL]);
+
+module.exports = { AUTH_TYPES, SECRET_AUTH_TYPES };
@@ -0,0 +1,174 @@
+'use strict';
+
+// Parses an ADO.NET or ODBC connection string (the kind found in app configs)
+// into the connection shape ConnectionManager.buildConnectionConfig consumes.
+//
+//   ADO.NET: Server=tcp:myhost,1433;Initial Catalog=Sales;User ID=app;Password="p;w"
+//   ODBC:    Driver={ODBC Driver 18 for SQL Server};Server=myhost\SQLEXPRESS;Uid=app;Pwd={p;w}
+//
+// Returns { config, ignoredKeys }: keys that do not map to a connection setting
+// (Driver, MultipleActiveResultSets, ...) are reported rather than silently lost.
+// Throws on malformed input or on an authentication mode the extension cannot use.
+
+// Normalized key (lowercase, single spaces) -> setting it drives.
+const KEY_ALIASES = {
+    'server': 'server', 'data source': 'server', 'address': 'server', 'addr': 'server', 'network address': 'server',
+    'database': 'database', 'initial catalog': 'database',
+    'user id': 'user', 'uid': 'user', 'user': 'user',
+    'password': 'password', 'pwd': 'password',
+    'port': 'port',
+    'encrypt': 'encrypt',
+    'trustservercertificate': 'trustServerCertificate', 'trust server certificate': 'trustServerCertificate',
+    'authentication': 'authentication',
+    'integrated security': 'integrated', 'trusted_connection': 'integrated'
+};
+
+// Authentication keyword (lowercase, no spaces/dashes) -> authenticationType.
+const AUTHENTICATION_MODES = {
+    'sqlpassword': 'sql',
+    'activedirectorypassword': 'entraPassword',
+    'activedirectoryserviceprincipal': 'servicePrincipal'
+};
+
+function parseConnectionString(text) {
+    if (!text || !text.trim()) throw new Error('Connection string is empty');
+
+    const settings = {};
+    const ignoredKeys = [];
+    for (const { key, value } of splitPairs(text)) {
+        const setting = KEY_ALIASES[key.toLowerCase().replace(/\s+/g, ' ')];
+        if (setting) settings[setting] = value;
+        else ignoredKeys.push(key);
+    }
+
+    if (!settings.server) throw new Error('Connection string has no Server / Data Source');
+
+    const config = parseServer(settings.server);
+    if (settings.port) {
+        if (!/^\d+$/.test(settings.port)) throw new Error(`Invalid port '${settings.port}'`);
+        config.port = settings.port;
+    }
+    // As in SqlClient, an explicit port wins: 'host\INST,1433' connects to the
+    // port without asking SQL Browser for the instance.
+    if (config.port) delete config.instanceName;
+    if (settings.database) config.database = settings.database;
+    if (settings.encrypt !== undefined) config.encrypt = parseBoolean('Encrypt', settings.encrypt);
+    if (settings.trustServerCertificate !== undefined) {
+        config.trustServerCertificate = parseBoolean('TrustServerCertificate', settings.trustServerCertificate);
+    }
+
+    config.authenticationType = resolveAuthentication(settings);
+    if (config.authenticationType === 'servicePrincipal') {
+        // SqlClient convention: User ID holds the application (client) ID.
+        if (settings.user) config.clientId = settings.user;
+    } else if (settings.user) {
+        config.username = settings.user;
+    }
+    if (settings.password) config.password = settings.password;
+
+    return { config, ignoredKeys };
+}
+
+function resolveAuthentication(settings) {
+    if (settings.authentication) {
+        const keyword = settings.authentication.toLowerCase().replace(/[\s-]+/g, '');
+        const mode = AUTHENTICATION_MODES[keyword];
+        if (!mode) throw new Error(`Authentication '${settings.authentication}' is not supported`);
+        return mode;
+    }
+    // Integrated Security / Trusted_Connection: NTLM, which still needs DOMAIN\user + password here.
+    if (settings.integrated !== undefined && parseBoolean('Integrated Security', settings.integrated)) return 'windows';
+    return /^[^\\]+\\/.test(settings.user || '') ? 'windows' : 'sql';
+}
+
+// 'tcp:host\INSTANCE,1433' -> { server, instanceName, port }
+function parseServer(raw) {
+    let server = raw.trim();
+
+    const protocol = /^([a-z]+):/i.exec(server);
+    if (protocol) {
+        if (protocol[1].toLowerCase() !== 'tcp') throw new Error(`Protocol '${protocol[1]}:' is not supported (TCP only)`);
+        server = server.slice(protocol[0].length);
+    }
+
+    const config = {};
+    const comma = server.lastIndexOf(',');
+    if (comma !== -1) {
+        const port = server.slice(comma + 1).trim();
+        if (!/^\d+$/.test(port)) throw new Error(`Invalid port '${port}'`);
+        config.port = port;
+        server = server.slice(0, comma).trim();
+    }
+
+    const backslash = server.indexOf('\\');
+    if (backslash !== -1) {
+        config.instanceName = server.slice(backslash + 1);
+        server = server.slice(0, backslash);
+    }
+
+    // SSMS shorthands for the local machine.
+    if (server === '.' || server.toLowerCase() === '(local)') server = 'localhost';
+    if (!server) throw new Error('Connection string has an empty server name');
+
+    return { server, ...config };
+}
+
+function parseBoolean(key, value) {
+    const v = value.trim().toLowerCase();
+    if (['true', 'yes', '1', 'sspi', 'mandatory', 'strict'].includes(v)) return true;
+    if (['false', 'no', '0', 'optional'].includes(v)) return false;
+    throw new Error(`Invalid value '${value}' for ${key}`);
+}
+
+// key=value pairs separated by ';'. Values may be wrapped in "..." or '...'
+// (ADO.NET) or {...} (ODBC), where a doubled closing character is a literal one.
+function splitPairs(text) {
+    const pairs = [];
+    let i = 0;
+    while (i < text.length) {
+        while (i < text.length && (text[i] === ';' || /\s/.test(text[i]))) i++;
+        if (i >= text.length) break;
+
+        const eq = text.indexOf('=', i);
+        const semicolon = text.indexOf(';', i);
+        if (eq === -1 || (semicolon !== -1 && semicolon < eq)) {
+            const fragment = text.slice(i, semicolon === -1 ? text.length : semicolon).trim();
+            throw new Error(`Missing '=' after '${fragment}'`);
+        }
+        const key = text.slice(i, eq).trim();
+        if (!key) throw new Error(`Missing key before '=' at position ${eq + 1}`);
+        i = eq + 1;
+        while (i < text.length && (text[i] === ' ' || text[i] === '\t')) i++;
+
+        let value;
+        const open = text[i];
+        if (open === '"' || open === "'" || open === '{') {
+            const close = open === '{' ? '}' : open;
+            value = '';
+            i++;
+            for (;;) {
+                if (i >= text.length) throw new Error(`Unterminated quoted value for '${key}'`);
+                if (text[i] === close) {
+                    if (text[i + 1] === close) {
+                        value += close;
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                value += text[i++];
+            }
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (i < text.length && text[i] !== ';') throw new Error(`Unexpected text after the quoted value of '${key}'`);
+        } else {
+            const end = text.indexOf(';', i);
+            value = text.slice(i, end === -1 ? text.length : end).trim();
+            i = end === -1 ? text.length : end;
+        }
+        pairs.push({ key, value });
+    }
+    return pairs;
+}
+
+module.exports = parseConnectionString;
@@ -0,0 +1,205 @@
+'use strict';
+
+// Parses SHOWPLAN XML (estimated plan) or STATISTICS XML (actual plan, with
+// run-time counters) into one operator tree per statement, for the Query
+// tab's plan viewer:
+//
+//   { statements: [{ text, cost, root, warnings, missingIndexes }] }
+//   node: { id, physicalOp, logicalOp, object, estimatedRows, actualRows,
+//           actualExecutions, subtreeCost, cost, costPercent, warnings, children }
+//
+// `cost` is the operator's own estimated cost (its subtree minus its inputs),
+// `costPercent` its share of the statement; actualRows is null in an
+// estimated plan. Warnings are short sentences: implicit conversions that
+// affect the plan, spills to tempdb, missing join predicates, memory grants...
+// Throws on text that is not a showplan document.
+
+// Operators nest their input RelOps inside an operator-specific element
+// (<NestedLoops>, <Hash>, ...), so inputs are the nearest RelOp descendants.
+function parseExecutionPlan(xml) {
+    const root = parseXml(xml);
+    if (!root || root.name !== 'ShowPlanXML') throw new Error('Not a SQL Server execution plan (ShowPlanXML expected).');
+
+    const statements = [];
+    for (const stmt of descendants(root, el => /^Stmt/.test(el.name) && el.attrs.StatementText !== undefined)) {
+        const queryPlan = stmt.children.find(c => c.name === 'QueryPlan');
+        if (!queryPlan) continue; // SET, DECLARE, ... carry no plan
+        const rootOp = queryPlan.children.find(c => c.name === 'RelOp');
+        const total = num(stmt.attrs.StatementSubTreeCost) || (rootOp ? num(rootOp.attrs.EstimatedTotalSubtreeCost) : 0);
+        statements.push({
+            text: (stmt.attrs.StatementText || '').trim(),
+            cost: total,
+            root: rootOp ? buildNode(rootOp, total) : null,
+            warnings: planWarnings(queryPlan),
+            missingIndexes: missingIndexes(queryPlan)
+        });
+    }
+    return { statements };
+}
+
+function buildNode(relOp, statementCost) {
+    const children = nearestRelOps(relOp).map(child => buildNode(child, statementCost));
+    const subtreeCost = num(relOp.attrs.EstimatedTotalSubtreeCost);
+    const cost = Math.max(0, subtreeCost - children.reduce((sum, c) => sum + c.subtreeCost, 0));
+
+    // Counters are per thread in a parallel plan: rows add up, executions too.
+    const counters = descendants(relOp, el => el.name === 'RunTimeCountersPerThread', 'RelOp');
+    const actual = counters.length > 0;
+
+    return {
+        id: num(relOp.attrs.NodeId),
+        physicalOp: relOp.attrs.PhysicalOp || '',
+        logicalOp: relOp.attrs.LogicalOp || '',
+        object: objectName(relOp),
+        estimatedRows: num(relOp.attrs.EstimateRows),
+        actualRows: actual ? counters.reduce((sum, c) => sum + num(c.attrs.ActualRows), 0) : null,
+        actualExecutions: actual ? counters.reduce((sum, c) => sum + num(c.attrs.ActualExecutions), 0) : null,
+        subtreeCost,
+        cost,
+        costPercent: statementCost > 0 ? Math.round((cost / statementCost) * 1000) / 10 : 0,
+        warnings: operatorWarnings(relOp),
+        children
+    };
+}
+
+// The table or index an operator works on, e.g. "[dbo].[Orders].[IX_Date]".
+function objectName(relOp) {
+    const object = descendants(relOp, el => el.name === 'Object', 'RelOp')[0];
+    if (!object) return null;
+    return [object.attrs.Schema, object.attrs.Table, object.attrs.Index].filter(Boolean).join('.') || null;
+}
+
+function operatorWarnings(relOp) {
+    const warnings = [];
+    for (const block of descendants(relOp, el => el.name === 'Warnings', 'RelOp')) {
+        if (block.attrs.NoJoinPredicate === '1' || block.attrs.NoJoinPredicate === 'true') warnings.push('No join predicate');
+        for (const w of block.children) {
+            if (w.name === 'SpillToTempDb') {
+                warnings.push(`Spill to tempdb${w.attrs.SpillLevel ? ` (level ${w.attrs.SpillLevel})` : ''}`);
+            } else if (w.name === 'SortSpillDetails' || w.name === 'HashSpillDetails') {
+                warnings.push(`${w.name === 'SortSpillDetails' ? 'Sort' : 'Hash'} spilled ${w.attrs.WritesToTempDb || 0} pages to tempdb`);
+            } else if (w.name === 'ColumnsWithNoStatistics') {
+                const columns = descendants(w, el => el.name === 'ColumnReference').map(c => c.attrs.Column);
+                warnings.push(`Columns with no statistics: ${columns.join(', ')}`);
+            } else if (w.name === 'PlanAffectingConvert') {
+                warnings.push(convertWarning(w));
+            }
+        }
+    }
+    return warnings;
+}
+
+// Statement-level warnings (implicit conversions and memory grants are reported here).
+function planWarnings(queryPlan) {
+    const warnings = [];
+    const block = queryPlan.children.find(c => c.name === 'Warnings');
+    if (!block) return warnings;
+    for (const w of block.children) {
+        if (w.name === 'PlanAffectingConvert') {
+            warnings.push(convertWarning(w));
+        } else if (w.name === 'MemoryGrantWarning') {
+            warnings.push(`Memory grant: ${w.attrs.GrantWarningKind || 'warning'} (requested ${w.attrs.RequestedMemory || '?'} KB, used ${w.attrs.MaxUsedMemory || '?'} KB)`);
+        } else if (w.name === 'UnmatchedIndexes') {
+            warnings.push('A filtered index could not be used (parameterized predicate)');
+        }
+    }
+    return warnings;
+}
+
+function convertWarning(w) {
+    return `Implicit conversion ${w.attrs.Expression || ''} may affect ${w.attrs.ConvertIssue || 'the plan'}`.replace(/\s+/g, ' ');
+}
+
+// Missing index suggestions, with the CREATE INDEX SSMS would propose.
+function missingIndexes(queryPlan) {
+    const suggestions = [];
+    for (const group of descendants(queryPlan, el => el.name === 'MissingIndexGroup', 'RelOp')) {
+        for (const index of group.children.filter(c => c.name === 'MissingIndex')) {
+            const columns = { EQUALITY: [], INEQUALITY: [], INCLUDE: [] };
+            for (const colGroup of index.children.filter(c => c.name === 'ColumnGroup')) {
+                const names = colGroup.children.filter(c => c.name === 'Column').map(c => c.attrs.Name);
+                if (columns[colGroup.attrs.Usage]) columns[colGroup.attrs.Usage].push(...names);
+            }
+            const table = [index.attrs.Schema, index.attrs.Table].filter(Boolean).join('.');
+            const keys = [...columns.EQUALITY, ...columns.INEQUALITY];
+            const include = columns.INCLUDE.length ? ` INCLUDE (${columns.INCLUDE.join(', ')})` : '';
+            suggestions.push({
+                impact: num(group.attrs.Impact),
+                table,
+                equality: columns.EQUALITY,
+                inequality: columns.INEQUALITY,
+                include: columns.INCLUDE,
+                script: `CREATE NONCLUSTERED INDEX [<Name of Missing Index>] ON ${table} (${keys.join(', ')})${include};`
+            });
+        }
+    }
+    return suggestions;
+}
+
+function nearestRelOps(el) {
+    return descendants(el, c => c.name === 'RelOp', 'RelOp');
+}
+
+// Elements below `el` matching `match`, in document order, without looking
+// inside elements named `stopAt` (a nested operator's own details).
+function descendants(el, match, stopAt = null) {
+    const found = [];
+    const walk = node => {
+        for (const child of node.children) {
+            if (match(child)) found.push(child);
+            if (child.name !== stopAt) walk(child);
+        }
+    };
+    walk(el);
+    return found;
+}
+
+function num(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : 0;
+}
+
+// === Minimal XML reader ===
+// Showplan documents are machine-generated: elements and attributes only
+// matter here (text nodes are skipped). Namespace prefixes are dropped.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function parseXml(xml) {
+    const text = String(xml || '');
+    const stack = [{ name: '#document', attrs: {}, children: [] }];
+    const tag = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>/g;
+    let match;
+    while ((match = tag.exec(text)) !== null) {
+        if (!match[2]) continue; // comment, declaration, CDATA
+        const name = match[2].replace(/^[\w.-]+:/, '');
+        if (match[1]) {
+            if (stack.length === 1 || stack[stack.length - 1].name !== name) throw new Error(`Malformed plan XML near </${name}>.`);
+            stack.pop();
+            continue;
+        }
+        const el = { name, attrs: parseAttributes(match[3]), children: [] };
+        stack[stack.length - 1].children.push(el);
+        if (!match[4]) stack.push(el);
+    }
+    if (stack.length !== 1) throw new Error('Malformed plan XML: unclosed elements.');
+    return stack[0].children[0] || null;
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const attr = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attr.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3];
+        attrs[match[1].replace(/^[\w.-]+:/, '')] = value.replace(/&(lt|gt|amp|quot|apos|#x[0-9a-f]+|#\d+);/gi, (ref, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+            }
+            return ENTITIES[entity.toLowerCase()];
+        });
+    }
+    return attrs;
+}
+
+module.exports = parseExecutionPlan;
@@ -0,0 +1,70 @@
+'use strict';
+
+const splitBatches = require('./splitBatches');
+
+// $(Name) references of SQLCMD mode; names are case-insensitive as in sqlcmd.
+const VARIABLE_REF = /\$\(([A-Za-z_][\w-]*)\)/g;
+const SETVAR = /^\s*:setvar\s+([A-Za-z_][\w-]*)(?:\s+(?:"((?:[^"]|"")*)"|(\S+)))?\s*$/i;
+const ON_ERROR = /^\s*:on\s+error\s+(exit|ignore)\s*$/i;
+
+// Turns the text of the Query tab into the batches to execute, in order:
+// split at GO lines (`GO n` repeats a batch) and, in SQLCMD mode, with the
+// `:setvar` and `:on error` commands applied and `$(Name)` replaced
+// everywhere, string literals included, like sqlcmd does. Command lines are
+// blanked rather than removed so that server line numbers stay those of the
+// editor. Batches holding only whitespace are dropped.
+// Throws on an unsupported command or an undefined variable; the error's
+// `line` is the offending line of text.
+// @returns {Array<{sql: string, startLine: number, repeat: number, exitOnError: boolean}>}
+function prepareBatches(text, { sqlcmd = false } = {}) {
+    const variables = new Map();
+    let exitOnError = false;
+    const prepared = [];
+    const lineOf = offset => text.slice(0, offset).split('\n').length;
+    const expand = (start, end) => (sqlcmd ? substitute(text.slice(start, end), variables, lineOf(start)) : text.slice(start, end));
+
+    for (const batch of splitBatches(text, { sqlcmd })) {
+        let sql = '';
+        let cursor = batch.start;
+        for (const command of batch.commands) {
+            sql += expand(cursor, command.start);
+            const line = text.slice(command.start, command.end);
+            const setvar = line.match(SETVAR);
+            const onError = line.match(ON_ERROR);
+            if (setvar) {
+                variables.set(setvar[1].toLowerCase(), setvar[2] !== undefined ? setvar[2].replace(/""/g, '"') : setvar[3] || '');
+            } else if (onError) {
+                exitOnError = onError[1].toLowerCase() === 'exit';
+            } else {
+                throw scriptError(lineOf(command.start), `Unsupported SQLCMD command '${line.trim()}' (only :setvar and :on error are supported).`);
+            }
+            cursor = command.end;
+        }
+        sql += expand(cursor, batch.end);
+
+        if (sql.trim()) {
+            prepared.push({ sql, startLine: lineOf(batch.start), repeat: batch.repeat, exitOnError });
+        }
+    }
+    return prepared;
+}
+
+// firstLine: editor line of the chunk's first character, for the error message.
+function substitute(chunk, variables, firstLine) {
+    return chunk.replace(VARIABLE_REF, (ref, name, offset) => {
+        const value = variables.get(name.toLowerCase());
+        if (value === undefined) {
+            const line = firstLine + chunk.slice(0, offset).split('\n').length - 1;
+            throw scriptError(line, `SQLCMD variable '${name}' is not defined (add :setvar ${name} <value>).`);
+        }
+        return value;
+    });
+}
+
+function scriptError(line, message) {
+    const error = new Error(message);
+    error.line = line;
+    return error;
+}
+
+module.exports = prepareBatches;
@@ -0,0 +1,73 @@
+'use strict';
+
+// A GO separator line, as sqlcmd and SSMS accept it: alone on its line,
+// optionally with a repeat count and a trailing comment.
+const GO_LINE = /^[ \t]*GO(?:[ \t]+(\d+))?[ \t]*(?:--.*)?$/i;
+
+// A SQLCMD command line (`:setvar X 1`, `:on error exit`, ...).
+const SQLCMD_LINE = /^[ \t]*:[a-z!]/i;
+
+// Splits a script into its batches at GO lines. GO inside a block comment or
+// a string literal spanning lines is not a separator. Returns the character
+// range of each batch (the GO line itself excluded) and how many times it is
+// to run (`GO 3`); empty batches are kept so that ranges map the whole text.
+// With sqlcmd, the SQLCMD command lines of each batch are listed as well
+// (offsets of the line, without its line break).
+// @returns {Array<{start: number, end: number, repeat: number, commands: Array<{start: number, end: number}>}>}
+function splitBatches(text, { sqlcmd = false } = {}) {
+    const batches = [];
+    let batchStart = 0;
+    let commentDepth = 0; // T-SQL block comments nest
+    let quote = null; // ' or " or ] while inside a literal or quoted identifier
+    let lineStart = 0;
+    let commands = [];
+
+    while (lineStart <= text.length) {
+        let lineEnd = text.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = text.length;
+        const line = text.slice(lineStart, lineEnd).replace(/\r$/, '');
+
+        const go = commentDepth === 0 && !quote ? line.match(GO_LINE) : null;
+        if (go) {
+            batches.push({ start: batchStart, end: lineStart, repeat: go[1] ? Number(go[1]) : 1, commands });
+            batchStart = Math.min(lineEnd + 1, text.length);
+            commands = [];
+        } else if (sqlcmd && commentDepth === 0 && !quote && SQLCMD_LINE.test(line)) {
+            commands.push({ start: lineStart, end: lineStart + line.length });
+        } else {
+            ({ commentDepth, quote } = scanLine(line, commentDepth, quote));
+        }
+        lineStart = lineEnd + 1;
+    }
+    batches.push({ start: batchStart, end: text.length, repeat: 1, commands });
+    return batches;
+}
+
+// Lexical state at the end of a line, given the state at its start.
+function scanLine(line, commentDepth, quote) {
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        const next = line[i + 1];
+        if (commentDepth > 0) {
+            if (ch === '*' && next === '/') { commentDepth--; i++; }
+            else if (ch === '/' && next === '*') { commentDepth++; i++; }
+        } else if (quote) {
+            if (ch === quote) {
+                if (next === quote) i++; // doubled quote is an escaped one
+                else quote = null;
+            }
+        } else if (ch === '-' && next === '-') {
+            break;
+        } else if (ch === '/' && next === '*') {
+            commentDepth++;
+            i++;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+        } else if (ch === '[') {
+            quote = ']';
+        }
+    }
+    return { commentDepth, quote };
+}
+
+module.exports = splitBatches;
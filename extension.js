@@ -2,6 +2,10 @@
 
 const vscode = require('vscode');
 const SqlWayfarerPanel = require('./panels/SqlWayfarerPanel');
+const SqlSchemaCache = require('./database/SqlSchemaCache');
+const SqlCompletionProvider = require('./language/SqlCompletionProvider');
+const SqlHoverProvider = require('./language/SqlHoverProvider');
+const SqlDefinitionProvider = require('./language/SqlDefinitionProvider');
 
 // Minimal tree view provider — single entry point to open the panel
 class SqlWayfarerViewProvider {
@@ -28,13 +32,44 @@ function activate(context) {
         setTimeout(() => vscode.commands.executeCommand('workbench.action.closeSidebar'), 200);
     });
 
+    const newPanelDisposable = vscode.commands.registerCommand('sqlwayfarer.newPanel', () =>
+        SqlWayfarerPanel.createNew(context.extensionUri, context));
+
+    const exportConnectionsDisposable = vscode.commands.registerCommand('sqlwayfarer.exportConnections', () =>
+        SqlWayfarerPanel.runCommand(context.extensionUri, context, 'exportConnections'));
+    const importConnectionsDisposable = vscode.commands.registerCommand('sqlwayfarer.importConnections', () =>
+        SqlWayfarerPanel.runCommand(context.extensionUri, context, 'importConnections'));
+
+    // "SQL Wayfarer: Execute" for .sql editors; SQL errors are shown as diagnostics of the file.
+    const diagnostics = vscode.languages.createDiagnosticCollection('sqlwayfarer');
+    const executeDisposable = vscode.commands.registerTextEditorCommand('sqlwayfarer.execute', editor =>
+        SqlWayfarerPanel.executeEditorQuery(context.extensionUri, context, editor, diagnostics));
+    const closeDocumentDisposable = vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri));
+
+    // Completion, hovers and Go to Definition in .sql files, from the schema of
+    // the panel's connection and database; definitions open read-only.
+    const schemaCache = new SqlSchemaCache();
+    const getSchemaSource = () => SqlWayfarerPanel.schemaSource();
+    const completionDisposable = vscode.languages.registerCompletionItemProvider({ language: 'sql' },
+        new SqlCompletionProvider(schemaCache, getSchemaSource), '.', '@');
+    const hoverDisposable = vscode.languages.registerHoverProvider({ language: 'sql' },
+        new SqlHoverProvider(schemaCache, getSchemaSource));
+    const definitionProvider = new SqlDefinitionProvider(schemaCache, getSchemaSource);
+    const definitionDisposable = vscode.languages.registerDefinitionProvider({ language: 'sql' }, definitionProvider);
+    const definitionContentDisposable = vscode.workspace.registerTextDocumentContentProvider(SqlDefinitionProvider.SCHEME, definitionProvider);
+
     const helloWorldDisposable = vscode.commands.registerCommand('sqlwayfarer.helloWorld', function () {
         vscode.window.showInformationMessage('Hello World from SQL Wayfarer!');
     });
 
-    context.subscriptions.push(sqlWayfarerDisposable, helloWorldDisposable);
+    context.subscriptions.push(sqlWayfarerDisposable, newPanelDisposable, exportConnectionsDisposable, importConnectionsDisposable,
+        diagnostics, executeDisposable, closeDocumentDisposable, completionDisposable, hoverDisposable,
+        definitionProvider, definitionDisposable, definitionContentDisposable, helloWorldDisposable);
 }
 
-function deactivate() {}
+// Open pools are shared by the panels and outlive each of them.
+function deactivate() {
+    return SqlWayfarerPanel.connectionRegistry.closeAll();
+}
 
 module.exports = { activate, deactivate };
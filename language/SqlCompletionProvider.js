@@ -0,0 +1,77 @@
+'use strict';
+
+const vscode = require('vscode');
+const SqlAutocomplete = require('../webview/sqlAutocomplete');
+
+// Kinds of the engine's suggestions -> completion item kinds (their icons).
+const ITEM_KINDS = {
+    keyword: vscode.CompletionItemKind.Keyword,
+    Table: vscode.CompletionItemKind.Struct,
+    View: vscode.CompletionItemKind.Interface,
+    Procedure: vscode.CompletionItemKind.Method,
+    Function: vscode.CompletionItemKind.Function,
+    column: vscode.CompletionItemKind.Field,
+    parameter: vscode.CompletionItemKind.Variable
+};
+// The editor filters and scrolls its own list: more room than the Query
+// tab's dropdown.
+const MAX_ITEMS = 100;
+
+// Completion in .sql files with the Query tab's engine (SqlAutocomplete):
+// objects, schema-qualified names, alias columns, procedure parameters and
+// EXEC templates, from the schema of the panel's connection and database.
+class SqlCompletionProvider {
+    // getSource() returns the SqlSchemaCache source, null while no panel is
+    // connected with a database selected.
+    constructor(schemaCache, getSource) {
+        this._schema = schemaCache;
+        this._getSource = getSource;
+    }
+
+    async provideCompletionItems(document, position, token) {
+        const source = this._getSource();
+        if (!source) return [];
+        const text = document.getText();
+        const caret = document.offsetAt(position);
+        const ctx = SqlAutocomplete.extractContext(text, caret);
+        const objects = await this._schema.objects(source).catch(error => {
+            console.warn('SQL completion: failed to load the objects:', error.message);
+            return null;
+        });
+        if (!objects) return [];
+        const aliases = SqlAutocomplete.parseAliases(text);
+        const getColumns = qualifiedName => this._schema.columns(source, qualifiedName);
+        const options = {
+            minLength: 0,
+            maxItems: MAX_ITEMS,
+            exec: SqlAutocomplete.execContext(text, caret),
+            getParameters: qualifiedName => this._schema.parameters(source, qualifiedName)
+        };
+
+        // A pass may miss columns or parameters: fetch them and build again
+        // (a failed fetch is cached as empty, so this ends).
+        for (;;) {
+            const { items, needsColumns, needsParameters = [] } = SqlAutocomplete.buildSuggestions(ctx, objects, aliases, getColumns, options);
+            const loads = needsParameters.map(name => this._schema.loadParameters(source, name));
+            if (needsColumns) loads.push(this._schema.loadColumns(source, needsColumns));
+            if (loads.length === 0) return this._toCompletionItems(items, new vscode.Range(document.positionAt(ctx.partialStart), position));
+            await Promise.all(loads);
+            if (token.isCancellationRequested) return [];
+        }
+    }
+
+    // The suggestions replace the partial word, like in the Query tab, and
+    // keep the engine's order.
+    _toCompletionItems(items, range) {
+        return items.map((item, i) => {
+            const completion = new vscode.CompletionItem(item.label, ITEM_KINDS[item.kind] ?? vscode.CompletionItemKind.Text);
+            completion.detail = item.detail;
+            completion.range = range;
+            completion.insertText = item.snippet ? new vscode.SnippetString(item.snippet) : item.insert;
+            completion.sortText = String(i).padStart(3, '0');
+            return completion;
+        });
+    }
+}
+
+module.exports = SqlCompletionProvider;
@@ -0,0 +1,65 @@
+'use strict';
+
+const vscode = require('vscode');
+const resolveSqlReference = require('./resolveSqlReference');
+
+// Go to Definition on database objects in .sql files: the object's CREATE
+// script (the Explorer's "Script > CREATE") opens as a read-only virtual
+// document, on the column's line for "alias.Column". Also the content
+// provider of those documents, which keeps the last script of each.
+class SqlDefinitionProvider {
+    constructor(schemaCache, getSource) {
+        this._schema = schemaCache;
+        this._getSource = getSource;
+        this._scripts = new Map();     // uri -> script
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    async provideDefinition(document, position) {
+        const reference = await resolveSqlReference(document, position, this._schema, this._getSource);
+        if (!reference) return null;
+        const { object, column, source } = reference;
+
+        let script;
+        try {
+            script = await source.scriptGenerator.generateScript(source.database, object.qualified_name, object.object_type, 'create');
+        } catch (error) {
+            vscode.window.showWarningMessage(`SQL Wayfarer: ${error.message}`);
+            return null;
+        }
+
+        // Per connection and database; the .sql extension gives the SQL language mode.
+        const uri = vscode.Uri.from({
+            scheme: SqlDefinitionProvider.SCHEME,
+            path: `/${source.database}/${object.qualified_name}.sql`,
+            query: source.key
+        });
+        const key = uri.toString();
+        const changed = this._scripts.has(key) && this._scripts.get(key) !== script;
+        this._scripts.set(key, script);
+        if (changed) this._onDidChange.fire(uri);
+
+        return new vscode.Location(uri, new vscode.Position(column ? SqlDefinitionProvider.lineOf(script, column) : 0, 0));
+    }
+
+    provideTextDocumentContent(uri) {
+        return this._scripts.get(uri.toString()) ?? '-- Definition no longer available: use Go to Definition again.';
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+
+    // First line naming the column ([Total] or Total), 0 when none does.
+    static lineOf(script, column) {
+        const escaped = column.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`\\[${escaped}\\]|(?<![\\w@#$])${escaped}(?![\\w$#])`, 'i');
+        const line = script.split(/\r?\n/).findIndex(text => pattern.test(text));
+        return Math.max(line, 0);
+    }
+}
+
+SqlDefinitionProvider.SCHEME = 'sqlwayfarer-definition';
+
+module.exports = SqlDefinitionProvider;
@@ -0,0 +1,72 @@
+'use strict';
+
+const vscode = require('vscode');
+const resolveSqlReference = require('./resolveSqlReference');
+
+// Columns or parameters listed in a hover; the rest are counted.
+const MAX_MEMBERS = 25;
+
+// Hovers on database objects in .sql files: type, row count, MS_Description
+// and columns (parameters for procedures and functions); on "alias.Column",
+// the column's type. Driven by the schema cache and DatabaseService.
+class SqlHoverProvider {
+    constructor(schemaCache, getSource) {
+        this._schema = schemaCache;
+        this._getSource = getSource;
+    }
+
+    async provideHover(document, position) {
+        const reference = await resolveSqlReference(document, position, this._schema, this._getSource);
+        if (!reference) return null;
+        const { object, column, range, source } = reference;
+        const qualifiedName = object.qualified_name;
+
+        if (column) {
+            const columns = await this._schema.loadColumns(source, qualifiedName);
+            const match = columns.find(c => c.name.toLowerCase() === column.toLowerCase());
+            return match ? new vscode.Hover(new vscode.MarkdownString(SqlHoverProvider.formatColumn(object, match)), range) : null;
+        }
+
+        const isRoutine = object.object_type === 'Procedure' || object.object_type === 'Function';
+        const [members, summary] = await Promise.all([
+            isRoutine ? this._schema.loadParameters(source, qualifiedName) : this._schema.loadColumns(source, qualifiedName),
+            source.databaseService.getObjectSummary(source.database, qualifiedName).catch(error => {
+                console.warn(`Failed to load the summary of ${qualifiedName}:`, error.message);
+                return null;
+            })
+        ]);
+        return new vscode.Hover(new vscode.MarkdownString(SqlHoverProvider.formatObject(object, members, summary)), range);
+    }
+
+    // === Pure builders (unit-testable without VS Code) ===
+
+    // members: columns [{ name, type }] or parameters [{ name, type, output }];
+    // summary: { description, rowCount } or null.
+    static formatObject(object, members, summary) {
+        const rowCount = summary && summary.rowCount !== null && summary.rowCount !== undefined
+            ? ` · ${Number(summary.rowCount).toLocaleString('en-US')} ${summary.rowCount === 1 ? 'row' : 'rows'}`
+            : '';
+        const parts = [`**${object.object_type}** \`${object.qualified_name}\`${rowCount}`];
+        if (summary && summary.description) parts.push(SqlHoverProvider.escape(summary.description));
+
+        if (members.length > 0) {
+            const isRoutine = object.object_type === 'Procedure' || object.object_type === 'Function';
+            const rows = members.slice(0, MAX_MEMBERS).map(m =>
+                `| \`${m.name}\` | ${SqlHoverProvider.escape(m.type)}${m.output ? ' OUTPUT' : ''} |`);
+            if (members.length > MAX_MEMBERS) rows.push(`| _${members.length - MAX_MEMBERS} more_ | |`);
+            parts.push([`| ${isRoutine ? 'Parameter' : 'Column'} | Type |`, '| --- | --- |', ...rows].join('\n'));
+        }
+        return parts.join('\n\n');
+    }
+
+    static formatColumn(object, column) {
+        return `**Column** \`${column.name}\` ${SqlHoverProvider.escape(column.type)}\n\nof ${object.object_type} \`${object.qualified_name}\``;
+    }
+
+    // Free text (descriptions, type names) as plain Markdown text.
+    static escape(text) {
+        return String(text || '').replace(/[\\`*_{}[\]()#+\-.!|<>]/g, '\\$&');
+    }
+}
+
+module.exports = SqlHoverProvider;
@@ -0,0 +1,29 @@
+'use strict';
+
+const SqlAutocomplete = require('../webview/sqlAutocomplete');
+
+// Identifier characters, as SqlAutocomplete.wordAt() reads them.
+const WORD_PATTERN = /[A-Za-z0-9_$#@[\].]+/;
+
+// Database object under a position of a .sql document, for hovers and Go to
+// Definition: { object, column, range, source }, column being set for
+// "alias.Column". Null when no panel is connected or nothing matches.
+async function resolveSqlReference(document, position, schemaCache, getSource) {
+    const source = getSource();
+    if (!source) return null;
+    const range = document.getWordRangeAtPosition(position, WORD_PATTERN);
+    if (!range) return null;
+    const text = document.getText();
+    const word = SqlAutocomplete.wordAt(text, document.offsetAt(position));
+    let objects;
+    try {
+        objects = await schemaCache.objects(source);
+    } catch (error) {
+        console.warn('SQL reference: failed to load the objects:', error.message);
+        return null;
+    }
+    const reference = SqlAutocomplete.resolveReference(objects, SqlAutocomplete.parseAliases(text), word);
+    return reference && { ...reference, range, source };
+}
+
+module.exports = resolveSqlReference;
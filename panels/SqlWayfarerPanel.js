@@ -6,6 +6,7 @@ const fs = require('fs');
 
 const ConnectionStorage = require('../storage/ConnectionStorage');
 const ConnectionManager = require('../database/ConnectionManager');
+const ConnectionRegistry = require('../database/ConnectionRegistry');
 const DatabaseService = require('../database/DatabaseService');
 const DependencyService = require('../database/DependencyService');
 const IndexService = require('../database/IndexServices');
@@ -15,15 +16,20 @@ const ScriptGeneratorService = require('../database/ScriptGeneratorService');
 const WriteFootprintService = require('../database/WriteFootprintService');
 const BabelfishSqlParser = require('../database/BabelfishSqlParser');
 const QueryRiskAnalyzer = require('../database/QueryRiskAnalyzer');
+const ReadOnlyGuard = require('../database/ReadOnlyGuard');
+const StatementLocator = require('../database/StatementLocator');
+const QueryDiagnostics = require('../database/QueryDiagnostics');
 
 const ConnectionHandlers = require('./handlers/ConnectionHandlers');
 const DatabaseHandlers = require('./handlers/DatabaseHandlers');
 const CommentsHandlers = require('./handlers/CommentsHandlers');
 const IndexHandlers = require('./handlers/IndexHandlers');
 const QueryHandlers = require('./handlers/QueryHandlers');
+const QueryDocuments = require('./handlers/QueryDocuments');
 const ExportHandlers = require('./handlers/ExportHandlers');
 const ScriptHandlers = require('./handlers/ScriptHandlers');
 const FootprintHandlers = require('./handlers/FootprintHandlers');
+const SavedQueryHandlers = require('./handlers/SavedQueryHandlers');
 
 class SqlWayfarerPanel {
     constructor(panel, extensionUri, context) {
@@ -32,15 +38,19 @@ class SqlWayfarerPanel {
         this._context = context;
         this._disposables = [];
         this._currentSelectedDatabase = null;
+        this._boundKey = null;
 
         this._connectionStorage = new ConnectionStorage(context);
-        this._connectionManager = new ConnectionManager(this._connectionStorage);
+        this._connectionManager = new ConnectionManager(this._connectionStorage, SqlWayfarerPanel.connectionRegistry);
         this._databaseService = new DatabaseService(this._connectionManager);
         this._indexService = new IndexService(this._connectionManager, this._databaseService);
         this._dependencyService = new DependencyService();
         this._commentsService = new CommentsService(this._connectionManager);
         this._dataDictionaryService = new DataDictionaryService(this._connectionManager, this._indexService);
-        this._writeFootprintService = new WriteFootprintService(this._connectionManager, this._indexService);
+        // Shared by the Query tab's checks and the ad-hoc trigger cascade.
+        const riskParser = new BabelfishSqlParser();
+        riskParser.setEnabled(true);
+        this._writeFootprintService = new WriteFootprintService(this._connectionManager, this._indexService, riskParser);
 
         const post = msg => this._panel.webview.postMessage(msg);
         const getDb = () => this._currentSelectedDatabase;
@@ -49,14 +59,24 @@ class SqlWayfarerPanel {
         this._db = new DatabaseHandlers(post, this._databaseService, this._dependencyService, this._indexService, getDb);
         this._comments = new CommentsHandlers(post, this._commentsService);
         this._idx = new IndexHandlers(post, this._indexService, this._dependencyService, getDb);
-        const riskParser = new BabelfishSqlParser();
-        riskParser.setEnabled(true);
-        this._query = new QueryHandlers(post, this._connectionManager, context.workspaceState, new QueryRiskAnalyzer(riskParser));
+        const riskAnalyzer = new QueryRiskAnalyzer(riskParser);
+        const readOnlyGuard = new ReadOnlyGuard(riskParser);
+        const statementLocator = new StatementLocator(riskParser);
+        // Runs started from a .sql editor, by query document: { uri, diagnostics, startLine }.
+        this._editorRuns = new Map();
+        const queryPost = msg => {
+            this._reportEditorDiagnostics(msg);
+            post(msg);
+        };
+        this._queries = new QueryDocuments(queryPost, (documentPost, historyFilter) => new QueryHandlers(documentPost, this._connectionManager,
+            context.workspaceState, riskAnalyzer, readOnlyGuard, statementLocator, this._writeFootprintService, historyFilter));
         this._export = new ExportHandlers(post, this._dataDictionaryService);
-        this._script = new ScriptHandlers(post, new ScriptGeneratorService(this._connectionManager, this._databaseService));
+        this._scriptGenerator = new ScriptGeneratorService(this._connectionManager, this._databaseService);
+        this._script = new ScriptHandlers(post, this._scriptGenerator);
         this._footprint = new FootprintHandlers(post, this._writeFootprintService, this._dataDictionaryService, getDb);
+        this._savedQueries = new SavedQueryHandlers(post, getDb);
 
-        this._initialize();
+        this._ready = this._initialize();
     }
 
     static createOrShow(extensionUri, context) {
@@ -66,27 +86,74 @@ class SqlWayfarerPanel {
             SqlWayfarerPanel.currentPanel._panel.reveal(column);
             return;
         }
+        SqlWayfarerPanel.createNew(extensionUri, context, column);
+    }
 
+    // Another panel next to the existing ones, e.g. to keep production and a
+    // dev copy side by side; each binds to its own connection.
+    static createNew(extensionUri, context, column = undefined) {
         const panel = vscode.window.createWebviewPanel(
             'sqlwayfarer-sqlwayfarer',
             'SQL Wayfarer',
-            column || vscode.ViewColumn.One,
+            column || (SqlWayfarerPanel.panels.size ? vscode.ViewColumn.Beside : vscode.ViewColumn.One),
             // enableFindWidget: native Ctrl+F over all rendered content
             // (code definitions, query results, object lists).
             { enableScripts: true, localResourceRoots: [extensionUri], enableFindWidget: true }
         );
 
-        SqlWayfarerPanel.currentPanel = new SqlWayfarerPanel(panel, extensionUri, context);
+        const instance = new SqlWayfarerPanel(panel, extensionUri, context);
+        SqlWayfarerPanel.panels.add(instance);
+        SqlWayfarerPanel.currentPanel = instance;
+    }
+
+    // "SQL Wayfarer: Execute" in a .sql editor: the selection, or the whole
+    // file, runs on the panel's connection and database. Results show in a
+    // query tab named after the file; errors become diagnostics of the file.
+    static async executeEditorQuery(extensionUri, context, editor, diagnostics) {
+        SqlWayfarerPanel.createOrShow(extensionUri, context);
+        const panel = SqlWayfarerPanel.currentPanel;
+        await panel._ready;
+        await panel._executeEditorQuery(editor, diagnostics);
+    }
+
+    // What the .sql editor features read schema metadata from: the
+    // connection and Explorer database of the last active panel, as a
+    // SqlSchemaCache source (plus the script generator for Go to Definition).
+    // Null until a panel is connected with a database.
+    static schemaSource() {
+        const panel = SqlWayfarerPanel.currentPanel;
+        const database = panel && panel._currentSelectedDatabase;
+        if (!database || !panel._connectionManager.isConnected()) return null;
+        return {
+            key: `${panel._connectionManager.getActiveKey()}|${database}`,
+            database,
+            indexService: panel._indexService,
+            databaseService: panel._databaseService,
+            scriptGenerator: panel._scriptGenerator
+        };
+    }
+
+    // Command palette entry points that act on the panel (e.g. connection
+    // import/export): open it, wait for its storage, then route the command
+    // like a webview message so the open connection list stays in sync.
+    static async runCommand(extensionUri, context, command) {
+        SqlWayfarerPanel.createOrShow(extensionUri, context);
+        const panel = SqlWayfarerPanel.currentPanel;
+        await panel._ready;
+        await panel._handleMessage({ command });
     }
 
     async _initialize() {
         try {
             await this._connectionStorage.initialize();
+            await this._loadWorkspaceConnections();
             this._dependencyService.setIndexService(this._indexService);
             this._dependencyService.setConnectionManager(this._connectionManager);
             console.log('IndexService connected to DependencyService');
             this._update();
             this._setupEventHandlers();
+            this._watchWorkspaceConnections();
+            this._watchSavedQueries();
             console.log('SqlWayfarerPanel initialized successfully');
         } catch (error) {
             console.error('Error initializing SqlWayfarerPanel:', error);
@@ -94,8 +161,79 @@ class SqlWayfarerPanel {
         }
     }
 
+    // Connections checked in as .sqlwayfarer/connections.json in the workspace
+    // folders (trusted workspaces only); a broken file is reported without
+    // blocking the saved connections.
+    async _loadWorkspaceConnections() {
+        const folders = (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath);
+        const warnings = await this._connectionStorage.loadWorkspaceConnections(folders, { trusted: vscode.workspace.isTrusted });
+        if (warnings.length) {
+            vscode.window.showWarningMessage(`SQL Wayfarer – workspace connections: ${warnings.join(' • ')}`);
+        }
+    }
+
+    // Keeps the connection dropdown in sync when the file or the folders change.
+    _watchWorkspaceConnections() {
+        const reload = async () => {
+            await this._loadWorkspaceConnections();
+            await this._conn.handleLoadConnections();
+        };
+        const watcher = vscode.workspace.createFileSystemWatcher(`**/${ConnectionStorage.WORKSPACE_FILE}`);
+        watcher.onDidCreate(reload, null, this._disposables);
+        watcher.onDidChange(reload, null, this._disposables);
+        watcher.onDidDelete(reload, null, this._disposables);
+        this._disposables.push(watcher);
+        vscode.workspace.onDidChangeWorkspaceFolders(reload, null, this._disposables);
+        vscode.workspace.onDidGrantWorkspaceTrust(reload, null, this._disposables);
+    }
+
+    // Saved queries change outside the panel too (git pull, another panel,
+    // the explorer): the pane is refreshed from the folder.
+    _watchSavedQueries() {
+        let watcher = null;
+        const reload = () => this._savedQueries.handleGetSavedQueries();
+        const watch = () => {
+            if (watcher) watcher.dispose();
+            const folder = this._savedQueries.folder();
+            watcher = folder ? vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '*.sql')) : null;
+            if (watcher) {
+                watcher.onDidCreate(reload);
+                watcher.onDidChange(reload);
+                watcher.onDidDelete(reload);
+            }
+        };
+        watch();
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (!e.affectsConfiguration('sqlwayfarer.savedQueries.folder')) return;
+            watch();
+            reload();
+        }, null, this._disposables);
+        vscode.workspace.onDidChangeWorkspaceFolders(() => { watch(); reload(); }, null, this._disposables);
+        this._disposables.push({ dispose: () => watcher && watcher.dispose() });
+    }
+
     _setupEventHandlers() {
         this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+        // Palette commands act on the panel used last.
+        this._panel.onDidChangeViewState(e => {
+            if (e.webviewPanel.active) SqlWayfarerPanel.currentPanel = this;
+        }, null, this._disposables);
+
+        const registry = SqlWayfarerPanel.connectionRegistry;
+        const onOpenConnectionsChanged = () => this._postOpenConnections();
+        const onConnectionStatus = (key, status) => {
+            if (key === this._connectionManager.getActiveKey()) {
+                this._panel.webview.postMessage({ command: 'connectionHealth', status });
+            }
+        };
+        registry.on('change', onOpenConnectionsChanged);
+        registry.on('status', onConnectionStatus);
+        this._disposables.push({
+            dispose: () => {
+                registry.off('change', onOpenConnectionsChanged);
+                registry.off('status', onConnectionStatus);
+            }
+        });
         this._panel.webview.onDidReceiveMessage(
             async message => {
                 try {
@@ -111,22 +249,30 @@ class SqlWayfarerPanel {
     }
 
     async _handleMessage(message) {
-        const { conn: c, db: d, comments: cm, idx: ix, query: q } = {
-            conn: this._conn, db: this._db, comments: this._comments, idx: this._idx, query: this._query
+        const { conn: c, db: d, comments: cm, idx: ix } = {
+            conn: this._conn, db: this._db, comments: this._comments, idx: this._idx
         };
+        // Query tool messages come from one of the Query tab's documents.
+        const q = () => this._queries.get(message.documentId);
 
         switch (message.command) {
             // Connection
             case 'connect': {
                 const ok = await c.handleConnect(message.connectionConfig);
-                if (ok) await d.handleGetDatabases();
+                if (ok) await this._onConnectionBound();
                 break;
             }
             case 'connectWithSaved': {
                 const ok = await c.handleConnectWithSaved(message.connectionName);
-                if (ok) await d.handleGetDatabases();
+                if (ok) await this._onConnectionBound();
                 break;
             }
+            case 'bindConnection': {
+                const ok = c.handleBindConnection(message.key);
+                if (ok) await this._onConnectionBound();
+                break;
+            }
+            case 'disconnect':                  await c.handleDisconnect(); break;
             case 'saveConnection': {
                 const ok = await c.handleSaveConnection(message.connectionConfig, message.originalName);
                 if (ok) await c.handleLoadConnections();
@@ -137,10 +283,18 @@ class SqlWayfarerPanel {
                 if (ok) await c.handleLoadConnections();
                 break;
             }
+            case 'importConnections': {
+                const ok = await c.handleImportConnections();
+                if (ok) await c.handleLoadConnections();
+                break;
+            }
+            case 'exportConnections':           await c.handleExportConnections(); break;
             case 'loadConnections':             await c.handleLoadConnections(); break;
             case 'setAutoConnect':              await c.handleSetAutoConnect(message.enabled); break;
             case 'loadConnectionForDisplay':    await c.handleLoadConnectionForDisplay(message.connectionName); break;
             case 'testConnection':              await c.handleTestConnection(message.connectionConfig); break;
+            case 'parseConnectionString':       c.handleParseConnectionString(message.connectionString); break;
+            case 'unlockProductionWrites':      await c.handleUnlockProductionWrites(); break;
 
             // Database
             case 'setCurrentDatabase':          this._currentSelectedDatabase = message.database; break;
@@ -177,10 +331,35 @@ class SqlWayfarerPanel {
             case 'confirmForceReindex':         await ix.handleConfirmForceReindex(message.database); break;
 
             // Query tool
-            case 'executeQuery':                await q.handleExecuteQuery(message.database, message.query, message.maxRows); break;
-            case 'cancelQuery':                 q.handleCancelQuery(); break;
-            case 'getQueryHistory':             await q.handleGetQueryHistory(); break;
-            case 'clearQueryHistory':           await q.handleClearQueryHistory(); break;
+            case 'executeQuery': {
+                // Run from the query tab itself, not the parameters of an editor run: no diagnostics.
+                if (!message.parameters) this._editorRuns.delete(message.documentId);
+                await q().handleExecuteQuery(message.database, message.query, message.maxRows, message.startLine, message.sqlcmd, message.actualPlan, message.parameters);
+                break;
+            }
+            case 'getEstimatedPlan':            await q().handleGetEstimatedPlan(message.database, message.query, message.startLine, message.sqlcmd, message.parameters); break;
+            case 'getResultPage':               q().handleGetResultPage(message.resultId, message.setIndex, message.offset, message.count, message.sort, message.filters, message.requestId); break;
+            case 'exportAllRows':               await q().handleExportAllRows(message.database, message.query, message.setIndex, message.format, message.startLine, message.sqlcmd, message.parameters); break;
+            case 'beginTransaction':            await q().handleBeginTransaction(); break;
+            case 'commitTransaction':           await q().handleCommitTransaction(); break;
+            case 'rollbackTransaction':         await q().handleRollbackTransaction(); break;
+            case 'locateStatement':             q().handleLocateStatement(message.text, message.offset); break;
+            case 'cancelQuery':                 q().handleCancelQuery(); break;
+            case 'getQueryHistory':             await q().handleGetQueryHistory(message.filter); break;
+            case 'clearQueryHistory':           await q().handleClearQueryHistory(); break;
+            case 'pinQueryHistory':             await q().handlePinQueryHistory(message.query, message.database, message.pinned); break;
+            case 'exportQueryHistory':          await q().handleExportQueryHistory(); break;
+            case 'closeQueryDocument':
+                this._editorRuns.delete(message.documentId);
+                await this._queries.close(message.documentId);
+                break;
+
+            // Saved queries (.sql files in the workspace)
+            case 'getSavedQueries':             await this._savedQueries.handleGetSavedQueries(); break;
+            case 'saveQuery':                   await this._savedQueries.handleSaveQuery(message.query, message.database); break;
+            case 'renameSavedQuery':            await this._savedQueries.handleRenameSavedQuery(message.name); break;
+            case 'deleteSavedQuery':            await this._savedQueries.handleDeleteSavedQuery(message.name); break;
+            case 'openSavedQuery':              await this._savedQueries.handleOpenSavedQuery(message.name, message.run); break;
 
             // Script generator
             case 'generateScript':              await this._script.handleGenerateScript(message.database, message.objectName, message.objectType, message.scriptType); break;
@@ -191,13 +370,84 @@ class SqlWayfarerPanel {
 
             // Export
             case 'exportDataDictionary':        await this._export.handleExportDataDictionary(message.database, message.full); break;
-            case 'exportCsv':                   await this._export.handleExportCsv(message.csv, message.defaultName); break;
+            case 'exportResults':               await this._export.handleExportResults(message.content, message.defaultName, message.format); break;
 
             default:
                 console.warn(`Unknown command: ${message.command}`);
         }
     }
 
+    async _executeEditorQuery(editor, diagnostics) {
+        const database = this._currentSelectedDatabase;
+        if (!this._connectionManager.getActiveKey() || !database) {
+            vscode.window.showWarningMessage('SQL Wayfarer: connect and select a database in the panel to run the file.');
+            return;
+        }
+        const document = editor.document;
+        const documentId = `editor:${document.uri.toString()}`;
+        const handlers = this._queries.get(documentId);
+        if (handlers.isRunning) {
+            vscode.window.showWarningMessage(`SQL Wayfarer: a query of ${path.basename(document.fileName)} is still running.`);
+            return;
+        }
+        const selection = editor.selection.isEmpty ? undefined : editor.selection;
+        const query = document.getText(selection);
+        const startLine = selection ? selection.start.line + 1 : 1;
+
+        diagnostics.delete(document.uri);
+        this._editorRuns.set(documentId, { uri: document.uri, diagnostics, startLine });
+        this._panel.webview.postMessage({ command: 'editorQueryStarted', documentId, title: path.basename(document.fileName), database, query, startLine });
+        await handlers.handleExecuteQuery(database, query, undefined, startLine);
+    }
+
+    // Errors of a run started from a .sql editor, on their lines of the file.
+    _reportEditorDiagnostics(message) {
+        const run = this._editorRuns.get(message.documentId);
+        if (!run || (message.command !== 'queryResult' && message.command !== 'queryError')) return;
+        const document = vscode.workspace.textDocuments.find(d => d.uri.toString() === run.uri.toString());
+        run.diagnostics.set(run.uri, QueryDiagnostics.fromMessage(message, run.startLine).map(({ line, message: text }) => {
+            const index = Math.max(line - 1, 0);
+            const range = document && index < document.lineCount
+                ? document.lineAt(index).range
+                : new vscode.Range(index, 0, index, 0);
+            const diagnostic = new vscode.Diagnostic(range, text, vscode.DiagnosticSeverity.Error);
+            diagnostic.source = 'SQL Wayfarer';
+            return diagnostic;
+        }));
+    }
+
+    // The database selection and any running indexing belong to the previous connection.
+    async _onConnectionBound() {
+        this._currentSelectedDatabase = null;
+        if (this._idx.isIndexing) this._idx.cancel();
+        this._postOpenConnections();
+        await this._db.handleGetDatabases();
+    }
+
+    // Refreshes the header connection picker and the panel title; tells the
+    // webview when the connection it was bound to got closed (possibly from
+    // another panel).
+    _postOpenConnections() {
+        const activeKey = this._connectionManager.getActiveKey();
+        if (this._boundKey && !activeKey) {
+            this._currentSelectedDatabase = null;
+            if (this._idx.isIndexing) this._idx.cancel();
+            this._panel.webview.postMessage({ command: 'connectionClosed', message: 'The connection was closed.' });
+        }
+        if (this._boundKey !== activeKey) {
+            this._queries.rollbackOpenTransactions(activeKey ? 'Connection switched' : 'Connection closed')
+                .catch(error => console.warn('Error rolling back the open transactions:', error));
+        }
+        this._boundKey = activeKey;
+        this._panel.webview.postMessage({
+            command: 'openConnectionsChanged',
+            connections: this._connectionManager.getOpenConnections(),
+            activeKey,
+            status: this._connectionManager.getConnectionStatus()
+        });
+        this._panel.title = activeKey ? `SQL Wayfarer — ${this._connectionManager.getConnectionLabel()}` : 'SQL Wayfarer';
+    }
+
     _update() {
         this._panel.title = 'SQL Wayfarer';
         this._panel.webview.html = this._getHtmlForWebview();
@@ -230,6 +480,8 @@ class SqlWayfarerPanel {
         html = html.replace('{{COMMENTS_MANAGER_URI}}',     u('webview', 'commentsManager.js'));
         html = html.replace('{{CODE_VIEW_MANAGER_URI}}',    u('webview', 'codeViewManager.js'));
         html = html.replace('{{SQL_AUTOCOMPLETE_URI}}',     u('webview', 'sqlAutocomplete.js'));
+        html = html.replace('{{PLAN_VIEWER_URI}}',          u('webview', 'planViewer.js'));
+        html = html.replace('{{RESULT_GRID_URI}}',          u('webview', 'resultGrid.js'));
         html = html.replace('{{QUERY_MANAGER_URI}}',        u('webview', 'queryManager.js'));
         html = html.replace('{{FOOTPRINT_MANAGER_URI}}',    u('webview', 'footprintManager.js'));
         html = html.replace('{{DAGRE_URI}}',                u('webview', 'vendor', 'dagre.min.js'));
@@ -241,10 +493,14 @@ class SqlWayfarerPanel {
     }
 
     async dispose() {
-        SqlWayfarerPanel.currentPanel = undefined;
+        SqlWayfarerPanel.panels.delete(this);
+        if (SqlWayfarerPanel.currentPanel === this) {
+            SqlWayfarerPanel.currentPanel = SqlWayfarerPanel.panels.values().next().value;
+        }
         this._panel.dispose();
 
         this._idx.cancel();
+        try { await this._queries.rollbackOpenTransactions('Panel closed'); } catch (error) { console.warn('Error rolling back the open transactions:', error); }
         // NB: do NOT clear the index here. It is a persistent, checksum-validated
         // on-disk cache keyed by server+database — deleting it when the panel
         // closes forces a full rebuild on every reopen (crippling on large
@@ -260,8 +516,15 @@ class SqlWayfarerPanel {
                 try { x.dispose(); } catch (error) { console.warn('Error disposing resource:', error); }
             }
         }
+
+        // Pools stay open while another panel might switch to them.
+        if (SqlWayfarerPanel.panels.size === 0) {
+            await SqlWayfarerPanel.connectionRegistry.closeAll();
+        }
     }
 }
 
 SqlWayfarerPanel.currentPanel = undefined;
+SqlWayfarerPanel.panels = new Set();
+SqlWayfarerPanel.connectionRegistry = new ConnectionRegistry();
 module.exports = SqlWayfarerPanel;
@@ -1,5 +1,13 @@
 'use strict';
 
+const vscode = require('vscode');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ConnectionManager = require('../../database/ConnectionManager');
+const ConnectionStorage = require('../../storage/ConnectionStorage');
+const parseConnectionString = require('../../database/parseConnectionString');
+
 class ConnectionHandlers {
     constructor(postMessage, connectionManager, connectionStorage) {
         this._post = postMessage;
@@ -10,7 +18,7 @@ class ConnectionHandlers {
     async handleConnect(connectionConfig) {
         try {
             await this._connectionManager.connect(connectionConfig);
-            this._post({ command: 'connectionStatus', success: true, message: 'Connected successfully!' });
+            this._post({ command: 'connectionStatus', success: true, message: 'Connected successfully!', ...this._environmentInfo() });
             return true;
         } catch (error) {
             this._post({ command: 'connectionStatus', success: false, message: `Connection failed: ${error.message}` });
@@ -18,6 +26,62 @@ class ConnectionHandlers {
         }
     }
 
+    // Header connection picker: switches this panel to a connection that is
+    // already open (in this panel or another one), without reconnecting.
+    handleBindConnection(key) {
+        try {
+            this._connectionManager.bind(key);
+            this._post({
+                command: 'connectionStatus',
+                success: true,
+                message: `Switched to ${this._connectionManager.getConnectionLabel()}.`,
+                ...this._environmentInfo()
+            });
+            return true;
+        } catch (error) {
+            this._post({ command: 'connectionStatus', success: false, message: `Failed to switch connection: ${error.message}` });
+            return false;
+        }
+    }
+
+    // Closes the panel's connection for every panel bound to it; the registry
+    // change notifies them all.
+    async handleDisconnect() {
+        try {
+            await this._connectionManager.disconnect();
+        } catch (error) {
+            this._post({ command: 'error', message: `Failed to disconnect: ${error.message}` });
+        }
+    }
+
+    // Environment tag of the active connection, for the webview banner.
+    _environmentInfo() {
+        return {
+            environment: this._connectionManager.getEnvironment(),
+            readOnly: this._connectionManager.isReadOnly(),
+            connectionLabel: this._connectionManager.getConnectionLabel()
+        };
+    }
+
+    // Comment edits on production stay blocked until explicitly unlocked;
+    // the unlock lasts until the next connect.
+    async handleUnlockProductionWrites() {
+        if (!this._connectionManager.isProduction() || this._connectionManager.isReadOnly()) return;
+        if (!(await this._confirmUnlock())) return;
+        this._connectionManager.unlockProductionWrites();
+        this._post({ command: 'productionWritesUnlocked' });
+    }
+
+    // Overridable in tests.
+    async _confirmUnlock() {
+        const choice = await vscode.window.showWarningMessage(
+            `Allow comment edits on PRODUCTION (${this._connectionManager.getConnectionLabel()}) until you connect elsewhere?`,
+            { modal: true, detail: 'Descriptions are written as extended properties directly in the production database.' },
+            'Unlock Edits'
+        );
+        return choice === 'Unlock Edits';
+    }
+
     async handleLoadConnectionForDisplay(connectionName) {
         try {
             const connection = await this._connectionManager.getConnectionForDisplay(connectionName);
@@ -29,10 +93,14 @@ class ConnectionHandlers {
 
     async handleConnectWithSaved(connectionName) {
         try {
+            if (!(await this._ensureSecret(connectionName))) {
+                this._post({ command: 'connectionStatus', success: false, message: 'Connection cancelled: no password entered.' });
+                return false;
+            }
             await this._connectionManager.connectWithSaved(connectionName);
             // Remember for auto-connect on next startup.
             await this._connectionStorage.setLastConnectionName(connectionName);
-            this._post({ command: 'connectionStatus', success: true, message: 'Connected successfully!' });
+            this._post({ command: 'connectionStatus', success: true, message: 'Connected successfully!', ...this._environmentInfo() });
             return true;
         } catch (error) {
             this._post({ command: 'connectionStatus', success: false, message: `Failed to connect: ${error.message}` });
@@ -68,6 +136,7 @@ class ConnectionHandlers {
             this._post({
                 command: 'savedConnectionsLoaded',
                 connections,
+                workspaceConnections: this._connectionStorage.getWorkspaceConnections(),
                 lastConnection: this._connectionStorage.getLastConnectionName(),
                 autoConnect: this._connectionStorage.getAutoConnectEnabled()
             });
@@ -85,6 +154,141 @@ class ConnectionHandlers {
         }
     }
 
+    // Fills the connection form from a pasted connection string; nothing is saved
+    // until the user reviews the fields, so the password goes through the usual path.
+    handleParseConnectionString(connectionString) {
+        try {
+            const { config, ignoredKeys } = parseConnectionString(connectionString);
+            this._post({ command: 'connectionStringParsed', success: true, config, ignoredKeys });
+        } catch (error) {
+            this._post({ command: 'connectionStringParsed', success: false, message: `Invalid connection string: ${error.message}` });
+        }
+    }
+
+    // Writes the chosen connections, without any secret, to a JSON file a
+    // teammate can import.
+    async handleExportConnections() {
+        try {
+            const connections = this._connectionStorage.getSavedConnections();
+            if (connections.length === 0) {
+                this._post({ command: 'connectionsExported', success: false, message: 'No saved connections to export.' });
+                return;
+            }
+
+            const picked = await vscode.window.showQuickPick(
+                connections.map(c => ({ label: c.name, description: c.server, picked: true })),
+                { canPickMany: true, title: 'Connections to export (passwords are never exported)' }
+            );
+            if (!picked || picked.length === 0) {
+                this._post({ command: 'connectionsExported', success: false, cancelled: true, message: 'Export cancelled.' });
+                return;
+            }
+
+            const uri = await vscode.window.showSaveDialog({
+                defaultUri: vscode.Uri.file(path.join(this._defaultDir(), 'sqlwayfarer-connections.json')),
+                filters: { JSON: ['json'] }
+            });
+            if (!uri) {
+                this._post({ command: 'connectionsExported', success: false, cancelled: true, message: 'Export cancelled.' });
+                return;
+            }
+
+            const profile = this._connectionStorage.exportProfile(picked.map(p => p.label));
+            await fs.writeFile(uri.fsPath, JSON.stringify(profile, null, 2), 'utf8');
+            this._post({
+                command: 'connectionsExported',
+                success: true,
+                message: `Exported ${profile.connections.length} connection(s) to ${path.basename(uri.fsPath)}.`
+            });
+        } catch (error) {
+            console.error('Connections export failed:', error);
+            this._post({ command: 'connectionsExported', success: false, message: `Export failed: ${error.message}` });
+        }
+    }
+
+    // Merges a shared connections file into the saved connections; name
+    // collisions are resolved one by one with the user.
+    async handleImportConnections() {
+        try {
+            const filePath = await this._pickImportFile();
+            if (!filePath) {
+                this._post({ command: 'connectionsImported', success: false, cancelled: true, message: 'Import cancelled.' });
+                return false;
+            }
+
+            const entries = ConnectionStorage.parseProfile(await fs.readFile(filePath, 'utf8'));
+            const result = await this._connectionStorage.importConnections(entries, name => this._resolveImportCollision(name));
+
+            const parts = [`${result.added.length} added`];
+            if (result.replaced.length) parts.push(`${result.replaced.length} replaced`);
+            if (result.renamed.length) parts.push(`${result.renamed.length} renamed (${result.renamed.map(r => r.to).join(', ')})`);
+            if (result.skipped.length) parts.push(`${result.skipped.length} skipped`);
+            this._post({
+                command: 'connectionsImported',
+                success: true,
+                message: `Connections imported: ${parts.join(', ')}. Passwords will be asked on first connect.`
+            });
+            return true;
+        } catch (error) {
+            console.error('Connections import failed:', error);
+            this._post({ command: 'connectionsImported', success: false, message: `Import failed: ${error.message}` });
+            return false;
+        }
+    }
+
+    // Overridable in tests.
+    async _pickImportFile() {
+        const picked = await vscode.window.showOpenDialog({
+            defaultUri: vscode.Uri.file(this._defaultDir()),
+            canSelectFiles: true,
+            canSelectMany: false,
+            filters: { JSON: ['json'] },
+            openLabel: 'Import connections'
+        });
+        return picked && picked.length > 0 ? picked[0].fsPath : null;
+    }
+
+    // Modal choice for an imported name that already exists; overridable in tests.
+    async _resolveImportCollision(name) {
+        const choice = await vscode.window.showWarningMessage(
+            `A connection named '${name}' already exists.`,
+            { modal: true, detail: 'Replace it with the imported definition, keep both (the imported one is renamed), or skip it.' },
+            'Replace', 'Keep Both', 'Skip'
+        );
+        if (choice === 'Replace') return 'replace';
+        if (choice === 'Keep Both') return 'rename';
+        return 'skip';
+    }
+
+    // Imported connections arrive without their secret: ask for it on first
+    // connect and keep it in the secrets API like a typed-in password.
+    async _ensureSecret(connectionName) {
+        const connection = this._connectionStorage.getConnection(connectionName);
+        if (!connection || !ConnectionManager.requiresSecret(connection)) return true;
+        if (await this._connectionStorage.getConnectionPassword(connectionName)) return true;
+
+        const secret = await this._promptSecret(connection);
+        if (!secret) return false;
+        await this._connectionStorage.setConnectionPassword(connectionName, secret);
+        return true;
+    }
+
+    // Overridable in tests.
+    async _promptSecret(connection) {
+        const what = connection.authenticationType === ConnectionManager.AUTH_TYPES.SERVICE_PRINCIPAL ? 'client secret' : 'password';
+        return vscode.window.showInputBox({
+            title: `Connect to '${connection.label || connection.name}'`,
+            prompt: `No ${what} saved yet for ${connection.username || connection.clientId || connection.server}. It will be kept in VS Code's secret storage.`,
+            password: true,
+            ignoreFocusOut: true
+        });
+    }
+
+    _defaultDir() {
+        const workspaceFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        return workspaceFolder ? workspaceFolder.uri.fsPath : os.homedir();
+    }
+
     async handleTestConnection(connectionConfig) {
         try {
             await this._connectionManager.testConnection(connectionConfig);
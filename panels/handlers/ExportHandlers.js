@@ -5,34 +5,42 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
+// Result exports built by the webview (QueryManager), by format.
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', filterName: 'CSV', extension: 'csv', bom: true },
+    json: { label: 'JSON', filterName: 'JSON', extension: 'json' },
+    markdown: { label: 'Markdown', filterName: 'Markdown', extension: 'md' },
+    excel: { label: 'Excel', filterName: 'XML Spreadsheet 2003', extension: 'xml' },
+    insert: { label: 'INSERT script', filterName: 'SQL', extension: 'sql' }
+};
+
 class ExportHandlers {
     constructor(postMessage, dataDictionaryService) {
         this._post = postMessage;
         this._dataDictionaryService = dataDictionaryService;
     }
 
-    // The webview builds the CSV text (it already holds the rows); this side
+    // The webview builds the file text (it already holds the rows); this side
     // only owns the save dialog and the file write.
-    async handleExportCsv(csv, defaultName) {
+    async handleExportResults(content, defaultName, format = 'csv') {
+        const spec = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
         try {
-            const workspaceFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
-            const defaultDir = workspaceFolder ? workspaceFolder.uri.fsPath : os.homedir();
             const uri = await vscode.window.showSaveDialog({
-                defaultUri: vscode.Uri.file(path.join(defaultDir, defaultName || 'results.csv')),
-                filters: { CSV: ['csv'] }
+                defaultUri: vscode.Uri.file(path.join(this._defaultDir(), defaultName || `results.${spec.extension}`)),
+                filters: { [spec.filterName]: [spec.extension] }
             });
             if (!uri) {
-                this._post({ command: 'csvExported', success: false, cancelled: true });
+                this._post({ command: 'resultsExported', success: false, cancelled: true, label: spec.label });
                 return;
             }
 
-            // BOM so Excel opens the file as UTF-8 instead of guessing ANSI.
-            await fs.writeFile(uri.fsPath, '\ufeff' + csv, 'utf8');
-            this._post({ command: 'csvExported', success: true, path: uri.fsPath });
+            // BOM so Excel opens a CSV file as UTF-8 instead of guessing ANSI.
+            await fs.writeFile(uri.fsPath, (spec.bom ? '\ufeff' : '') + content, 'utf8');
+            this._post({ command: 'resultsExported', success: true, path: uri.fsPath, label: spec.label });
         } catch (error) {
-            console.error('CSV export failed:', error);
-            vscode.window.showErrorMessage(`CSV export failed: ${error.message}`);
-            this._post({ command: 'csvExported', success: false, message: error.message });
+            console.error(`${spec.label} export failed:`, error);
+            vscode.window.showErrorMessage(`${spec.label} export failed: ${error.message}`);
+            this._post({ command: 'resultsExported', success: false, message: error.message, label: spec.label });
         }
     }
 
@@ -0,0 +1,44 @@
+'use strict';
+
+// The Query tab's documents (the tabs above its editor): one QueryHandlers
+// per document, so each runs, pages and cancels its own queries and keeps
+// its own manual transaction. Every message posted for a document carries
+// its documentId; the history search filter is shared by all of them.
+class QueryDocuments {
+    // createHandlers(postMessage, historyFilter) builds the handlers of a document.
+    constructor(postMessage, createHandlers) {
+        this._post = postMessage;
+        this._createHandlers = createHandlers;
+        this._documents = new Map();
+        this._historyFilter = { text: '', database: '' };
+    }
+
+    // Created on first use: the webview restores its documents on reload
+    // and the panel learns their ids from their first message.
+    get(documentId) {
+        const id = String(documentId || '');
+        let handlers = this._documents.get(id);
+        if (!handlers) {
+            handlers = this._createHandlers(msg => this._post({ ...msg, documentId: id }), this._historyFilter);
+            this._documents.set(id, handlers);
+        }
+        return handlers;
+    }
+
+    // A closed tab stops its query and rolls its transaction back.
+    async close(documentId) {
+        const id = String(documentId || '');
+        const handlers = this._documents.get(id);
+        if (!handlers) return;
+        this._documents.delete(id);
+        handlers.handleCancelQuery();
+        await handlers.rollbackOpenTransaction('Query tab closed');
+    }
+
+    // Connection switched or closed, panel closed.
+    async rollbackOpenTransactions(reason) {
+        await Promise.all([...this._documents.values()].map(handlers => handlers.rollbackOpenTransaction(reason)));
+    }
+}
+
+module.exports = QueryDocuments;
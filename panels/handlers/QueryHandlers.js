@@ -1,33 +1,112 @@
 'use strict';
 
 const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ReadOnlyGuard = require('../../database/ReadOnlyGuard');
+const StatementLocator = require('../../database/StatementLocator');
+const prepareBatches = require('../../database/prepareBatches');
+const parseExecutionPlan = require('../../database/parseExecutionPlan');
+const QueryParameters = require('../../database/QueryParameters');
+const ResultStore = require('../../database/ResultStore');
+const ResultFileWriter = require('../../database/ResultFileWriter');
+const ImpactPreview = require('../../database/ImpactPreview');
+const QueryHistory = require('../../database/QueryHistory');
 
 const HISTORY_KEY = 'sqlwayfarer.queryHistory';
-const HISTORY_LIMIT = 50;
+// Last values entered for the @variables of a query, per query text.
+const PARAMETERS_KEY = 'sqlwayfarer.queryParameters';
+const PARAMETERS_LIMIT = 100;
 const DEFAULT_MAX_ROWS = 1000;
 const QUERY_TIMEOUT_MS = 5 * 60 * 1000;
+// Column of the result sets SHOWPLAN_XML / STATISTICS XML return plans in.
+const PLAN_COLUMN = /XML Showplan$/;
+// Session options that turn compile-only mode off (or switch it themselves):
+// a script setting them would really run its next batches under an
+// estimated plan, past the read-only, production and risk checks.
+const PLAN_MODE_OPTIONS = /\b(?:SHOWPLAN_(?:XML|TEXT|ALL)|NOEXEC|PARSEONLY|FMTONLY|STATISTICS(?:\s|\/\*[\s\S]*?\*\/|--[^\n]*)+(?:XML|PROFILE|IO|TIME))\b/i;
 
 class QueryHandlers {
-    constructor(postMessage, connectionManager, workspaceState, riskAnalyzer = null) {
+    constructor(postMessage, connectionManager, workspaceState, riskAnalyzer = null, readOnlyGuard = null, statementLocator = null, writeFootprintService = null, historyFilter = null) {
         this._post = postMessage;
         this._connectionManager = connectionManager;
         this._workspaceState = workspaceState;
         this._riskAnalyzer = riskAnalyzer;
+        this._readOnlyGuard = readOnlyGuard;
+        this._statementLocator = statementLocator || new StatementLocator();
+        this._writeFootprintService = writeFootprintService;
+        this._results = new ResultStore();
         this._currentRequest = null;
         this._cancelReason = null;
+        this._running = false;
+        this._run = null; // promise of the running query, plan or export (_exclusive)
+        this._transaction = null; // manual transaction mode: runs share it until commit / rollback
+        // Shared by the handlers of a panel's query documents (QueryDocuments).
+        this._historyFilter = historyFilter || { text: '', database: '' };
+    }
+
+    get isRunning() {
+        return this._running;
     }
 
     // Modal confirmation for destructive statements; overridable in tests.
-    async _confirmRisks(risks) {
+    async _confirmRisks(risks, details = []) {
         const selection = await vscode.window.showWarningMessage(
             'This query contains potentially destructive statements. Execute anyway?',
-            { modal: true, detail: risks.join('\n') },
+            { modal: true, detail: [...risks, ...details].join('\n') },
+            'Execute'
+        );
+        return selection === 'Execute';
+    }
+
+    // On a production connection every write is confirmed, risky or not; overridable in tests.
+    async _confirmProductionWrites(writes, risks, details = []) {
+        const selection = await vscode.window.showWarningMessage(
+            `You are connected to PRODUCTION (${this._connectionManager.getConnectionLabel()}). This query can modify data or the schema. Execute anyway?`,
+            { modal: true, detail: [...risks, ...writes, ...details].join('\n') },
+            'Execute on Production'
+        );
+        return selection === 'Execute on Production';
+    }
+
+    // A statement of the dry run changes more rows than the connection's threshold; overridable in tests.
+    async _confirmImpact(details, threshold) {
+        const selection = await vscode.window.showWarningMessage(
+            `This query changes more than ${threshold.toLocaleString('en-US')} row(s) in a single statement. Execute anyway?`,
+            { modal: true, detail: details.join('\n') },
+            'Execute'
+        );
+        return selection === 'Execute';
+    }
+
+    // Triggers fired by the query write tables it does not name; overridable in tests.
+    async _confirmTriggerCascade(details, cascade) {
+        const selection = await vscode.window.showWarningMessage(
+            `This query fires triggers that write ${cascade.cascaded.length} other table(s). Execute anyway?`,
+            { modal: true, detail: details.join('\n') },
             'Execute'
         );
         return selection === 'Execute';
     }
 
-    async handleExecuteQuery(database, query, maxRows) {
+    // "Run current statement": the webview selects the returned range, then
+    // runs it like a selection.
+    handleLocateStatement(text, offset) {
+        const range = this._statementLocator.locate(text, offset);
+        this._post(range
+            ? { command: 'statementLocated', success: true, start: range.start, end: range.end }
+            : { command: 'statementLocated', success: false, message: 'No statement at the cursor.' });
+    }
+
+    // startLine: editor line where `query` begins (a selection or the current
+    // statement), so error line numbers point into the editor.
+    // The script runs batch by batch (GO), in SQLCMD mode with :setvar,
+    // :on error and $(Var) applied (prepareBatches). With actualPlan, the
+    // actual execution plans are posted as well (executionPlan).
+    // Undeclared @variables are asked for (queryParametersRequired); the
+    // webview sends the query again with their `parameters`.
+    async handleExecuteQuery(database, query, maxRows, startLine = 1, sqlcmd = false, actualPlan = false, parameters = null) {
         if (!database) {
             this._post({ command: 'queryError', message: 'No database selected.' });
             return;
@@ -36,118 +115,830 @@ class QueryHandlers {
             this._post({ command: 'queryError', message: 'Query is empty.' });
             return;
         }
-        if (this._currentRequest) {
+        if (this._running) {
             this._post({ command: 'queryError', message: 'A query is already running. Cancel it first.' });
             return;
         }
+        await this._exclusive(async () => {
+            await this._executeQuery(database, query, maxRows, startLine, sqlcmd, actualPlan, parameters);
+            if (this._transaction) await this._postTransactionState();
+        });
+    }
 
-        if (this._riskAnalyzer) {
-            const risks = this._riskAnalyzer.analyze(query);
-            if (risks.length > 0 && !(await this._confirmRisks(risks))) {
-                this._post({
-                    command: 'queryError',
-                    message: `Execution cancelled — potentially destructive statements:\n${risks.join('\n')}`,
-                    cancelled: true
-                });
-                return;
-            }
+    // One query, plan or export at a time. Claimed before the first await:
+    // prompts and confirmations must not let a second run start.
+    async _exclusive(task) {
+        this._running = true;
+        this._cancelReason = null;
+        this._run = task();
+        try {
+            await this._run;
+        } finally {
+            this._running = false;
+            this._run = null;
         }
+    }
 
-        let request;
+    // Statements that would change data, the schema or the server, as the
+    // read-only guard classifies them (EXEC of a procedure not known to only
+    // read included): refused on a read-only connection, confirmed on
+    // production, and never re-run by an export.
+    _writeStatements(batches) {
+        const guard = this._readOnlyGuard || new ReadOnlyGuard();
+        const allowed = this._connectionManager.getReadOnlyAllowedProcedures();
+        return [...new Set(batches.flatMap(b => guard.check(b.sql, allowed)))];
+    }
+
+    async _executeQuery(database, query, maxRows, startLine, sqlcmd, actualPlan, parameters) {
+        const lineOffset = (Number(startLine) || 1) - 1;
+        let batches;
+        try {
+            batches = prepareBatches(query, { sqlcmd: !!sqlcmd });
+        } catch (error) {
+            this._post({ command: 'queryError', message: error.line ? `Line ${error.line + lineOffset}: ${error.message}` : error.message });
+            return;
+        }
+        if (batches.length === 0) {
+            this._post({ command: 'queryError', message: 'Query is empty.' });
+            return;
+        }
         try {
-            request = this._connectionManager.createRequest();
+            if (!this._bindParameters(query, batches, parameters)) return;
         } catch (error) {
             this._post({ command: 'queryError', message: error.message });
             return;
         }
+        if (parameters) await this._rememberParameters(query, parameters);
+
+        // Refused outright, before any confirmation: nothing may write on a read-only connection.
+        if (this._connectionManager.isReadOnly()) {
+            const violations = this._writeStatements(batches);
+            if (violations.length > 0) {
+                this._post({ command: 'queryError', message: `Read-only connection — the query was not run:\n${violations.join('\n')}` });
+                return;
+            }
+        }
+
+        // Risk rules, graded by the connection's policy: 'block' refuses the
+        // query here, 'confirm' asks below, 'warn' is reported with the outcome.
+        const policy = this._connectionManager.getRiskPolicy();
+        const assessed = this._riskAnalyzer ? batches.flatMap(b => this._riskAnalyzer.assess(b.sql, policy)) : [];
+        const bySeverity = severity => assessed.filter(r => r.severity === severity).map(r => r.message);
+        const blocked = bySeverity('block');
+        if (blocked.length > 0) {
+            this._post({ command: 'queryError', message: `Blocked by the connection's risk rules — the query was not run:\n${blocked.join('\n')}` });
+            return;
+        }
+        const risks = bySeverity('confirm');
+        const riskWarnings = bySeverity('warn');
 
+        // Dry run (when the connection enables it): rows each write would
+        // change, shown in the confirmations below and with the results.
+        const threshold = this._connectionManager.getImpactThreshold();
+        const impact = threshold !== null ? await this._previewImpact(database, batches, threshold) : null;
+        if (this._cancelReason && threshold !== null) {
+            this._post({
+                command: 'queryError',
+                message: this._cancelReason === 'timeout' ? `The impact preview timed out after ${QUERY_TIMEOUT_MS / 1000}s; the query was not run.` : 'Query cancelled.',
+                cancelled: this._cancelReason === 'cancelled'
+            });
+            return;
+        }
+        // Tables written through the triggers the script fires, from the cached index.
+        const triggerCascade = this._writeFootprintService && batches.some(b => ImpactPreview.writes(b.sql).length > 0)
+            ? await this._triggerCascade(database, batches)
+            : null;
+        // Listed in whichever confirmation is shown, and posted with the outcome.
+        const details = [...(impact ? ImpactPreview.lines(impact) : []), ...this._cascadeLines(triggerCascade)];
+        const report = { impact, triggerCascade, riskWarnings };
+
+        const writes = this._connectionManager.isProduction() ? this._writeStatements(batches) : [];
+        if (writes.length > 0 && !(await this._confirmProductionWrites(writes, risks, details))) {
+            this._post({
+                command: 'queryError',
+                message: `Execution cancelled — statements that can modify data or the schema on production:\n${[...risks, ...writes].join('\n')}`,
+                cancelled: true,
+                ...report
+            });
+            return;
+        }
+        if (writes.length === 0 && risks.length > 0 && !(await this._confirmRisks(risks, details))) {
+            this._post({
+                command: 'queryError',
+                message: `Execution cancelled — potentially destructive statements:\n${risks.join('\n')}`,
+                cancelled: true,
+                ...report
+            });
+            return;
+        }
+        // Not asked twice: the confirmations above already listed the details.
+        const asked = writes.length > 0 || risks.length > 0;
+        const overThreshold = !!impact && ImpactPreview.maxRows(impact.entries) > impact.threshold;
+        if (!asked && overThreshold && !(await this._confirmImpact(details, impact.threshold))) {
+            this._post({
+                command: 'queryError',
+                message: `Execution cancelled — a statement changes more than ${impact.threshold.toLocaleString('en-US')} row(s).`,
+                cancelled: true,
+                ...report
+            });
+            return;
+        }
+        if (!asked && !overThreshold && triggerCascade?.cascaded.length > 0
+            && !(await this._confirmTriggerCascade(details, triggerCascade))) {
+            this._post({
+                command: 'queryError',
+                message: `Execution cancelled — triggers would write ${triggerCascade.cascaded.join(', ')}.`,
+                cancelled: true,
+                ...report
+            });
+            return;
+        }
+
+        // maxRows is the grid's page size; further rows stay in the host (ResultStore).
         const rowCap = Number(maxRows) > 0 ? Number(maxRows) : DEFAULT_MAX_ROWS;
+        this._results.clear();
         const startedAt = Date.now();
+        const timeout = setTimeout(() => {
+            this._cancelReason = 'timeout';
+            this._cancelCurrentRequest();
+        }, QUERY_TIMEOUT_MS);
 
-        this._currentRequest = request;
-        this._cancelReason = null;
+        let run;
+        try {
+            run = await this._runBatches(database, batches, Math.max(rowCap, ResultStore.ROW_LIMIT), lineOffset,
+                actualPlan ? { setup: ['SET STATISTICS XML ON;'] } : {});
+        } finally {
+            clearTimeout(timeout);
+        }
+        if (actualPlan) this._postPlans(run.resultSets, true);
+
+        const durationMs = Date.now() - startedAt;
+        const failed = run.batches.filter(b => b.status === 'error');
+        await this._recordHistory(database, query, failed.length === 0 && !run.setupError && !this._cancelReason, durationMs);
+
+        if (this._cancelReason || run.setupError || (batches.length === 1 && failed.length > 0)) {
+            let message;
+            if (this._cancelReason === 'timeout') {
+                message = `Query timed out after ${QUERY_TIMEOUT_MS / 1000}s and was cancelled.`;
+            } else if (this._cancelReason === 'cancelled') {
+                message = 'Query cancelled.';
+            } else {
+                message = run.setupError || failed[0].message;
+                if (run.interrupted) {
+                    message += '\n\nThe connection was interrupted and is being re-established. The batch is not retried automatically: check whether it ran before running it again.';
+                }
+            }
+            if (this._cancelReason && batches.length > 1) {
+                const done = run.batches.filter(b => b.status === 'ok').length;
+                message += ` ${done} of ${batches.length} batches had completed.`;
+            }
+            this._post({ command: 'queryError', message, durationMs, cancelled: this._cancelReason === 'cancelled', ...report });
+            return;
+        }
+
+        const { rowsAffected, messages } = run;
+        const resultId = this._results.save(run.resultSets);
+        // First page of each set; availableRows are those kept for paging.
+        const resultSets = run.resultSets.map(set => ({
+            ...set, rows: set.rows.slice(0, rowCap), availableRows: set.rows.length
+        }));
+        if (batches.length === 1) {
+            this._post({ command: 'queryResult', resultSets, rowsAffected, messages, durationMs, maxRows: rowCap, resultId, ...report });
+            return;
+        }
+        // Several batches: results of the batches that ran, plus a per-batch report.
+        const batchErrors = failed.map(b => `Batch ${b.number} of ${batches.length} (line ${b.startLine}): ${b.message}`);
+        if (run.interrupted) {
+            batchErrors.push('The connection was interrupted and is being re-established; the remaining batches were not run.');
+        }
+        this._post({
+            command: 'queryResult', resultSets, rowsAffected, messages, durationMs, maxRows: rowCap, resultId,
+            batches: run.batches, batchErrors, ...report
+        });
+    }
+
+    // Footprint of the script through trigger cascades (WriteFootprintService.
+    // analyzeAdHoc); null when no trigger fires, the database is not indexed
+    // or the analysis fails — it never stops the query.
+    async _triggerCascade(database, batches) {
+        try {
+            const cascade = await this._writeFootprintService.analyzeAdHoc(database, batches.map(b => b.sql));
+            return cascade && cascade.triggersFired.length > 0 ? cascade : null;
+        } catch {
+            return null;
+        }
+    }
+
+    _cascadeLines(cascade) {
+        if (!cascade) return [];
+        const lines = [`Triggers fired: ${cascade.triggersFired.join(', ')}`];
+        if (cascade.cascaded.length > 0) lines.push(`Tables written through triggers: ${cascade.cascaded.join(', ')}`);
+        if (cascade.truncated) lines.push('The trigger cascade is deeper than analyzed.');
+        return lines;
+    }
+
+    // Runs the script once in a transaction that is rolled back, and returns
+    // the rows each write would change ({ entries, triggers, threshold,
+    // skipped, error }, see ImpactPreview). Null in manual transaction mode
+    // (a rollback would end the user's transaction) and for scripts that do
+    // not write.
+    async _previewImpact(database, batches, threshold) {
+        if (this._transaction || !this._connectionManager.beginTransaction) return null;
+        const targets = batches.flatMap(b => ImpactPreview.writes(b.sql));
+        if (targets.length === 0) return null;
+
+        const impact = { entries: [], triggers: [], threshold, skipped: null, error: null };
+        const unsafe = batches.map(b => ImpactPreview.unsafeReason(b.sql)).find(Boolean);
+        if (unsafe) impact.skipped = `the script contains ${unsafe}, which cannot be rolled back safely`;
+        else if (batches.some(b => b.repeat > 1)) impact.skipped = 'a batch is repeated (GO n)';
+        if (impact.skipped) return impact;
+
+        const timeout = setTimeout(() => {
+            this._cancelReason = 'timeout';
+            this._cancelCurrentRequest();
+        }, QUERY_TIMEOUT_MS);
+        let transaction = null;
+        try {
+            transaction = await this._connectionManager.beginTransaction();
+            await this._connectionManager.createRequest(transaction).query(`USE [${database}]; SET NOCOUNT OFF;`);
+            for (const [index, batch] of batches.entries()) {
+                const result = await this._runBatch(transaction, batch.sql, 0, batch.parameters);
+                if (this._cancelReason) break;
+                impact.entries.push(...ImpactPreview.describe(batch.sql, result.rowsAffected)
+                    .map(entry => ({ ...entry, batch: index + 1 })));
+                if (result.errors.length > 0) {
+                    impact.error = `Batch ${index + 1}: ${result.errors[0].message}`;
+                    break;
+                }
+            }
+        } catch (error) {
+            impact.error = error.message;
+        } finally {
+            clearTimeout(timeout);
+            if (transaction) {
+                try { await transaction.rollback(); } catch { /* already rolled back by the server */ }
+            }
+        }
+        if (this._cancelReason) return null;
+
+        // Triggers fire for a statement even when it changes no row.
+        if (this._writeFootprintService) {
+            const tables = [...new Set(targets.map(t => t.target).filter(Boolean))];
+            try {
+                impact.triggers = await this._writeFootprintService.triggersOn(database, tables);
+            } catch {
+                impact.triggers = null; // listed as unknown
+            }
+        }
+        return impact;
+    }
+
+    // Estimated plan of the script: compiled under SHOWPLAN_XML, not run, so
+    // the read-only and risk checks do not apply - which holds only while no
+    // batch changes the plan options (PLAN_MODE_OPTIONS).
+    async handleGetEstimatedPlan(database, query, startLine = 1, sqlcmd = false, parameters = null) {
+        if (!database || !query || !query.trim()) {
+            this._post({ command: 'executionPlan', success: false, message: !database ? 'No database selected.' : 'Query is empty.' });
+            return;
+        }
+        if (this._running) {
+            this._post({ command: 'executionPlan', success: false, message: 'A query is already running. Cancel it first.' });
+            return;
+        }
+        if (!this._connectionManager.openSession) {
+            this._post({ command: 'executionPlan', success: false, message: 'Execution plans need a dedicated session.' });
+            return;
+        }
+        await this._exclusive(() => this._getEstimatedPlan(database, query, startLine, sqlcmd, parameters));
+    }
+
+    async _getEstimatedPlan(database, query, startLine, sqlcmd, parameters) {
+        const lineOffset = (Number(startLine) || 1) - 1;
+        let batches;
+        try {
+            batches = prepareBatches(query, { sqlcmd: !!sqlcmd }).map(b => ({ ...b, repeat: 1 }));
+            if (!this._bindParameters(query, batches, parameters)) return;
+        } catch (error) {
+            this._post({ command: 'executionPlan', success: false, message: error.line ? `Line ${error.line + lineOffset}: ${error.message}` : error.message });
+            return;
+        }
+        const toggling = batches.find(b => PLAN_MODE_OPTIONS.test(b.sql));
+        if (toggling) {
+            this._post({
+                command: 'executionPlan',
+                success: false,
+                message: `Batch at line ${toggling.startLine + lineOffset} sets SHOWPLAN, STATISTICS, NOEXEC, PARSEONLY or FMTONLY: remove it to get the estimated plan.`
+            });
+            return;
+        }
 
-        // Streaming keeps memory bounded: rows beyond the cap are counted but
-        // discarded instead of accumulating in the extension host.
+        if (parameters) await this._rememberParameters(query, parameters);
+        // SHOWPLAN_XML must be alone in its batch, hence a request of its own.
+        const run = await this._runBatches(database, batches, DEFAULT_MAX_ROWS, lineOffset,
+            { setup: ['SET SHOWPLAN_XML ON;'], teardown: ['SET SHOWPLAN_XML OFF;'] });
+
+        const failed = run.batches.find(b => b.status === 'error');
+        if (this._cancelReason || run.setupError || failed) {
+            const message = this._cancelReason ? 'Cancelled.' : run.setupError || `Batch ${failed.number} (line ${failed.startLine}): ${failed.message}`;
+            this._post({ command: 'executionPlan', success: false, message });
+            return;
+        }
+        this._postPlans(run.resultSets, false);
+    }
+
+    // "Export all rows": runs the query again and streams result set
+    // `setIndex` (counted over the whole run) straight to a CSV or JSON file,
+    // without the grid's row limit and without holding the rows in memory.
+    // Running it again must be harmless, so only queries passing the
+    // read-only check are exported. Cancellable from the progress
+    // notification or the Query tab's Cancel button.
+    async handleExportAllRows(database, query, setIndex = 0, format = 'csv', startLine = 1, sqlcmd = false, parameters = null) {
+        if (!database || !query || !query.trim()) {
+            this._post({ command: 'allRowsExported', success: false, message: !database ? 'No database selected.' : 'Query is empty.' });
+            return;
+        }
+        if (this._running) {
+            this._post({ command: 'allRowsExported', success: false, message: 'A query is already running. Cancel it first.' });
+            return;
+        }
+        await this._exclusive(() => this._exportAllRows(database, query, Number(setIndex) || 0, format, startLine, sqlcmd, parameters));
+    }
+
+    async _exportAllRows(database, query, setIndex, format, startLine, sqlcmd, parameters) {
+        const fail = message => this._post({ command: 'allRowsExported', success: false, message });
+        const lineOffset = (Number(startLine) || 1) - 1;
+        if (!ResultFileWriter.FORMATS.includes(format)) {
+            fail(`Unknown export format '${format}'.`);
+            return;
+        }
+        let batches;
+        try {
+            batches = prepareBatches(query, { sqlcmd: !!sqlcmd });
+            // The values of the run being exported: the form is not shown again.
+            this._bindParameters(query, batches, parameters || []);
+        } catch (error) {
+            fail(error.line ? `Line ${error.line + lineOffset}: ${error.message}` : error.message);
+            return;
+        }
+        const violations = this._writeStatements(batches);
+        if (violations.length > 0) {
+            fail(`Export all rows runs the query again, so only queries that do not modify data can be exported:\n${violations.join('\n')}`);
+            return;
+        }
+
+        const filePath = await this._pickExportFile(`query-results${setIndex > 0 ? `-${setIndex + 1}` : ''}.${format}`, format);
+        if (!filePath) {
+            this._post({ command: 'allRowsExported', success: false, cancelled: true });
+            return;
+        }
+        let writer;
+        try {
+            writer = new ResultFileWriter(filePath, format);
+        } catch (error) {
+            fail(error.message);
+            return;
+        }
+
+        const startedAt = Date.now();
+        let setNumber = -1;
+        let found = false;
+        let writeError = null;
+        let run;
+        await this._withProgress(`SQL Wayfarer: exporting all rows to ${path.basename(filePath)}`, async (progress, token) => {
+            token.onCancellationRequested(() => this.handleCancelQuery());
+            let reported = 0;
+            // A failed write stops the query: the rest of the rows have nowhere to
+            // go. Not once cancelled: discard() closing the file then fails a drain.
+            const stop = error => {
+                if (writeError || this._cancelReason) return;
+                writeError = error;
+                this._cancelReason = 'write-error';
+                this._cancelCurrentRequest();
+            };
+            // The request is paused while the file catches up, so rows do not pile up in memory.
+            const write = (request, produce) => {
+                if (writeError) return;
+                try {
+                    if (!produce() && request.pause) {
+                        request.pause();
+                        writer.drain().then(() => request.resume(), stop);
+                    }
+                } catch (error) {
+                    stop(error);
+                }
+            };
+            const sink = {
+                recordset: (columns, request) => {
+                    setNumber++;
+                    if (setNumber !== setIndex) return;
+                    found = true;
+                    write(request, () => writer.writeHeader(columns));
+                },
+                row: (row, request) => {
+                    if (setNumber !== setIndex) return;
+                    write(request, () => writer.writeRow(row));
+                    if (writer.rows - reported >= 1000) {
+                        reported = writer.rows;
+                        progress.report({ message: `${writer.rows.toLocaleString()} row(s) written` });
+                    }
+                }
+            };
+            run = await this._runBatches(database, batches, 0, lineOffset, { sink });
+        });
+
+        const failed = run.batches.find(b => b.status === 'error');
+        if (!writeError && !this._cancelReason && !run.setupError && !failed && found) {
+            try {
+                await writer.close();
+                this._post({ command: 'allRowsExported', success: true, path: filePath, rows: writer.rows, durationMs: Date.now() - startedAt });
+                return;
+            } catch (error) {
+                writeError = error;
+            }
+        }
+        await writer.discard();
+        if (this._cancelReason === 'cancelled') {
+            this._post({ command: 'allRowsExported', success: false, cancelled: true });
+        } else if (writeError) {
+            fail(`Could not write ${path.basename(filePath)}: ${writeError.message}`);
+        } else if (run.setupError || failed) {
+            fail(run.setupError || `Batch ${failed.number} (line ${failed.startLine}): ${failed.message}`);
+        } else {
+            fail(`The query no longer returns a result set ${setIndex + 1}.`);
+        }
+    }
+
+    // Save dialog of "Export all rows"; overridable in tests.
+    async _pickExportFile(defaultName, format) {
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(folder ? folder.uri.fsPath : os.homedir(), defaultName)),
+            filters: format === 'json' ? { JSON: ['json'] } : { CSV: ['csv'] }
+        });
+        return uri ? uri.fsPath : null;
+    }
+
+    // Cancellable progress notification; overridable in tests.
+    _withProgress(title, task) {
+        return vscode.window.withProgress({ location: vscode.ProgressLocation.Notification, title, cancellable: true }, task);
+    }
+
+    // Gives each batch the input parameters for its undeclared @variables.
+    // Without values yet, posts the form with the last values used for this
+    // query and returns false. Throws on a missing or invalid value.
+    _bindParameters(query, batches, parameters) {
+        const names = [];
+        for (const name of batches.flatMap(b => QueryParameters.find(b.sql))) {
+            if (!names.some(n => n.toLowerCase() === name.toLowerCase())) names.push(name);
+        }
+        if (names.length === 0) return true;
+        if (!parameters) {
+            this._post({ command: 'queryParametersRequired', parameters: this._rememberedParameters(query, names), types: QueryParameters.TYPES });
+            return false;
+        }
+
+        const entered = new Map(parameters.map(p => [p.name.toLowerCase(), p]));
+        const values = new Map();
+        for (const name of names) {
+            const parameter = entered.get(name.toLowerCase());
+            if (!parameter) throw new Error(`Parameter ${name} has no value.`);
+            values.set(name.toLowerCase(), { name, type: parameter.type, value: QueryParameters.convert({ ...parameter, name }) });
+        }
+        for (const batch of batches) {
+            batch.parameters = QueryParameters.find(batch.sql).map(name => values.get(name.toLowerCase()));
+        }
+        return true;
+    }
+
+    _rememberedParameters(query, names) {
+        const entry = this._workspaceState.get(PARAMETERS_KEY, []).find(e => e.query === query);
+        const last = new Map(((entry && entry.parameters) || []).map(p => [p.name.toLowerCase(), p]));
+        return names.map(name => {
+            const previous = last.get(name.toLowerCase());
+            return previous
+                ? { name, type: previous.type, value: previous.value, isNull: !!previous.isNull }
+                : { name, type: 'nvarchar', value: '', isNull: false };
+        });
+    }
+
+    async _rememberParameters(query, parameters) {
+        const entries = this._workspaceState.get(PARAMETERS_KEY, []).filter(e => e.query !== query);
+        entries.unshift({ query, parameters: parameters.map(({ name, type, value, isNull }) => ({ name, type, value, isNull: !!isNull })) });
+        if (entries.length > PARAMETERS_LIMIT) entries.length = PARAMETERS_LIMIT;
+        await this._workspaceState.update(PARAMETERS_KEY, entries);
+    }
+
+    // Takes the plan result sets out of resultSets and posts them parsed.
+    _postPlans(resultSets, actual) {
+        const plans = [];
+        for (let i = resultSets.length - 1; i >= 0; i--) {
+            const set = resultSets[i];
+            if (set.columns.length === 1 && PLAN_COLUMN.test(set.columns[0])) {
+                plans.unshift(...set.rows.map(row => row[set.columns[0]]));
+                resultSets.splice(i, 1);
+            }
+        }
+        if (plans.length === 0) {
+            // The script ran no statement with a plan (DDL, SET, ...) or failed before the first one.
+            if (!actual) this._post({ command: 'executionPlan', success: false, message: 'The script produced no execution plan.' });
+            return;
+        }
+        try {
+            const statements = plans.flatMap(xml => parseExecutionPlan(xml).statements);
+            this._post({ command: 'executionPlan', success: true, actual, plan: { statements } });
+        } catch (error) {
+            this._post({ command: 'executionPlan', success: false, message: `Could not read the execution plan: ${error.message}` });
+        }
+    }
+
+    // Runs the batches in order on one session. A failed batch stops the run
+    // under `:on error exit`, on a dropped connection, or once cancelled;
+    // otherwise the next batch runs, as in SSMS.
+    // setup / teardown: SET statements run as requests of their own before
+    // and after the script (without a session they prefix every batch).
+    // sink: also hands every result set and row to sink.recordset / sink.row.
+    async _runBatches(database, batches, rowCap, lineOffset, { setup = [], teardown = [], sink = null } = {}) {
+        const run = { resultSets: [], rowsAffected: [], messages: [], batches: [], setupError: null, interrupted: false };
+
+        // In manual transaction mode the batches run inside the open transaction.
+        const transaction = this._transaction;
+        let session = null;
+        try {
+            session = transaction || (this._connectionManager.openSession ? await this._connectionManager.openSession() : null);
+            if (session) {
+                for (const statement of [`USE [${database}];`, ...setup]) {
+                    await this._connectionManager.createRequest(session).query(statement);
+                }
+            }
+        } catch (error) {
+            if (session && session !== transaction) await session.close();
+            run.setupError = error.message;
+            return run;
+        }
+
+        try {
+            let stopped = false;
+            for (const [index, batch] of batches.entries()) {
+                const report = { number: index + 1, startLine: batch.startLine + lineOffset, repeat: batch.repeat, status: 'skipped' };
+                run.batches.push(report);
+                if (stopped) continue;
+
+                const batchStarted = Date.now();
+                report.status = 'ok';
+                for (let i = 0; i < batch.repeat && report.status === 'ok' && !this._cancelReason; i++) {
+                    // Without a session (tests), every batch carries its own USE.
+                    const sql = session ? batch.sql : `${[`USE [${database}];`, ...setup].join(' ')}\n${batch.sql}`;
+                    const result = await this._runBatch(session, sql, rowCap, batch.parameters, sink);
+                    result.resultSets.forEach(set => { set.batch = report.number; });
+                    run.resultSets.push(...result.resultSets);
+                    run.rowsAffected.push(...result.rowsAffected);
+                    run.messages.push(...result.messages);
+                    if (result.errors.length > 0) {
+                        report.status = 'error';
+                        // Same error can arrive as both an event and a rejection - dedupe on text.
+                        report.message = [...new Set(result.errors.map(e =>
+                            this._formatSqlError(e, batch.startLine - 1 + lineOffset, !session)))].join('\n');
+                        if (result.errors.some(e => this._connectionManager.reportConnectionError(e))) run.interrupted = true;
+                    }
+                }
+                if (batch.repeat > 1 && report.status === 'ok') run.messages.push(`Batch execution completed ${batch.repeat} times.`);
+                report.durationMs = Date.now() - batchStarted;
+                if (this._cancelReason) report.status = 'cancelled';
+                stopped = !!this._cancelReason || run.interrupted || (report.status === 'error' && batch.exitOnError);
+            }
+        } finally {
+            if (session) {
+                for (const statement of teardown) {
+                    try { await this._connectionManager.createRequest(session).query(statement); } catch { /* reset on close anyway */ }
+                }
+                if (session !== transaction) await session.close();
+            }
+        }
+        return run;
+    }
+
+    // One execution of a batch, streamed: rows beyond the cap are counted but
+    // discarded instead of accumulating in the extension host.
+    async _runBatch(session, sql, rowCap, parameters = [], sink = null) {
+        const result = { resultSets: [], messages: [], rowsAffected: [], errors: [] };
+        let request;
+        try {
+            request = this._connectionManager.createRequest(session, parameters);
+        } catch (error) {
+            result.errors.push(error);
+            return result;
+        }
+        this._currentRequest = request;
         request.stream = true;
 
-        const resultSets = [];
-        const messages = [];
-        const rowsAffected = [];
-        const errors = [];
         let currentSet = null;
-
         request.on('recordset', columns => {
             currentSet = { columns: Object.keys(columns), rows: [], totalRows: 0 };
-            resultSets.push(currentSet);
+            result.resultSets.push(currentSet);
+            if (sink) sink.recordset(currentSet.columns, request);
         });
         request.on('row', row => {
             if (!currentSet) return;
             currentSet.totalRows++;
             if (currentSet.rows.length < rowCap) currentSet.rows.push(row);
+            if (sink) sink.row(row, request);
         });
         request.on('info', info => {
-            if (info && info.message) messages.push(info.message);
+            if (info && info.message) result.messages.push(info.message);
         });
-        request.on('rowsaffected', count => rowsAffected.push(count));
-        request.on('error', err => errors.push(err));
-
-        const timeout = setTimeout(() => {
-            this._cancelReason = 'timeout';
-            try { request.cancel(); } catch { /* request already finished */ }
-        }, QUERY_TIMEOUT_MS);
+        request.on('rowsaffected', count => result.rowsAffected.push(count));
+        request.on('error', err => result.errors.push(err));
 
         try {
             // In stream mode data arrives through events; the promise only signals
             // completion. Errors may surface here, as 'error' events, or both.
-            await request.query(`USE [${database}];\n${query}`);
+            await request.query(sql);
         } catch (error) {
-            errors.push(error);
+            result.errors.push(error);
         } finally {
-            clearTimeout(timeout);
             this._currentRequest = null;
         }
+        return result;
+    }
 
-        const durationMs = Date.now() - startedAt;
+    _cancelCurrentRequest() {
+        if (!this._currentRequest) return;
+        try { this._currentRequest.cancel(); } catch { /* request already finished */ }
+    }
 
-        if (errors.length > 0) {
-            let message;
-            if (this._cancelReason === 'timeout') {
-                message = `Query timed out after ${QUERY_TIMEOUT_MS / 1000}s and was cancelled.`;
-            } else if (this._cancelReason === 'cancelled') {
-                message = 'Query cancelled.';
-            } else {
-                // Same error can arrive as both an event and a rejection - dedupe on text.
-                message = [...new Set(errors.map(e => this._formatSqlError(e)))].join('\n');
-            }
-            await this._recordHistory(database, query, false, durationMs);
-            this._post({ command: 'queryError', message, durationMs, cancelled: this._cancelReason === 'cancelled' });
+    // === Manual transaction mode ===
+    // Instead of auto-committing each run, the runs share one transaction
+    // until Commit or Rollback. It is rolled back when the panel closes or
+    // the connection goes away (rollbackOpenTransaction).
+
+    async handleBeginTransaction() {
+        if (this._transaction) {
+            await this._postTransactionState();
             return;
         }
+        if (this._running) {
+            this._post({ command: 'transactionState', open: false, error: true, message: 'A query is running. Wait for it or cancel it first.' });
+            return;
+        }
+        try {
+            const transaction = await this._connectionManager.beginTransaction();
+            // XACT_ABORT or a severe error: the server rolled everything back.
+            transaction.on('rollback', aborted => {
+                if (!aborted || this._transaction !== transaction) return;
+                this._transaction = null;
+                this._post({ command: 'transactionState', open: false, error: true, message: 'An error aborted the transaction: the server rolled it back.' });
+            });
+            this._transaction = transaction;
+            await this._postTransactionState();
+        } catch (error) {
+            this._post({ command: 'transactionState', open: false, error: true, message: `Could not begin a transaction: ${error.message}` });
+        }
+    }
+
+    async handleCommitTransaction() {
+        await this._endTransaction('commit');
+    }
+
+    async handleRollbackTransaction() {
+        await this._endTransaction('rollback');
+    }
 
-        await this._recordHistory(database, query, true, durationMs);
-        this._post({ command: 'queryResult', resultSets, rowsAffected, messages, durationMs, maxRows: rowCap });
+    // Panel closed, disconnect or connection switch: nothing is committed implicitly.
+    // A query running in the transaction is cancelled first; mssql refuses the
+    // rollback (EREQINPROG) until that request has ended.
+    async rollbackOpenTransaction(reason) {
+        const transaction = this._transaction;
+        if (!transaction) return;
+        this._transaction = null;
+        if (this._run) {
+            this._cancelReason = 'cancelled';
+            this._cancelCurrentRequest();
+            await this._run.catch(() => {});
+        }
+        try {
+            await transaction.rollback();
+            this._post({ command: 'transactionState', open: false, message: `${reason}: the open transaction was rolled back.` });
+        } catch (error) {
+            this._post({ command: 'transactionState', open: false, error: true, message: `${reason}: the open transaction could not be rolled back: ${error.message}` });
+        }
+    }
+
+    async _endTransaction(action) {
+        const transaction = this._transaction;
+        if (!transaction) {
+            this._post({ command: 'transactionState', open: false, error: true, message: 'No transaction is open.' });
+            return;
+        }
+        if (this._running) {
+            this._post({ command: 'transactionState', open: true, error: true, message: 'A query is running. Wait for it or cancel it first.' });
+            return;
+        }
+        const done = action === 'commit' ? 'committed' : 'rolled back';
+        try {
+            await transaction[action]();
+            this._post({ command: 'transactionState', open: false, message: `Transaction ${done}.` });
+        } catch (error) {
+            // mssql releases the connection either way: the transaction is over.
+            this._post({ command: 'transactionState', open: false, error: true, message: `The transaction could not be ${done}: ${error.message}` });
+        } finally {
+            this._transaction = null;
+        }
+    }
+
+    // @@TRANCOUNT of the transaction's session: a script may have nested
+    // BEGIN TRAN or already COMMITted on its own.
+    async _postTransactionState() {
+        if (!this._transaction) return;
+        let tranCount = null;
+        try {
+            const result = await this._connectionManager.createRequest(this._transaction).query('SELECT @@TRANCOUNT AS tranCount;');
+            tranCount = result.recordset[0].tranCount;
+        } catch { /* shown as unknown */ }
+        if (this._transaction) this._post({ command: 'transactionState', open: true, tranCount });
     }
 
     handleCancelQuery() {
-        if (!this._currentRequest) return;
+        if (!this._running) return;
         this._cancelReason = 'cancelled';
-        try { this._currentRequest.cancel(); } catch { /* request already finished */ }
+        this._cancelCurrentRequest();
     }
 
-    async handleGetQueryHistory() {
-        this._post({ command: 'queryHistoryLoaded', history: this._getHistory() });
+    // A page of a result set of the last run, sorted and filtered over every
+    // row kept in the host; posted back with the grid's requestId.
+    handleGetResultPage(resultId, setIndex, offset, count, sort, filters, requestId) {
+        try {
+            const page = this._results.page(resultId, setIndex, { offset, count, sort, filters });
+            this._post({ command: 'resultPage', success: true, resultId, setIndex, offset, requestId, ...page });
+        } catch (error) {
+            this._post({ command: 'resultPage', success: false, resultId, setIndex, requestId, message: error.message });
+        }
+    }
+
+    // filter: { text, database } of the history panel's search; kept for the
+    // lists posted after later runs.
+    async handleGetQueryHistory(filter) {
+        if (filter) Object.assign(this._historyFilter, { text: String(filter.text || ''), database: String(filter.database || '') });
+        this._postHistory(this._getHistory());
     }
 
+    // Pinned entries are kept.
     async handleClearQueryHistory() {
-        await this._workspaceState.update(HISTORY_KEY, []);
-        this._post({ command: 'queryHistoryLoaded', history: [] });
+        const history = QueryHistory.clear(this._getHistory());
+        await this._workspaceState.update(HISTORY_KEY, history);
+        this._postHistory(history);
+    }
+
+    async handlePinQueryHistory(query, database, pinned) {
+        const history = QueryHistory.setPinned(this._getHistory(), { query, database }, !!pinned);
+        await this._workspaceState.update(HISTORY_KEY, history);
+        this._postHistory(history);
+    }
+
+    // The entries the history panel lists (search and database filter
+    // applied), one .sql file each, in a new folder inside the one picked.
+    async handleExportQueryHistory() {
+        const entries = QueryHistory.search(this._getHistory(), this._historyFilter);
+        if (entries.length === 0) {
+            this._post({ command: 'queryHistoryExported', success: false, message: 'No history entries to export.' });
+            return;
+        }
+        try {
+            const parent = await this._pickHistoryFolder();
+            if (!parent) {
+                this._post({ command: 'queryHistoryExported', success: false, cancelled: true });
+                return;
+            }
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+            const folder = path.join(parent, `query-history-${stamp}`);
+            await fs.promises.mkdir(folder, { recursive: true });
+            for (const [index, entry] of entries.entries()) {
+                await fs.promises.writeFile(path.join(folder, QueryHistory.fileName(entry, index)), QueryHistory.toSql(entry), 'utf8');
+            }
+            this._post({ command: 'queryHistoryExported', success: true, path: folder, count: entries.length });
+        } catch (error) {
+            this._post({ command: 'queryHistoryExported', success: false, message: error.message });
+        }
     }
 
-    _formatSqlError(error) {
+    // Folder picker of the history export; overridable in tests.
+    async _pickHistoryFolder() {
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        const picked = await vscode.window.showOpenDialog({
+            defaultUri: vscode.Uri.file(folder ? folder.uri.fsPath : os.homedir()),
+            canSelectFiles: false,
+            canSelectFolders: true,
+            canSelectMany: false,
+            openLabel: 'Export history here'
+        });
+        return picked && picked.length > 0 ? picked[0].fsPath : null;
+    }
+
+    // lineOffset: editor line of the batch's first line, minus one.
+    _formatSqlError(error, lineOffset = 0, prefixed = true) {
         const line = error.lineNumber || (error.originalError && error.originalError.info && error.originalError.info.lineNumber);
-        // The injected `USE [database];` line shifts user SQL down by one.
-        return line > 1 ? `Line ${line - 1}: ${error.message}` : error.message;
+        // An injected `USE [database];` line shifts user SQL down by one.
+        const sqlLine = prefixed ? line - 1 : line;
+        return sqlLine >= 1 ? `Line ${sqlLine + lineOffset}: ${error.message}` : error.message;
     }
 
     _getHistory() {
@@ -156,11 +947,28 @@ class QueryHandlers {
 
     // Prepend the query, dropping any older identical entry so re-runs don't pile up.
     async _recordHistory(database, query, success, durationMs) {
-        const history = this._getHistory().filter(e => !(e.query === query && e.database === database));
-        history.unshift({ query, database, success, durationMs, timestamp: Date.now() });
-        if (history.length > HISTORY_LIMIT) history.length = HISTORY_LIMIT;
+        const history = QueryHistory.record(this._getHistory(), { query, database, success, durationMs, timestamp: Date.now() },
+            this._historyLimit());
         await this._workspaceState.update(HISTORY_KEY, history);
-        this._post({ command: 'queryHistoryLoaded', history });
+        this._postHistory(history);
+    }
+
+    // Unpinned entries kept (setting sqlwayfarer.queryHistory.limit).
+    _historyLimit() {
+        const limit = Number(vscode.workspace.getConfiguration('sqlwayfarer').get('queryHistory.limit', QueryHistory.DEFAULT_LIMIT));
+        return Number.isInteger(limit) && limit > 0 ? limit : QueryHistory.DEFAULT_LIMIT;
+    }
+
+    // total and databases describe the whole history; history is what the
+    // panel's search and database filter leave.
+    _postHistory(history) {
+        this._post({
+            command: 'queryHistoryLoaded',
+            history: QueryHistory.search(history, this._historyFilter),
+            total: history.length,
+            databases: QueryHistory.databases(history),
+            filter: this._historyFilter
+        });
     }
 }
 
@@ -0,0 +1,128 @@
+'use strict';
+
+const vscode = require('vscode');
+const path = require('path');
+const SavedQueryStorage = require('../../storage/SavedQueryStorage');
+
+// The Query tab's "Saved queries" pane. Names and descriptions are asked with
+// VS Code input boxes (a webview cannot open prompts); every change posts the
+// refreshed list.
+class SavedQueryHandlers {
+    constructor(postMessage, getCurrentDatabase) {
+        this._post = postMessage;
+        this._getCurrentDatabase = getCurrentDatabase;
+    }
+
+    // Library folder: the sqlwayfarer.savedQueries.folder setting, relative
+    // to the first workspace folder unless absolute. Null without a workspace.
+    folder() {
+        const setting = vscode.workspace.getConfiguration('sqlwayfarer').get('savedQueries.folder', SavedQueryStorage.DEFAULT_FOLDER)
+            || SavedQueryStorage.DEFAULT_FOLDER;
+        if (path.isAbsolute(setting)) return setting;
+        const workspaceFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        return workspaceFolder ? path.join(workspaceFolder.uri.fsPath, setting) : null;
+    }
+
+    async handleGetSavedQueries() {
+        try {
+            const storage = this._storage();
+            this._post({ command: 'savedQueriesLoaded', success: true, queries: await storage.list(), folder: storage.folder });
+        } catch (error) {
+            this._post({ command: 'savedQueriesLoaded', success: false, queries: [], message: error.message });
+        }
+    }
+
+    // Saves the editor text under a name asked for, with the selected
+    // database as target; replacing a query keeps its description as default.
+    async handleSaveQuery(query, database) {
+        if (!String(query || '').trim()) {
+            this._post({ command: 'savedQuerySaved', success: false, message: 'Enter a query first.' });
+            return;
+        }
+        try {
+            const storage = this._storage();
+            const name = await this._askName('Name of the saved query', '');
+            if (!name) return;
+            let description = '';
+            if (await storage.exists(name)) {
+                if (!(await this._confirm(`A saved query named '${name}' already exists. Replace it?`, 'Replace'))) return;
+                description = (await storage.read(name)).description;
+            }
+            description = await this._askDescription(description);
+            if (description === undefined) return;
+            await storage.save(name, { database: database || this._getCurrentDatabase() || '', description, query });
+            this._post({ command: 'savedQuerySaved', success: true, name });
+            await this.handleGetSavedQueries();
+        } catch (error) {
+            this._post({ command: 'savedQuerySaved', success: false, message: error.message });
+        }
+    }
+
+    async handleRenameSavedQuery(name) {
+        try {
+            const storage = this._storage();
+            const newName = await this._askName(`New name for '${name}'`, name);
+            if (!newName || newName === name) return;
+            await storage.rename(name, newName);
+            await this.handleGetSavedQueries();
+        } catch (error) {
+            this._post({ command: 'savedQueryError', message: `Rename failed: ${error.message}` });
+        }
+    }
+
+    async handleDeleteSavedQuery(name) {
+        try {
+            const storage = this._storage();
+            if (!(await this._confirm(`Delete the saved query '${name}'? Its file is removed from the workspace.`, 'Delete'))) return;
+            await storage.remove(name);
+            await this.handleGetSavedQueries();
+        } catch (error) {
+            this._post({ command: 'savedQueryError', message: `Delete failed: ${error.message}` });
+        }
+    }
+
+    // run: the webview runs it at once, on the query's database when it has one.
+    async handleOpenSavedQuery(name, run = false) {
+        try {
+            const saved = await this._storage().read(name);
+            this._post({ command: 'savedQueryOpened', success: true, run: !!run, ...saved });
+        } catch (error) {
+            this._post({ command: 'savedQueryOpened', success: false, message: `Failed to open '${name}': ${error.message}` });
+        }
+    }
+
+    _storage() {
+        const folder = this.folder();
+        if (!folder) throw new Error('Open a folder or workspace to save queries.');
+        return new SavedQueryStorage(folder);
+    }
+
+    // Input box for a query name, validated as a file name; overridable in tests.
+    async _askName(prompt, value) {
+        const name = await vscode.window.showInputBox({
+            prompt,
+            value,
+            validateInput: text => {
+                try {
+                    SavedQueryStorage.checkName(text);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+        return name === undefined ? null : name.trim();
+    }
+
+    // Optional one-line description; undefined when cancelled. Overridable in tests.
+    async _askDescription(value) {
+        return vscode.window.showInputBox({ prompt: 'Description (optional)', value });
+    }
+
+    // Modal confirmation; overridable in tests.
+    async _confirm(message, action) {
+        return (await vscode.window.showWarningMessage(message, { modal: true }, action)) === action;
+    }
+}
+
+module.exports = SavedQueryHandlers;
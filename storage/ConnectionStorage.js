@@ -1,10 +1,34 @@
 'use strict';
 
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { AUTH_TYPES } = require('../database/authTypes');
+
+// Identifies a shared connections file written by exportProfile().
+const PROFILE_FORMAT = 'sqlwayfarer-connections';
+const PROFILE_VERSION = 1;
+
+// Never written to nor read from a shared profile.
+const SECRET_FIELDS = ['password', 'clientSecret', 'isLoadedConnection'];
+// Settings a saved secret belongs to: replacing a connection with an imported
+// definition that changes any of them drops the secret.
+const SECRET_BINDING_FIELDS = ['server', 'username', 'authenticationType', 'clientId', 'tenantId'];
+
+// Checked-in, per-repository connection definitions (relative to a workspace folder).
+const WORKSPACE_FILE = '.sqlwayfarer/connections.json';
+// Workspace connections are keyed apart from saved ones so names never collide.
+const WORKSPACE_PREFIX = 'workspace:';
+// Settings a workspace connection's secret is bound to, with its folder: a
+// repository declaring the same name for another server or login never gets it.
+const WORKSPACE_SECRET_FIELDS = ['server', 'port', 'username', 'authenticationType', 'clientId', 'tenantId'];
+
 // Passwords are stored in VS Code secrets API; only non-sensitive config goes in the connections map
 class ConnectionStorage {
     constructor(context) {
         this._context = context;
         this._savedConnections = new Map();
+        this._workspaceConnections = new Map();
     }
 
     async initialize() {
@@ -15,16 +39,23 @@ class ConnectionStorage {
         try {
             const { name, password } = connectionConfig;
             if (!name) throw new Error('Connection name is required');
+            if (ConnectionStorage.isWorkspaceConnection(name) || ConnectionStorage.isWorkspaceConnection(originalName)) {
+                throw new Error(`Workspace connections are edited in ${WORKSPACE_FILE}`);
+            }
 
             const isRename = !!originalName && originalName !== name;
+            const usesSecret = connectionConfig.authenticationType !== AUTH_TYPES.ACCESS_TOKEN;
 
             // On a rename without a newly typed password, carry over the existing secret
             // instead of leaving the new entry without one and the old secret orphaned.
             let secretToStore = password;
-            if (!secretToStore && isRename) {
+            if (!secretToStore && isRename && usesSecret) {
                 secretToStore = await this.getConnectionPassword(originalName);
             }
-            if (secretToStore) {
+            if (!usesSecret) {
+                // Access tokens are read at connect time: drop a secret left over from a previous mode.
+                await this._context.secrets.delete(`sqlwayfarer.password.${name}`);
+            } else if (secretToStore) {
                 await this._context.secrets.store(`sqlwayfarer.password.${name}`, secretToStore);
             }
 
@@ -49,6 +80,9 @@ class ConnectionStorage {
     async deleteConnection(connectionName) {
         try {
             if (!connectionName) throw new Error('Connection name is required');
+            if (ConnectionStorage.isWorkspaceConnection(connectionName)) {
+                throw new Error(`Workspace connections are removed from ${WORKSPACE_FILE}`);
+            }
             await this._context.secrets.delete(`sqlwayfarer.password.${connectionName}`);
             if (!this._savedConnections.delete(connectionName)) {
                 throw new Error(`Connection '${connectionName}' not found`);
@@ -69,21 +103,40 @@ class ConnectionStorage {
     }
 
     getConnection(connectionName) {
+        if (ConnectionStorage.isWorkspaceConnection(connectionName)) {
+            return this._workspaceConnections.get(connectionName) || null;
+        }
         const config = this._savedConnections.get(connectionName);
         return config ? { name: connectionName, ...config } : null;
     }
 
     async getConnectionPassword(connectionName) {
         try {
-            return await this._context.secrets.get(`sqlwayfarer.password.${connectionName}`);
+            const key = this._secretKey(connectionName);
+            return key ? await this._context.secrets.get(key) : null;
         } catch (error) {
             console.error(`Error retrieving password for connection '${connectionName}':`, error);
             return null;
         }
     }
 
+    async setConnectionPassword(connectionName, secret) {
+        const key = this._secretKey(connectionName);
+        if (!key) throw new Error(`Connection '${connectionName}' not found`);
+        await this._context.secrets.store(key, secret);
+    }
+
+    // Secrets API key of a connection's password or client secret: by name for
+    // saved connections, by the workspace connection's secretId otherwise
+    // (null while no such workspace connection is loaded).
+    _secretKey(connectionName) {
+        if (!ConnectionStorage.isWorkspaceConnection(connectionName)) return `sqlwayfarer.password.${connectionName}`;
+        const connection = this._workspaceConnections.get(connectionName);
+        return connection ? `sqlwayfarer.password.${connection.secretId}` : null;
+    }
+
     hasConnection(connectionName) {
-        return this._savedConnections.has(connectionName);
+        return this._savedConnections.has(connectionName) || this._workspaceConnections.has(connectionName);
     }
 
     // Name of the last saved connection the user connected to, used to
@@ -108,6 +161,207 @@ class ConnectionStorage {
         await this._context.globalState.update('sqlwayfarer.autoConnect', !!enabled);
     }
 
+    // === Shareable profiles ===
+
+    // Non-secret definition of the given connections (all when names is null),
+    // ready to be written to a JSON file and handed to a teammate.
+    exportProfile(names = null) {
+        const connections = this.getSavedConnections()
+            .filter(c => !names || names.includes(c.name))
+            .map(c => ConnectionStorage._withoutSecrets(c));
+        return { format: PROFILE_FORMAT, version: PROFILE_VERSION, connections };
+    }
+
+    // Validates a profile file's text and returns its connection entries.
+    static parseProfile(text) {
+        let profile;
+        try {
+            profile = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!profile || profile.format !== PROFILE_FORMAT || !Array.isArray(profile.connections)) {
+            throw new Error('Not a SQL Wayfarer connections file');
+        }
+        if (profile.version > PROFILE_VERSION) {
+            throw new Error(`Connections file version ${profile.version} is newer than this extension supports`);
+        }
+        for (const entry of profile.connections) {
+            if (!entry || typeof entry.name !== 'string' || !entry.name.trim() || typeof entry.server !== 'string') {
+                throw new Error('Every connection needs a name and a server');
+            }
+            if (ConnectionStorage.isWorkspaceConnection(entry.name.trim())) {
+                throw new Error(`Connection '${entry.name}': names starting with '${WORKSPACE_PREFIX}' are reserved for workspace connections`);
+            }
+        }
+        return profile.connections.map(c => ConnectionStorage._withoutSecrets(c));
+    }
+
+    // Merges profile entries into the saved connections. resolveCollision(name)
+    // decides the fate of an entry whose name already exists: 'replace',
+    // 'rename' (kept under a free "name (2)") or 'skip'. Imported entries carry
+    // no secret; ConnectionHandlers asks for it on first connect.
+    async importConnections(entries, resolveCollision) {
+        const result = { added: [], replaced: [], renamed: [], skipped: [] };
+
+        for (const entry of entries) {
+            let name = entry.name.trim();
+            const existing = this.getConnection(name);
+            if (existing) {
+                const action = await resolveCollision(name);
+                if (action === 'skip') {
+                    result.skipped.push(name);
+                    continue;
+                }
+                if (action === 'rename') {
+                    const renamed = this._freeName(name);
+                    result.renamed.push({ from: name, to: renamed });
+                    name = renamed;
+                } else {
+                    // A secret only stays valid for the same login on the same server,
+                    // with the same authentication mode and app registration.
+                    if (SECRET_BINDING_FIELDS.some(field => (existing[field] || '') !== (entry[field] || ''))) {
+                        await this._context.secrets.delete(`sqlwayfarer.password.${name}`);
+                    }
+                    result.replaced.push(name);
+                }
+            }
+            if (!existing) result.added.push(name);
+            this._savedConnections.set(name, { ...entry, name, password: undefined });
+        }
+
+        await this._persistConnections();
+        return result;
+    }
+
+    _freeName(name) {
+        let n = 2;
+        while (this._savedConnections.has(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+
+    static _withoutSecrets(connection) {
+        const copy = { ...connection };
+        for (const field of SECRET_FIELDS) delete copy[field];
+        return copy;
+    }
+
+    // === Workspace connections ===
+
+    // Definitions read from WORKSPACE_FILE in each workspace folder, keyed
+    // 'workspace:<name>' and labelled with their plain name for display.
+    getWorkspaceConnections() {
+        return Array.from(this._workspaceConnections.values());
+    }
+
+    static isWorkspaceConnection(connectionName) {
+        return typeof connectionName === 'string' && connectionName.startsWith(WORKSPACE_PREFIX);
+    }
+
+    // (Re)reads WORKSPACE_FILE in every given folder. A missing file is not an
+    // error; a broken one or a broken entry is reported in the returned
+    // warnings and left out, so one typo does not hide the other connections.
+    // The file comes with the repository: it chooses the server a password,
+    // a token file or ${env:} values are sent to, so nothing is loaded from an
+    // untrusted workspace.
+    async loadWorkspaceConnections(folderPaths, { trusted = false, env = process.env } = {}) {
+        const connections = new Map();
+        const warnings = [];
+
+        for (const folderPath of folderPaths) {
+            const file = path.join(folderPath, WORKSPACE_FILE);
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') warnings.push(`${file}: ${error.message}`);
+                continue;
+            }
+            if (!trusted) {
+                warnings.push(`${file}: not loaded until the workspace is trusted`);
+                continue;
+            }
+
+            let entries;
+            try {
+                entries = ConnectionStorage.parseWorkspaceFile(text);
+            } catch (error) {
+                warnings.push(`${file}: ${error.message}`);
+                continue;
+            }
+
+            for (const entry of entries) {
+                const key = WORKSPACE_PREFIX + entry.name.trim();
+                if (connections.has(key)) {
+                    warnings.push(`${file}: connection '${entry.name}' is already defined in another workspace folder`);
+                    continue;
+                }
+                try {
+                    const resolved = ConnectionStorage.substituteEnv(entry, env);
+                    const secretId = ConnectionStorage._workspaceSecretId(folderPath, key, resolved);
+                    connections.set(key, { ...resolved, name: key, label: entry.name.trim(), source: 'workspace', workspaceFile: file, secretId });
+                } catch (error) {
+                    warnings.push(`${file}: connection '${entry.name}': ${error.message}`);
+                }
+            }
+        }
+
+        // A connection of the same file now pointing at another server or
+        // login drops the secret typed for the previous one.
+        for (const [key, previous] of this._workspaceConnections) {
+            const current = connections.get(key);
+            if (current && current.workspaceFile === previous.workspaceFile && current.secretId !== previous.secretId) {
+                await this._context.secrets.delete(`sqlwayfarer.password.${previous.secretId}`);
+            }
+        }
+
+        this._workspaceConnections = connections;
+        return warnings;
+    }
+
+    static _workspaceSecretId(folderPath, key, connection) {
+        const binding = JSON.stringify([path.resolve(folderPath), key, ...WORKSPACE_SECRET_FIELDS.map(field => connection[field] ?? null)]);
+        return WORKSPACE_PREFIX + crypto.createHash('sha256').update(binding).digest('hex');
+    }
+
+    // Accepts { connections: [...] } (an exported profile works as is) or a
+    // bare array. Secrets are refused outright: this file is meant to be
+    // committed, and passwords are asked on first connect instead.
+    static parseWorkspaceFile(text) {
+        let content;
+        try {
+            content = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        const entries = Array.isArray(content) ? content : content && content.connections;
+        if (!Array.isArray(entries)) throw new Error('Expected a "connections" array');
+
+        for (const entry of entries) {
+            if (!entry || typeof entry.name !== 'string' || !entry.name.trim() || typeof entry.server !== 'string') {
+                throw new Error('Every connection needs a name and a server');
+            }
+            const secret = SECRET_FIELDS.find(field => field in entry);
+            if (secret) {
+                throw new Error(`Connection '${entry.name}' contains '${secret}': secrets do not belong in a checked-in file`);
+            }
+        }
+        return entries;
+    }
+
+    // Replaces ${env:VAR} in every string value; an unset variable is an error
+    // rather than an empty server or user name.
+    static substituteEnv(entry, env) {
+        const resolved = {};
+        for (const [key, value] of Object.entries(entry)) {
+            resolved[key] = typeof value !== 'string' ? value : value.replace(/\$\{env:([^}]+)\}/g, (match, name) => {
+                if (env[name] === undefined) throw new Error(`environment variable ${name} is not set`);
+                return env[name];
+            });
+        }
+        return resolved;
+    }
+
     async _loadSavedConnections() {
         try {
             const json = await this._context.secrets.get('sqlwayfarer.connections');
@@ -123,4 +377,6 @@ class ConnectionStorage {
     }
 }
 
+ConnectionStorage.WORKSPACE_FILE = WORKSPACE_FILE;
+
 module.exports = ConnectionStorage;
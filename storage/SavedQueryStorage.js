@@ -0,0 +1,111 @@
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Folder of the saved query library, relative to the first workspace folder
+// when the sqlwayfarer.savedQueries.folder setting is not set.
+const DEFAULT_FOLDER = '.sqlwayfarer/queries';
+// Front-matter keys, read from the leading `-- key: value` comment lines.
+const FRONT_MATTER_KEYS = ['database', 'description'];
+
+// The saved query library: one .sql file per query in a workspace folder, so
+// a team can commit its shared queries to git. The file name is the query
+// name; the target database and a description are front-matter comments:
+//
+//   -- database: Sales
+//   -- description: Orders waiting for a shipment
+//
+//   SELECT ...
+class SavedQueryStorage {
+    constructor(folder) {
+        this.folder = folder;
+    }
+
+    // [{ name, database, description }] sorted by name; an absent folder is an empty library.
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.folder);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const queries = [];
+        for (const file of files.filter(f => f.toLowerCase().endsWith('.sql'))) {
+            const { database, description } = SavedQueryStorage.parse(await fs.readFile(path.join(this.folder, file), 'utf8'));
+            queries.push({ name: file.slice(0, -4), database, description });
+        }
+        return queries.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    }
+
+    // { name, database, description, query }
+    async read(name) {
+        const text = await fs.readFile(this._file(name), 'utf8');
+        return { name, ...SavedQueryStorage.parse(text) };
+    }
+
+    async exists(name) {
+        try {
+            await fs.access(this._file(name));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async save(name, { database = '', description = '', query }) {
+        await fs.mkdir(this.folder, { recursive: true });
+        await fs.writeFile(this._file(name), SavedQueryStorage.format({ database, description, query }), 'utf8');
+    }
+
+    async rename(name, newName) {
+        if (await this.exists(newName) && name.toLowerCase() !== newName.toLowerCase()) {
+            throw new Error(`A saved query named '${newName}' already exists.`);
+        }
+        await fs.rename(this._file(name), this._file(newName));
+    }
+
+    async remove(name) {
+        await fs.unlink(this._file(name));
+    }
+
+    _file(name) {
+        return path.join(this.folder, `${SavedQueryStorage.checkName(name)}.sql`);
+    }
+
+    // Names become file names: no path separators or characters Windows refuses.
+    static checkName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('The query name is empty.');
+        if (/[\\/:*?"<>|]/.test(trimmed) || /^\.|\.$/.test(trimmed)) {
+            throw new Error(`'${trimmed}' cannot be used as a file name: avoid \\ / : * ? " < > | and leading or trailing dots.`);
+        }
+        return trimmed;
+    }
+
+    static parse(text) {
+        const lines = String(text).replace(/^\ufeff/, '').split(/\r?\n/);
+        const result = { database: '', description: '' };
+        let i = 0;
+        for (; i < lines.length; i++) {
+            const match = lines[i].match(/^--\s*(\w+)\s*:\s*(.*)$/);
+            if (!match || !FRONT_MATTER_KEYS.includes(match[1].toLowerCase())) break;
+            result[match[1].toLowerCase()] = match[2].trim();
+        }
+        // The blank line that closes the front matter is not part of the query.
+        if (i > 0 && i < lines.length && lines[i].trim() === '') i++;
+        return { ...result, query: lines.slice(i).join('\n').replace(/\s+$/, '') };
+    }
+
+    static format({ database = '', description = '', query }) {
+        const header = [];
+        if (database) header.push(`-- database: ${database}`);
+        if (description) header.push(`-- description: ${String(description).replace(/\s+/g, ' ').trim()}`);
+        return `${header.length > 0 ? `${header.join('\n')}\n\n` : ''}${String(query).replace(/\s+$/, '')}\n`;
+    }
+}
+
+SavedQueryStorage.DEFAULT_FOLDER = DEFAULT_FOLDER;
+
+module.exports = SavedQueryStorage;
@@ -113,3 +113,23 @@ suite('BabelfishSqlParser', () => {
         assert.deepStrictEqual(result['humanresources.department'], ['SELECT']);
     });
 });
+
+suite('BabelfishSqlParser.statementRanges', () => {
+    const parser = new BabelfishSqlParser();
+    parser.setEnabled(true);
+    const statements = sql => parser.statementRanges(sql).map(r => sql.slice(r.start, r.end));
+
+    test('one range per top-level statement, trailing semicolon included', () => {
+        assert.deepStrictEqual(statements('SELECT 1; SELECT a\nFROM t\nWHERE b = 2;\nUPDATE t SET a = 1 WHERE b = 2'),
+            ['SELECT 1;', 'SELECT a\nFROM t\nWHERE b = 2;', 'UPDATE t SET a = 1 WHERE b = 2']);
+    });
+
+    test('a control-flow block is a single statement', () => {
+        const sql = 'IF 1 = 1\nBEGIN\n  SELECT 1;\n  SELECT 2;\nEND\nSELECT 3';
+        assert.deepStrictEqual(statements(sql), ['IF 1 = 1\nBEGIN\n  SELECT 1;\n  SELECT 2;\nEND', 'SELECT 3']);
+    });
+
+    test('a batch with a syntax error has no boundaries', () => {
+        assert.strictEqual(parser.statementRanges('SELECT * FROM (;'), null);
+    });
+});
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const CommentsService = require('../database/CommentsService');
+
+// Connection stand-in recording the SQL sent for each write.
+function fakeConnection({ production = false, unlocked = false, readOnly = false } = {}) {
+	return {
+		queries: [],
+		isConnected: () => true,
+		isReadOnly: () => readOnly,
+		isProduction: () => production,
+		areProductionWritesUnlocked: () => unlocked,
+		options: [],
+		async executeQueryInDatabase(database, query, params, options) {
+			this.queries.push(query);
+			this.options.push(options);
+			return { recordset: [] };
+		}
+	};
+}
+
+suite('CommentsService production safeguard', () => {
+	test('writes are refused on production until unlocked', async () => {
+		const connection = fakeConnection({ production: true });
+		const service = new CommentsService(connection);
+
+		await assert.rejects(service.updateTableDescription('Db', 'dbo.Orders', 'Orders placed'), /read-only on a production/);
+		await assert.rejects(service.updateColumnDescription('Db', 'dbo.Orders', 'Id', 'Key'), /read-only on a production/);
+		await assert.rejects(service.deleteTableDescription('Db', 'dbo.Orders'), /read-only on a production/);
+		assert.strictEqual(connection.queries.length, 0);
+	});
+
+	test('read-only connections never write, even once unlocked', async () => {
+		const connection = fakeConnection({ production: true, unlocked: true, readOnly: true });
+		await assert.rejects(new CommentsService(connection).updateTableDescription('Db', 'dbo.Orders', 'x'), /read-only connection/);
+		assert.strictEqual(connection.queries.length, 0);
+	});
+
+	test('an unlocked production session and other environments can write', async () => {
+		for (const connection of [fakeConnection({ production: true, unlocked: true }), fakeConnection()]) {
+			const result = await new CommentsService(connection).updateTableDescription('Db', 'dbo.Orders', 'Orders placed');
+			assert.strictEqual(result.success, true);
+			assert.ok(connection.queries.length > 0);
+			assert.deepStrictEqual(connection.options.at(-1), { idempotent: false });
+		}
+	});
+});
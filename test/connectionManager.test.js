@@ -54,4 +54,133 @@ suite('ConnectionManager.buildConnectionConfig', () => {
 		assert.strictEqual(config.options.encrypt, false);
 		assert.strictEqual(config.options.trustServerCertificate, true);
 	});
+
+	test('read-only connections ask for ApplicationIntent=ReadOnly', async () => {
+		const config = await manager().buildConnectionConfig({ server: 'srv', readOnly: true });
+		assert.strictEqual(config.options.readOnlyIntent, true);
+	});
+
+	test('host\\INSTANCE in the server field becomes a named instance', async () => {
+		const config = await manager().buildConnectionConfig({ server: 'db01\\SQLEXPRESS' });
+		assert.strictEqual(config.server, 'db01');
+		assert.strictEqual(config.options.instanceName, 'SQLEXPRESS');
+	});
+
+	test('with a port, host\\INSTANCE connects to the port', async () => {
+		const config = await manager().buildConnectionConfig({ server: 'db01\\SQLEXPRESS', port: '1433' });
+		assert.strictEqual(config.server, 'db01');
+		assert.strictEqual(config.port, 1433);
+		assert.strictEqual(config.options.instanceName, undefined);
+	});
+});
+
+suite('ConnectionManager authentication modes', () => {
+	const sql = require('mssql');
+	const fs = require('fs');
+	const os = require('os');
+	const path = require('path');
+
+	// What mssql hands to tedious: the config is only built, never connected.
+	function tediousConfig(config) {
+		return new sql.ConnectionPool(config)._config();
+	}
+
+	test('legacy connections without a type still infer NTLM from DOMAIN\\user', async () => {
+		const config = await manager().buildConnectionConfig({
+			server: 'srv', username: 'CONTOSO\\nicolas', password: 'pw'
+		});
+		assert.strictEqual(tediousConfig(config).authentication.type, 'ntlm');
+	});
+
+	test('explicit SQL login keeps a backslash in the user name as is', async () => {
+		const config = await manager().buildConnectionConfig({
+			server: 'srv', authenticationType: 'sql', username: 'odd\\name', password: 'pw'
+		});
+		assert.strictEqual(config.domain, undefined);
+		assert.strictEqual(tediousConfig(config).authentication.type, 'default');
+	});
+
+	test('Windows mode rejects a user name without a domain', async () => {
+		await assert.rejects(
+			manager().buildConnectionConfig({ server: 'srv', authenticationType: 'windows', username: 'nicolas', password: 'pw' }),
+			/DOMAIN\\user/
+		);
+	});
+
+	test('Entra password maps to azure-active-directory-password', async () => {
+		const config = await manager().buildConnectionConfig({
+			server: 'srv.database.windows.net', authenticationType: 'entraPassword',
+			username: 'me@contoso.com', password: 'pw', clientId: 'app-id', tenantId: 'tenant-id'
+		});
+		const auth = tediousConfig(config).authentication;
+		assert.strictEqual(auth.type, 'azure-active-directory-password');
+		assert.deepStrictEqual(auth.options, { userName: 'me@contoso.com', password: 'pw', clientId: 'app-id', tenantId: 'tenant-id' });
+	});
+
+	test('Entra password requires a client ID', async () => {
+		await assert.rejects(
+			manager().buildConnectionConfig({ server: 'srv', authenticationType: 'entraPassword', username: 'me', password: 'pw' }),
+			/client ID/
+		);
+	});
+
+	test('service principal uses the stored secret as client secret', async () => {
+		const config = await manager('s3cret').buildConnectionConfig({
+			name: 'prod', server: 'srv', authenticationType: 'servicePrincipal',
+			clientId: 'app-id', tenantId: 'tenant-id', isLoadedConnection: true
+		});
+		const auth = tediousConfig(config).authentication;
+		assert.strictEqual(auth.type, 'azure-active-directory-service-principal-secret');
+		assert.deepStrictEqual(auth.options, { clientId: 'app-id', clientSecret: 's3cret', tenantId: 'tenant-id' });
+	});
+
+	test('access token is read from an environment variable', async () => {
+		process.env.SQLWAYFARER_TEST_TOKEN = '  eyJ0eXAi  \n';
+		try {
+			const config = await manager().buildConnectionConfig({
+				server: 'srv', authenticationType: 'accessToken', tokenSource: 'env', tokenEnvVar: 'SQLWAYFARER_TEST_TOKEN'
+			});
+			const auth = tediousConfig(config).authentication;
+			assert.strictEqual(auth.type, 'azure-active-directory-access-token');
+			assert.strictEqual(auth.options.token, 'eyJ0eXAi');
+		} finally {
+			delete process.env.SQLWAYFARER_TEST_TOKEN;
+		}
+	});
+
+	test('access token is read from a file, and needs no stored secret', async () => {
+		const file = path.join(os.tmpdir(), `sqlwayfarer-token-${process.pid}.txt`);
+		fs.writeFileSync(file, 'file-token\n');
+		try {
+			const config = await manager(null).buildConnectionConfig({
+				name: 'azure', server: 'srv', authenticationType: 'accessToken',
+				tokenSource: 'file', tokenFile: file, isLoadedConnection: true
+			});
+			assert.strictEqual(config.authentication.options.token, 'file-token');
+		} finally {
+			fs.unlinkSync(file);
+		}
+	});
+
+	test('missing token environment variable is reported by name', async () => {
+		await assert.rejects(
+			manager().buildConnectionConfig({ server: 'srv', authenticationType: 'accessToken', tokenSource: 'env', tokenEnvVar: 'SQLWAYFARER_UNSET_VAR' }),
+			/SQLWAYFARER_UNSET_VAR/
+		);
+	});
+});
+
+suite('ConnectionManager.createRequest', () => {
+	test('query parameters get their mssql type, decimals scaled to the digits typed', () => {
+		const inputs = [];
+		const session = { request: () => ({ input: (name, type, value) => inputs.push({ name, type, value }) }) };
+		manager().createRequest(session, [
+			{ name: '@Amount', type: 'decimal', value: '12345678901234567.891' },
+			{ name: '@Id', type: 'bigint', value: '9007199254740993' }
+		]);
+		assert.deepStrictEqual(inputs.map(i => i.name), ['Amount', 'Id']);
+		assert.strictEqual(inputs[0].type.precision, 38);
+		assert.strictEqual(inputs[0].type.scale, 3);
+		assert.strictEqual(inputs[0].value, '12345678901234567.891');
+	});
 });
@@ -0,0 +1,299 @@
+const assert = require('assert');
+const sql = require('mssql');
+const { EventEmitter } = require('events');
+const ConnectionRegistry = require('../database/ConnectionRegistry');
+const ConnectionManager = require('../database/ConnectionManager');
+
+// Stands in for mssql pools: connects instantly, records its config and closure.
+class FakePool {
+	constructor(config) {
+		this.config = config;
+		this.connected = false;
+		this.closed = false;
+	}
+	async connect() {
+		if (this.config.fail) throw new Error('Login failed');
+		this.connected = true;
+	}
+	async close() {
+		this.connected = false;
+		this.closed = true;
+	}
+	on() {}
+	request() {
+		return {
+			input: () => {},
+			query: async sqlText => {
+				const failure = FakePool.failures.shift();
+				if (failure) throw failure;
+				return { sqlText, pool: this };
+			}
+		};
+	}
+}
+// Errors thrown by the next queries, in order (across pools).
+FakePool.failures = [];
+
+const transient = (props) => Object.assign(new Error('transient'), props);
+
+suite('ConnectionRegistry', () => {
+	const realPool = sql.ConnectionPool;
+	setup(() => { sql.ConnectionPool = FakePool; FakePool.failures = []; });
+	teardown(() => { sql.ConnectionPool = realPool; });
+
+	const build = cfg => async () => ({ server: cfg.server, fail: cfg.fail });
+
+	test('reuses the open pool for the same key and settings', async () => {
+		const registry = new ConnectionRegistry();
+		const cfg = { name: 'Dev', server: 'dev-sql', password: 'pw' };
+		const first = await registry.open('Dev', cfg, build(cfg));
+		const second = await registry.open('Dev', { ...cfg }, build(cfg));
+		assert.strictEqual(first, second);
+		assert.strictEqual(first.config.password, undefined);
+	});
+
+	test('keeps several connections open side by side', async () => {
+		const registry = new ConnectionRegistry();
+		const dev = { name: 'Dev', server: 'dev-sql', environment: 'dev' };
+		const prod = { name: 'Prod', server: 'prod-sql', label: 'Production', environment: 'production' };
+		await registry.open('Dev', dev, build(dev));
+		await registry.open('Prod', prod, build(prod));
+		assert.deepStrictEqual(registry.list(), [
+			{ key: 'Dev', label: 'Dev', server: 'dev-sql', environment: 'dev', status: 'connected' },
+			{ key: 'Prod', label: 'Production', server: 'prod-sql', environment: 'production', status: 'connected' }
+		]);
+	});
+
+	test('reopens a connection whose settings changed', async () => {
+		const registry = new ConnectionRegistry();
+		const before = { name: 'Dev', server: 'dev-sql' };
+		const after = { name: 'Dev', server: 'dev-sql-2' };
+		const first = await registry.open('Dev', before, build(before));
+		const second = await registry.open('Dev', after, build(after));
+		assert.notStrictEqual(first, second);
+		assert.ok(first.pool.closed);
+		assert.strictEqual(registry.get('Dev').pool.config.server, 'dev-sql-2');
+	});
+
+	test('an edited connection is not reopened under an open manual transaction', async () => {
+		const registry = new ConnectionRegistry();
+		const before = { name: 'Dev', server: 'dev-sql' };
+		const after = { name: 'Dev', server: 'dev-sql-2' };
+		const first = await registry.open('Dev', before, build(before));
+		const transaction = new EventEmitter();
+		registry.trackTransaction('Dev', transaction);
+
+		await assert.rejects(registry.open('Dev', after, build(after)), /manual transaction is open/);
+		assert.strictEqual(registry.get('Dev'), first);
+		assert.strictEqual(first.pool.closed, false);
+
+		transaction.emit('rollback', false);
+		const second = await registry.open('Dev', after, build(after));
+		assert.notStrictEqual(second, first);
+		assert.ok(first.pool.closed);
+	});
+
+	test('concurrent opens of one key share a single pool', async () => {
+		const registry = new ConnectionRegistry();
+		const cfg = { name: 'Dev', server: 'dev-sql' };
+		const [a, b] = await Promise.all([registry.open('Dev', cfg, build(cfg)), registry.open('Dev', cfg, build(cfg))]);
+		assert.strictEqual(a, b);
+	});
+
+	test('a failed open leaves nothing registered', async () => {
+		const registry = new ConnectionRegistry();
+		const cfg = { name: 'Dev', server: 'dev-sql', fail: true };
+		await assert.rejects(registry.open('Dev', cfg, build(cfg)), /Login failed/);
+		assert.strictEqual(registry.get('Dev'), null);
+	});
+
+	test('close and closeAll emit change and close the pools', async () => {
+		const registry = new ConnectionRegistry();
+		const dev = { name: 'Dev', server: 'dev-sql' };
+		const test_ = { name: 'Test', server: 'test-sql' };
+		const entry = await registry.open('Dev', dev, build(dev));
+		await registry.open('Test', test_, build(test_));
+		let changes = 0;
+		registry.on('change', () => changes++);
+		await registry.closeAll();
+		assert.strictEqual(changes, 2);
+		assert.ok(entry.pool.closed);
+		assert.deepStrictEqual(registry.list(), []);
+	});
+
+	test('recover keeps a pool that answers the ping', async () => {
+		const registry = new ConnectionRegistry({ healthCheckIntervalMs: 0 });
+		const cfg = { name: 'Dev', server: 'dev-sql' };
+		const entry = await registry.open('Dev', cfg, build(cfg));
+		const pool = entry.pool;
+		const statuses = [];
+		registry.on('status', (key, status) => statuses.push(status));
+		assert.ok(await registry.recover('Dev'));
+		assert.strictEqual(entry.pool, pool);
+		assert.deepStrictEqual(statuses, ['reconnecting', 'connected']);
+	});
+
+	test('recover rebuilds a dead pool in place', async () => {
+		const registry = new ConnectionRegistry({ healthCheckIntervalMs: 0 });
+		const cfg = { name: 'Dev', server: 'dev-sql' };
+		const entry = await registry.open('Dev', cfg, build(cfg));
+		const dead = entry.pool;
+		FakePool.failures.push(transient({ code: 'ESOCKET' })); // the ping
+		assert.ok(await registry.recover('Dev'));
+		assert.notStrictEqual(entry.pool, dead);
+		assert.ok(dead.closed);
+		assert.strictEqual(registry.getStatus('Dev'), 'connected');
+	});
+
+	test('reconnect gives up after the backoff and marks the connection lost', async () => {
+		const registry = new ConnectionRegistry({ healthCheckIntervalMs: 0, reconnectDelaysMs: [0, 0] });
+		const cfg = { name: 'Dev', server: 'dev-sql' };
+		let builds = 0;
+		await registry.open('Dev', cfg, async () => ({ server: 'dev-sql', fail: builds++ > 0 }));
+		registry.get('Dev').pool.connected = false;
+		assert.ok(!(await registry.reconnect('Dev')));
+		assert.strictEqual(registry.getStatus('Dev'), 'lost');
+		assert.strictEqual(builds, 3);
+	});
+
+	test('checkHealth brings a lost connection back', async () => {
+		const registry = new ConnectionRegistry({ healthCheckIntervalMs: 0 });
+		const cfg = { name: 'Dev', server: 'dev-sql' };
+		await registry.open('Dev', cfg, build(cfg));
+		registry.markLost('Dev');
+		await registry.checkHealth();
+		assert.strictEqual(registry.getStatus('Dev'), 'connected');
+	});
+
+	test('_sameSettings ignores the secret and empty fields', () => {
+		assert.ok(ConnectionRegistry._sameSettings(
+			{ server: 'a', password: 'x', port: '' },
+			{ server: 'a', password: 'y' }
+		));
+		assert.ok(!ConnectionRegistry._sameSettings({ server: 'a', database: 'x' }, { server: 'a', database: 'y' }));
+	});
+});
+
+suite('ConnectionManager bound to a shared registry', () => {
+	const realPool = sql.ConnectionPool;
+	setup(() => { sql.ConnectionPool = FakePool; FakePool.failures = []; });
+	teardown(() => { sql.ConnectionPool = realPool; });
+
+	const storage = { getConnectionPassword: async () => null, getConnection: () => null };
+
+	test('two panels bind to different connections of one registry', async () => {
+		const registry = new ConnectionRegistry();
+		const left = new ConnectionManager(storage, registry);
+		const right = new ConnectionManager(storage, registry);
+		await left.connect({ name: 'Dev', server: 'dev-sql' });
+		await right.connect({ name: 'Prod', server: 'prod-sql', environment: 'production' });
+
+		assert.strictEqual(left.getServerName(), 'dev-sql');
+		assert.strictEqual(right.getServerName(), 'prod-sql');
+		assert.ok(!left.isProduction());
+		assert.ok(right.isProduction());
+	});
+
+	test('switching keeps the previous pool open and bind() reuses it', async () => {
+		const registry = new ConnectionRegistry();
+		const manager = new ConnectionManager(storage, registry);
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		const devPool = registry.get('Dev').pool;
+		await manager.connect({ name: 'Test', server: 'test-sql' });
+		assert.ok(devPool.connected);
+
+		manager.bind('Dev');
+		assert.strictEqual(manager.getActiveKey(), 'Dev');
+		assert.strictEqual(manager.getServerName(), 'dev-sql');
+	});
+
+	test('disconnect from one panel unbinds the others', async () => {
+		const registry = new ConnectionRegistry();
+		const left = new ConnectionManager(storage, registry);
+		const right = new ConnectionManager(storage, registry);
+		await left.connect({ name: 'Dev', server: 'dev-sql' });
+		right.bind('Dev');
+
+		await left.disconnect();
+		assert.strictEqual(right.getActiveKey(), null);
+		assert.throws(() => right.bind('Dev'), /no longer open/);
+	});
+
+	test('switching resets the production unlock', async () => {
+		const registry = new ConnectionRegistry();
+		const manager = new ConnectionManager(storage, registry);
+		await manager.connect({ name: 'Prod', server: 'prod-sql', environment: 'production' });
+		manager.unlockProductionWrites();
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		manager.bind('Prod');
+		assert.ok(!manager.areProductionWritesUnlocked());
+	});
+
+	test('connectionKey: saved connections by name, ad-hoc ones by server and login', () => {
+		assert.strictEqual(ConnectionManager.connectionKey({ name: 'Dev', server: 'x' }), 'Dev');
+		assert.strictEqual(
+			ConnectionManager.connectionKey({ server: 'srv', database: 'App', username: 'sa', authenticationType: 'sql' }),
+			'adhoc:srv||App|sql|sa'
+		);
+	});
+
+	test('isTransientError: Azure failover numbers and socket resets, nested or not', () => {
+		assert.ok(ConnectionManager.isTransientError(transient({ number: 40613 })));
+		assert.ok(ConnectionManager.isTransientError(transient({ number: 10928 })));
+		assert.ok(ConnectionManager.isTransientError(transient({ originalError: transient({ code: 'ECONNRESET' }) })));
+		assert.ok(!ConnectionManager.isTransientError(transient({ number: 208 })));
+		assert.ok(!ConnectionManager.isTransientError(transient({ code: 'ETIMEOUT' })));
+	});
+
+	test('executeQuery retries transient errors and succeeds', async () => {
+		const manager = new ConnectionManager(storage, new ConnectionRegistry({ healthCheckIntervalMs: 0 }));
+		manager._retryDelaysMs = [0, 0, 0];
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		FakePool.failures.push(transient({ number: 40613 }), transient({ number: 40197 }));
+		const result = await manager.executeQuery('SELECT 1 AS x');
+		assert.strictEqual(result.sqlText, 'SELECT 1 AS x');
+		assert.strictEqual(manager.getConnectionStatus(), 'connected');
+	});
+
+	test('executeQuery does not retry ordinary SQL errors', async () => {
+		const manager = new ConnectionManager(storage, new ConnectionRegistry({ healthCheckIntervalMs: 0 }));
+		manager._retryDelaysMs = [0, 0, 0];
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		FakePool.failures.push(transient({ number: 208, message: 'Invalid object name' }), transient({ number: 40613 }));
+		await assert.rejects(manager.executeQuery('SELECT * FROM nope'), /Invalid object name/);
+		assert.strictEqual(FakePool.failures.length, 1);
+	});
+
+	test('executeQuery rethrows once the retries are used up', async () => {
+		const manager = new ConnectionManager(storage, new ConnectionRegistry({ healthCheckIntervalMs: 0 }));
+		manager._retryDelaysMs = [0];
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		const reset = transient({ code: 'ESOCKET' });
+		// query, ping (so the pool is rebuilt), retried query
+		FakePool.failures.push(reset, reset, reset);
+		await assert.rejects(manager.executeQuery('SELECT 1'), /transient/);
+		assert.strictEqual(manager.getConnectionStatus(), 'connected');
+	});
+
+	test('executeQuery does not replay a write interrupted on the way', async () => {
+		const registry = new ConnectionRegistry({ healthCheckIntervalMs: 0, reconnectDelaysMs: [0] });
+		const manager = new ConnectionManager(storage, registry);
+		manager._retryDelaysMs = [0, 0, 0];
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		let reconnects = 0;
+		registry.reconnect = async () => { reconnects++; return true; };
+		FakePool.failures.push(transient({ code: 'ECONNRESET' }), transient({ number: 40613 }));
+		await assert.rejects(manager.executeQuery('EXEC sp_addextendedproperty', null, { idempotent: false }), /transient/);
+		assert.strictEqual(FakePool.failures.length, 1);
+		assert.strictEqual(reconnects, 1);
+	});
+
+	test('executeQuery sends a write again when the connection was not open', async () => {
+		const manager = new ConnectionManager(storage, new ConnectionRegistry({ healthCheckIntervalMs: 0 }));
+		manager._retryDelaysMs = [0, 0, 0];
+		await manager.connect({ name: 'Dev', server: 'dev-sql' });
+		FakePool.failures.push(transient({ code: 'ECONNCLOSED' }));
+		const result = await manager.executeQuery('EXEC sp_addextendedproperty', null, { idempotent: false });
+		assert.strictEqual(result.sqlText, 'EXEC sp_addextendedproperty');
+	});
+});
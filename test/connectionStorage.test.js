@@ -0,0 +1,285 @@
+const assert = require('assert');
+const ConnectionStorage = require('../storage/ConnectionStorage');
+
+// In-memory stand-ins for the extension context's secrets and globalState.
+function makeContext() {
+	const secrets = new Map();
+	const state = new Map();
+	return {
+		secretStore: secrets,
+		secrets: {
+			get: async k => secrets.get(k),
+			store: async (k, v) => { secrets.set(k, v); },
+			delete: async k => { secrets.delete(k); }
+		},
+		globalState: {
+			get: k => state.get(k),
+			update: async (k, v) => { state.set(k, v); }
+		}
+	};
+}
+
+async function storageWith(connections) {
+	const storage = new ConnectionStorage(makeContext());
+	await storage.initialize();
+	for (const c of connections) await storage.saveConnection(c);
+	return storage;
+}
+
+suite('ConnectionStorage shareable profiles', () => {
+	test('export carries every connection setting but no secret', async () => {
+		const storage = await storageWith([
+			{ name: 'dev', server: 'devsrv', username: 'sa', password: 'pw', encrypt: true },
+			{ name: 'azure', server: 'x.database.windows.net', authenticationType: 'servicePrincipal', clientId: 'app', tenantId: 't', password: 'secret' }
+		]);
+
+		const profile = storage.exportProfile();
+		assert.strictEqual(profile.format, 'sqlwayfarer-connections');
+		assert.strictEqual(profile.connections.length, 2);
+		assert.ok(!JSON.stringify(profile).includes('pw'), 'password must not be exported');
+		assert.ok(!JSON.stringify(profile).includes('secret'), 'client secret must not be exported');
+		assert.strictEqual(profile.connections.find(c => c.name === 'azure').clientId, 'app');
+	});
+
+	test('export can be limited to selected connections', async () => {
+		const storage = await storageWith([
+			{ name: 'a', server: 's1' }, { name: 'b', server: 's2' }
+		]);
+		assert.deepStrictEqual(storage.exportProfile(['b']).connections.map(c => c.name), ['b']);
+	});
+
+	test('parseProfile rejects foreign files and incomplete entries', () => {
+		assert.throws(() => ConnectionStorage.parseProfile('{oops'), /Invalid JSON/);
+		assert.throws(() => ConnectionStorage.parseProfile('[]'), /Not a SQL Wayfarer/);
+		assert.throws(
+			() => ConnectionStorage.parseProfile(JSON.stringify({ format: 'sqlwayfarer-connections', version: 1, connections: [{ name: 'x' }] })),
+			/name and a server/
+		);
+	});
+
+	test('parseProfile drops secrets a hand-edited file may contain', () => {
+		const entries = ConnectionStorage.parseProfile(JSON.stringify({
+			format: 'sqlwayfarer-connections', version: 1,
+			connections: [{ name: 'x', server: 's', password: 'leak' }]
+		}));
+		assert.strictEqual(entries[0].password, undefined);
+	});
+
+	test('import merges new names and resolves collisions per entry', async () => {
+		const storage = await storageWith([
+			{ name: 'dev', server: 'devsrv', username: 'sa', password: 'pw' },
+			{ name: 'qa', server: 'qasrv', username: 'sa', password: 'qapw' },
+			{ name: 'prod', server: 'prodsrv', username: 'sa', password: 'prodpw' }
+		]);
+		const decisions = { dev: 'skip', qa: 'rename', prod: 'replace' };
+
+		const result = await storage.importConnections([
+			{ name: 'dev', server: 'other' },
+			{ name: 'qa', server: 'qa2' },
+			{ name: 'prod', server: 'prodsrv2', username: 'sa' },
+			{ name: 'new', server: 'newsrv' }
+		], async name => decisions[name]);
+
+		assert.deepStrictEqual(result.added, ['new']);
+		assert.deepStrictEqual(result.skipped, ['dev']);
+		assert.deepStrictEqual(result.renamed, [{ from: 'qa', to: 'qa (2)' }]);
+		assert.deepStrictEqual(result.replaced, ['prod']);
+
+		assert.strictEqual(storage.getConnection('dev').server, 'devsrv');
+		assert.strictEqual(storage.getConnection('qa').server, 'qasrv');
+		assert.strictEqual(storage.getConnection('qa (2)').server, 'qa2');
+		assert.strictEqual(storage.getConnection('prod').server, 'prodsrv2');
+		// The replaced entry points at another server: its old secret must not follow.
+		assert.strictEqual(await storage.getConnectionPassword('prod'), undefined);
+		assert.strictEqual(await storage.getConnectionPassword('qa'), 'qapw');
+	});
+
+	test('replacing with the same server and login keeps the saved secret', async () => {
+		const storage = await storageWith([{ name: 'dev', server: 'devsrv', username: 'sa', password: 'pw' }]);
+		await storage.importConnections([{ name: 'dev', server: 'devsrv', username: 'sa', port: '1434' }], async () => 'replace');
+		assert.strictEqual(await storage.getConnectionPassword('dev'), 'pw');
+		assert.strictEqual(storage.getConnection('dev').port, '1434');
+	});
+
+	test('replacing with another authentication mode or app registration drops the saved secret', async () => {
+		const storage = await storageWith([
+			{ name: 'sql', server: 'srv', username: 'sa', authenticationType: 'sql', password: 'pw' },
+			{ name: 'sp', server: 'srv', authenticationType: 'servicePrincipal', clientId: 'app', tenantId: 't', password: 'secret' }
+		]);
+		await storage.importConnections([
+			{ name: 'sql', server: 'srv', username: 'sa', authenticationType: 'servicePrincipal', clientId: 'app', tenantId: 't' },
+			{ name: 'sp', server: 'srv', authenticationType: 'servicePrincipal', clientId: 'other-app', tenantId: 't' }
+		], async () => 'replace');
+		assert.strictEqual(await storage.getConnectionPassword('sql'), undefined);
+		assert.strictEqual(await storage.getConnectionPassword('sp'), undefined);
+	});
+
+	test('parseProfile rejects names reserved for workspace connections', () => {
+		assert.throws(
+			() => ConnectionStorage.parseProfile(JSON.stringify({ format: 'sqlwayfarer-connections', version: 1, connections: [{ name: 'workspace:Prod', server: 's' }] })),
+			/reserved for workspace connections/
+		);
+	});
+});
+
+suite('ConnectionStorage workspace connections', () => {
+	const fs = require('fs');
+	const os = require('os');
+	const path = require('path');
+
+	const trusted = { trusted: true };
+
+	// A throwaway workspace folder holding .sqlwayfarer/connections.json.
+	function workspaceWith(content) {
+		const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlwayfarer-ws-'));
+		fs.mkdirSync(path.join(folder, '.sqlwayfarer'));
+		fs.writeFileSync(path.join(folder, ConnectionStorage.WORKSPACE_FILE),
+			typeof content === 'string' ? content : JSON.stringify(content));
+		return folder;
+	}
+
+	test('loads entries under a workspace key, apart from saved connections', async () => {
+		const storage = await storageWith([{ name: 'dev', server: 'mine' }]);
+		const folder = workspaceWith({ connections: [{ name: 'dev', server: 'shared', database: 'App' }] });
+
+		assert.deepStrictEqual(await storage.loadWorkspaceConnections([folder], trusted), []);
+
+		const [ws] = storage.getWorkspaceConnections();
+		assert.strictEqual(ws.name, 'workspace:dev');
+		assert.strictEqual(ws.label, 'dev');
+		assert.strictEqual(ws.source, 'workspace');
+		assert.strictEqual(storage.getConnection('workspace:dev').server, 'shared');
+		assert.strictEqual(storage.getConnection('dev').server, 'mine');
+		assert.strictEqual(storage.getSavedConnections().length, 1);
+	});
+
+	test('substitutes ${env:VAR} and reports unset variables per entry', async () => {
+		const storage = await storageWith([]);
+		const folder = workspaceWith([
+			{ name: 'ci', server: '${env:DB_HOST}', username: '${env:DB_USER}_ro' },
+			{ name: 'broken', server: '${env:SQLWAYFARER_UNSET_VAR}' }
+		]);
+
+		const warnings = await storage.loadWorkspaceConnections([folder], { trusted: true, env: { DB_HOST: 'db.ci', DB_USER: 'build' } });
+
+		const ci = storage.getConnection('workspace:ci');
+		assert.strictEqual(ci.server, 'db.ci');
+		assert.strictEqual(ci.username, 'build_ro');
+		assert.strictEqual(storage.getConnection('workspace:broken'), null);
+		assert.strictEqual(warnings.length, 1);
+		assert.match(warnings[0], /SQLWAYFARER_UNSET_VAR is not set/);
+	});
+
+	test('refuses a file carrying secrets', async () => {
+		const storage = await storageWith([]);
+		const folder = workspaceWith([{ name: 'prod', server: 'p', password: 'oops' }]);
+		const warnings = await storage.loadWorkspaceConnections([folder], trusted);
+		assert.strictEqual(storage.getWorkspaceConnections().length, 0);
+		assert.match(warnings[0], /contains 'password'/);
+	});
+
+	test('a folder without the file is silently skipped, and a reload drops removed entries', async () => {
+		const storage = await storageWith([]);
+		const folder = workspaceWith([{ name: 'a', server: 's' }]);
+		await storage.loadWorkspaceConnections([folder], trusted);
+		assert.strictEqual(storage.getWorkspaceConnections().length, 1);
+
+		fs.rmSync(path.join(folder, '.sqlwayfarer'), { recursive: true });
+		assert.deepStrictEqual(await storage.loadWorkspaceConnections([folder], trusted), []);
+		assert.strictEqual(storage.getWorkspaceConnections().length, 0);
+	});
+
+	test('workspace connections cannot be saved over or deleted', async () => {
+		const storage = await storageWith([]);
+		await storage.loadWorkspaceConnections([workspaceWith([{ name: 'a', server: 's' }])], trusted);
+		assert.strictEqual((await storage.deleteConnection('workspace:a')).success, false);
+		assert.strictEqual((await storage.saveConnection({ name: 'workspace:a', server: 'x' })).success, false);
+		assert.strictEqual(storage.getConnection('workspace:a').server, 's');
+	});
+	test('nothing is loaded from an untrusted workspace', async () => {
+		const storage = await storageWith([]);
+		const folder = workspaceWith([{ name: 'prod', server: '${env:HOME}', tokenFile: '/home/me/.azure/token' }]);
+		const warnings = await storage.loadWorkspaceConnections([folder], { env: { HOME: '/home/me' } });
+		assert.strictEqual(storage.getWorkspaceConnections().length, 0);
+		assert.match(warnings[0], /not loaded until the workspace is trusted/);
+	});
+
+	test('a workspace secret is bound to its folder, server and login', async () => {
+		const storage = await storageWith([]);
+		const mine = workspaceWith([{ name: 'Prod', server: 'prod-sql', username: 'app' }]);
+		await storage.loadWorkspaceConnections([mine], trusted);
+		await storage.setConnectionPassword('workspace:Prod', 'pw');
+		assert.strictEqual(await storage.getConnectionPassword('workspace:Prod'), 'pw');
+
+		// Another repository declaring a "Prod" of its own gets no secret.
+		const other = workspaceWith([{ name: 'Prod', server: 'attacker.example', username: 'app' }]);
+		await storage.loadWorkspaceConnections([other], trusted);
+		assert.strictEqual(await storage.getConnectionPassword('workspace:Prod'), undefined);
+
+		// Neither does the same folder once its file points at another server,
+		// and the old secret is dropped.
+		await storage.loadWorkspaceConnections([mine], trusted);
+		assert.strictEqual(await storage.getConnectionPassword('workspace:Prod'), 'pw');
+		const before = storage._context.secretStore.size;
+		fs.writeFileSync(path.join(mine, ConnectionStorage.WORKSPACE_FILE), JSON.stringify([{ name: 'Prod', server: 'elsewhere', username: 'app' }]));
+		await storage.loadWorkspaceConnections([mine], trusted);
+		assert.strictEqual(await storage.getConnectionPassword('workspace:Prod'), undefined);
+		assert.strictEqual(storage._context.secretStore.size, before - 1);
+	});
+});
+
+suite('ConnectionHandlers import', () => {
+	const fs = require('fs');
+	const os = require('os');
+	const path = require('path');
+	const ConnectionHandlers = require('../panels/handlers/ConnectionHandlers');
+
+	const profileFile = connections => {
+		const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sqlwayfarer-import-')), 'connections.json');
+		fs.writeFileSync(file, JSON.stringify({ format: 'sqlwayfarer-connections', version: 1, connections }));
+		return file;
+	};
+	const handlersFor = (storage, file, decisions = {}) => {
+		const posts = [];
+		const handlers = new ConnectionHandlers(m => posts.push(m), null, storage);
+		handlers._pickImportFile = async () => file;
+		handlers._resolveImportCollision = async name => decisions[name];
+		return { posts, handlers };
+	};
+
+	test('merges the file, asks about collisions and reports the outcome', async () => {
+		const storage = await storageWith([{ name: 'dev', server: 'devsrv', username: 'sa', password: 'pw' }]);
+		const file = profileFile([{ name: 'dev', server: 'devsrv', username: 'sa', port: '1434', password: 'leak' }, { name: 'qa', server: 'qasrv' }]);
+		const { posts, handlers } = handlersFor(storage, file, { dev: 'replace' });
+
+		assert.strictEqual(await handlers.handleImportConnections(), true);
+
+		assert.deepStrictEqual(posts.pop(), {
+			command: 'connectionsImported',
+			success: true,
+			message: 'Connections imported: 1 added, 1 replaced. Passwords will be asked on first connect.'
+		});
+		assert.strictEqual(storage.getConnection('dev').port, '1434');
+		// Same server and login: the saved password stays, the file's is ignored.
+		assert.strictEqual(await storage.getConnectionPassword('dev'), 'pw');
+		assert.strictEqual(storage.getConnection('qa').server, 'qasrv');
+	});
+
+	test('a file naming a workspace connection is refused as a whole', async () => {
+		const storage = await storageWith([]);
+		const { posts, handlers } = handlersFor(storage, profileFile([{ name: 'ok', server: 's' }, { name: 'workspace:Prod', server: 'evil' }]));
+
+		assert.strictEqual(await handlers.handleImportConnections(), false);
+
+		const result = posts.pop();
+		assert.strictEqual(result.success, false);
+		assert.match(result.message, /reserved for workspace connections/);
+		assert.deepStrictEqual(storage.getSavedConnections(), []);
+	});
+
+	test('closing the file dialog cancels', async () => {
+		const { posts, handlers } = handlersFor(await storageWith([]), null);
+		assert.strictEqual(await handlers.handleImportConnections(), false);
+		assert.strictEqual(posts.pop().cancelled, true);
+	});
+});
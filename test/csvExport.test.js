@@ -34,3 +34,60 @@ suite('DatabaseService.escapeLikePattern', () => {
 		assert.strictEqual(DatabaseService.escapeLikePattern('GetOrders'), 'GetOrders');
 	});
 });
+
+suite('QueryManager result exports', () => {
+	const set = {
+		columns: ['id', 'name', 'active', 'created', 'photo'],
+		rows: [
+			{ id: 1, name: "O'Brien | Co", active: true, created: '2024-01-31T10:15:00.000Z', photo: { type: 'Buffer', data: [1, 171] } },
+			{ id: 2.5, name: 'two\nlines <b>', active: false, created: null, photo: null }
+		]
+	};
+
+	test('JSON keeps numbers, booleans and NULLs typed; binary becomes 0x...', () => {
+		const rows = JSON.parse(QueryManager.toJson(set));
+		assert.deepStrictEqual(rows[0], { id: 1, name: "O'Brien | Co", active: true, created: '2024-01-31T10:15:00.000Z', photo: '0x01AB' });
+		assert.strictEqual(rows[1].created, null);
+		assert.strictEqual(rows[1].active, false);
+	});
+
+	test('Markdown escapes pipes and newlines and right-aligns numeric columns', () => {
+		const lines = QueryManager.toMarkdown(set).trim().split('\n');
+		assert.strictEqual(lines[0], '| id | name | active | created | photo |');
+		assert.strictEqual(lines[1], '| ---: | --- | --- | --- | --- |');
+		assert.strictEqual(lines[2], "| 1 | O'Brien \\| Co | true | 2024-01-31T10:15:00.000Z | 0x01AB |");
+		assert.strictEqual(lines[3], '| 2.5 | two<br>lines <b> | false | NULL | NULL |');
+	});
+
+	test('SpreadsheetML types cells and escapes text', () => {
+		const xml = QueryManager.toSpreadsheetMl(set);
+		assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>'));
+		assert.ok(xml.includes('<Cell><Data ss:Type="Number">2.5</Data></Cell>'));
+		assert.ok(xml.includes('<Cell><Data ss:Type="Boolean">1</Data></Cell>'));
+		assert.ok(xml.includes('<Cell ss:StyleID="date"><Data ss:Type="DateTime">2024-01-31T10:15:00.000</Data></Cell>'));
+		assert.ok(xml.includes('<Data ss:Type="String">two&#10;lines &lt;b&gt;</Data>'));
+		assert.ok(xml.includes('<Cell/>'), 'NULL is an empty cell');
+		assert.strictEqual((xml.match(/<Row>/g) || []).length, 3);
+	});
+
+	test('INSERT script quotes names and literals', () => {
+		const sql = QueryManager.toInsertScript(set, 'dbo.Customer Copy');
+		assert.strictEqual(sql,
+			'INSERT INTO [dbo].[Customer Copy] ([id], [name], [active], [created], [photo])\nVALUES\n'
+			+ "    (1, N'O''Brien | Co', 1, N'2024-01-31T10:15:00.000Z', 0x01AB),\n"
+			+ "    (2.5, N'two\nlines <b>', 0, NULL, NULL);\n");
+		assert.ok(QueryManager.toInsertScript(set, '[sales].[Order]').startsWith('INSERT INTO [sales].[Order] '));
+	});
+
+	test('INSERT script starts a new statement every 1000 rows', () => {
+		const many = { columns: ['n'], rows: Array.from({ length: 2500 }, (_, n) => ({ n })) };
+		const sql = QueryManager.toInsertScript(many, 't');
+		assert.strictEqual((sql.match(/INSERT INTO \[t\] \(\[n\]\)/g) || []).length, 3);
+		assert.ok(sql.includes('    (999);\n\nINSERT INTO'));
+	});
+
+	test('the INSERT target is guessed from the first FROM', () => {
+		assert.strictEqual(QueryManager.guessTargetTable('SELECT * FROM [Sales] . [Order Lines] ol JOIN x'), '[Sales].[Order Lines]');
+		assert.strictEqual(QueryManager.guessTargetTable('select 1'), '');
+	});
+});
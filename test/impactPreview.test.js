@@ -0,0 +1,52 @@
+const assert = require('assert');
+const ImpactPreview = require('../database/ImpactPreview');
+
+suite('ImpactPreview', () => {
+	test('finds the top-level statements of a batch with their target', () => {
+		const sql = "UPDATE TOP (10) dbo.[Order Lines] SET a = (SELECT 1) WHERE x IN (SELECT y FROM z);\n"
+			+ 'INSERT INTO t (a) SELECT b FROM u UNION ALL SELECT c FROM v\n'
+			+ 'WITH c AS (SELECT 1 AS n) DELETE FROM c\n'
+			+ "SELECT 'DELETE FROM x' -- UPDATE y\n"
+			+ 'MERGE INTO tgt USING src ON src.id = tgt.id WHEN MATCHED THEN UPDATE SET a = 1 WHEN NOT MATCHED THEN INSERT (a) VALUES (1);';
+		assert.deepStrictEqual(ImpactPreview.statements(sql), {
+			statements: [
+				{ kind: 'UPDATE', target: 'dbo.[Order Lines]' },
+				{ kind: 'INSERT', target: 't' },
+				{ kind: 'DELETE', target: 'c' },
+				{ kind: 'SELECT' },
+				{ kind: 'MERGE', target: 'tgt' }
+			],
+			conditional: false
+		});
+	});
+
+	test('pairs row counts with the writes, or lists them by position when they do not line up', () => {
+		assert.deepStrictEqual(ImpactPreview.describe('UPDATE t SET a = 1; SELECT * FROM t; DELETE u WHERE 1 = 0', [5, 5, 0]), [
+			{ kind: 'UPDATE', target: 't', rows: 5 },
+			{ kind: 'DELETE', target: 'u', rows: 0 }
+		]);
+		assert.deepStrictEqual(ImpactPreview.describe('IF @a = 1 UPDATE t SET a = 1', [3]), [
+			{ kind: null, label: 'Statement 1', rows: 3 }
+		]);
+	});
+
+	test('scripts that could end the rolled-back transaction are not dry-run', () => {
+		assert.strictEqual(ImpactPreview.unsafeReason('UPDATE t SET [commit] = 1 WHERE note = \'rollback\''), null);
+		assert.strictEqual(ImpactPreview.unsafeReason('BEGIN TRAN; UPDATE t SET a = 1; COMMIT'), 'transaction control');
+		assert.strictEqual(ImpactPreview.unsafeReason('EXEC dbo.Purge'), 'EXEC');
+		assert.strictEqual(ImpactPreview.unsafeReason('TRUNCATE TABLE t'), 'DDL');
+	});
+
+	test('lines name each statement, its batch when several ran, and the triggers', () => {
+		const impact = {
+			entries: [{ kind: 'UPDATE', target: 'dbo.Orders', rows: 2000000, batch: 1 }, { kind: null, label: 'Statement 1', rows: 4, batch: 2 }],
+			triggers: [{ trigger: 'dbo.trg_Orders_Audit', parentTable: 'dbo.Orders' }],
+			threshold: 1000, skipped: null, error: null
+		};
+		assert.deepStrictEqual(ImpactPreview.lines(impact), [
+			'Batch 1, UPDATE dbo.Orders — 2,000,000 row(s)',
+			'Batch 2, Statement 1 — 4 row(s)',
+			'Triggers that fire: dbo.trg_Orders_Audit'
+		]);
+	});
+});
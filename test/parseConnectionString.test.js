@@ -0,0 +1,90 @@
+const assert = require('assert');
+const parseConnectionString = require('../database/parseConnectionString');
+
+suite('parseConnectionString', () => {
+	test('reads a typical ADO.NET string', () => {
+		const { config, ignoredKeys } = parseConnectionString(
+			'Server=tcp:sales.database.windows.net,1433;Initial Catalog=Sales;Persist Security Info=False;' +
+			'User ID=app;Password=s3cret;MultipleActiveResultSets=False;Encrypt=True;TrustServerCertificate=False;Connection Timeout=30;');
+		assert.deepStrictEqual(config, {
+			server: 'sales.database.windows.net',
+			port: '1433',
+			database: 'Sales',
+			encrypt: true,
+			trustServerCertificate: false,
+			authenticationType: 'sql',
+			username: 'app',
+			password: 's3cret'
+		});
+		assert.deepStrictEqual(ignoredKeys, ['Persist Security Info', 'MultipleActiveResultSets', 'Connection Timeout']);
+	});
+
+	test('reads an ODBC string with braced values', () => {
+		const { config, ignoredKeys } = parseConnectionString(
+			'Driver={ODBC Driver 18 for SQL Server};Server=db01\\SQLEXPRESS;Database=Hr;Uid=app;Pwd={p;w}}d};Encrypt=yes;TrustServerCertificate=no');
+		assert.strictEqual(config.server, 'db01');
+		assert.strictEqual(config.instanceName, 'SQLEXPRESS');
+		assert.strictEqual(config.database, 'Hr');
+		assert.strictEqual(config.username, 'app');
+		assert.strictEqual(config.password, 'p;w}d');
+		assert.strictEqual(config.encrypt, true);
+		assert.strictEqual(config.trustServerCertificate, false);
+		assert.deepStrictEqual(ignoredKeys, ['Driver']);
+	});
+
+	test('an explicit port wins over the instance name', () => {
+		const { config } = parseConnectionString('Server=db01\\SQLEXPRESS,1433;Database=Hr');
+		assert.strictEqual(config.server, 'db01');
+		assert.strictEqual(config.port, '1433');
+		assert.strictEqual(config.instanceName, undefined);
+		assert.strictEqual(parseConnectionString('Server=db01\\SQLEXPRESS;Port=1433').config.instanceName, undefined);
+	});
+
+	test('keys are case- and spacing-insensitive, synonyms included', () => {
+		const { config } = parseConnectionString('data  source=host;INITIAL CATALOG=Db;uid=u;PWD=p');
+		assert.strictEqual(config.server, 'host');
+		assert.strictEqual(config.database, 'Db');
+		assert.strictEqual(config.username, 'u');
+		assert.strictEqual(config.password, 'p');
+	});
+
+	test('quoted values keep semicolons and doubled quotes', () => {
+		assert.strictEqual(parseConnectionString('Server=h;Password="a;b""c"').config.password, 'a;b"c');
+		assert.strictEqual(parseConnectionString("Server=h;Password='it''s'").config.password, "it's");
+	});
+
+	test('local machine shorthands map to localhost', () => {
+		assert.strictEqual(parseConnectionString('Server=.').config.server, 'localhost');
+		assert.strictEqual(parseConnectionString('Server=(local)\\SQL2019').config.server, 'localhost');
+	});
+
+	test('integrated security selects Windows authentication', () => {
+		assert.strictEqual(parseConnectionString('Server=h;Integrated Security=SSPI').config.authenticationType, 'windows');
+		assert.strictEqual(parseConnectionString('Server=h;Trusted_Connection=yes').config.authenticationType, 'windows');
+		assert.strictEqual(parseConnectionString('Server=h;Integrated Security=false;User ID=sa').config.authenticationType, 'sql');
+		assert.strictEqual(parseConnectionString('Server=h;User ID=CORP\\jdoe').config.authenticationType, 'windows');
+	});
+
+	test('Entra authentication keywords map to the matching modes', () => {
+		const password = parseConnectionString('Server=h;Authentication=Active Directory Password;User ID=a@b.com;Password=p').config;
+		assert.strictEqual(password.authenticationType, 'entraPassword');
+		assert.strictEqual(password.username, 'a@b.com');
+
+		const principal = parseConnectionString('Server=h;Authentication=ActiveDirectoryServicePrincipal;User ID=app-id;Password=secret').config;
+		assert.strictEqual(principal.authenticationType, 'servicePrincipal');
+		assert.strictEqual(principal.clientId, 'app-id');
+		assert.strictEqual(principal.username, undefined);
+		assert.strictEqual(principal.password, 'secret');
+	});
+
+	test('rejects what cannot be turned into a connection', () => {
+		assert.throws(() => parseConnectionString(''), /empty/);
+		assert.throws(() => parseConnectionString('Database=x'), /no Server/);
+		assert.throws(() => parseConnectionString('Server=h;Authentication=Active Directory Interactive'), /not supported/);
+		assert.throws(() => parseConnectionString('Server=np:\\\\.\\pipe\\sql\\query'), /Protocol 'np:'/);
+		assert.throws(() => parseConnectionString('Server=h,abc'), /Invalid port/);
+		assert.throws(() => parseConnectionString('Server=h;Encrypt=maybe'), /Invalid value 'maybe' for Encrypt/);
+		assert.throws(() => parseConnectionString('Server=h;Password="open'), /Unterminated/);
+		assert.throws(() => parseConnectionString('Server=h;oops;Database=x'), /Missing '=' after 'oops'/);
+	});
+});
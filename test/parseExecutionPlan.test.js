@@ -0,0 +1,88 @@
+const assert = require('assert');
+const parseExecutionPlan = require('../database/parseExecutionPlan');
+
+// Trimmed-down STATISTICS XML output: a nested loops join over an index seek
+// and a key lookup, with a spill, an implicit conversion and a missing index.
+const ACTUAL_PLAN = `<?xml version="1.0" encoding="utf-16"?>
+<ShowPlanXML xmlns="http://schemas.microsoft.com/sqlserver/2004/07/showplan" Version="1.564">
+  <BatchSequence><Batch><Statements>
+    <StmtSimple StatementText="SELECT * FROM dbo.Orders WHERE Code = @c &amp; 1" StatementSubTreeCost="0.5">
+      <QueryPlan>
+        <Warnings>
+          <PlanAffectingConvert ConvertIssue="Seek Plan" Expression="CONVERT_IMPLICIT(nvarchar(20),[o].[Code],0)=[@c]" />
+        </Warnings>
+        <MissingIndexes>
+          <MissingIndexGroup Impact="87.5">
+            <MissingIndex Database="[Sales]" Schema="[dbo]" Table="[Orders]">
+              <ColumnGroup Usage="EQUALITY"><Column Name="[Code]" ColumnId="2" /></ColumnGroup>
+              <ColumnGroup Usage="INCLUDE"><Column Name="[Total]" ColumnId="3" /></ColumnGroup>
+            </MissingIndex>
+          </MissingIndexGroup>
+        </MissingIndexes>
+        <RelOp NodeId="0" PhysicalOp="Nested Loops" LogicalOp="Inner Join" EstimateRows="10" EstimatedTotalSubtreeCost="0.5">
+          <RunTimeInformation><RunTimeCountersPerThread Thread="0" ActualRows="400" ActualExecutions="1" /></RunTimeInformation>
+          <NestedLoops>
+            <RelOp NodeId="1" PhysicalOp="Index Seek" LogicalOp="Index Seek" EstimateRows="10" EstimatedTotalSubtreeCost="0.1">
+              <RunTimeInformation>
+                <RunTimeCountersPerThread Thread="1" ActualRows="150" ActualExecutions="1" />
+                <RunTimeCountersPerThread Thread="2" ActualRows="250" ActualExecutions="1" />
+              </RunTimeInformation>
+              <IndexScan><Object Database="[Sales]" Schema="[dbo]" Table="[Orders]" Index="[IX_Date]" /></IndexScan>
+            </RelOp>
+            <RelOp NodeId="2" PhysicalOp="Sort" LogicalOp="Sort" EstimateRows="1" EstimatedTotalSubtreeCost="0.3">
+              <Warnings><SpillToTempDb SpillLevel="1" /></Warnings>
+              <Sort>
+                <RelOp NodeId="3" PhysicalOp="Key Lookup" LogicalOp="Key Lookup" EstimateRows="1" EstimatedTotalSubtreeCost="0.2">
+                  <IndexScan><Object Schema="[dbo]" Table="[Orders]" Index="[PK_Orders]" /></IndexScan>
+                </RelOp>
+              </Sort>
+            </RelOp>
+          </NestedLoops>
+        </RelOp>
+      </QueryPlan>
+    </StmtSimple>
+    <StmtSimple StatementText="SET NOCOUNT ON" />
+  </Statements></Batch></BatchSequence>
+</ShowPlanXML>`;
+
+suite('parseExecutionPlan', () => {
+	test('builds the operator tree through operator-specific wrappers', () => {
+		const [stmt] = parseExecutionPlan(ACTUAL_PLAN).statements;
+		assert.strictEqual(stmt.text, 'SELECT * FROM dbo.Orders WHERE Code = @c & 1');
+		assert.strictEqual(stmt.root.physicalOp, 'Nested Loops');
+		assert.deepStrictEqual(stmt.root.children.map(c => c.physicalOp), ['Index Seek', 'Sort']);
+		assert.strictEqual(stmt.root.children[1].children[0].object, '[dbo].[Orders].[PK_Orders]');
+		assert.strictEqual(stmt.root.object, null, 'a join reports no object of its inputs');
+	});
+
+	test('own cost is the subtree minus its inputs, as a share of the statement', () => {
+		const { root } = parseExecutionPlan(ACTUAL_PLAN).statements[0];
+		assert.strictEqual(root.costPercent, 20);
+		assert.strictEqual(root.children[0].costPercent, 20);
+		assert.strictEqual(root.children[1].costPercent, 20);
+		assert.strictEqual(root.children[1].children[0].costPercent, 40);
+	});
+
+	test('actual rows add up over threads; estimated plans have none', () => {
+		const { root } = parseExecutionPlan(ACTUAL_PLAN).statements[0];
+		assert.strictEqual(root.children[0].actualRows, 400);
+		assert.strictEqual(root.children[0].actualExecutions, 2);
+		const estimated = parseExecutionPlan(ACTUAL_PLAN.replace(/<RunTimeInformation>[\s\S]*?<\/RunTimeInformation>/g, ''));
+		assert.strictEqual(estimated.statements[0].root.actualRows, null);
+	});
+
+	test('reports spills, implicit conversions and missing indexes', () => {
+		const [stmt] = parseExecutionPlan(ACTUAL_PLAN).statements;
+		assert.deepStrictEqual(stmt.root.children[1].warnings, ['Spill to tempdb (level 1)']);
+		assert.ok(stmt.warnings[0].startsWith('Implicit conversion CONVERT_IMPLICIT(nvarchar(20)'), stmt.warnings[0]);
+		assert.strictEqual(stmt.missingIndexes[0].impact, 87.5);
+		assert.strictEqual(stmt.missingIndexes[0].script,
+			'CREATE NONCLUSTERED INDEX [<Name of Missing Index>] ON [dbo].[Orders] ([Code]) INCLUDE ([Total]);');
+	});
+
+	test('statements without a plan are left out; other documents are refused', () => {
+		assert.strictEqual(parseExecutionPlan(ACTUAL_PLAN).statements.length, 1);
+		assert.throws(() => parseExecutionPlan('<root/>'), /ShowPlanXML expected/);
+		assert.throws(() => parseExecutionPlan('<ShowPlanXML><a></b></ShowPlanXML>'), /Malformed/);
+	});
+});
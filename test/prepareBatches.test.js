@@ -0,0 +1,37 @@
+const assert = require('assert');
+const prepareBatches = require('../database/prepareBatches');
+
+suite('prepareBatches', () => {
+	test('drops empty batches and keeps the start line of the others', () => {
+		const batches = prepareBatches('SELECT 1\nGO\n\nGO\n\nSELECT 2\nGO 5');
+		assert.deepStrictEqual(batches.map(b => [b.sql.trim(), b.startLine, b.repeat]), [['SELECT 1', 1, 1], ['SELECT 2', 5, 5]]);
+	});
+
+	test('leaves SQLCMD syntax alone outside sqlcmd mode', () => {
+		const [batch] = prepareBatches(':setvar X 1\nSELECT \'$(X)\'');
+		assert.strictEqual(batch.sql, ':setvar X 1\nSELECT \'$(X)\'');
+	});
+
+	test(':setvar applies to the following batches; names are case-insensitive', () => {
+		const batches = prepareBatches(':setvar Db "Sales ""EU"""\nGO\nUSE [$(db)]\nGO\n:setvar db Other\nSELECT \'$(DB)\'', { sqlcmd: true });
+		assert.deepStrictEqual(batches.map(b => b.sql.trim()), ['USE [Sales "EU"]', "SELECT 'Other'"]);
+	});
+
+	test('command lines are blanked so line numbers do not move', () => {
+		const [batch] = prepareBatches(':setvar X 1\nSELECT $(X)', { sqlcmd: true });
+		assert.strictEqual(batch.sql, '\nSELECT 1');
+		assert.strictEqual(batch.startLine, 1);
+	});
+
+	test(':on error sets exitOnError from there on', () => {
+		const batches = prepareBatches('SELECT 1\nGO\n:on error exit\nSELECT 2\nGO\n:ON ERROR IGNORE\nSELECT 3', { sqlcmd: true });
+		assert.deepStrictEqual(batches.map(b => b.exitOnError), [false, true, false]);
+	});
+
+	test('an undefined variable or an unsupported command is reported with its line', () => {
+		assert.throws(() => prepareBatches('SELECT 1\nGO\nSELECT\n  $(Missing)', { sqlcmd: true }),
+			err => err.line === 4 && /'Missing' is not defined/.test(err.message));
+		assert.throws(() => prepareBatches('SELECT 1\n:r other.sql', { sqlcmd: true }),
+			err => err.line === 2 && /Unsupported SQLCMD command ':r other.sql'/.test(err.message));
+	});
+});
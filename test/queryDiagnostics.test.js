@@ -0,0 +1,39 @@
+const assert = require('assert');
+const QueryDiagnostics = require('../database/QueryDiagnostics');
+
+suite('QueryDiagnostics', () => {
+	test('a failed run reports each error on its editor line', () => {
+		const diagnostics = QueryDiagnostics.fromMessage({
+			command: 'queryError',
+			message: "Line 12: Invalid object name 'dbo.Ordres'.\nLine 14: Invalid column name 'Totl'."
+		}, 10);
+		assert.deepStrictEqual(diagnostics, [
+			{ line: 12, message: "Invalid object name 'dbo.Ordres'." },
+			{ line: 14, message: "Invalid column name 'Totl'." }
+		]);
+	});
+
+	test('errors without a line number go on the first line of the query', () => {
+		assert.deepStrictEqual(QueryDiagnostics.fromMessage({ command: 'queryError', message: 'Login failed.' }, 7),
+			[{ line: 7, message: 'Login failed.' }]);
+		assert.deepStrictEqual(QueryDiagnostics.parse('Line 3: Deadlock.\n\nThe connection was interrupted.'),
+			[{ line: 3, message: 'Deadlock.\nThe connection was interrupted.' }], 'unprefixed lines continue the previous error');
+	});
+
+	test('only the failed batches of a script are reported; cancelled runs are not', () => {
+		const diagnostics = QueryDiagnostics.fromMessage({
+			command: 'queryResult',
+			batches: [
+				{ number: 1, startLine: 1, status: 'ok' },
+				{ number: 2, startLine: 5, status: 'error', message: 'Line 6: Divide by zero error encountered.' },
+				{ number: 3, startLine: 9, status: 'error', message: 'The batch could not be prepared.' }
+			]
+		});
+		assert.deepStrictEqual(diagnostics, [
+			{ line: 6, message: 'Divide by zero error encountered.' },
+			{ line: 9, message: 'The batch could not be prepared.' }
+		]);
+		assert.deepStrictEqual(QueryDiagnostics.fromMessage({ command: 'queryResult', resultSets: [] }), []);
+		assert.deepStrictEqual(QueryDiagnostics.fromMessage({ command: 'queryError', message: 'Query cancelled.', cancelled: true }), []);
+	});
+});
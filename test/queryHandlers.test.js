@@ -1,6 +1,12 @@
 const assert = require('assert');
 const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const QueryHandlers = require('../panels/handlers/QueryHandlers');
+const QueryDocuments = require('../panels/handlers/QueryDocuments');
+const QueryRiskAnalyzer = require('../database/QueryRiskAnalyzer');
+const ReadOnlyGuard = require('../database/ReadOnlyGuard');
 
 // Mocked mssql request: replays a scripted sequence of streaming events.
 class FakeRequest extends EventEmitter {
@@ -32,10 +38,25 @@ function makeState() {
 	};
 }
 
+// ConnectionManager stand-in: a development connection without policies;
+// tests override what they exercise (createRequest, isProduction, ...).
+function makeManager(overrides = {}) {
+	return {
+		isProduction: () => false,
+		isReadOnly: () => false,
+		getReadOnlyAllowedProcedures: () => [],
+		getRiskPolicy: () => ({}),
+		getImpactThreshold: () => null,
+		getConnectionLabel: () => 'Dev',
+		reportConnectionError: () => false,
+		...overrides
+	};
+}
+
 suite('QueryHandlers', () => {
 	test('streams multiple result sets and applies the row cap', async () => {
 		const posts = [];
-		const handlers = new QueryHandlers(m => posts.push(m), {
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
 			createRequest: () => new FakeRequest(req => {
 				req.emit('recordset', { id: {}, name: {} });
 				req.emit('row', { id: 1, name: 'a' });
@@ -46,7 +67,7 @@ suite('QueryHandlers', () => {
 				req.emit('rowsaffected', 10);
 				req.emit('info', { message: 'hello from PRINT' });
 			})
-		}, makeState());
+		}), makeState());
 
 		await handlers.handleExecuteQuery('MyDb', 'SELECT 1; SELECT 2;', 5);
 
@@ -64,15 +85,63 @@ suite('QueryHandlers', () => {
 		assert.ok(hist && hist.history.length === 1 && hist.history[0].success === true);
 	});
 
+	test('error lines of a selection or statement map back to editor lines', async () => {
+		const posts = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				const err = new Error('Incorrect syntax near FORM.');
+				err.lineNumber = 3; // second line of the statement, after the injected USE
+				req.emit('error', err);
+			})
+		}), makeState());
+
+		await handlers.handleExecuteQuery('MyDb', 'SELECT *\nFORM t', 1000, 12);
+
+		const errMsg = posts.find(p => p.command === 'queryError');
+		assert.ok(errMsg.message.startsWith('Line 13:'), errMsg.message);
+	});
+
+	test('locateStatement posts the range under the cursor', () => {
+		const posts = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager(), makeState());
+		handlers.handleLocateStatement('SELECT 1\n\nSELECT 2', 12);
+		assert.deepStrictEqual(posts[0], { command: 'statementLocated', success: true, start: 10, end: 18 });
+
+		handlers.handleLocateStatement('   ', 1);
+		assert.strictEqual(posts[1].success, false);
+	});
+
+	test('a dropped connection is reported, repaired in the background, and the batch not replayed', async () => {
+		const posts = [];
+		let requests = 0;
+		const reported = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => {
+				requests++;
+				return new FakeRequest(req => {
+					req.emit('error', Object.assign(new Error('Connection lost - read ECONNRESET'), { code: 'ESOCKET' }));
+				});
+			},
+			reportConnectionError: error => { reported.push(error); return error.code === 'ESOCKET'; }
+		}), makeState());
+
+		await handlers.handleExecuteQuery('MyDb', 'UPDATE t SET x = 1 WHERE id = 1', 1000);
+
+		const errMsg = posts.find(p => p.command === 'queryError');
+		assert.ok(errMsg.message.includes('being re-established'), errMsg.message);
+		assert.strictEqual(reported.length, 1);
+		assert.strictEqual(requests, 1, 'the batch is not retried');
+	});
+
 	test('shifts SQL error line numbers to compensate for the injected USE statement', async () => {
 		const posts = [];
-		const handlers = new QueryHandlers(m => posts.push(m), {
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
 			createRequest: () => new FakeRequest(req => {
 				const err = new Error('Invalid object name toto.');
 				err.lineNumber = 3;
 				req.emit('error', err);
 			})
-		}, makeState());
+		}), makeState());
 
 		await handlers.handleExecuteQuery('MyDb', 'bad sql', 1000);
 
@@ -83,7 +152,7 @@ suite('QueryHandlers', () => {
 	test('cancel aborts the running request and reports it as cancelled', async () => {
 		const posts = [];
 		let fakeReq;
-		const handlers = new QueryHandlers(m => posts.push(m), {
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
 			createRequest: () => {
 				fakeReq = new FakeRequest(req => {
 					if (req.cancelled) {
@@ -92,7 +161,7 @@ suite('QueryHandlers', () => {
 				});
 				return fakeReq;
 			}
-		}, makeState());
+		}), makeState());
 
 		const running = handlers.handleExecuteQuery('MyDb', "WAITFOR DELAY '00:10:00'", 1000);
 		handlers.handleCancelQuery();
@@ -106,9 +175,9 @@ suite('QueryHandlers', () => {
 
 	test('history dedupes identical queries, newest first, and can be cleared', async () => {
 		const posts = [];
-		const handlers = new QueryHandlers(m => posts.push(m), {
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
 			createRequest: () => new FakeRequest(req => { req.emit('rowsaffected', 1); })
-		}, makeState());
+		}), makeState());
 
 		await handlers.handleExecuteQuery('Db1', 'UPDATE t SET x=1', 1000);
 		await handlers.handleExecuteQuery('Db1', 'UPDATE t SET x=1', 1000);
@@ -124,12 +193,12 @@ suite('QueryHandlers', () => {
 
 	test('prefixes the query with USE [database]', async () => {
 		let captured;
-		const handlers = new QueryHandlers(() => {}, {
+		const handlers = new QueryHandlers(() => {}, makeManager({
 			createRequest: () => {
 				captured = new FakeRequest(() => {});
 				return captured;
 			}
-		}, makeState());
+		}), makeState());
 
 		await handlers.handleExecuteQuery('My Db', 'SELECT 1', 1000);
 		assert.ok(captured.sql.startsWith('USE [My Db];\n'), captured.sql);
@@ -137,10 +206,12 @@ suite('QueryHandlers', () => {
 
 	test('destructive queries are cancelled when the user refuses confirmation', async () => {
 		const posts = [];
-		const analyzer = { analyze: q => q.includes('DELETE') ? ['DELETE without WHERE on dbo.T'] : [] };
-		const handlers = new QueryHandlers(m => posts.push(m), {
+		const analyzer = {
+			assess: q => q.includes('DELETE') ? [{ rule: 'delete-without-where', severity: 'confirm', message: 'DELETE without WHERE on dbo.T' }] : []
+		};
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
 			createRequest: () => new FakeRequest(req => { req.emit('rowsaffected', 1); })
-		}, makeState(), analyzer);
+		}), makeState(), analyzer);
 
 		handlers._confirmRisks = async () => false;
 		await handlers.handleExecuteQuery('Db1', 'DELETE FROM T', 1000);
@@ -157,17 +228,151 @@ suite('QueryHandlers', () => {
 		assert.ok(posts.some(p => p.command === 'queryResult'));
 	});
 
+	test('on production every data-modifying statement asks for confirmation', async () => {
+		const posts = [];
+		const guard = { check: q => q.includes('UPDATE') ? ['UPDATE dbo.t'] : [] };
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			isProduction: () => true,
+			getConnectionLabel: () => 'Prod',
+			createRequest: () => new FakeRequest(req => { req.emit('rowsaffected', 1); })
+		}), makeState(), { assess: () => [] }, guard);
+
+		let asked = null;
+		handlers._confirmRisks = async () => { throw new Error('production prompt replaces the risk prompt'); };
+		handlers._confirmProductionWrites = async writes => { asked = writes; return false; };
+		await handlers.handleExecuteQuery('Db1', 'UPDATE T SET a = 1 WHERE id = 1', 1000);
+
+		assert.deepStrictEqual(asked, ['UPDATE dbo.t']);
+		const err = posts.find(p => p.command === 'queryError');
+		assert.ok(err && err.cancelled && err.message.includes('production'), err && err.message);
+		assert.ok(!posts.some(p => p.command === 'queryResult'), 'query must not run');
+
+		// Reads never prompt
+		posts.length = 0;
+		asked = null;
+		await handlers.handleExecuteQuery('Db1', 'SELECT 1', 1000);
+		assert.strictEqual(asked, null);
+		assert.ok(posts.some(p => p.command === 'queryResult'));
+	});
+
+	test('on production EXEC, SELECT INTO and DDL are confirmed like data changes', async () => {
+		const posts = [];
+		let requested = 0;
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			isProduction: () => true,
+			getConnectionLabel: () => 'Prod',
+			createRequest: () => { requested++; return new FakeRequest(req => { req.emit('rowsaffected', 0); }); }
+		}), makeState(), { assess: () => [] }, new ReadOnlyGuard());
+		const asked = [];
+		handlers._confirmProductionWrites = async writes => { asked.push(writes); return false; };
+
+		for (const query of ['EXEC dbo.PurgeOrders', 'SELECT * INTO dbo.OrdersCopy FROM dbo.Orders', 'DROP TABLE dbo.Staging', 'ALTER TABLE dbo.Orders ADD Note NVARCHAR(10)']) {
+			await handlers.handleExecuteQuery('Db1', query, 1000);
+		}
+		assert.deepStrictEqual(asked.map(writes => writes.map(w => w.split(' ')[0])), [['EXEC'], ['INTO'], ['DROP'], ['ALTER']]);
+		assert.strictEqual(requested, 0, 'nothing runs without the confirmation');
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT * FROM dbo.Orders', 1000);
+		assert.strictEqual(asked.length, 4, 'reads are not confirmed');
+		assert.strictEqual(requested, 1);
+	});
+
+	test('read-only connections refuse writes before any prompt', async () => {
+		const posts = [];
+		let requested = false;
+		const guard = { check: (q, allowed) => q.includes('UPDATE') ? [`UPDATE dbo.t (${allowed.join()})`] : [] };
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			isReadOnly: () => true,
+			getReadOnlyAllowedProcedures: () => ['usp_ok'],
+			createRequest: () => { requested = true; return new FakeRequest(() => {}); }
+		}), makeState(), { assess: () => [{ rule: 'update-without-where', severity: 'confirm', message: 'UPDATE without WHERE' }] }, guard);
+		handlers._confirmRisks = async () => { throw new Error('must not prompt'); };
+
+		await handlers.handleExecuteQuery('Db1', 'UPDATE T SET a = 1', 1000);
+
+		const err = posts.find(p => p.command === 'queryError');
+		assert.ok(err && err.message.startsWith('Read-only connection'), err && err.message);
+		assert.ok(err.message.includes('UPDATE dbo.t (usp_ok)'));
+		assert.strictEqual(requested, false);
+	});
+
+	test('risk rules are refused, confirmed or only reported as the connection grades them', async () => {
+		const posts = [];
+		let requested = 0;
+		let policy = { 'sp-rename': 'block' };
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			getRiskPolicy: () => policy,
+			createRequest: () => { requested++; return new FakeRequest(req => { req.emit('rowsaffected', 1); }); }
+		}), makeState(), new QueryRiskAnalyzer());
+		let asked = null;
+		handlers._confirmRisks = async risks => { asked = risks; return true; };
+
+		await handlers.handleExecuteQuery('Db1', "EXEC sp_rename 'dbo.T.a', 'b', 'COLUMN'; UPDATE T SET a = 1", 1000);
+		const err = posts.find(p => p.command === 'queryError');
+		assert.ok(err && err.message.startsWith('Blocked by the connection\'s risk rules'), err && err.message);
+		assert.ok(err.message.includes('sp_rename'));
+		assert.strictEqual(asked, null, 'blocked before any prompt');
+		assert.strictEqual(requested, 0);
+
+		posts.length = 0;
+		policy = { 'sp-rename': 'warn', 'update-without-where': 'confirm' };
+		await handlers.handleExecuteQuery('Db1', "EXEC sp_rename 'dbo.T.a', 'b', 'COLUMN'; UPDATE T SET a = 1", 1000);
+		assert.deepStrictEqual(asked, ['UPDATE without WHERE']);
+		const result = posts.find(p => p.command === 'queryResult');
+		assert.deepStrictEqual(result.riskWarnings, ['sp_rename']);
+
+		posts.length = 0;
+		asked = null;
+		policy = { 'update-without-where': 'off' };
+		await handlers.handleExecuteQuery('Db1', 'UPDATE T SET a = 1', 1000);
+		assert.strictEqual(asked, null, 'rules turned off are not checked');
+		assert.ok(posts.some(p => p.command === 'queryResult'));
+	});
+
+	test('history is searched, pinned and exported as .sql files', async () => {
+		const posts = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => { req.emit('rowsaffected', 0); })
+		}), makeState());
+		await handlers.handleExecuteQuery('Sales', 'SELECT * FROM dbo.Orders', 1000);
+		await handlers.handleExecuteQuery('HR', 'SELECT * FROM dbo.Staff', 1000);
+
+		await handlers.handleGetQueryHistory({ text: 'orders', database: '' });
+		let loaded = posts.filter(p => p.command === 'queryHistoryLoaded').pop();
+		assert.deepStrictEqual(loaded.history.map(e => e.database), ['Sales']);
+		assert.strictEqual(loaded.total, 2);
+		assert.deepStrictEqual(loaded.databases, ['HR', 'Sales']);
+
+		await handlers.handlePinQueryHistory('SELECT * FROM dbo.Orders', 'Sales', true);
+		await handlers.handleClearQueryHistory();
+		await handlers.handleGetQueryHistory({ text: '', database: '' });
+		loaded = posts.filter(p => p.command === 'queryHistoryLoaded').pop();
+		assert.deepStrictEqual(loaded.history.map(e => [e.query, e.pinned]), [['SELECT * FROM dbo.Orders', true]], 'clearing keeps pinned entries');
+
+		const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlwayfarer-history-'));
+		handlers._pickHistoryFolder = async () => parent;
+		await handlers.handleExportQueryHistory();
+		const exported = posts.find(p => p.command === 'queryHistoryExported');
+		assert.strictEqual(exported.success, true, exported.message);
+		const files = fs.readdirSync(exported.path);
+		const text = fs.readFileSync(path.join(exported.path, files[0]), 'utf8');
+		fs.rmSync(parent, { recursive: true, force: true });
+		assert.strictEqual(files.length, 1);
+		assert.ok(text.startsWith('-- Database: Sales\n-- Run at: '), text);
+		assert.ok(text.endsWith('\nSELECT * FROM dbo.Orders\n'), text);
+	});
+
 	test('rejects a second query while one is still running', async () => {
 		const posts = [];
 		let release;
 		const gate = new Promise(resolve => { release = resolve; });
-		const handlers = new QueryHandlers(m => posts.push(m), {
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
 			createRequest: () => {
 				const req = new FakeRequest(() => {});
 				req.query = () => gate;
 				return req;
 			}
-		}, makeState());
+		}), makeState());
 
 		const first = handlers.handleExecuteQuery('Db1', 'SELECT 1', 1000);
 		await handlers.handleExecuteQuery('Db1', 'SELECT 2', 1000);
@@ -178,4 +383,591 @@ suite('QueryHandlers', () => {
 		release();
 		await first;
 	});
+
+	test('runs GO batches in order and reports each one', async () => {
+		const posts = [];
+		const sent = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				sent.push(req.sql);
+				if (req.sql.includes('nope')) {
+					const err = new Error("Invalid object name 'nope'.");
+					err.lineNumber = 2;
+					req.emit('error', err);
+					return;
+				}
+				req.emit('recordset', { x: {} });
+				req.emit('row', { x: 1 });
+			})
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT 1\nGO 2\nSELECT * FROM nope\nGO\nSELECT 3', 1000);
+
+		const result = posts.find(p => p.command === 'queryResult');
+		assert.strictEqual(sent.length, 4, 'GO 2 runs its batch twice');
+		assert.ok(sent.every(q => q.startsWith('USE [Db1];')));
+		assert.deepStrictEqual(result.batches.map(b => [b.startLine, b.status]), [[1, 'ok'], [3, 'error'], [5, 'ok']]);
+		assert.deepStrictEqual(result.resultSets.map(r => r.batch), [1, 1, 3]);
+		assert.deepStrictEqual(result.batchErrors, ["Batch 2 of 3 (line 3): Line 3: Invalid object name 'nope'."]);
+	});
+
+	test(':on error exit skips the batches after a failure', async () => {
+		const posts = [];
+		const sent = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				sent.push(req.sql);
+				if (req.sql.includes('nope')) req.emit('error', new Error('boom'));
+			})
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', ':on error exit\nSELECT * FROM nope\nGO\nSELECT 2', 1000, 1, true);
+
+		const result = posts.find(p => p.command === 'queryResult');
+		assert.strictEqual(sent.length, 1);
+		assert.deepStrictEqual(result.batches.map(b => b.status), ['error', 'skipped']);
+	});
+
+	test('substitutes SQLCMD variables and reports script errors with their line', async () => {
+		const posts = [];
+		const sent = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => { sent.push(req.sql); })
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', ':setvar Tbl dbo.Orders\nSELECT * FROM $(Tbl)', 1000, 1, true);
+		assert.ok(sent[0].endsWith('SELECT * FROM dbo.Orders'), sent[0]);
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT 1\n:connect other', 1000, 10, true);
+		const err = posts.find(p => p.command === 'queryError');
+		assert.ok(err.message.startsWith("Line 11: Unsupported SQLCMD command ':connect other'"), err.message);
+	});
+
+	test('cancelling stops the script and names how far it got', async () => {
+		const posts = [];
+		let handlers;
+		handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				if (req.sql.includes('SELECT 2')) handlers.handleCancelQuery();
+			})
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT 1\nGO\nSELECT 2\nGO\nSELECT 3', 1000);
+
+		const err = posts.find(p => p.command === 'queryError');
+		assert.ok(err.cancelled);
+		assert.ok(err.message.includes('1 of 3 batches had completed'), err.message);
+	});
+
+	test('batches share one session, switched to the database once', async () => {
+		const sent = [];
+		let closed = false;
+		const session = { close: async () => { closed = true; } };
+		const handlers = new QueryHandlers(() => {}, makeManager({
+			openSession: async () => session,
+			createRequest: s => {
+				assert.strictEqual(s, session);
+				return new FakeRequest(req => { sent.push(req.sql); });
+			}
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', 'CREATE TABLE #t (x int)\nGO\nSELECT * FROM #t', 1000);
+
+		assert.deepStrictEqual(sent, ['USE [Db1];', 'CREATE TABLE #t (x int)\n', 'SELECT * FROM #t']);
+		assert.ok(closed);
+	});
+
+	test('estimated plan: compiled under SHOWPLAN_XML on a session, not run', async () => {
+		const posts = [];
+		const sent = [];
+		const plan = '<ShowPlanXML><BatchSequence><Batch><Statements><StmtSimple StatementText="SELECT 1" StatementSubTreeCost="1">'
+			+ '<QueryPlan><RelOp NodeId="0" PhysicalOp="Constant Scan" LogicalOp="Constant Scan" EstimateRows="1" EstimatedTotalSubtreeCost="1" />'
+			+ '</QueryPlan></StmtSimple></Statements></Batch></BatchSequence></ShowPlanXML>';
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			openSession: async () => ({ close: async () => {} }),
+			createRequest: () => new FakeRequest(req => {
+				sent.push(req.sql);
+				if (req.sql !== 'SELECT 1') return;
+				req.emit('recordset', { 'Microsoft SQL Server 2005 XML Showplan': {} });
+				req.emit('row', { 'Microsoft SQL Server 2005 XML Showplan': plan });
+			})
+		}), makeState());
+
+		await handlers.handleGetEstimatedPlan('Db1', 'SELECT 1', 1);
+
+		assert.deepStrictEqual(sent, ['USE [Db1];', 'SET SHOWPLAN_XML ON;', 'SELECT 1', 'SET SHOWPLAN_XML OFF;']);
+		const result = posts.find(p => p.command === 'executionPlan');
+		assert.ok(result.success && !result.actual);
+		assert.strictEqual(result.plan.statements[0].root.physicalOp, 'Constant Scan');
+		assert.ok(!posts.some(p => p.command === 'queryHistoryLoaded'), 'compiling is not a run');
+	});
+
+	test('estimated plan: a script switching the plan options off is refused, not run', async () => {
+		const posts = [];
+		let requested = false;
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			openSession: async () => ({ close: async () => {} }),
+			createRequest: () => { requested = true; return new FakeRequest(() => {}); }
+		}), makeState());
+
+		await handlers.handleGetEstimatedPlan('Db1', 'SELECT 1\nGO\nSET SHOWPLAN_XML OFF\nGO\nDELETE FROM dbo.Orders', 10);
+		await handlers.handleGetEstimatedPlan('Db1', 'SET STATISTICS /* x */ XML ON;\nDELETE FROM dbo.Orders', 1);
+
+		assert.strictEqual(requested, false);
+		const results = posts.filter(p => p.command === 'executionPlan');
+		assert.strictEqual(results.length, 2);
+		assert.ok(results.every(r => !r.success));
+		assert.match(results[0].message, /line 12 sets SHOWPLAN/);
+	});
+
+	test('actual plan: plan result sets are taken out of the results', async () => {
+		const posts = [];
+		const sent = [];
+		const plan = '<ShowPlanXML><BatchSequence><Batch><Statements /></Batch></BatchSequence></ShowPlanXML>';
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				sent.push(req.sql);
+				req.emit('recordset', { x: {} });
+				req.emit('row', { x: 1 });
+				req.emit('recordset', { 'Microsoft SQL Server 2005 XML Showplan': {} });
+				req.emit('row', { 'Microsoft SQL Server 2005 XML Showplan': plan });
+			})
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT 1 AS x', 1000, 1, false, true);
+
+		assert.ok(sent[0].startsWith('USE [Db1]; SET STATISTICS XML ON;\n'));
+		assert.ok(posts.find(p => p.command === 'executionPlan').actual);
+		const result = posts.find(p => p.command === 'queryResult');
+		assert.deepStrictEqual(result.resultSets.map(r => r.columns), [['x']]);
+	});
+
+	test('undeclared @variables are asked for with the last values used, then sent as inputs', async () => {
+		const posts = [];
+		const calls = [];
+		const state = makeState();
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: (session, parameters) => {
+				calls.push(parameters);
+				return new FakeRequest(() => {});
+			}
+		}), state);
+		const query = 'SELECT * FROM Orders WHERE CustomerId = @CustomerId';
+
+		await handlers.handleExecuteQuery('Db1', query, 1000);
+		const prompt = posts.find(p => p.command === 'queryParametersRequired');
+		assert.deepStrictEqual(prompt.parameters, [{ name: '@CustomerId', type: 'nvarchar', value: '', isNull: false }]);
+		assert.strictEqual(calls.length, 0, 'nothing runs before the values are entered');
+
+		await handlers.handleExecuteQuery('Db1', query, 1000, 1, false, false, [{ name: '@customerid', type: 'int', value: '42', isNull: false }]);
+		assert.deepStrictEqual(calls[0], [{ name: '@CustomerId', type: 'int', value: 42 }]);
+
+		posts.length = 0;
+		await handlers.handleExecuteQuery('Db1', query, 1000);
+		assert.deepStrictEqual(posts.find(p => p.command === 'queryParametersRequired').parameters,
+			[{ name: '@CustomerId', type: 'int', value: '42', isNull: false }]);
+	});
+
+	test('an invalid parameter value is reported before anything runs', async () => {
+		const posts = [];
+		let requested = false;
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => { requested = true; return new FakeRequest(() => {}); }
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT @Id', 1000, 1, false, false, [{ name: '@Id', type: 'int', value: 'abc' }]);
+
+		assert.strictEqual(posts.find(p => p.command === 'queryError').message, "Parameter @Id: 'abc' is not a valid int.");
+		assert.strictEqual(requested, false);
+	});
+
+	test('rows beyond the first page stay in the host and are served sorted and filtered', async () => {
+		const posts = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				req.emit('recordset', { n: {} });
+				for (let i = 0; i < 25; i++) req.emit('row', { n: i });
+			})
+		}), makeState());
+
+		await handlers.handleExecuteQuery('Db1', 'SELECT n FROM t', 10);
+		const result = posts.find(p => p.command === 'queryResult');
+		assert.strictEqual(result.resultSets[0].rows.length, 10);
+		assert.strictEqual(result.resultSets[0].availableRows, 25);
+
+		handlers.handleGetResultPage(result.resultId, 0, 10, 10, null, {}, 1);
+		let page = posts.filter(p => p.command === 'resultPage').pop();
+		assert.deepStrictEqual(page.rows.map(r => r.n), [10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+		assert.strictEqual(page.requestId, 1);
+
+		handlers.handleGetResultPage(result.resultId, 0, 0, 10, { column: 'n', descending: true }, { n: '1' }, 2);
+		page = posts.filter(p => p.command === 'resultPage').pop();
+		assert.deepStrictEqual(page.rows.map(r => r.n), [21, 19, 18, 17, 16, 15, 14, 13, 12, 11]);
+		assert.strictEqual(page.matchingRows, 12);
+	});
+
+	test('export all rows streams the chosen result set to a file, beyond the grid limit', async () => {
+		const posts = [];
+		const filePath = path.join(os.tmpdir(), `sqlwayfarer-${process.pid}-all.csv`);
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				req.emit('recordset', { a: {} });
+				req.emit('row', { a: 'first set' });
+				req.emit('recordset', { n: {} });
+				for (let i = 0; i < 1500; i++) req.emit('row', { n: i });
+			})
+		}), makeState());
+		handlers._pickExportFile = async () => filePath;
+		const progress = [];
+		handlers._withProgress = (title, task) => task({ report: p => progress.push(p) }, { onCancellationRequested: () => {} });
+
+		await handlers.handleExportAllRows('Db1', 'SELECT a FROM x; SELECT n FROM t', 1, 'csv');
+		const lines = fs.readFileSync(filePath, 'utf8').split('\r\n');
+		fs.unlinkSync(filePath);
+
+		const done = posts.find(p => p.command === 'allRowsExported');
+		assert.strictEqual(done.success, true, done.message);
+		assert.strictEqual(done.rows, 1500);
+		assert.strictEqual(lines[0], '\ufeffn');
+		assert.strictEqual(lines[1500], '1499');
+		assert.strictEqual(progress.length, 1);
+	});
+
+	test('export all rows refuses queries that modify data, since it runs them again', async () => {
+		const posts = [];
+		let ran = false;
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(() => { ran = true; })
+		}), makeState());
+		handlers._pickExportFile = async () => { throw new Error('no dialog expected'); };
+
+		await handlers.handleExportAllRows('Db1', 'UPDATE t SET x = 1; SELECT * FROM t', 0, 'json');
+		const done = posts.find(p => p.command === 'allRowsExported');
+		assert.strictEqual(done.success, false);
+		assert.ok(/only queries that do not modify data/.test(done.message), done.message);
+		assert.strictEqual(ran, false);
+	});
+
+	test('a write error while the request waits for the file stops the export', async () => {
+		// A paused request only ends when resumed or cancelled, like a streaming mssql request.
+		class PausableRequest extends FakeRequest {
+			query(sql) {
+				this.sql = sql;
+				return new Promise(resolve => {
+					this.finish = resolve;
+					setImmediate(() => {
+						this.script(this);
+						if (!this.paused) resolve();
+					});
+				});
+			}
+			pause() {
+				this.paused = true;
+				// The disk fills up while the request waits for the file.
+				stream.destroy(Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' }));
+			}
+			resume() {
+				throw new Error('must not resume after a write error');
+			}
+			cancel() {
+				this.cancelled = true;
+				this.finish();
+			}
+		}
+		const posts = [];
+		const filePath = path.join(os.tmpdir(), `sqlwayfarer-${process.pid}-full.csv`);
+		let stream;
+		const createWriteStream = fs.createWriteStream;
+		fs.createWriteStream = (...args) => (stream = createWriteStream(...args));
+		const requests = [];
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => {
+				const request = new PausableRequest(req => {
+					req.emit('recordset', { note: {} });
+					for (let i = 0; i < 100 && !req.paused; i++) req.emit('row', { note: 'x'.repeat(1024) });
+				});
+				requests.push(request);
+				return request;
+			}
+		}), makeState());
+		handlers._pickExportFile = async () => filePath;
+		handlers._withProgress = (title, task) => task({ report: () => {} }, { onCancellationRequested: () => {} });
+
+		try {
+			await handlers.handleExportAllRows('Db1', 'SELECT note FROM t', 0, 'csv');
+		} finally {
+			fs.createWriteStream = createWriteStream;
+		}
+		const paused = requests.find(r => r.paused);
+		assert.ok(paused, 'the request was waiting for the file');
+		assert.strictEqual(paused.cancelled, true);
+		const done = posts.find(p => p.command === 'allRowsExported');
+		assert.strictEqual(done.success, false);
+		assert.ok(/Could not write .*ENOSPC/.test(done.message), done.message);
+		assert.strictEqual(fs.existsSync(filePath), false);
+	});
+
+	test('a cancelled export leaves no file behind', async () => {
+		const posts = [];
+		const filePath = path.join(os.tmpdir(), `sqlwayfarer-${process.pid}-cancelled.json`);
+		let handlers;
+		handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => {
+				req.emit('recordset', { n: {} });
+				req.emit('row', { n: 1 });
+				handlers.handleCancelQuery();
+			})
+		}), makeState());
+		handlers._pickExportFile = async () => filePath;
+		handlers._withProgress = (title, task) => task({ report: () => {} }, { onCancellationRequested: () => {} });
+
+		await handlers.handleExportAllRows('Db1', 'SELECT n FROM t', 0, 'json');
+		assert.strictEqual(posts.find(p => p.command === 'allRowsExported').cancelled, true);
+		assert.strictEqual(fs.existsSync(filePath), false);
+	});
+
+	suite('impact preview', () => {
+		const setup = (rows) => {
+			const posts = [];
+			const transaction = { ended: null, rollback: async () => { transaction.ended = 'rollback'; } };
+			const sessions = [];
+			const manager = makeManager({
+				getImpactThreshold: () => 100,
+				beginTransaction: async () => transaction,
+				createRequest: (session) => {
+					sessions.push(session);
+					return new FakeRequest(req => { if (/UPDATE/.test(req.sql)) req.emit('rowsaffected', rows); });
+				}
+			});
+			const footprint = {
+				tables: null,
+				triggersOn: async (database, tables) => {
+					footprint.tables = tables;
+					return [{ trigger: 'dbo.trg_Orders_Audit', parentTable: 'dbo.Orders' }];
+				}
+			};
+			const handlers = new QueryHandlers(m => posts.push(m), manager, makeState(), null, null, null, footprint);
+			return { posts, transaction, sessions, footprint, handlers };
+		};
+
+		test('writes are dry-run in a rolled-back transaction and confirmed above the threshold', async () => {
+			const { posts, transaction, sessions, footprint, handlers } = setup(500);
+			let asked = null;
+			handlers._confirmImpact = async (lines) => { asked = lines; return false; };
+
+			await handlers.handleExecuteQuery('Db1', 'UPDATE dbo.Orders SET x = 1', 100);
+			assert.strictEqual(transaction.ended, 'rollback');
+			assert.deepStrictEqual(footprint.tables, ['dbo.Orders']);
+			assert.deepStrictEqual(asked, ['UPDATE dbo.Orders — 500 row(s)', 'Triggers that fire: dbo.trg_Orders_Audit']);
+			const error = posts.find(p => p.command === 'queryError');
+			assert.strictEqual(error.cancelled, true);
+			assert.deepStrictEqual(error.impact.entries, [{ kind: 'UPDATE', target: 'dbo.Orders', rows: 500, batch: 1 }]);
+			assert.ok(sessions.every(session => session === transaction), 'declined: the query did not run for real');
+
+			handlers._confirmImpact = async () => true;
+			await handlers.handleExecuteQuery('Db1', 'UPDATE dbo.Orders SET x = 1', 100);
+			assert.strictEqual(posts.find(p => p.command === 'queryResult').impact.entries[0].rows, 500);
+			assert.ok(sessions.includes(null), 'confirmed: the query ran outside the dry-run transaction');
+		});
+
+		test('below the threshold nothing is asked; scripts that could commit are not dry-run', async () => {
+			const { posts, sessions, handlers } = setup(5);
+			handlers._confirmImpact = async () => { throw new Error('must not ask'); };
+
+			await handlers.handleExecuteQuery('Db1', 'UPDATE dbo.Orders SET x = 1', 100);
+			assert.strictEqual(posts.find(p => p.command === 'queryResult').impact.entries[0].rows, 5);
+
+			sessions.length = 0;
+			await handlers.handleExecuteQuery('Db1', 'BEGIN TRAN; UPDATE dbo.Orders SET x = 1; COMMIT', 100);
+			const impact = posts.filter(p => p.command === 'queryResult').pop().impact;
+			assert.match(impact.skipped, /transaction control/);
+			assert.deepStrictEqual(sessions, [null], 'only the real run');
+		});
+	});
+
+	test('triggers writing other tables are listed before the run and with the results', async () => {
+		const posts = [];
+		const cascade = { direct: ['dbo.Orders'], cascaded: ['dbo.Audit', 'dbo.Stock'], triggersFired: ['dbo.trg_Orders'], truncated: false };
+		const footprint = { analyzeAdHoc: async (database, batches) => (batches.some(sql => /Orders/.test(sql)) ? cascade : null) };
+		const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+			createRequest: () => new FakeRequest(req => req.emit('rowsaffected', 1))
+		}), makeState(), null, null, null, footprint);
+		let asked = null;
+		handlers._confirmTriggerCascade = async (details) => { asked = details; return false; };
+
+		await handlers.handleExecuteQuery('Db1', 'UPDATE dbo.Orders SET x = 1 WHERE id = 2', 100);
+		assert.deepStrictEqual(asked, ['Triggers fired: dbo.trg_Orders', 'Tables written through triggers: dbo.Audit, dbo.Stock']);
+		assert.strictEqual(posts.pop().command, 'queryError', 'declined: not run');
+
+		handlers._confirmTriggerCascade = async () => true;
+		await handlers.handleExecuteQuery('Db1', 'UPDATE dbo.Orders SET x = 1 WHERE id = 2', 100);
+		assert.deepStrictEqual(posts.find(p => p.command === 'queryResult').triggerCascade, cascade);
+
+		asked = null;
+		handlers._confirmTriggerCascade = async (details) => { asked = details; return true; };
+		await handlers.handleExecuteQuery('Db1', 'UPDATE dbo.Customers SET x = 1 WHERE id = 2', 100);
+		assert.strictEqual(asked, null, 'no trigger fires: nothing to confirm');
+	});
+
+	suite('manual transaction mode', () => {
+		class FakeTransaction extends EventEmitter {
+			constructor() { super(); this.ended = null; }
+			async commit() { this.ended = 'commit'; }
+			async rollback() { this.ended = 'rollback'; this.emit('rollback', false); }
+		}
+
+		const setup = () => {
+			const posts = [];
+			const transaction = new FakeTransaction();
+			const sessions = [];
+			const manager = makeManager({
+				beginTransaction: async () => transaction,
+				openSession: async () => { throw new Error('runs must use the open transaction'); },
+				createRequest: (session) => {
+					sessions.push(session);
+					const req = new FakeRequest(() => {});
+					// The @@TRANCOUNT probe is a plain (non-streaming) query.
+					req.query = sql => (/@@TRANCOUNT/.test(sql) ? Promise.resolve({ recordset: [{ tranCount: 1 }] }) : FakeRequest.prototype.query.call(req, sql));
+					return req;
+				}
+			});
+			const handlers = new QueryHandlers(m => posts.push(m), manager, makeState());
+			return { posts, transaction, sessions, handlers };
+		};
+		const states = posts => posts.filter(p => p.command === 'transactionState');
+
+		test('runs share the transaction until commit, with @@TRANCOUNT reported', async () => {
+			const { posts, transaction, sessions, handlers } = setup();
+			await handlers.handleBeginTransaction();
+			assert.deepStrictEqual(states(posts).pop(), { command: 'transactionState', open: true, tranCount: 1 });
+
+			await handlers.handleExecuteQuery('Db1', 'UPDATE t SET x = 1 WHERE id = 2', 100);
+			await handlers.handleExecuteQuery('Db1', 'SELECT * FROM t', 100);
+			assert.ok(sessions.every(session => session === transaction), 'every request runs in the transaction');
+			assert.strictEqual(transaction.ended, null, 'the transaction stays open between runs');
+			assert.strictEqual(states(posts).pop().open, true);
+
+			await handlers.handleCommitTransaction();
+			assert.strictEqual(transaction.ended, 'commit');
+			assert.deepStrictEqual(states(posts).pop(), { command: 'transactionState', open: false, message: 'Transaction committed.' });
+		});
+
+		test('an open transaction is rolled back when the connection goes away', async () => {
+			const { posts, transaction, handlers } = setup();
+			await handlers.handleBeginTransaction();
+			await handlers.rollbackOpenTransaction('Connection closed');
+			assert.strictEqual(transaction.ended, 'rollback');
+			assert.strictEqual(states(posts).pop().message, 'Connection closed: the open transaction was rolled back.');
+			await handlers.rollbackOpenTransaction('Panel closed');
+			assert.strictEqual(states(posts).length, 2, 'nothing left to roll back');
+		});
+
+		test('a query running in the transaction ends before the rollback', async () => {
+			const posts = [];
+			const transaction = new FakeTransaction();
+			let active = null;
+			// mssql refuses to roll back while a request of the transaction runs.
+			transaction.rollback = async () => {
+				if (active) throw Object.assign(new Error('There is a request in progress'), { code: 'EREQINPROG' });
+				FakeTransaction.prototype.rollback.call(transaction);
+			};
+			const handlers = new QueryHandlers(m => posts.push(m), makeManager({
+				beginTransaction: async () => transaction,
+				createRequest: () => {
+					const req = new FakeRequest(() => {});
+					req.query = sql => {
+						if (!/WAITFOR/.test(sql)) return Promise.resolve({ recordset: [{ tranCount: 1 }] });
+						active = req;
+						// Like a real request, it ends a moment after being cancelled.
+						return new Promise(resolve => {
+							req.cancel = () => setTimeout(() => { active = null; resolve(); }, 5);
+						});
+					};
+					return req;
+				}
+			}), makeState());
+			await handlers.handleBeginTransaction();
+
+			const running = handlers.handleExecuteQuery('Db1', "WAITFOR DELAY '01:00'", 100);
+			for (let i = 0; i < 100 && !active; i++) await new Promise(resolve => setImmediate(resolve));
+			assert.ok(active, 'the query is running');
+			await handlers.rollbackOpenTransaction('Query tab closed');
+			await running;
+
+			assert.strictEqual(transaction.ended, 'rollback');
+			assert.deepStrictEqual(states(posts).pop(), { command: 'transactionState', open: false, message: 'Query tab closed: the open transaction was rolled back.' });
+		});
+
+		test('a failed rollback is reported, not announced as done', async () => {
+			const { posts, transaction, handlers } = setup();
+			await handlers.handleBeginTransaction();
+			transaction.rollback = async () => { throw new Error('Connection lost'); };
+			await handlers.rollbackOpenTransaction('Connection switched');
+			const state = states(posts).pop();
+			assert.strictEqual(state.error, true);
+			assert.strictEqual(state.message, 'Connection switched: the open transaction could not be rolled back: Connection lost');
+		});
+
+		test('a transaction aborted by the server leaves transaction mode', async () => {
+			const { posts, transaction, handlers } = setup();
+			await handlers.handleBeginTransaction();
+			transaction.emit('rollback', true);
+			const state = states(posts).pop();
+			assert.strictEqual(state.open, false);
+			assert.strictEqual(state.error, true);
+			await handlers.handleCommitTransaction();
+			assert.strictEqual(transaction.ended, null);
+			assert.strictEqual(states(posts).pop().message, 'No transaction is open.');
+		});
+	});
+});
+
+suite('QueryDocuments', () => {
+	const makeDocuments = (posts, state = makeState()) => new QueryDocuments(m => posts.push(m), (post, historyFilter) =>
+		new QueryHandlers(post, makeManager({ createRequest: () => new FakeRequest(req => { req.emit('rowsaffected', 0); }) }), state, null, null, null, null, historyFilter));
+
+	test('each document runs apart and its messages carry its id', async () => {
+		const posts = [];
+		const documents = makeDocuments(posts);
+		assert.strictEqual(documents.get('a'), documents.get('a'));
+		assert.notStrictEqual(documents.get('a'), documents.get('b'));
+
+		await documents.get('b').handleExecuteQuery('Sales', 'SELECT 1', 1000);
+		const result = posts.find(p => p.command === 'queryResult');
+		assert.strictEqual(result.documentId, 'b');
+	});
+
+	test('the history search filter is shared by the documents', async () => {
+		const posts = [];
+		const documents = makeDocuments(posts);
+		await documents.get('a').handleExecuteQuery('Sales', 'SELECT * FROM dbo.Orders', 1000);
+		await documents.get('a').handleExecuteQuery('Sales', 'SELECT * FROM dbo.Staff', 1000);
+		await documents.get('a').handleGetQueryHistory({ text: 'orders', database: '' });
+
+		await documents.get('b').handleExecuteQuery('Sales', 'SELECT 2', 1000);
+		const loaded = posts.filter(p => p.command === 'queryHistoryLoaded').pop();
+		assert.strictEqual(loaded.documentId, 'b');
+		assert.deepStrictEqual(loaded.history.map(e => e.query), ['SELECT * FROM dbo.Orders']);
+	});
+
+	test('closing a document cancels its query and rolls back its transaction', async () => {
+		const calls = [];
+		const fake = (id) => ({
+			handleCancelQuery: () => calls.push(`cancel ${id}`),
+			rollbackOpenTransaction: async (reason) => calls.push(`rollback ${id}: ${reason}`)
+		});
+		let created = 0;
+		const documents = new QueryDocuments(() => {}, () => fake(++created));
+		const first = documents.get('a');
+		documents.get('b');
+
+		await documents.close('a');
+		await documents.close('unknown');
+		assert.deepStrictEqual(calls, ['cancel 1', 'rollback 1: Query tab closed']);
+		assert.notStrictEqual(documents.get('a'), first, 'a closed document starts afresh');
+
+		calls.length = 0;
+		await documents.rollbackOpenTransactions('Connection closed');
+		assert.deepStrictEqual(calls.sort(), ['rollback 2: Connection closed', 'rollback 3: Connection closed']);
+	});
 });
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const QueryHistory = require('../database/QueryHistory');
+
+const entry = (query, database = 'Sales', extra = {}) => ({ query, database, success: true, durationMs: 12, timestamp: Date.UTC(2026, 9, 19, 14, 22, 3), ...extra });
+
+suite('QueryHistory', () => {
+	test('a re-run moves the entry to the top and keeps its pin', () => {
+		let history = [entry('SELECT 2'), entry('SELECT 1', 'Sales', { pinned: true })];
+		history = QueryHistory.record(history, entry('SELECT 1', 'Sales', { success: false }));
+		assert.deepStrictEqual(history.map(e => [e.query, !!e.pinned, e.success]), [['SELECT 1', true, false], ['SELECT 2', false, true]]);
+
+		history = QueryHistory.record(history, entry('SELECT 1', 'HR'));
+		assert.strictEqual(history.length, 3, 'the same text on another database is another entry');
+	});
+
+	test('the limit evicts the oldest unpinned entries, never pinned ones', () => {
+		let history = [entry('old', 'Sales', { pinned: true })];
+		for (let i = 1; i <= 4; i++) history = QueryHistory.record(history, entry(`q${i}`), 2);
+		assert.deepStrictEqual(history.map(e => e.query), ['q4', 'q3', 'old']);
+
+		history = QueryHistory.setPinned(history, { query: 'old', database: 'Sales' }, false);
+		assert.strictEqual(history[2].pinned, undefined);
+		assert.deepStrictEqual(QueryHistory.clear(QueryHistory.setPinned(history, { query: 'q3', database: 'Sales' }, true)).map(e => e.query), ['q3']);
+	});
+
+	test('search matches every word, filters by database and lists pinned entries first', () => {
+		const history = [
+			entry('SELECT * FROM dbo.Orders WHERE Status = 1'),
+			entry('select name from dbo.Customers', 'Sales', { pinned: true }),
+			entry('SELECT * FROM dbo.Orders', 'HR')
+		];
+		assert.deepStrictEqual(QueryHistory.search(history, { text: 'orders  select' }).map(e => e.database), ['Sales', 'HR']);
+		assert.deepStrictEqual(QueryHistory.search(history, { database: 'Sales' }).map(e => e.query), [history[1].query, history[0].query]);
+		assert.deepStrictEqual(QueryHistory.search(history, { text: 'customers', database: 'HR' }), []);
+		assert.deepStrictEqual(QueryHistory.databases(history), ['HR', 'Sales']);
+	});
+
+	test('exported files carry the database, time, duration and status in header comments', () => {
+		const sql = QueryHistory.toSql(entry('SELECT 1\n\n', 'Sales', { pinned: true }));
+		assert.strictEqual(sql, [
+			'-- Database: Sales',
+			'-- Run at: 2026-10-19T14:22:03.000Z',
+			'-- Duration: 12 ms',
+			'-- Status: succeeded',
+			'-- Pinned',
+			'',
+			'SELECT 1',
+			''
+		].join('\n'));
+		assert.strictEqual(QueryHistory.fileName(entry('x', 'My DB'), 6), '20261019-142203-My_DB-007.sql');
+	});
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const QueryParameters = require('../database/QueryParameters');
+
+suite('QueryParameters', () => {
+	test('finds undeclared variables once, in order, with their first spelling', () => {
+		assert.deepStrictEqual(
+			QueryParameters.find('SELECT * FROM Orders WHERE CustomerId = @CustomerId AND Date > @From OR @customerid IS NULL'),
+			['@CustomerId', '@From']
+		);
+	});
+
+	test('ignores @@functions, strings, comments and quoted identifiers', () => {
+		assert.deepStrictEqual(
+			QueryParameters.find("SELECT @@ROWCOUNT, N'@a', [@b], \"@c\" -- @d\n/* @e */ FROM t WHERE x = @f"),
+			['@f']
+		);
+	});
+
+	test('skips declared variables, comma lists and table variables included', () => {
+		const sql = 'DECLARE @a int = @p, @b varchar(10) = dbo.f(@q, 1)\nDECLARE @t TABLE (x int, y int)\nSELECT @a, @b, @z FROM @t';
+		assert.deepStrictEqual(QueryParameters.find(sql), ['@p', '@q', '@z']);
+	});
+
+	test('a DECLARE ends at the next statement, cursor declarations too', () => {
+		assert.deepStrictEqual(QueryParameters.find('DECLARE @a int SELECT @a, @b'), ['@b']);
+		assert.deepStrictEqual(QueryParameters.find('DECLARE c CURSOR FOR SELECT x FROM t WHERE y = @y'), ['@y']);
+	});
+
+	test('named EXEC arguments are not variables; the return status is', () => {
+		assert.deepStrictEqual(QueryParameters.find('EXEC @rc = dbo.GetOrders @CustomerId = @Id, @Top = 10'), ['@rc', '@Id']);
+	});
+
+	test('module definitions declare their own variables', () => {
+		assert.deepStrictEqual(QueryParameters.find('CREATE PROCEDURE dbo.p @a int AS SELECT @a'), []);
+	});
+
+	test('convert types the entered text', () => {
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'int', value: ' 42 ' }), 42);
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'bigint', value: '9007199254740993' }), '9007199254740993');
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'decimal', value: ' 12345678901234567.891 ' }), '12345678901234567.891');
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'int', value: '-2147483648' }), -2147483648);
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'bit', value: 'true' }), true);
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'nvarchar', value: ' padded ' }), ' padded ');
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'int', value: 'x', isNull: true }), null);
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'date', value: '2024-01-31' }).toISOString(), '2024-01-31T00:00:00.000Z');
+		assert.strictEqual(QueryParameters.convert({ name: '@a', type: 'datetime2', value: '2024-01-31 10:30' }).toISOString(), '2024-01-31T10:30:00.000Z');
+	});
+
+	test('convert rejects invalid values, naming the parameter', () => {
+		assert.throws(() => QueryParameters.convert({ name: '@Id', type: 'int', value: '12abc' }), /Parameter @Id: '12abc' is not a valid int/);
+		assert.throws(() => QueryParameters.convert({ name: '@Id', type: 'int', value: '2147483648' }), /not a valid int/);
+		assert.throws(() => QueryParameters.convert({ name: '@m', type: 'decimal', value: '1e5' }), /not a valid decimal/);
+		assert.throws(() => QueryParameters.convert({ name: '@m', type: 'decimal', value: '.' }), /not a valid decimal/);
+		assert.throws(() => QueryParameters.convert({ name: '@m', type: 'decimal', value: '1'.repeat(39) }), /not a valid decimal/);
+		assert.throws(() => QueryParameters.convert({ name: '@g', type: 'uniqueidentifier', value: 'nope' }), /not a valid uniqueidentifier/);
+		assert.throws(() => QueryParameters.convert({ name: '@d', type: 'date', value: '' }), /not a valid date/);
+		assert.throws(() => QueryParameters.convert({ name: '@x', type: 'xml', value: '' }), /unknown type/);
+	});
+});
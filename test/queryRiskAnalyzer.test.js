@@ -43,6 +43,36 @@ suite('QueryRiskAnalyzer with the T-SQL parser', () => {
 		assert.ok(risks.some(r => /truncate table dbo.Staging/i.test(r)), risks.join());
 		assert.ok(risks.some(r => /drop table dbo.Old/i.test(r)), risks.join());
 	});
+
+	test('flags an always-true WHERE, not one that depends on the rows', () => {
+		const risks = analyzer.assess('UPDATE dbo.T SET a = 1 WHERE 1 = 1; DELETE FROM dbo.U WHERE id = 2 OR (2 > 1 AND NOT 1 = 0);');
+		assert.deepStrictEqual(risks.map(r => r.rule), ['tautological-where', 'tautological-where']);
+		assert.ok(risks[0].message.includes('dbo.T'), risks[0].message);
+		assert.deepStrictEqual(analyzer.assess('UPDATE T SET a = 1 WHERE 1 = 1 AND id = @id'), []);
+	});
+
+	test('flags schema changes, MERGE deleting unmatched rows and administrative statements', () => {
+		const risks = analyzer.assess([
+			'ALTER TABLE dbo.T DROP COLUMN Notes;',
+			'ALTER TABLE dbo.T DROP CONSTRAINT FK_T_U;',
+			'ALTER TABLE dbo.T DISABLE TRIGGER ALL;',
+			'MERGE dbo.T AS t USING dbo.S AS s ON t.id = s.id WHEN NOT MATCHED BY SOURCE THEN DELETE;',
+			"EXEC sp_rename 'dbo.T.a', 'b', 'COLUMN';",
+			'DBCC CHECKIDENT (\'dbo.T\', RESEED, 0);',
+			'SHUTDOWN WITH NOWAIT;'
+		].join('\n'));
+		assert.deepStrictEqual(risks.map(r => r.rule), [
+			'alter-drop-column', 'alter-drop-constraint', 'disable-trigger', 'merge-delete-unmatched', 'sp-rename', 'dbcc', 'shutdown'
+		]);
+		assert.ok(risks[0].message.includes('Notes'), risks[0].message);
+	});
+
+	test('MERGE deleting matched rows only is not flagged', () => {
+		assert.deepStrictEqual(
+			analyzer.assess('MERGE dbo.T AS t USING dbo.S AS s ON t.id = s.id WHEN MATCHED THEN DELETE;'),
+			[]
+		);
+	});
 });
 
 suite('QueryRiskAnalyzer regex fallback (no parser)', () => {
@@ -57,4 +87,22 @@ suite('QueryRiskAnalyzer regex fallback (no parser)', () => {
 	test('does not flag UPDATE with WHERE', () => {
 		assert.deepStrictEqual(analyzer.analyze('UPDATE Customer SET Active = 0 WHERE ID = 1'), []);
 	});
+
+	test('still flags the extended rules', () => {
+		const risks = analyzer.assess([
+			'DELETE FROM T WHERE 1 = 1;',
+			'ALTER TABLE dbo.T DROP COLUMN Notes;',
+			'DISABLE TRIGGER trg_T ON dbo.T;',
+			'EXEC sp_rename \'dbo.T\', \'T2\';',
+			'DBCC SHRINKFILE (2);'
+		].join('\n'));
+		assert.deepStrictEqual(risks.map(r => r.rule).sort(), ['alter-drop-column', 'dbcc', 'disable-trigger', 'sp-rename', 'tautological-where']);
+		assert.ok(risks.some(r => r.message === 'DBCC SHRINKFILE'), risks.map(r => r.message).join());
+	});
+
+	test('severities come from the policy; rules turned off are left out', () => {
+		const risks = analyzer.assess('TRUNCATE TABLE dbo.Staging; DELETE FROM T', { truncate: 'block', 'delete-without-where': 'off' });
+		assert.deepStrictEqual(risks.map(r => [r.rule, r.severity]), [['truncate', 'block']]);
+		assert.strictEqual(QueryRiskAnalyzer.severity('dbcc', { dbcc: 'bogus' }), 'confirm', 'unknown severities keep the default');
+	});
 });
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const BabelfishSqlParser = require('../database/BabelfishSqlParser');
+const ReadOnlyGuard = require('../database/ReadOnlyGuard');
+
+suite('ReadOnlyGuard with the T-SQL parser', () => {
+	const parser = new BabelfishSqlParser();
+	parser.setEnabled(true);
+	const guard = new ReadOnlyGuard(parser);
+
+	test('plain reads pass', () => {
+		assert.deepStrictEqual(guard.check('SELECT c.Id FROM dbo.Customer c WHERE c.Active = 1'), []);
+	});
+
+	test('every kind of write is refused', () => {
+		const violations = guard.check(
+			'INSERT INTO dbo.Log (m) VALUES (1); UPDATE dbo.Customer SET Active = 0 WHERE Id = 1; ' +
+			'DELETE FROM dbo.Audit WHERE Id = 2; SELECT * INTO dbo.Copy FROM dbo.Customer;');
+		assert.deepStrictEqual(violations, ['INSERT dbo.Log', 'UPDATE dbo.Customer', 'DELETE dbo.Audit', 'SELECT INTO dbo.Copy']);
+	});
+
+	test('writes nested in control flow are found', () => {
+		const violations = guard.check('IF 1 = 1 BEGIN UPDATE dbo.T SET a = 1 WHERE id = 1 END');
+		assert.deepStrictEqual(violations, ['UPDATE dbo.T']);
+	});
+
+	test('temp tables and table variables stay usable', () => {
+		assert.deepStrictEqual(guard.check(
+			'CREATE TABLE #work (id INT); INSERT INTO #work SELECT Id FROM dbo.Customer; ' +
+			'DECLARE @t TABLE (id INT); INSERT INTO @t VALUES (1); UPDATE w SET id = 2 FROM #work w; DROP TABLE #work;'), []);
+	});
+
+	test('DDL is refused', () => {
+		const violations = guard.check('ALTER TABLE dbo.Customer ADD Note NVARCHAR(10)');
+		assert.strictEqual(violations.length, 1);
+		assert.ok(/ALTER TABLE/.test(violations[0]), violations[0]);
+	});
+
+	test('EXEC passes only for allowlisted procedures', () => {
+		assert.deepStrictEqual(guard.check("EXEC sp_helptext 'dbo.V'"), []);
+		assert.deepStrictEqual(guard.check('EXEC dbo.usp_Report @Year = 2024', ['dbo.usp_Report']), []);
+		assert.ok(guard.check('EXEC dbo.usp_Purge')[0].startsWith('EXEC dbo.usp_Purge'));
+		assert.deepStrictEqual(guard.check("EXEC ('DELETE FROM dbo.T')"), ['EXEC of dynamic SQL or a procedure variable']);
+	});
+
+	test('DBCC and CHECKPOINT are refused, except the DBCC commands that only report', () => {
+		assert.deepStrictEqual(guard.check("DBCC CHECKIDENT('dbo.Orders', RESEED, 0)"), ['DBCC CHECKIDENT']);
+		assert.deepStrictEqual(guard.check('DBCC SHRINKDATABASE(Sales); DBCC FREEPROCCACHE;'), ['DBCC SHRINKDATABASE', 'DBCC FREEPROCCACHE']);
+		assert.deepStrictEqual(guard.check('CHECKPOINT'), ['CHECKPOINT STATEMENT']);
+		assert.deepStrictEqual(guard.check("DBCC SHOW_STATISTICS('dbo.Orders', IX_Orders_Date); DBCC OPENTRAN; DBCC SQLPERF(LOGSPACE);"), []);
+		assert.deepStrictEqual(guard.check("DBCC SQLPERF('sys.dm_os_wait_stats', CLEAR)"), ['DBCC SQLPERF']);
+	});
+
+	test('an unparseable batch falls back to the keyword scan', () => {
+		const violations = guard.check('UPDATE dbo.T SET WHERE');
+		assert.ok(violations.some(v => v.startsWith('UPDATE')), violations.join());
+	});
+});
+
+suite('ReadOnlyGuard rules', () => {
+	// Parser stand-in returning a fixed classification.
+	const guardFor = statements => new ReadOnlyGuard({ classifyWrites: () => statements });
+
+	test('allowlist matches the procedure name with or without schema and brackets', () => {
+		const guard = guardFor([{ kind: 'EXEC', target: '[dbo].[usp_Report]', detail: null }]);
+		assert.deepStrictEqual(guard.check('x', ['usp_report']), []);
+		assert.deepStrictEqual(guard.check('x', ['dbo.usp_Report']), []);
+		assert.strictEqual(guard.check('x', ['sales.usp_Report']).length, 1);
+	});
+
+	test('a qualified allowlist entry matches its schema only, a bare one dbo only', () => {
+		const sales = guardFor([{ kind: 'EXEC', target: '[sales].[usp_Report]', detail: null }]);
+		assert.deepStrictEqual(sales.check('x', ['sales.usp_Report']), []);
+		assert.strictEqual(sales.check('x', ['usp_Report']).length, 1);
+		assert.strictEqual(sales.check('x', ['dbo.usp_Report']).length, 1);
+		const otherDatabase = guardFor([{ kind: 'EXEC', target: 'Hr.sales.usp_Report', detail: null }]);
+		assert.strictEqual(otherDatabase.check('x', ['sales.usp_Report']).length, 1);
+	});
+
+	test('built-in procedures pass unqualified or in sys and master only', () => {
+		const exec = target => guardFor([{ kind: 'EXEC', target, detail: null }]).check('x');
+		for (const target of ['sp_help', 'sys.sp_help', '[sys].[sp_who]', 'master..sp_who', 'master.sys.sp_helpdb']) {
+			assert.deepStrictEqual(exec(target), [], target);
+		}
+		for (const target of ['dbo.sp_help', 'app.sp_who', 'Sales.dbo.sp_helptext']) {
+			assert.strictEqual(exec(target).length, 1, target);
+		}
+	});
+
+	test('session-local targets are exempt, DDL is labelled by its statement', () => {
+		const guard = guardFor([
+			{ kind: 'INSERT', target: '#work', detail: null },
+			{ kind: 'DELETE', target: '@rows', detail: null },
+			{ kind: 'DDL', target: null, detail: 'CREATE OR ALTER PROCEDURE' },
+			{ kind: 'ADMIN', target: null, detail: 'BACKUP STATEMENT' }
+		]);
+		assert.deepStrictEqual(guard.check('x'), ['CREATE OR ALTER PROCEDURE', 'BACKUP STATEMENT']);
+	});
+});
+
+suite('ReadOnlyGuard keyword fallback (no parser)', () => {
+	const guard = new ReadOnlyGuard(null);
+
+	test('refuses anything that looks like a write', () => {
+		assert.deepStrictEqual(guard.check('delete from T where id = 1'), ['DELETE (the batch could not be fully analysed)']);
+		assert.strictEqual(guard.check('EXEC dbo.usp_Anything').length, 1);
+	});
+
+	test('refuses DBCC and CHECKPOINT', () => {
+		assert.deepStrictEqual(guard.check("DBCC CHECKIDENT('dbo.Orders', RESEED, 0)"), ['DBCC (the batch could not be fully analysed)']);
+		assert.deepStrictEqual(guard.check('CHECKPOINT'), ['CHECKPOINT (the batch could not be fully analysed)']);
+	});
+
+	test('ignores keywords in comments, strings and quoted identifiers', () => {
+		assert.deepStrictEqual(guard.check("-- update later\nSELECT [Delete], 'drop it' FROM T /* insert */"), []);
+	});
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResultFileWriter = require('../database/ResultFileWriter');
+
+suite('ResultFileWriter', () => {
+	const file = (name) => path.join(os.tmpdir(), `sqlwayfarer-${process.pid}-${name}`);
+	const write = async (filePath, format, columns, rows) => {
+		const writer = new ResultFileWriter(filePath, format);
+		writer.writeHeader(columns);
+		rows.forEach(row => writer.writeRow(row));
+		await writer.close();
+		return fs.readFileSync(filePath, 'utf8');
+	};
+
+	test('CSV has a BOM and RFC 4180 escaping', async () => {
+		const filePath = file('rows.csv');
+		const text = await write(filePath, 'csv', ['id', 'note', 'bin'], [
+			{ id: 1, note: 'say "hi", twice', bin: Buffer.from([0, 255]) },
+			{ id: 2, note: null, bin: null }
+		]);
+		fs.unlinkSync(filePath);
+		assert.strictEqual(text, '\ufeffid,note,bin\r\n1,"say ""hi"", twice",0x00FF\r\n2,,\r\n');
+	});
+
+	test('JSON is an array of typed objects in column order', async () => {
+		const filePath = file('rows.json');
+		const text = await write(filePath, 'json', ['id', 'at', 'ok'], [
+			{ ok: true, at: new Date('2024-01-31T10:00:00Z'), id: 1 },
+			{ ok: null, at: null, id: 2 }
+		]);
+		fs.unlinkSync(filePath);
+		assert.deepStrictEqual(JSON.parse(text), [
+			{ id: 1, at: '2024-01-31T10:00:00.000Z', ok: true },
+			{ id: 2, at: null, ok: null }
+		]);
+		assert.deepStrictEqual(Object.keys(JSON.parse(text)[0]), ['id', 'at', 'ok']);
+		assert.strictEqual(await write(file('empty.json'), 'json', ['id'], []), '[]\n');
+		fs.unlinkSync(file('empty.json'));
+	});
+
+	test('discard removes the partial file', async () => {
+		const filePath = file('partial.csv');
+		const writer = new ResultFileWriter(filePath, 'csv');
+		writer.writeHeader(['id']);
+		writer.writeRow({ id: 1 });
+		await writer.discard();
+		assert.strictEqual(fs.existsSync(filePath), false);
+	});
+
+	test('a pending drain fails when the file does', async () => {
+		const filePath = file('failing.csv');
+		const writer = new ResultFileWriter(filePath, 'csv');
+		writer.writeHeader(['note']);
+		while (writer.writeRow({ note: 'x'.repeat(1024) })) { /* fill the buffer */ }
+		const drained = writer.drain();
+		writer._stream.destroy(Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' }));
+		await assert.rejects(drained, /ENOSPC/);
+		await writer.discard();
+		assert.strictEqual(fs.existsSync(filePath), false);
+	});
+
+	test('unknown formats are refused', () => {
+		assert.throws(() => new ResultFileWriter(file('x.xml'), 'xml'), /Unknown export format/);
+	});
+});
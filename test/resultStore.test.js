@@ -0,0 +1,46 @@
+const assert = require('assert');
+const ResultStore = require('../database/ResultStore');
+
+const rows = [
+	{ id: 3, name: 'carol', born: new Date('1990-05-01'), note: null },
+	{ id: 1, name: 'Alice', born: new Date('1985-01-15'), note: 'x' },
+	{ id: 10, name: 'bob', born: null, note: 'y' },
+	{ id: 2, name: 'alice', born: new Date('2001-09-30'), note: 'x' }
+];
+
+suite('ResultStore', () => {
+	const store = () => {
+		const s = new ResultStore();
+		const id = s.save([{ columns: ['id', 'name', 'born', 'note'], rows, totalRows: 4 }]);
+		return { s, id };
+	};
+
+	test('pages in the server order by default', () => {
+		const { s, id } = store();
+		const page = s.page(id, 0, { offset: 1, count: 2 });
+		assert.deepStrictEqual(page.rows.map(r => r.id), [1, 10]);
+		assert.strictEqual(page.matchingRows, 4);
+	});
+
+	test('sorts numbers numerically, dates by time, NULLs first; stable on ties', () => {
+		const { s, id } = store();
+		assert.deepStrictEqual(s.page(id, 0, { sort: { column: 'id' } }).rows.map(r => r.id), [1, 2, 3, 10]);
+		assert.deepStrictEqual(s.page(id, 0, { sort: { column: 'born', descending: true } }).rows.map(r => r.id), [2, 3, 1, 10]);
+		assert.deepStrictEqual(s.page(id, 0, { sort: { column: 'name' } }).rows.map(r => r.id), [1, 2, 10, 3]);
+	});
+
+	test('column filters match the displayed text, case-insensitively, all of them', () => {
+		const { s, id } = store();
+		const page = s.page(id, 0, { filters: { name: 'ALI', note: 'x' }, sort: { column: 'id', descending: true } });
+		assert.deepStrictEqual(page.rows.map(r => r.id), [2, 1]);
+		assert.strictEqual(page.matchingRows, 2);
+		assert.strictEqual(s.page(id, 0, { filters: { note: 'null' } }).matchingRows, 1);
+		assert.strictEqual(s.page(id, 0, { filters: { born: '1985-01' } }).rows[0].id, 1);
+	});
+
+	test('pages of an older run are refused', () => {
+		const { s, id } = store();
+		s.save([]);
+		assert.throws(() => s.page(id, 0), /no longer available/);
+	});
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SavedQueryStorage = require('../storage/SavedQueryStorage');
+const SavedQueryHandlers = require('../panels/handlers/SavedQueryHandlers');
+
+suite('SavedQueryStorage', () => {
+	let folder;
+	setup(() => { folder = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sqlwayfarer-saved-')), 'queries'); });
+	teardown(() => { fs.rmSync(path.dirname(folder), { recursive: true, force: true }); });
+
+	test('front matter gives the database and description; the rest is the query', () => {
+		const parsed = SavedQueryStorage.parse('-- database: Sales\r\n-- Description:  Late orders \r\n\r\n-- a comment of the query\r\nSELECT 1\r\n');
+		assert.deepStrictEqual(parsed, { database: 'Sales', description: 'Late orders', query: '-- a comment of the query\nSELECT 1' });
+		assert.deepStrictEqual(SavedQueryStorage.parse('SELECT 2'), { database: '', description: '', query: 'SELECT 2' });
+		assert.strictEqual(
+			SavedQueryStorage.format({ database: 'Sales', description: 'two\nlines', query: 'SELECT 1\n\n' }),
+			'-- database: Sales\n-- description: two lines\n\nSELECT 1\n'
+		);
+	});
+
+	test('saves, lists, renames and removes .sql files; the folder is created on first save', async () => {
+		const storage = new SavedQueryStorage(folder);
+		assert.deepStrictEqual(await storage.list(), []);
+
+		await storage.save('Late orders', { database: 'Sales', description: 'Not shipped after 3 days', query: 'SELECT * FROM dbo.Orders' });
+		await storage.save('blocking', { query: 'EXEC sp_who2' });
+		fs.writeFileSync(path.join(folder, 'notes.txt'), 'ignored');
+		assert.deepStrictEqual(await storage.list(), [
+			{ name: 'blocking', database: '', description: '' },
+			{ name: 'Late orders', database: 'Sales', description: 'Not shipped after 3 days' }
+		]);
+
+		await storage.rename('blocking', 'Blocking sessions');
+		await assert.rejects(storage.rename('Blocking sessions', 'Late orders'), /already exists/);
+		assert.strictEqual((await storage.read('Blocking sessions')).query, 'EXEC sp_who2');
+		await storage.remove('Late orders');
+		assert.deepStrictEqual((await storage.list()).map(q => q.name), ['Blocking sessions']);
+	});
+
+	test('names must be usable as file names', () => {
+		assert.strictEqual(SavedQueryStorage.checkName('  Top 10 '), 'Top 10');
+		assert.throws(() => SavedQueryStorage.checkName('../escape'), /file name/);
+		assert.throws(() => SavedQueryStorage.checkName(' '), /empty/);
+	});
+});
+
+suite('SavedQueryHandlers', () => {
+	test('saving over an existing query asks first and keeps its description', async () => {
+		const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlwayfarer-saved-'));
+		const posts = [];
+		const handlers = new SavedQueryHandlers(m => posts.push(m), () => 'Sales');
+		handlers.folder = () => folder;
+		await new SavedQueryStorage(folder).save('Report', { database: 'HR', description: 'Monthly', query: 'SELECT 1' });
+
+		let confirmed = null;
+		handlers._askName = async () => 'Report';
+		handlers._confirm = async message => { confirmed = message; return true; };
+		handlers._askDescription = async value => value;
+		await handlers.handleSaveQuery('SELECT 2', '');
+
+		const saved = await new SavedQueryStorage(folder).read('Report');
+		fs.rmSync(folder, { recursive: true, force: true });
+		assert.ok(confirmed && confirmed.includes('already exists'), confirmed);
+		assert.deepStrictEqual(saved, { name: 'Report', database: 'Sales', description: 'Monthly', query: 'SELECT 2' });
+		assert.ok(posts.some(p => p.command === 'savedQuerySaved' && p.success));
+		assert.deepStrictEqual(posts.find(p => p.command === 'savedQueriesLoaded').queries.map(q => q.name), ['Report']);
+	});
+
+	test('without a workspace folder the pane says why', async () => {
+		const posts = [];
+		await new SavedQueryHandlers(m => posts.push(m), () => null).handleGetSavedQueries();
+		assert.strictEqual(posts[0].success, false);
+		assert.ok(posts[0].message.includes('Open a folder'), posts[0].message);
+	});
+});
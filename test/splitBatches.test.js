@@ -0,0 +1,42 @@
+const assert = require('assert');
+const splitBatches = require('../database/splitBatches');
+
+const texts = (script) => splitBatches(script).map(b => script.slice(b.start, b.end));
+
+suite('splitBatches', () => {
+	test('splits at GO lines, whatever the case and indentation', () => {
+		assert.deepStrictEqual(texts('SELECT 1\nGO\nSELECT 2\n  go  \nSELECT 3'), ['SELECT 1\n', 'SELECT 2\n', 'SELECT 3']);
+	});
+
+	test('reads the repeat count and ignores a trailing comment', () => {
+		const batches = splitBatches('INSERT t DEFAULT VALUES\nGO 3 -- three rows\nSELECT 1');
+		assert.strictEqual(batches[0].repeat, 3);
+		assert.strictEqual(batches[1].repeat, 1);
+	});
+
+	test('GO inside a block comment or a multi-line string is not a separator', () => {
+		assert.strictEqual(splitBatches('/* notes\nGO\n*/\nSELECT 1').length, 1);
+		assert.strictEqual(splitBatches("SELECT 'a\nGO\nb'").length, 1);
+		assert.strictEqual(splitBatches('/* outer /* inner */\nGO\n*/').length, 1);
+	});
+
+	test('GO as part of a statement or a name is not a separator', () => {
+		assert.strictEqual(splitBatches('SELECT 1 AS go\nSELECT [x\ngo]\nGOTO label').length, 1);
+	});
+
+	test('a line comment does not hide the next line', () => {
+		assert.strictEqual(splitBatches("SELECT 1 -- it's\nGO\nSELECT 2").length, 2);
+	});
+
+	test('batch ranges cover the text with CRLF line endings', () => {
+		assert.deepStrictEqual(texts('SELECT 1\r\nGO\r\nSELECT 2'), ['SELECT 1\r\n', 'SELECT 2']);
+	});
+
+	test('lists SQLCMD command lines in sqlcmd mode only', () => {
+		const script = ':setvar T dbo.t\nSELECT 1\n  :on error exit\nGO\nSELECT \':not a command\'';
+		const batches = splitBatches(script, { sqlcmd: true });
+		assert.deepStrictEqual(batches[0].commands.map(c => script.slice(c.start, c.end)), [':setvar T dbo.t', '  :on error exit']);
+		assert.deepStrictEqual(batches[1].commands, []);
+		assert.deepStrictEqual(splitBatches(script)[0].commands, []);
+	});
+});
@@ -132,3 +132,64 @@ suite('SqlAutocomplete.buildSuggestions', () => {
 		assert.strictEqual(needsColumns, undefined);
 	});
 });
+
+suite('SqlAutocomplete.resolveReference', () => {
+	test('names, bracketed names and aliases resolve to their object', () => {
+		const aliases = { o: 'Sales.Orders' };
+		assert.strictEqual(SqlAutocomplete.resolveReference(objects, aliases, '[Sales].[Orders]').object.qualified_name, 'Sales.Orders');
+		assert.strictEqual(SqlAutocomplete.resolveReference(objects, aliases, 'Employee').object.qualified_name, 'dbo.Employee');
+		assert.deepStrictEqual(SqlAutocomplete.resolveReference(objects, aliases, 'o'), { object: objects[1], column: null });
+	});
+
+	test('"owner.Column" resolves to the owner with the column name', () => {
+		assert.deepStrictEqual(SqlAutocomplete.resolveReference(objects, { o: 'Sales.Orders' }, 'o.Total'), { object: objects[1], column: 'Total' });
+		assert.deepStrictEqual(SqlAutocomplete.resolveReference(objects, {}, 'dbo.Employee.HireDate'), { object: objects[0], column: 'HireDate' });
+		assert.strictEqual(SqlAutocomplete.resolveReference(objects, {}, 'x.Total'), null);
+		assert.strictEqual(SqlAutocomplete.resolveReference(objects, {}, '@Total'), null);
+	});
+});
+
+suite('SqlAutocomplete procedure parameters', () => {
+	const noColumns = () => undefined;
+	const parameters = [
+		{ name: '@DepartmentId', type: 'int', output: false },
+		{ name: '@HiredAfter', type: 'date', output: false },
+		{ name: '@Total', type: 'int', output: true }
+	];
+	const getParameters = q => (q === 'dbo.uspGetEmployees' ? parameters : undefined);
+
+	test('execContext finds the procedure and the parameters already given', () => {
+		const text = 'EXEC dbo.uspGetEmployees @DepartmentId = 4, @';
+		assert.deepStrictEqual(SqlAutocomplete.execContext(text, text.length),
+			{ procedure: 'dbo.uspGetEmployees', used: ['@departmentid'] });
+		const value = 'EXEC dbo.uspGetEmployees @DepartmentId = @';
+		assert.strictEqual(SqlAutocomplete.execContext(value, value.length), null, 'a value is expected');
+		const next = 'EXEC dbo.uspGetEmployees 4;\nSELECT @';
+		assert.strictEqual(SqlAutocomplete.execContext(next, next.length), null, 'another statement');
+	});
+
+	test('"@" in the arguments lists the parameters not given yet', () => {
+		const text = 'EXEC uspGetEmployees @DepartmentId = 4, @';
+		const ctx = SqlAutocomplete.extractContext(text, text.length);
+		const exec = SqlAutocomplete.execContext(text, text.length);
+		const { items } = SqlAutocomplete.buildSuggestions(ctx, objects, {}, noColumns, { exec, getParameters });
+		assert.deepStrictEqual(items.map(i => i.insert), ['@HiredAfter = ', '@Total = ']);
+		assert.strictEqual(items[1].detail, 'int OUTPUT');
+		const pending = SqlAutocomplete.buildSuggestions(ctx, objects, {}, noColumns, { exec, getParameters: () => undefined });
+		assert.deepStrictEqual(pending.needsParameters, ['dbo.uspGetEmployees']);
+	});
+
+	test('procedures carry an EXEC template when parameters are known', () => {
+		const { items } = SqlAutocomplete.buildSuggestions({ base: '', partial: 'uspGet' }, objects, {}, noColumns, { getParameters });
+		assert.strictEqual(items[0].snippet,
+			'EXEC uspGetEmployees @DepartmentId = ${1:DepartmentId}, @HiredAfter = ${2:HiredAfter}, @Total = ${3:Total} OUTPUT');
+
+		const text = 'EXEC dbo.uspG';
+		const ctx = SqlAutocomplete.extractContext(text, text.length);
+		assert.strictEqual(ctx.afterExec, true);
+		const afterExec = SqlAutocomplete.buildSuggestions(ctx, objects, {}, noColumns, { getParameters: () => undefined });
+		assert.strictEqual(afterExec.items[0].snippet, undefined);
+		assert.deepStrictEqual(afterExec.needsParameters, ['dbo.uspGetEmployees']);
+		assert.strictEqual(SqlAutocomplete.execSnippet('uspGetEmployees', [], true), 'uspGetEmployees');
+	});
+});
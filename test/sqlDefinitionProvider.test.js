@@ -0,0 +1,11 @@
+const assert = require('assert');
+const SqlDefinitionProvider = require('../language/SqlDefinitionProvider');
+
+suite('SqlDefinitionProvider', () => {
+	test('a column reference opens the script on the line of its column', () => {
+		const script = 'CREATE TABLE [Sales].[Orders] (\n    [OrderId] INT NOT NULL,\n    [SubTotal] MONEY NULL,\n    [Total] MONEY NULL\n);';
+		assert.strictEqual(SqlDefinitionProvider.lineOf(script, 'Total'), 3);
+		assert.strictEqual(SqlDefinitionProvider.lineOf('SELECT o.OrderId,\n       o.Total\nFROM Sales.Orders o', 'total'), 1);
+		assert.strictEqual(SqlDefinitionProvider.lineOf(script, 'Missing'), 0);
+	});
+});
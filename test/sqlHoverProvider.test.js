@@ -0,0 +1,31 @@
+const assert = require('assert');
+const SqlHoverProvider = require('../language/SqlHoverProvider');
+
+suite('SqlHoverProvider', () => {
+	const orders = { name: 'Sales.Orders', qualified_name: 'Sales.Orders', object_type: 'Table' };
+
+	test('tables show their row count, description and columns', () => {
+		const markdown = SqlHoverProvider.formatObject(orders,
+			[{ name: 'OrderId', type: 'int' }, { name: 'Total', type: 'money' }],
+			{ description: 'Orders of the web shop.', rowCount: 12840 });
+		assert.strictEqual(markdown, [
+			'**Table** `Sales.Orders` · 12,840 rows',
+			'Orders of the web shop\\.',
+			'| Column | Type |\n| --- | --- |\n| `OrderId` | int |\n| `Total` | money |'
+		].join('\n\n'));
+	});
+
+	test('procedures list their parameters; long lists are cut', () => {
+		const proc = { qualified_name: 'dbo.uspGetEmployees', object_type: 'Procedure' };
+		const markdown = SqlHoverProvider.formatObject(proc, [{ name: '@Total', type: 'int', output: true }], { description: '', rowCount: null });
+		assert.strictEqual(markdown, '**Procedure** `dbo.uspGetEmployees`\n\n| Parameter | Type |\n| --- | --- |\n| `@Total` | int OUTPUT |');
+
+		const columns = Array.from({ length: 30 }, (_, i) => ({ name: `C${i}`, type: 'int' }));
+		assert.ok(SqlHoverProvider.formatObject(orders, columns, null).endsWith('| `C24` | int |\n| _5 more_ | |'));
+	});
+
+	test('columns show their type and owner', () => {
+		assert.strictEqual(SqlHoverProvider.formatColumn(orders, { name: 'Total', type: 'money' }),
+			'**Column** `Total` money\n\nof Table `Sales.Orders`');
+	});
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const SqlSchemaCache = require('../database/SqlSchemaCache');
+
+suite('SqlSchemaCache', () => {
+	const index = {
+		objects: {
+			'dbo.Employee': { name: 'Employee', schema: 'dbo', qualifiedName: 'dbo.Employee', type: 'U' },
+			'Sales.vOrderTotals': { name: 'vOrderTotals', schema: 'Sales', qualifiedName: 'Sales.vOrderTotals', type: 'V' },
+			'dbo.trgAudit': { name: 'trgAudit', schema: 'dbo', qualifiedName: 'dbo.trgAudit', type: 'TR' }
+		}
+	};
+
+	function makeSource(overrides = {}) {
+		const calls = { objects: 0, columns: 0, index: 0 };
+		const source = {
+			key: 'prod|Sales',
+			database: 'Sales',
+			indexService: { getCachedIndex: async () => { calls.index++; return index; } },
+			databaseService: {
+				getObjects: async () => { calls.objects++; return [{ name: 'Live', qualified_name: 'dbo.Live', object_type: 'Table' }]; },
+				getObjectColumns: async () => { calls.columns++; return [{ name: 'ID', type: 'int' }]; },
+				getProcedureParameters: async () => { throw new Error('Connection lost'); }
+			},
+			...overrides
+		};
+		return { source, calls };
+	}
+
+	test('objects come from the local index in the getObjects() shape, triggers left out', async () => {
+		const { source, calls } = makeSource();
+		const objects = await new SqlSchemaCache().objects(source);
+		assert.deepStrictEqual(objects, [
+			{ name: 'Employee', object_name: 'Employee', qualified_name: 'dbo.Employee', object_type: 'Table', schema_name: 'dbo' },
+			{ name: 'Sales.vOrderTotals', object_name: 'vOrderTotals', qualified_name: 'Sales.vOrderTotals', object_type: 'View', schema_name: 'Sales' }
+		]);
+		assert.strictEqual(calls.objects, 0);
+	});
+
+	test('without an index the database is asked, and the list is read again once stale', async () => {
+		let now = 0;
+		const cache = new SqlSchemaCache(() => now);
+		const { source, calls } = makeSource({ indexService: { getCachedIndex: async () => null } });
+		assert.strictEqual((await cache.objects(source))[0].name, 'Live');
+		await cache.objects(source);
+		assert.strictEqual(calls.objects, 1);
+		now = 2 * 60 * 1000;
+		await cache.objects(source);
+		assert.strictEqual(calls.objects, 2);
+	});
+
+	test('columns are fetched once per object and then read synchronously', async () => {
+		const cache = new SqlSchemaCache();
+		const { source, calls } = makeSource();
+		assert.strictEqual(cache.columns(source, 'dbo.Employee'), undefined);
+		await Promise.all([cache.loadColumns(source, 'dbo.Employee'), cache.loadColumns(source, 'DBO.EMPLOYEE')]);
+		assert.deepStrictEqual(cache.columns(source, 'dbo.Employee'), [{ name: 'ID', type: 'int' }]);
+		assert.strictEqual(calls.columns, 1);
+		assert.strictEqual(cache.columns({ ...source, key: 'dev|Sales' }, 'dbo.Employee'), undefined, 'cached per connection and database');
+	});
+
+	test('a failed fetch is cached as an empty list', async () => {
+		const cache = new SqlSchemaCache();
+		const { source } = makeSource();
+		assert.deepStrictEqual(await cache.loadParameters(source, 'dbo.uspGetEmployees'), []);
+		assert.deepStrictEqual(cache.parameters(source, 'dbo.uspGetEmployees'), []);
+	});
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const StatementLocator = require('../database/StatementLocator');
+
+const located = (locator, text, offset) => {
+	const range = locator.locate(text, offset);
+	return range && text.slice(range.start, range.end);
+};
+
+// Parser stand-in returning fixed statement ranges for any batch.
+function parserReturning(findRanges) {
+	return { statementRanges: sql => findRanges(sql) };
+}
+
+// Ranges of ';'-terminated statements, like the parser reports them.
+const semicolonStatements = sql => {
+	const ranges = [];
+	const re = /[^;\s][^;]*;?/g;
+	let m;
+	while ((m = re.exec(sql)) !== null) ranges.push({ start: m.index, end: m.index + m[0].length });
+	return ranges;
+};
+
+suite('StatementLocator with parser boundaries', () => {
+	const locator = new StatementLocator(parserReturning(semicolonStatements));
+
+	test('picks the statement under the cursor, even on one line', () => {
+		const text = 'SELECT 1; SELECT 2; SELECT 3;';
+		assert.strictEqual(located(locator, text, 12), 'SELECT 2;');
+	});
+
+	test('multi-line statements are taken whole', () => {
+		const text = 'SELECT a\nFROM t\nWHERE x = 1;\nSELECT 2;';
+		assert.strictEqual(located(locator, text, 12), 'SELECT a\nFROM t\nWHERE x = 1;');
+	});
+
+	test('between statements the previous one wins', () => {
+		const text = 'SELECT 1;\n\n\nSELECT 2;';
+		assert.strictEqual(located(locator, text, 10), 'SELECT 1;');
+	});
+
+	test('before the first statement, the first one', () => {
+		assert.strictEqual(located(locator, '\n\n  SELECT 1;', 0), 'SELECT 1;');
+	});
+
+	test('only the GO batch holding the cursor is parsed', () => {
+		const batches = [];
+		const tracking = new StatementLocator(parserReturning(sql => { batches.push(sql); return semicolonStatements(sql); }));
+		const text = 'SELECT 1;\nGO\nSELECT 2;\nSELECT 3;';
+		assert.strictEqual(located(tracking, text, text.length), 'SELECT 3;');
+		assert.deepStrictEqual(batches, ['SELECT 2;\nSELECT 3;']);
+	});
+});
+
+suite('StatementLocator without the parser', () => {
+	const locator = new StatementLocator();
+	const unparseable = new StatementLocator(parserReturning(() => null));
+
+	test('falls back to the paragraph around the cursor', () => {
+		const text = 'SELECT 1\n\nSELECT a\nFROM t\n\nSELECT 3';
+		assert.strictEqual(located(locator, text, 14), 'SELECT a\nFROM t');
+		assert.strictEqual(located(unparseable, text, 14), 'SELECT a\nFROM t');
+	});
+
+	test('a cursor on a blank line takes the paragraph above', () => {
+		assert.strictEqual(located(locator, 'SELECT 1\n\nSELECT 2', 9), 'SELECT 1');
+	});
+
+	test('an empty batch yields nothing', () => {
+		assert.strictEqual(locator.locate('SELECT 1\nGO\n\n', 12), null);
+		assert.strictEqual(locator.locate('', 0), null);
+	});
+});
@@ -111,6 +111,37 @@ suite('WriteFootprintService.analyzeFootprint', () => {
     });
 });
 
+suite('WriteFootprintService.adHocFootprint', () => {
+    test('splits the tables an ad-hoc script writes itself from those its triggers write', () => {
+        const cascade = WriteFootprintService.adHocFootprint({
+            index: makeIndex(), triggers,
+            columnRefs: { 'app.r': { c: { write: false } } },
+            writes: ['T'] // DELETE FROM T: no column, schema left out
+        });
+        assert.deepStrictEqual(cascade, { direct: ['app.T'], cascaded: ['app.A'], triggersFired: ['app.trg', 'app.trg2'], truncated: false });
+    });
+
+    test('disabled triggers do not cascade', () => {
+        const cascade = WriteFootprintService.adHocFootprint({ index: makeIndex(), triggers, writes: ['app.R'] });
+        assert.deepStrictEqual(cascade.triggersFired, []);
+        assert.deepStrictEqual(cascade.cascaded, []);
+    });
+
+    test('analyzeAdHoc uses the cached index and, without the parser, a statement scan', async () => {
+        const connectionManager = {
+            executeQueryInDatabase: async () => ({
+                recordset: triggers.map(t => ({ trigger_name: t.trigger, parent_table: t.parentTable, is_disabled: t.disabled }))
+            })
+        };
+        const service = new WriteFootprintService(connectionManager, { getCachedIndex: async () => makeIndex() });
+        const cascade = await service.analyzeAdHoc('Db', ['SELECT 1', 'DELETE FROM [app].[T] WHERE c = 1']);
+        assert.deepStrictEqual(cascade.cascaded, ['app.A']);
+
+        const notIndexed = new WriteFootprintService(connectionManager, { getCachedIndex: async () => null });
+        assert.strictEqual(await notIndexed.analyzeAdHoc('Db', ['DELETE FROM app.T']), null);
+    });
+});
+
 suite('WriteFootprintService.foreignKeysAmong', () => {
     const fks = [
         { fkName: 'FK_Order_Customer', fromTable: 'app.Order', fromColumn: 'CustomerID', toTable: 'app.Customer', toColumn: 'CustomerID' },
@@ -132,3 +163,18 @@ suite('WriteFootprintService.foreignKeysAmong', () => {
         assert.strictEqual(edges.filter(e => e.fkName === 'FK_Multi').length, 1);
     });
 });
+
+suite('WriteFootprintService.triggersOnTables', () => {
+    const triggers = [
+        { trigger: 'app.trg_Order_Audit', parentTable: 'app.Order', disabled: false },
+        { trigger: 'app.trg_Order_Old', parentTable: 'app.Order', disabled: true },
+        { trigger: 'dbo.trg_Log', parentTable: 'dbo.Log', disabled: false }
+    ];
+
+    test('lists the enabled triggers of the written tables, schema optional', () => {
+        assert.deepStrictEqual(WriteFootprintService.triggersOnTables(triggers, ['[app].[Order]']),
+            [{ trigger: 'app.trg_Order_Audit', parentTable: 'app.Order' }]);
+        assert.strictEqual(WriteFootprintService.triggersOnTables(triggers, ['Log']).length, 1);
+        assert.strictEqual(WriteFootprintService.triggersOnTables(triggers, ['other.Log']).length, 0);
+    });
+});
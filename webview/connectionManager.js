@@ -7,11 +7,30 @@
  */
 'use strict';
 
+// Query tab risk rules a connection can grade: same ids, labels and default
+// ('confirm') as QueryRiskAnalyzer.RULES in the extension host.
+const RISK_RULES = [
+    ['update-without-where', 'UPDATE without WHERE'],
+    ['delete-without-where', 'DELETE without WHERE'],
+    ['tautological-where', 'UPDATE / DELETE with an always-true WHERE'],
+    ['merge-delete-unmatched', 'MERGE … WHEN NOT MATCHED BY SOURCE THEN DELETE'],
+    ['truncate', 'TRUNCATE TABLE'],
+    ['drop', 'DROP <object>'],
+    ['alter-drop-column', 'ALTER TABLE … DROP COLUMN'],
+    ['alter-drop-constraint', 'ALTER TABLE … DROP CONSTRAINT'],
+    ['disable-trigger', 'DISABLE TRIGGER'],
+    ['sp-rename', 'sp_rename'],
+    ['dbcc', 'DBCC'],
+    ['shutdown', 'SHUTDOWN']
+];
+const RISK_SEVERITIES = [['off', 'Off'], ['warn', 'Warn'], ['confirm', 'Confirm'], ['block', 'Block']];
+
 // Gestionnaire de connexion
 class ConnectionManager {
     constructor() {
         this.initDOMElements();
         this.initEventListeners();
+        this.setRiskRules(null);
         this.loadSavedConnections();
         this.settingsMode = 'new'; // 'new' or 'edit'
         this.currentEditingConnection = null;
@@ -27,18 +46,52 @@ class ConnectionManager {
             settingsTitle: document.getElementById('settingsTitle'),
             closeSettingsBtn: document.getElementById('closeSettingsBtn'),
             cancelSettingsBtn: document.getElementById('cancelSettingsBtn'),
+            fromConnectionStringBtn: document.getElementById('fromConnectionStringBtn'),
+            connectionStringPanel: document.getElementById('connectionStringPanel'),
+            connectionStringInput: document.getElementById('connectionStringInput'),
+            applyConnectionStringBtn: document.getElementById('applyConnectionStringBtn'),
+            cancelConnectionStringBtn: document.getElementById('cancelConnectionStringBtn'),
             serverInput: document.getElementById('serverInput'),
             portInput: document.getElementById('portInput'),
             databaseInput: document.getElementById('databaseInput'),
+            authTypeSelect: document.getElementById('authTypeSelect'),
             usernameInput: document.getElementById('usernameInput'),
             passwordInput: document.getElementById('passwordInput'),
+            passwordLabel: document.getElementById('passwordLabel'),
+            clientIdInput: document.getElementById('clientIdInput'),
+            tenantIdInput: document.getElementById('tenantIdInput'),
+            tenantIdLabel: document.getElementById('tenantIdLabel'),
+            tokenSourceSelect: document.getElementById('tokenSourceSelect'),
+            tokenLocationInput: document.getElementById('tokenLocationInput'),
+            tokenLocationLabel: document.getElementById('tokenLocationLabel'),
+            authFields: document.querySelectorAll('#connectionSettings [data-auth]'),
             encryptCheckbox: document.getElementById('encryptCheckbox'),
             trustCertCheckbox: document.getElementById('trustCertCheckbox'),
+            readOnlyCheckbox: document.getElementById('readOnlyCheckbox'),
+            readOnlyProceduresGroup: document.getElementById('readOnlyProceduresGroup'),
+            readOnlyProceduresInput: document.getElementById('readOnlyProceduresInput'),
+            impactPreviewCheckbox: document.getElementById('impactPreviewCheckbox'),
+            impactThresholdGroup: document.getElementById('impactThresholdGroup'),
+            impactThresholdInput: document.getElementById('impactThresholdInput'),
+            riskRulesCheckbox: document.getElementById('riskRulesCheckbox'),
+            riskRulesGroup: document.getElementById('riskRulesGroup'),
+            environmentSelect: document.getElementById('environmentSelect'),
             connectionNameInput: document.getElementById('connectionNameInput'),
+            activeConnectionPicker: document.getElementById('activeConnectionPicker'),
+            activeConnectionSelect: document.getElementById('activeConnectionSelect'),
+            disconnectBtn: document.getElementById('disconnectBtn'),
+            connectionHealth: document.getElementById('connectionHealth'),
+            connectionHealthDot: document.getElementById('connectionHealthDot'),
+            connectionHealthText: document.getElementById('connectionHealthText'),
+            environmentBanner: document.getElementById('environmentBanner'),
+            environmentBannerText: document.getElementById('environmentBannerText'),
+            unlockProductionWritesBtn: document.getElementById('unlockProductionWritesBtn'),
             saveConnectionBtn: document.getElementById('saveConnectionBtn'),
             testConnectionBtn: document.getElementById('testConnectionBtn'),
             connectionStatus: document.getElementById('connectionStatus'),
-            autoConnectChk: document.getElementById('autoConnectChk')
+            autoConnectChk: document.getElementById('autoConnectChk'),
+            importConnectionsBtn: document.getElementById('importConnectionsBtn'),
+            exportConnectionsBtn: document.getElementById('exportConnectionsBtn')
         };
     }
 
@@ -51,9 +104,25 @@ class ConnectionManager {
         this.elements.cancelSettingsBtn.addEventListener('click', () => this.hideSettings());
         this.elements.saveConnectionBtn.addEventListener('click', () => this.handleSaveConnection());
         this.elements.testConnectionBtn.addEventListener('click', () => this.handleTestConnection());
+        this.elements.fromConnectionStringBtn.addEventListener('click', () => this.toggleConnectionStringPanel(true));
+        this.elements.cancelConnectionStringBtn.addEventListener('click', () => this.toggleConnectionStringPanel(false));
+        this.elements.applyConnectionStringBtn.addEventListener('click', () => this.handleApplyConnectionString());
+        this.elements.authTypeSelect.addEventListener('change', () => this.updateAuthFields());
+        this.elements.readOnlyCheckbox.addEventListener('change', () => this.updateReadOnlyFields());
+        this.elements.impactPreviewCheckbox.addEventListener('change', () => this.updateImpactFields());
+        this.elements.riskRulesCheckbox.addEventListener('change', () => this.updateRiskRuleFields());
+        this.elements.tokenSourceSelect.addEventListener('change', () => this.updateAuthFields());
         this.elements.autoConnectChk.addEventListener('change', () => {
             vscode.postMessage({ command: 'setAutoConnect', enabled: this.elements.autoConnectChk.checked });
         });
+        this.elements.unlockProductionWritesBtn.addEventListener('click', () => vscode.postMessage({ command: 'unlockProductionWrites' }));
+        this.elements.activeConnectionSelect.addEventListener('change', () => {
+            const key = this.elements.activeConnectionSelect.value;
+            if (key) vscode.postMessage({ command: 'bindConnection', key });
+        });
+        this.elements.disconnectBtn.addEventListener('click', () => vscode.postMessage({ command: 'disconnect' }));
+        this.elements.importConnectionsBtn.addEventListener('click', () => vscode.postMessage({ command: 'importConnections' }));
+        this.elements.exportConnectionsBtn.addEventListener('click', () => vscode.postMessage({ command: 'exportConnections' }));
     }
 
     loadSavedConnections() {
@@ -66,9 +135,10 @@ class ConnectionManager {
         if (selectedValue === 'new') {
             this.showNewConnectionSettings();
         } else if (selectedValue && selectedValue !== '') {
-            // Existing connection selected
-            this.elements.editBtn.style.display = 'inline-block';
-            this.elements.deleteBtn.style.display = 'inline-block';
+            // Existing connection selected; workspace ones are edited in their file
+            const editable = !ConnectionManager.isWorkspaceConnection(selectedValue);
+            this.elements.editBtn.style.display = editable ? 'inline-block' : 'none';
+            this.elements.deleteBtn.style.display = editable ? 'inline-block' : 'none';
             this.hideSettings();
         } else {
             // No selection
@@ -204,32 +274,167 @@ class ConnectionManager {
     }
 
     buildConnectionConfig() {
+        const authenticationType = this.elements.authTypeSelect.value;
         const config = {
             useConnectionString: false,
             server: this.elements.serverInput.value.trim(),
             port: this.elements.portInput.value.trim(),
             database: this.elements.databaseInput.value.trim(),
+            authenticationType,
             username: this.elements.usernameInput.value.trim(),
             password: this.elements.passwordInput.value,
             encrypt: this.elements.encryptCheckbox.checked,
-            trustServerCertificate: this.elements.trustCertCheckbox.checked
+            trustServerCertificate: this.elements.trustCertCheckbox.checked,
+            environment: this.elements.environmentSelect.value || undefined,
+            readOnly: this.elements.readOnlyCheckbox.checked || undefined
         };
-        
+        if (config.readOnly) {
+            config.readOnlyAllowedProcedures = this.elements.readOnlyProceduresInput.value
+                .split(',').map(name => name.trim()).filter(Boolean);
+        }
+        if (this.elements.impactPreviewCheckbox.checked) {
+            config.impactPreview = true;
+            const threshold = parseInt(this.elements.impactThresholdInput.value, 10);
+            if (threshold >= 0) config.impactThreshold = threshold;
+        }
+        // Only the rules graded differently from the default are kept.
+        if (this.elements.riskRulesCheckbox.checked) {
+            const riskRules = {};
+            this.elements.riskRulesGroup.querySelectorAll('select').forEach(select => {
+                if (select.value !== 'confirm') riskRules[select.dataset.rule] = select.value;
+            });
+            if (Object.keys(riskRules).length > 0) config.riskRules = riskRules;
+        }
+
+        // Only keep the fields of the selected mode so a saved connection
+        // does not carry stale values from another one.
+        if (authenticationType === 'entraPassword' || authenticationType === 'servicePrincipal') {
+            config.clientId = this.elements.clientIdInput.value.trim();
+            config.tenantId = this.elements.tenantIdInput.value.trim();
+        }
+        if (authenticationType === 'servicePrincipal') {
+            config.username = '';
+        }
+        if (authenticationType === 'accessToken') {
+            const location = this.elements.tokenLocationInput.value.trim();
+            config.username = '';
+            config.password = '';
+            config.tokenSource = this.elements.tokenSourceSelect.value;
+            if (config.tokenSource === 'env') config.tokenEnvVar = location;
+            else config.tokenFile = location;
+        }
+
         return config;
     }
 
+    // === Connection string mode ===
+
+    // The string is parsed by the extension; the fields are only filled in
+    // so the user can review them before saving or testing.
+    toggleConnectionStringPanel(visible) {
+        this.elements.connectionStringPanel.style.display = visible ? 'block' : 'none';
+        this.elements.fromConnectionStringBtn.style.display = visible ? 'none' : '';
+        this.elements.connectionStringInput.value = '';
+        if (visible) this.elements.connectionStringInput.focus();
+    }
+
+    handleApplyConnectionString() {
+        const connectionString = this.elements.connectionStringInput.value.trim();
+        if (!connectionString) {
+            this.showStatus('Please paste a connection string.', 'error');
+            return;
+        }
+        vscode.postMessage({ command: 'parseConnectionString', connectionString });
+    }
+
+    onConnectionStringParsed(message) {
+        if (!message.success) {
+            this.showStatus(message.message, 'error');
+            return;
+        }
+
+        const config = message.config;
+        this.elements.serverInput.value = config.instanceName ? `${config.server}\\${config.instanceName}` : config.server;
+        this.elements.portInput.value = config.port || '';
+        this.elements.databaseInput.value = config.database || '';
+        this.elements.authTypeSelect.value = config.authenticationType;
+        this.elements.usernameInput.value = config.username || '';
+        this.elements.passwordInput.value = config.password || '';
+        this.elements.clientIdInput.value = config.clientId || '';
+        if (config.encrypt !== undefined) this.elements.encryptCheckbox.checked = config.encrypt;
+        if (config.trustServerCertificate !== undefined) this.elements.trustCertCheckbox.checked = config.trustServerCertificate;
+        if (!this.elements.connectionNameInput.value) {
+            this.elements.connectionNameInput.value = config.database ? `${config.server} (${config.database})` : config.server;
+        }
+        this.updateAuthFields();
+        this.toggleConnectionStringPanel(false);
+
+        const notes = [];
+        if (config.authenticationType === 'servicePrincipal') notes.push('enter the tenant ID');
+        if (config.authenticationType === 'entraPassword') notes.push('enter the client ID');
+        if (message.ignoredKeys.length) notes.push(`ignored: ${message.ignoredKeys.join(', ')}`);
+        this.showStatus(`Fields filled from the connection string — review them, then save or test${notes.length ? ` (${notes.join('; ')})` : ''}.`, 'success');
+    }
+
+    // === Authentication mode ===
+
+    // Show only the inputs the selected mode uses (see data-auth in index.html)
+    // and relabel the shared secret / token inputs accordingly.
+    updateAuthFields() {
+        const authType = this.elements.authTypeSelect.value;
+        this.elements.authFields.forEach(field => {
+            field.style.display = field.dataset.auth.split(' ').includes(authType) ? '' : 'none';
+        });
+
+        this.elements.passwordLabel.textContent = authType === 'servicePrincipal' ? 'Client secret:' : 'Password:';
+        this.elements.tenantIdLabel.textContent = authType === 'servicePrincipal' ? 'Tenant ID:' : 'Tenant ID (optional):';
+        this.elements.usernameInput.placeholder = authType === 'windows' ? 'DOMAIN\\user'
+            : authType === 'entraPassword' ? 'user@contoso.com' : 'sa';
+
+        const fromEnv = this.elements.tokenSourceSelect.value === 'env';
+        this.elements.tokenLocationLabel.textContent = fromEnv ? 'Environment variable:' : 'Token file path:';
+        this.elements.tokenLocationInput.placeholder = fromEnv ? 'AZURE_SQL_TOKEN' : '/path/to/token.txt';
+    }
+
+    // Connections from .sqlwayfarer/connections.json are keyed 'workspace:<name>'.
+    static isWorkspaceConnection(name) {
+        return typeof name === 'string' && name.startsWith('workspace:');
+    }
+
+    // Saved connections without authenticationType predate the selector:
+    // a DOMAIN\user name meant Windows authentication.
+    static authTypeOf(connection) {
+        if (connection.authenticationType) return connection.authenticationType;
+        return /^[^\\]+\\/.test(connection.username || '') ? 'windows' : 'sql';
+    }
+
     loadConnectionToForm(connection) {
         this.elements.serverInput.value = connection.server || '';
         this.elements.portInput.value = connection.port || '';
         this.elements.databaseInput.value = connection.database || '';
+        this.elements.authTypeSelect.value = ConnectionManager.authTypeOf(connection);
         this.elements.usernameInput.value = connection.username || '';
         // Don't populate password field for security
         this.elements.passwordInput.value = '';
         this.elements.passwordInput.placeholder = 'Leave empty to use saved password';
+        this.elements.clientIdInput.value = connection.clientId || '';
+        this.elements.tenantIdInput.value = connection.tenantId || '';
+        this.elements.tokenSourceSelect.value = connection.tokenSource === 'env' ? 'env' : 'file';
+        this.elements.tokenLocationInput.value = (connection.tokenSource === 'env' ? connection.tokenEnvVar : connection.tokenFile) || '';
+        this.updateAuthFields();
         this.elements.encryptCheckbox.checked = connection.encrypt || false;
         this.elements.trustCertCheckbox.checked = connection.trustServerCertificate !== false;
+        this.elements.environmentSelect.value = connection.environment || '';
+        this.elements.readOnlyCheckbox.checked = !!connection.readOnly;
+        this.elements.readOnlyProceduresInput.value = (connection.readOnlyAllowedProcedures || []).join(', ');
+        this.updateReadOnlyFields();
+        this.elements.impactPreviewCheckbox.checked = !!connection.impactPreview;
+        this.elements.impactThresholdInput.value = connection.impactThreshold !== undefined ? connection.impactThreshold : '';
+        this.updateImpactFields();
+        this.setRiskRules(connection.riskRules);
         
         this.elements.connectionNameInput.value = connection.name;
+        this.toggleConnectionStringPanel(false);
     }
 
     setButtonState(button, disabled, text) {
@@ -246,21 +451,40 @@ class ConnectionManager {
         this.elements.serverInput.value = '';
         this.elements.portInput.value = '';
         this.elements.databaseInput.value = '';
+        this.elements.authTypeSelect.value = 'sql';
         this.elements.usernameInput.value = '';
         this.elements.passwordInput.value = '';
+        this.elements.clientIdInput.value = '';
+        this.elements.tenantIdInput.value = '';
+        this.elements.tokenSourceSelect.value = 'file';
+        this.elements.tokenLocationInput.value = '';
         this.elements.encryptCheckbox.checked = false;
         this.elements.trustCertCheckbox.checked = true;
+        this.elements.environmentSelect.value = '';
+        this.elements.readOnlyCheckbox.checked = false;
+        this.elements.readOnlyProceduresInput.value = '';
+        this.updateReadOnlyFields();
+        this.elements.impactPreviewCheckbox.checked = false;
+        this.elements.impactThresholdInput.value = '';
+        this.updateImpactFields();
+        this.setRiskRules(null);
         this.elements.connectionNameInput.value = '';
+        this.toggleConnectionStringPanel(false);
         
         // Reset placeholders
         this.elements.passwordInput.placeholder = 'Password';
+        this.updateAuthFields();
     }
 
     // Gestionnaires de messages
-    onSavedConnectionsLoaded(connections, lastConnection = null, autoConnect = true) {
+    onSavedConnectionsLoaded(connections, lastConnection = null, autoConnect = true, workspaceConnections = []) {
         appState.savedConnections = connections;
+        appState.workspaceConnections = workspaceConnections;
         this.elements.autoConnectChk.checked = autoConnect;
 
+        // The list is also reloaded live when the workspace file changes: keep the current pick.
+        const previousValue = this.elements.connectionSelect.value;
+
         this.elements.connectionSelect.innerHTML = '<option value="">Select a connection...</option>';
 
         // Add "New Connection" option
@@ -269,18 +493,34 @@ class ConnectionManager {
         newOption.textContent = '+ New Connection';
         this.elements.connectionSelect.appendChild(newOption);
 
-        // Add saved connections
-        connections.forEach(conn => {
-            const option = document.createElement('option');
-            option.value = conn.name;
-            option.textContent = conn.name;
-            this.elements.connectionSelect.appendChild(option);
-        });
+        // Workspace connections and saved ones in separate groups
+        const addGroup = (label, items) => {
+            if (!items.length) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            items.forEach(conn => {
+                const option = document.createElement('option');
+                option.value = conn.name;
+                option.textContent = (conn.label || conn.name) + (conn.environment ? ` [${conn.environment}]` : '');
+                if (conn.workspaceFile) option.title = conn.workspaceFile;
+                group.appendChild(option);
+            });
+            this.elements.connectionSelect.appendChild(group);
+        };
+        addGroup('Workspace (.sqlwayfarer/connections.json)', workspaceConnections);
+        addGroup(workspaceConnections.length ? 'Saved' : 'Saved connections', connections);
+
+        const allConnections = connections.concat(workspaceConnections);
+        const editingNew = previousValue === 'new' && this.elements.connectionSettings.style.display !== 'none';
+        if (editingNew || (previousValue && allConnections.some(c => c.name === previousValue))) {
+            this.elements.connectionSelect.value = previousValue;
+            return;
+        }
 
         // Pré-sélectionne la dernière connexion utilisée et reconnecte
         // automatiquement — une seule fois au démarrage, jamais lors des
         // rechargements déclenchés par un save/delete, ni si déjà connecté.
-        if (lastConnection && connections.some(c => c.name === lastConnection)) {
+        if (lastConnection && allConnections.some(c => c.name === lastConnection)) {
             this.elements.connectionSelect.value = lastConnection;
             this.handleConnectionSelectChange();
             if (autoConnect && !this._autoConnectDone && !appState.isConnected) {
@@ -311,6 +551,13 @@ class ConnectionManager {
         }
     }
 
+    // Import / export of a shared connections file (the list itself is
+    // reloaded by the extension after a successful import).
+    onConnectionsTransferred(message) {
+        if (message.cancelled) return;
+        this.showStatus(message.message, message.success ? 'success' : 'error');
+    }
+
     onTestConnectionResult(message) {
         this.setButtonState(this.elements.testConnectionBtn, false, 'Test Connection');
         this.showStatus(message.message, message.success ? 'success' : 'error');
@@ -322,6 +569,7 @@ class ConnectionManager {
         
         if (message.success) {
             appState.isConnected = true;
+            this.updateEnvironmentBanner(message.environment, message.connectionLabel, message.readOnly);
             // Permettre l'accès à l'onglet Explorer
             document.querySelector('[data-tab="explorer"]').disabled = false;
             // Hide settings on successful connection
@@ -329,6 +577,121 @@ class ConnectionManager {
         }
     }
 
+    // === Open connections (header picker) ===
+
+    // Pools stay open across panels: the picker switches this panel to one of
+    // them without reconnecting.
+    onOpenConnectionsChanged(connections, activeKey, status) {
+        const select = this.elements.activeConnectionSelect;
+        select.innerHTML = '';
+        if (!activeKey) {
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = 'Not connected';
+            select.appendChild(placeholder);
+        }
+        connections.forEach(connection => {
+            const option = document.createElement('option');
+            option.value = connection.key;
+            option.textContent = connection.environment
+                ? `${connection.label} (${ConnectionManager.environmentLabel(connection.environment)})`
+                : connection.label;
+            option.title = connection.server;
+            select.appendChild(option);
+        });
+        select.value = activeKey || '';
+        this.elements.disconnectBtn.disabled = !activeKey;
+        this.elements.activeConnectionPicker.style.display = connections.length ? '' : 'none';
+        this.updateConnectionHealth(activeKey ? status : null);
+    }
+
+    // Header indicator: the extension retries transient failures and pings
+    // open connections, so a VPN blip or a failover shows as 'reconnecting'
+    // and, if it lasts, 'lost' (still retried in the background).
+    updateConnectionHealth(status) {
+        const indicator = this.elements.connectionHealth;
+        indicator.style.display = status ? '' : 'none';
+        if (!status) return;
+        const states = {
+            connected: ['Connected', 'dot-ready', 'The connection answers normally'],
+            reconnecting: ['Reconnecting…', 'dot-indexing', 'The connection was interrupted; reconnecting automatically'],
+            lost: ['Connection lost', 'dot-error', 'The server cannot be reached; retrying in the background']
+        };
+        const [text, dot, title] = states[status] || [status, 'dot-none', ''];
+        this.elements.connectionHealthDot.className = `indicator-dot ${dot}`;
+        this.elements.connectionHealthText.textContent = text;
+        indicator.title = title;
+    }
+
+    // The bound connection was closed (Disconnect here or in another panel).
+    onConnectionClosed(message) {
+        appState.isConnected = false;
+        this.updateEnvironmentBanner(null, '', false);
+        this.showStatus(message, 'error');
+    }
+
+    updateReadOnlyFields() {
+        this.elements.readOnlyProceduresGroup.style.display = this.elements.readOnlyCheckbox.checked ? '' : 'none';
+    }
+
+    updateImpactFields() {
+        this.elements.impactThresholdGroup.style.display = this.elements.impactPreviewCheckbox.checked ? '' : 'none';
+    }
+
+    updateRiskRuleFields() {
+        this.elements.riskRulesGroup.style.display = this.elements.riskRulesCheckbox.checked ? '' : 'none';
+    }
+
+    // One severity select per rule, built on first use; unlisted rules are 'confirm'.
+    setRiskRules(riskRules) {
+        const group = this.elements.riskRulesGroup;
+        if (!group.firstChild) {
+            for (const [rule, label] of RISK_RULES) {
+                const id = `riskRule-${rule}`;
+                const text = document.createElement('label');
+                text.htmlFor = id;
+                text.textContent = label;
+                const select = document.createElement('select');
+                select.id = id;
+                select.dataset.rule = rule;
+                for (const [value, name] of RISK_SEVERITIES) select.add(new Option(name, value));
+                group.append(text, select);
+            }
+        }
+        group.querySelectorAll('select').forEach(select => {
+            select.value = (riskRules && riskRules[select.dataset.rule]) || 'confirm';
+        });
+        this.elements.riskRulesCheckbox.checked = !!riskRules && Object.keys(riskRules).length > 0;
+        this.updateRiskRuleFields();
+    }
+
+    // === Environment banner ===
+
+    // Coloured strip under the header naming the active connection's environment
+    // (and read-only mode), so a production session never looks like a dev one.
+    updateEnvironmentBanner(environment, connectionLabel, readOnly = false) {
+        appState.environment = environment || null;
+        appState.readOnly = !!readOnly;
+        const banner = this.elements.environmentBanner;
+        banner.className = 'environment-banner' + (environment ? ` env-${environment}` : readOnly ? ' env-read-only' : '');
+        banner.style.display = environment || readOnly ? '' : 'none';
+        const parts = [];
+        if (environment) parts.push(ConnectionManager.environmentLabel(environment));
+        if (readOnly) parts.push('READ-ONLY');
+        this.elements.environmentBannerText.textContent = parts.length ? `${parts.join(' · ')} — ${connectionLabel}` : '';
+        // Comments on a read-only connection stay locked whatever the environment.
+        this.elements.unlockProductionWritesBtn.style.display = environment === 'production' && !readOnly ? '' : 'none';
+    }
+
+    static environmentLabel(environment) {
+        return { dev: 'DEVELOPMENT', test: 'TEST', staging: 'STAGING', production: 'PRODUCTION' }[environment] || environment.toUpperCase();
+    }
+
+    onProductionWritesUnlocked() {
+        this.elements.unlockProductionWritesBtn.style.display = 'none';
+        this.elements.environmentBannerText.textContent += ' · comment edits unlocked';
+    }
+
     // Handle connection loaded for display (without sensitive data)
     onConnectionLoadedForDisplay(connection) {
         this.loadConnectionToForm(connection);
@@ -19,6 +19,8 @@ class AppState {
         this.selectedObject = null;
         this.savedConnections = [];
         this.connectionConfig = null;
+        this.environment = null; // dev | test | staging | production of the active connection
+        this.readOnly = false; // active connection refuses writes
         this.currentDependencies = null;
         this.pendingVisualization = null;
         this.allObjects = [];
@@ -1006,6 +1008,12 @@ class ExplorerManager {
         }
     }
 
+    clearDatabaseSelection() {
+        if (!appState.currentDatabase) return;
+        this.elements.databaseSelect.value = '';
+        this.handleDatabaseChange();
+    }
+
     onDatabasesLoaded(databases) {
         this.elements.databaseSelect.disabled = false;
         this.elements.databaseSelect.innerHTML = '<option value="">Select a database...</option>';
@@ -1016,6 +1024,9 @@ class ExplorerManager {
             option.textContent = db;
             this.elements.databaseSelect.appendChild(option);
         });
+        if (window.queryManager) {
+            window.queryManager.onDatabasesLoaded(databases);
+        }
     }
 
     onObjectsLoaded(objects) {
@@ -1792,7 +1803,7 @@ class MessageHandler {
 
         switch (message.command) {
             case 'savedConnectionsLoaded':
-                this.connectionManager.onSavedConnectionsLoaded(message.connections, message.lastConnection, message.autoConnect);
+                this.connectionManager.onSavedConnectionsLoaded(message.connections, message.lastConnection, message.autoConnect, message.workspaceConnections);
                 break;
 
             case 'connectionLoadedForDisplay':
@@ -1807,6 +1818,19 @@ class MessageHandler {
                 this.connectionManager.onConnectionDeleted(message);
                 break;
 
+            case 'connectionsExported':
+            case 'connectionsImported':
+                this.connectionManager.onConnectionsTransferred(message);
+                break;
+
+            case 'connectionStringParsed':
+                this.connectionManager.onConnectionStringParsed(message);
+                break;
+
+            case 'productionWritesUnlocked':
+                this.connectionManager.onProductionWritesUnlocked();
+                break;
+
             case 'testConnectionResult':
                 this.connectionManager.onTestConnectionResult(message);
                 break;
@@ -1814,12 +1838,30 @@ class MessageHandler {
             case 'connectionStatus':
                 this.connectionManager.onConnectionStatus(message);
                 if (message.success) {
+                    // The previous database belonged to the previous connection.
+                    this.explorerManager.clearDatabaseSelection();
                     this.databaseSelector.showReadyGlow();
                     // Land directly on Explorer after every successful connection.
                     this.tabManager.switchTab('explorer');
                 }
                 break;
 
+            case 'openConnectionsChanged':
+                this.connectionManager.onOpenConnectionsChanged(message.connections, message.activeKey, message.status);
+                break;
+
+            case 'connectionHealth':
+                this.connectionManager.updateConnectionHealth(message.status);
+                break;
+
+            case 'connectionClosed':
+                this.connectionManager.onConnectionClosed(message.message);
+                this.explorerManager.clearDatabaseSelection();
+                this.explorerManager.onDatabasesLoaded([]);
+                this.explorerManager.elements.databaseSelect.disabled = true;
+                this.tabManager.switchTab('configuration');
+                break;
+
             case 'requestCurrentDatabase':
                 vscode.postMessage({
                     command: 'setCurrentDatabase',
@@ -1845,7 +1887,7 @@ class MessageHandler {
             case 'scriptGenerated':
                 if (this.queryManager) {
                     this.tabManager.switchTab('query');
-                    this.queryManager.setQueryText(message.script);
+                    this.queryManager.openQueryText(message.script, { title: `${String(message.scriptType || '').toUpperCase()} ${message.objectName}`.trim() });
                 }
                 break;
 
@@ -1957,21 +1999,83 @@ class MessageHandler {
                 this.explorerManager.displayDependencyTree(message.dependencyTree);
                 break;
 
+            case 'editorQueryStarted':
+                if (this.queryManager) {
+                    this.tabManager.switchTab('query');
+                    this.queryManager.onEditorQueryStarted(message);
+                }
+                break;
+
             case 'queryResult':
                 if (this.queryManager) {
-                    this.queryManager.onQueryResult(message);
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onQueryResult(message));
                 }
                 break;
 
             case 'queryError':
                 if (this.queryManager) {
-                    this.queryManager.onQueryError(message);
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onQueryError(message));
+                }
+                break;
+
+            case 'resultPage':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onResultPage(message));
+                }
+                break;
+
+            case 'queryParametersRequired':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onQueryParametersRequired(message));
+                }
+                break;
+
+            case 'executionPlan':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onExecutionPlan(message));
+                }
+                break;
+
+            case 'statementLocated':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onStatementLocated(message));
                 }
                 break;
 
             case 'queryHistoryLoaded':
                 if (this.queryManager) {
-                    this.queryManager.onHistoryLoaded(message.history);
+                    this.queryManager.onHistoryLoaded(message);
+                }
+                break;
+
+            case 'savedQueriesLoaded':
+                if (this.queryManager) {
+                    this.queryManager.onSavedQueriesLoaded(message);
+                }
+                break;
+
+            case 'savedQuerySaved':
+                if (this.queryManager) {
+                    this.queryManager.onSavedQuerySaved(message);
+                }
+                break;
+
+            case 'savedQueryOpened':
+                if (this.queryManager) {
+                    this.tabManager.switchTab('query');
+                    this.queryManager.onSavedQueryOpened(message);
+                }
+                break;
+
+            case 'savedQueryError':
+                if (this.queryManager) {
+                    this.queryManager.setStatus(message.message, 'error');
+                }
+                break;
+
+            case 'queryHistoryExported':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onHistoryExported(message));
                 }
                 break;
 
@@ -1985,9 +2089,21 @@ class MessageHandler {
                 this.explorerManager.onDictionaryExported();
                 break;
 
-            case 'csvExported':
+            case 'transactionState':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onTransactionState(message));
+                }
+                break;
+
+            case 'allRowsExported':
+                if (this.queryManager) {
+                    this.queryManager.withDocument(message.documentId, () => this.queryManager.onAllRowsExported(message));
+                }
+                break;
+
+            case 'resultsExported':
                 if (this.queryManager) {
-                    this.queryManager.onCsvExported(message);
+                    this.queryManager.onResultsExported(message);
                 }
                 break;
 
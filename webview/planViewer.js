@@ -0,0 +1,220 @@
+/**
+ * VS Code Extension – Keep this header in every file.
+ *
+ * ✱ Comments in English only.
+ * ✱ Each section must have a name + brief description.
+ * ✱ Keep it simple – follow the KISS principle.
+ */
+'use strict';
+
+// Execution plan viewer of the Query tab: the operator tree parsed by the
+// extension (parseExecutionPlan), drawn with Cytoscape + dagre like the
+// footprint graph. One statement at a time; clicking an operator shows its
+// details. Arrows point the way rows flow, towards the root on the left.
+class PlanViewer {
+    // container: the plan pane of one query document.
+    constructor(container) {
+        this.container = container;
+        this._cy = null;
+        this._plan = null;
+        this._actual = false;
+        this._registered = false;
+    }
+
+    _ensureRegistered() {
+        if (!this._registered && window.cytoscape && window.cytoscapeDagre) {
+            window.cytoscape.use(window.cytoscapeDagre);
+            this._registered = true;
+        }
+        return this._registered;
+    }
+
+    // === Rendering ===
+
+    show(plan, actual) {
+        this._plan = plan;
+        this._actual = actual;
+        const statements = plan.statements || [];
+        if (statements.length === 0) {
+            this.container.innerHTML = '<p class="placeholder-text">The script has no statement with a plan.</p>';
+            return;
+        }
+
+        const esc = PlanViewer._esc;
+        const options = statements.map((s, i) =>
+            `<option value="${i}">${i + 1}. ${esc(PlanViewer._shorten(s.text, 90))} — ${PlanViewer._statementShare(s, statements)}%</option>`
+        ).join('');
+        this.container.innerHTML = `
+            <div class="plan-toolbar">
+                <span class="plan-kind">${actual ? 'Actual plan' : 'Estimated plan'}</span>
+                <select class="plan-statement-select"${statements.length === 1 ? ' disabled' : ''}>${options}</select>
+            </div>
+            <div class="plan-notes"></div>
+            <div class="plan-body">
+                <div class="plan-graph"></div>
+                <div class="plan-details"><p class="placeholder-text">Click an operator for its details.</p></div>
+            </div>`;
+        this.container.querySelector('.plan-statement-select')
+            .addEventListener('change', (e) => this.renderStatement(statements[Number(e.target.value)]));
+        this.renderStatement(statements[0]);
+    }
+
+    clear() {
+        this._destroy();
+        this._plan = null;
+        this.container.innerHTML = '';
+    }
+
+    // Graph elements are created here, not on show(): the plan tab may be hidden.
+    renderStatement(statement) {
+        const notes = this.container.querySelector('.plan-notes');
+        const graphEl = this.container.querySelector('.plan-graph');
+        notes.innerHTML = this._buildNotes(statement);
+        this.container.querySelector('.plan-details').innerHTML = '<p class="placeholder-text">Click an operator for its details.</p>';
+        this._destroy();
+        if (!statement.root) { graphEl.innerHTML = '<p class="placeholder-text">No operators.</p>'; return; }
+        if (!this._ensureRegistered()) { graphEl.innerHTML = '<p class="placeholder-text">Graph library failed to load.</p>'; return; }
+
+        const elements = [];
+        const nodesById = {};
+        const add = (node, parent) => {
+            nodesById[node.id] = node;
+            elements.push({ data: { id: `op::${node.id}`, label: this._label(node), kind: this._kind(node) } });
+            if (parent) {
+                const rows = this._actual && node.actualRows !== null ? node.actualRows : node.estimatedRows;
+                elements.push({ data: {
+                    id: `flow::${node.id}`, source: `op::${parent.id}`, target: `op::${node.id}`,
+                    width: Math.min(8, 1 + Math.log10(rows + 1)), label: PlanViewer._rows(rows)
+                } });
+            }
+            node.children.forEach(child => add(child, node));
+        };
+        add(statement.root, null);
+
+        this._cy = window.cytoscape({
+            container: graphEl, elements, wheelSensitivity: 0.2, minZoom: 0.15, maxZoom: 1.5,
+            style: PlanViewer._graphStyle(),
+            layout: { name: 'dagre', rankDir: 'LR', nodeSep: 20, rankSep: 60, animate: false }
+        });
+        this._cy.on('tap', 'node', (evt) => this._showDetails(nodesById[evt.target.id().replace(/^op::/, '')]));
+        this._cy.fit(undefined, 20);
+    }
+
+    // Graph size follows the container: refit when the plan tab becomes visible.
+    refresh() {
+        if (!this._cy) return;
+        this._cy.resize();
+        this._cy.fit(undefined, 20);
+    }
+
+    _destroy() {
+        if (this._cy) { this._cy.destroy(); this._cy = null; }
+    }
+
+    _buildNotes(statement) {
+        const esc = PlanViewer._esc;
+        let html = '';
+        if (statement.warnings.length > 0) {
+            html += `<div class="plan-warning"><i class="codicon codicon-warning"></i> ${statement.warnings.map(esc).join('<br>')}</div>`;
+        }
+        statement.missingIndexes.forEach(index => {
+            html += `<div class="plan-missing-index">`
+                + `<strong>Missing index (impact ${index.impact.toFixed(1)}%)</strong> on ${esc(index.table)}`
+                + `<pre>${esc(index.script)}</pre></div>`;
+        });
+        return html;
+    }
+
+    _label(node) {
+        const lines = [node.physicalOp];
+        if (node.logicalOp && node.logicalOp !== node.physicalOp) lines.push(`(${node.logicalOp})`);
+        if (node.object) lines.push(PlanViewer._shorten(node.object, 40));
+        lines.push(`Cost: ${node.costPercent}%`);
+        lines.push(node.actualRows !== null
+            ? `${PlanViewer._rows(node.actualRows)} of ${PlanViewer._rows(node.estimatedRows)} (${PlanViewer._estimateAccuracy(node)}%)`
+            : `${PlanViewer._rows(node.estimatedRows)} rows`);
+        if (node.warnings.length > 0) lines.push('⚠ ' + node.warnings.length);
+        return lines.join('\n');
+    }
+
+    // Warnings first, then the costly operators, then estimates off by 10x or more.
+    _kind(node) {
+        if (node.warnings.length > 0) return 'warning';
+        if (node.costPercent >= 25) return 'costly';
+        if (node.actualRows !== null) {
+            const ratio = (node.actualRows + 1) / (node.estimatedRows * Math.max(1, node.actualExecutions) + 1);
+            if (ratio >= 10 || ratio <= 0.1) return 'misestimate';
+        }
+        return 'normal';
+    }
+
+    _showDetails(node) {
+        if (!node) return;
+        const esc = PlanViewer._esc;
+        const rows = [
+            ['Physical operation', node.physicalOp],
+            ['Logical operation', node.logicalOp],
+            ['Object', node.object || ''],
+            ['Estimated rows', PlanViewer._rows(node.estimatedRows)],
+            ['Operator cost', `${node.cost.toFixed(4)} (${node.costPercent}%)`],
+            ['Subtree cost', node.subtreeCost.toFixed(4)]
+        ];
+        if (node.actualRows !== null) {
+            rows.splice(4, 0, ['Actual rows', PlanViewer._rows(node.actualRows)], ['Actual executions', String(node.actualExecutions)]);
+        }
+        let html = `<table class="plan-detail-table">${rows.map(([k, v]) =>
+            `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join('')}</table>`;
+        if (node.warnings.length > 0) {
+            html += `<div class="plan-warning">${node.warnings.map(esc).join('<br>')}</div>`;
+        }
+        this.container.querySelector('.plan-details').innerHTML = html;
+    }
+
+    // === Helpers ===
+
+    // Actual rows as a share of the estimate (estimates are per execution).
+    static _estimateAccuracy(node) {
+        const estimated = node.estimatedRows * Math.max(1, node.actualExecutions);
+        return estimated > 0 ? Math.round((node.actualRows / estimated) * 100) : 0;
+    }
+
+    static _statementShare(statement, statements) {
+        const total = statements.reduce((sum, s) => sum + s.cost, 0);
+        return total > 0 ? Math.round((statement.cost / total) * 100) : 0;
+    }
+
+    static _rows(n) {
+        return Number.isInteger(n) ? n.toLocaleString() : n.toFixed(1);
+    }
+
+    static _shorten(text, max) {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        return flat.length > max ? flat.slice(0, max - 1) + '…' : flat;
+    }
+
+    static _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    }
+
+    static _graphStyle() {
+        const node = (bg, border) => ({
+            'background-color': bg, 'border-width': 2, 'border-color': border,
+            'label': 'data(label)', 'color': '#fff', 'font-size': 10,
+            'text-valign': 'center', 'text-halign': 'center', 'text-wrap': 'wrap', 'text-max-width': 170,
+            'width': 'label', 'height': 'label', 'padding': '8px', 'shape': 'round-rectangle'
+        });
+        return [
+            { selector: 'node[kind = "normal"]', style: node('#2d3340', '#4a5160') },
+            { selector: 'node[kind = "costly"]', style: node('#7a2d26', '#c0392b') },
+            { selector: 'node[kind = "misestimate"]', style: node('#5b4a1c', '#c7a23d') },
+            { selector: 'node[kind = "warning"]', style: { ...node('#6b4310', '#e8a33d'), 'border-style': 'dashed' } },
+            { selector: 'edge', style: {
+                'curve-style': 'taxi', 'taxi-direction': 'horizontal', 'width': 'data(width)',
+                'line-color': '#8892a0', 'source-arrow-shape': 'triangle', 'source-arrow-color': '#8892a0',
+                'target-arrow-shape': 'none', 'arrow-scale': 0.8,
+                'label': 'data(label)', 'font-size': 9, 'color': '#9aa4b2',
+                'text-background-color': '#1e1e1e', 'text-background-opacity': 0.7, 'text-background-padding': 2
+            } }
+        ];
+    }
+}
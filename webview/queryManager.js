@@ -9,49 +9,426 @@
 
 // Query tool: runs free-form SQL against the currently selected database.
 // Supports multiple result sets, row cap, cancellation and a persisted history.
+// Scripts are split into GO batches by the extension (optionally in SQLCMD mode).
+// Estimated and actual execution plans open in the Execution Plan result tab.
+// Undeclared @variables are filled in a form and sent as input parameters.
+// Runs the selection when there is one, or the statement under the cursor
+// (located by the extension with the T-SQL parser).
+// Query documents are tabs above the editor, each with its own text, target
+// database, results and run; they are kept in the webview state.
 class QueryManager {
     constructor() {
         this.runBtn = document.getElementById('runQueryBtn');
+        this.runStatementBtn = document.getElementById('runStatementBtn');
         this.cancelBtn = document.getElementById('cancelQueryBtn');
+        this.estimatedPlanBtn = document.getElementById('estimatedPlanBtn');
+        this.actualPlanCheckbox = document.getElementById('actualPlanCheckbox');
+        this.resultTabs = document.getElementById('queryResultTabs');
+        this.planPane = document.getElementById('queryPlanContainer');
+        this.parametersOverlay = document.getElementById('queryParametersOverlay');
+        this.parametersRows = document.getElementById('queryParametersRows');
+        this.parametersDoc = null; // document whose run waits for the parameter values
         this.maxRowsSelect = document.getElementById('maxRowsSelect');
-        this.historySelect = document.getElementById('queryHistorySelect');
+        this.sqlcmdCheckbox = document.getElementById('sqlcmdModeCheckbox');
+        this.transactionCheckbox = document.getElementById('manualTransactionCheckbox');
+        this.transactionIndicator = document.getElementById('transactionIndicator');
+        this.commitBtn = document.getElementById('commitTransactionBtn');
+        this.rollbackBtn = document.getElementById('rollbackTransactionBtn');
+        this.savedQueriesBtn = document.getElementById('savedQueriesBtn');
+        this.savedQueriesPane = document.getElementById('savedQueriesPane');
+        this.savedQueriesList = document.getElementById('savedQueriesList');
+        this.savedQueries = [];
+        this.historyBtn = document.getElementById('queryHistoryBtn');
+        this.historyOverlay = document.getElementById('queryHistoryOverlay');
+        this.historySearch = document.getElementById('queryHistorySearch');
+        this.historyDatabase = document.getElementById('queryHistoryDatabase');
+        this.historyList = document.getElementById('queryHistoryList');
+        this.historyCount = document.getElementById('queryHistoryCount');
+        this.historySearchTimer = null;
         this.input = document.getElementById('queryInput');
         this.status = document.getElementById('queryStatus');
-        this.resultsContainer = document.getElementById('queryResultsContainer');
+        this.resultsPane = document.getElementById('queryResultsContainer');
+        this.documentTabs = document.getElementById('queryDocumentTabs');
+        this.databaseSelect = document.getElementById('queryDatabaseSelect');
+        this.documents = [];
+        this.activeDoc = null;
+        this.doc = null; // document being handled: the active one, or a message's (withDocument)
+        this.nextNumber = 1;
+        this.saveTimer = null;
         this.history = [];
-        this.lastResultSets = [];
-        this.isRunning = false;
         this.splitter = document.getElementById('querySplitter');
         this.autocomplete = new SqlAutocomplete(this.input);
+        this.restoreDocuments();
         this.initEventListeners();
         this.initSplitter();
-        vscode.postMessage({ command: 'getQueryHistory' });
+        this.post({ command: 'getQueryHistory' });
+    }
+
+    // === Query documents ===
+
+    // Run state of the document being handled (this.doc). Methods below use
+    // these as if there was a single editor; only the active document's
+    // state reaches the shared toolbar and status line.
+    get resultsContainer() {
+        return this.doc.resultsEl;
+    }
+
+    get planViewer() {
+        return this.doc.planViewer;
+    }
+
+    get grids() {
+        return this.doc.grids;
+    }
+
+    set grids(grids) {
+        this.doc.grids = grids;
+    }
+
+    get pendingRequest() {
+        return this.doc.pendingRequest;
+    }
+
+    set pendingRequest(request) {
+        this.doc.pendingRequest = request;
+    }
+
+    // Request behind the results shown, for "Export all rows".
+    get lastRun() {
+        return this.doc.lastRun;
+    }
+
+    set lastRun(request) {
+        this.doc.lastRun = request;
+    }
+
+    get isRunning() {
+        return this.doc.isRunning;
+    }
+
+    get transactionOpen() {
+        return this.doc.transaction.open;
+    }
+
+    // Query tool requests name their document: the extension keeps the
+    // runs, result sets and transaction of each document apart.
+    post(message) {
+        vscode.postMessage({ ...message, documentId: this.doc.id });
+    }
+
+    // Runs fn for the document a message from the extension is for; messages
+    // of a closed document are dropped.
+    withDocument(documentId, fn) {
+        const doc = this.documents.find(d => d.id === documentId);
+        if (!doc) return;
+        this.doc = doc;
+        try {
+            fn();
+        } finally {
+            this.doc = this.activeDoc;
+        }
+    }
+
+    // { id, title, text, database } of the last session, from the webview state.
+    restoreDocuments() {
+        const saved = (vscode.getState() || {}).queryDocuments;
+        if (saved && Array.isArray(saved.documents) && saved.documents.length > 0) {
+            this.nextNumber = saved.nextNumber || saved.documents.length + 1;
+            saved.documents.forEach(d => this.createDocument(d));
+            this.activateDocument(this.documents.find(d => d.id === saved.activeId) || this.documents[0]);
+        } else {
+            this.openDocument();
+        }
+    }
+
+    createDocument({ id, title, text = '', database = '' }) {
+        const doc = {
+            id: id || `query-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title: title || `Query ${this.nextNumber++}`,
+            text,
+            database: database || appState.currentDatabase || (this.activeDoc ? this.activeDoc.database : ''),
+            selectionStart: 0,
+            selectionEnd: 0,
+            scrollTop: 0,
+            resultsEl: document.createElement('div'),
+            planEl: document.createElement('div'),
+            grids: [],
+            pendingRequest: null,
+            lastRun: null,
+            isRunning: false,
+            transaction: { open: false, tranCount: null },
+            status: { message: '', type: '' },
+            resultTabsShown: false,
+            resultTab: 'results'
+        };
+        doc.resultsEl.className = 'query-document-results';
+        doc.resultsEl.innerHTML = '<p class="placeholder-text">Run a query to see results here.</p>';
+        doc.planEl.className = 'query-document-plan';
+        doc.planViewer = new PlanViewer(doc.planEl);
+        this.resultsPane.appendChild(doc.resultsEl);
+        this.planPane.appendChild(doc.planEl);
+        this.documents.push(doc);
+        return doc;
+    }
+
+    // A new tab, e.g. for a generated script; returns it once active.
+    openDocument(text = '', options = {}) {
+        const doc = this.createDocument({ text, ...options });
+        this.activateDocument(doc);
+        return doc;
+    }
+
+    activateDocument(doc) {
+        const previous = this.activeDoc;
+        if (previous && previous !== doc) {
+            previous.text = this.input.value;
+            previous.selectionStart = this.input.selectionStart;
+            previous.selectionEnd = this.input.selectionEnd;
+            previous.scrollTop = this.input.scrollTop;
+        }
+        this.activeDoc = this.doc = doc;
+        this.input.value = doc.text;
+        this.input.setSelectionRange(doc.selectionStart, doc.selectionEnd);
+        this.input.scrollTop = doc.scrollTop;
+        this.documents.forEach(d => {
+            d.resultsEl.style.display = d === doc ? '' : 'none';
+            d.planEl.style.display = d === doc ? '' : 'none';
+        });
+        this.showResultTabs(doc.resultTabsShown);
+        this.switchResultTab(doc.resultTab);
+        this.renderToolbar();
+        this.updateRunLabel();
+        this.renderDocumentTabs();
+        this.saveDocuments();
+    }
+
+    // A running query is cancelled and an open transaction rolled back by
+    // the extension; the last tab is replaced by an empty one.
+    closeDocument(doc) {
+        vscode.postMessage({ command: 'closeQueryDocument', documentId: doc.id });
+        const index = this.documents.indexOf(doc);
+        this.documents.splice(index, 1);
+        doc.resultsEl.remove();
+        doc.planEl.remove();
+        if (this.parametersDoc === doc) {
+            this.parametersDoc = null;
+            this.parametersOverlay.classList.remove('visible');
+        }
+        if (this.documents.length === 0) {
+            this.activeDoc = null;
+            this.openDocument();
+        } else if (this.activeDoc === doc) {
+            this.activeDoc = null;
+            this.activateDocument(this.documents[Math.min(index, this.documents.length - 1)]);
+        } else {
+            this.renderDocumentTabs();
+            this.saveDocuments();
+        }
+    }
+
+    renderDocumentTabs() {
+        const esc = (s) => this.escapeHtml(s);
+        this.documentTabs.innerHTML = this.documents.map(d => `<div class="query-document-tab${d === this.activeDoc ? ' active' : ''}${d.isRunning ? ' running' : ''}" data-document-id="${esc(d.id)}" title="${esc(d.database ? `${d.title} — ${d.database}` : d.title)}">`
+            + `<span class="query-document-title">${esc(d.title)}</span>`
+            + '<button class="query-document-close" title="Close the tab; a running query is cancelled">×</button></div>').join('')
+            + '<button id="newQueryDocumentBtn" class="query-document-new" title="New query tab">+</button>';
+    }
+
+    // The shared toolbar shows the active document's run, transaction and status.
+    renderToolbar() {
+        const doc = this.activeDoc;
+        this.databaseSelect.value = doc.database;
+        // A database missing from the list (other connection) stays shown.
+        if (this.databaseSelect.value !== doc.database) {
+            this.databaseSelect.add(new Option(doc.database, doc.database));
+            this.databaseSelect.value = doc.database;
+        }
+        this.databaseSelect.disabled = doc.isRunning || doc.transaction.open;
+        this.runBtn.disabled = doc.isRunning || !doc.database;
+        this.runStatementBtn.disabled = this.runBtn.disabled;
+        this.estimatedPlanBtn.disabled = !doc.database;
+        this.cancelBtn.style.display = doc.isRunning ? '' : 'none';
+        this.commitBtn.disabled = doc.isRunning;
+        this.rollbackBtn.disabled = doc.isRunning;
+
+        const { open, tranCount } = doc.transaction;
+        this.transactionCheckbox.checked = open;
+        this.transactionCheckbox.disabled = open || !doc.database;
+        this.commitBtn.style.display = open ? '' : 'none';
+        this.rollbackBtn.style.display = open ? '' : 'none';
+        this.transactionIndicator.style.display = open ? '' : 'none';
+        if (open) {
+            const count = typeof tranCount === 'number' ? tranCount : '?';
+            this.transactionIndicator.textContent = `Open transaction · @@TRANCOUNT = ${count}`;
+            // A script's own COMMIT / ROLLBACK may have ended it already.
+            this.transactionIndicator.classList.toggle('ended', tranCount === 0);
+            this.transactionIndicator.title = tranCount === 0
+                ? 'The script ended the transaction itself; Commit or Rollback to leave transaction mode.'
+                : 'Changes are not visible to others nor kept until Commit.';
+        }
+
+        const status = doc.status.message || (doc.database ? '' : 'Select a database to run queries.');
+        this.status.textContent = status;
+        this.status.className = 'query-status' + (doc.status.type ? ` ${doc.status.type}` : '');
+    }
+
+    // Text of a document: the editor holds the active one's.
+    documentText(doc = this.doc) {
+        return doc === this.activeDoc ? this.input.value : doc.text;
+    }
+
+    // Debounced: called on every keystroke.
+    saveDocuments() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            vscode.setState({
+                ...(vscode.getState() || {}),
+                queryDocuments: {
+                    documents: this.documents.map(d => ({ id: d.id, title: d.title, text: this.documentText(d), database: d.database })),
+                    activeId: this.activeDoc && this.activeDoc.id,
+                    nextNumber: this.nextNumber
+                }
+            });
+        }, 300);
     }
 
     initEventListeners() {
         this.runBtn.addEventListener('click', () => this.runQuery());
+        this.runStatementBtn.addEventListener('click', () => this.runCurrentStatement());
         this.cancelBtn.addEventListener('click', () => this.cancelQuery());
-        this.historySelect.addEventListener('change', () => this.applyHistorySelection());
+        // Checking the box begins the transaction; Commit / Rollback end it.
+        this.transactionCheckbox.addEventListener('change', () => {
+            if (!this.transactionCheckbox.checked || this.transactionOpen) return;
+            this.transactionCheckbox.disabled = true;
+            this.post({ command: 'beginTransaction' });
+        });
+        this.commitBtn.addEventListener('click', () => this.post({ command: 'commitTransaction' }));
+        this.rollbackBtn.addEventListener('click', () => this.post({ command: 'rollbackTransaction' }));
+        this.documentTabs.addEventListener('click', (e) => {
+            if (e.target.closest('#newQueryDocumentBtn')) {
+                this.openDocument();
+                this.input.focus();
+                return;
+            }
+            const tab = e.target.closest('[data-document-id]');
+            const doc = tab && this.documents.find(d => d.id === tab.dataset.documentId);
+            if (!doc) return;
+            if (e.target.closest('.query-document-close')) this.closeDocument(doc);
+            else if (doc !== this.activeDoc) this.activateDocument(doc);
+        });
+        // Middle click closes a tab, as in the editor.
+        this.documentTabs.addEventListener('auxclick', (e) => {
+            const tab = e.button === 1 && e.target.closest('[data-document-id]');
+            const doc = tab && this.documents.find(d => d.id === tab.dataset.documentId);
+            if (doc) this.closeDocument(doc);
+        });
+        this.databaseSelect.addEventListener('change', () => {
+            this.activeDoc.database = this.databaseSelect.value;
+            this.renderToolbar();
+            this.renderDocumentTabs();
+            this.saveDocuments();
+        });
+        this.estimatedPlanBtn.addEventListener('click', () => this.showEstimatedPlan());
+        document.getElementById('queryParametersRunBtn').addEventListener('click', () => this.submitParameters());
+        document.getElementById('queryParametersCancelBtn').addEventListener('click', () => this.closeParameters());
+        document.getElementById('queryParametersCloseBtn').addEventListener('click', () => this.closeParameters());
+        this.parametersRows.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); this.submitParameters(); }
+            if (e.key === 'Escape') this.closeParameters();
+        });
+        // NULL disables the value box
+        this.parametersRows.addEventListener('change', (e) => {
+            if (!e.target.matches('.param-null')) return;
+            e.target.closest('tr').querySelector('.param-value').disabled = e.target.checked;
+        });
+        this.resultTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-result-tab]');
+            if (tab) this.switchResultTab(tab.dataset.resultTab);
+        });
+        this.savedQueriesBtn.addEventListener('click', () => this.toggleSavedQueries());
+        document.getElementById('saveQueryBtn').addEventListener('click', () =>
+            vscode.postMessage({ command: 'saveQuery', query: this.input.value, database: this.activeDoc.database }));
+        this.savedQueriesList.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-name]');
+            if (!item) return;
+            const action = e.target.closest('button[data-action]');
+            const name = item.dataset.name;
+            if (!action || action.dataset.action === 'open' || action.dataset.action === 'run') {
+                vscode.postMessage({ command: 'openSavedQuery', name, run: !!action && action.dataset.action === 'run' });
+            } else if (action.dataset.action === 'rename') {
+                vscode.postMessage({ command: 'renameSavedQuery', name });
+            } else if (action.dataset.action === 'delete') {
+                vscode.postMessage({ command: 'deleteSavedQuery', name });
+            }
+        });
+        this.historyBtn.addEventListener('click', () => this.openHistory());
+        document.getElementById('queryHistoryCloseBtn').addEventListener('click', () => this.closeHistory());
+        document.getElementById('queryHistoryClearBtn').addEventListener('click', () => this.post({ command: 'clearQueryHistory' }));
+        document.getElementById('queryHistoryExportBtn').addEventListener('click', () => this.post({ command: 'exportQueryHistory' }));
+        // The host filters; typing is debounced so each keystroke does not round-trip.
+        this.historySearch.addEventListener('input', () => {
+            clearTimeout(this.historySearchTimer);
+            this.historySearchTimer = setTimeout(() => this.requestHistory(), 200);
+        });
+        this.historySearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeHistory();
+        });
+        this.historyDatabase.addEventListener('change', () => this.requestHistory());
+        this.historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-index]');
+            const entry = item && this.history[Number(item.dataset.index)];
+            if (!entry) return;
+            if (e.target.closest('.history-pin')) {
+                this.post({ command: 'pinQueryHistory', query: entry.query, database: entry.database, pinned: !entry.pinned });
+                return;
+            }
+            this.input.value = entry.query;
+            this.saveDocuments();
+            this.closeHistory();
+            this.input.focus();
+        });
         this.input.addEventListener('keydown', (e) => {
             if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
                 e.preventDefault();
-                this.runQuery();
+                if (e.shiftKey) this.runCurrentStatement();
+                else this.runQuery();
+            }
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'l' || e.key === 'L')) {
+                e.preventDefault();
+                this.showEstimatedPlan();
             }
         });
+        // The Run button says what it will run.
+        ['select', 'keyup', 'mouseup', 'input'].forEach(type =>
+            this.input.addEventListener(type, () => this.updateRunLabel()));
+        this.input.addEventListener('input', () => this.saveDocuments());
         // Ctrl+Click on an object name jumps to its definition in the Explorer
         this.input.addEventListener('click', (e) => {
             if (e.ctrlKey || e.metaKey) this.goToDefinition();
         });
-        // Copy / CSV buttons are re-rendered with every result set: one delegated
+        this.resultsPane.addEventListener('change', (e) => {
+            const choice = e.target.closest('input[data-rs-column]');
+            const grid = choice && (this.grids || [])[Number(choice.dataset.rsIndex)];
+            if (grid) grid.setColumnHidden(choice.dataset.rsColumn, !choice.checked);
+        });
+        // Copy / Export buttons are re-rendered with every result set: one delegated
         // listener on the container instead of per-button bindings.
-        this.resultsContainer.addEventListener('click', (e) => {
+        this.resultsPane.addEventListener('click', (e) => {
             const button = e.target.closest('button[data-rs-action]');
             if (!button) return;
             const index = Number(button.dataset.rsIndex);
-            const set = this.lastResultSets[index];
-            if (!set) return;
-            if (button.dataset.rsAction === 'copy') this.copyResultSet(set);
-            else this.exportResultSetCsv(set, index);
+            const grid = (this.grids || [])[index];
+            if (!grid) return;
+            const set = grid.currentSet();
+            if (button.dataset.rsAction === 'copy') {
+                this.copyResultSet(set);
+            } else if (button.dataset.rsAction === 'export-all') {
+                button.closest('details').open = false;
+                this.exportAllRows(index, button.dataset.rsFormat);
+            } else {
+                button.closest('details').open = false;
+                this.exportResultSet(set, index, button.dataset.rsFormat);
+            }
         });
     }
 
@@ -63,22 +440,66 @@ class QueryManager {
         );
     }
 
-    exportResultSetCsv(set, index) {
-        const suffix = this.lastResultSets.length > 1 ? `-${index + 1}` : '';
+    exportResultSet(set, index, format) {
+        let content;
+        if (format === 'insert') {
+            const input = this.resultsContainer.querySelector(`.rs-insert-table[data-rs-index="${index}"]`);
+            const table = input ? input.value.trim() : '';
+            if (!table) {
+                this.setStatus('Enter the target table of the INSERT script.', 'error');
+                return;
+            }
+            content = QueryManager.toInsertScript(set, table);
+        } else if (format === 'json') {
+            content = QueryManager.toJson(set);
+        } else if (format === 'markdown') {
+            content = QueryManager.toMarkdown(set);
+        } else if (format === 'excel') {
+            content = QueryManager.toSpreadsheetMl(set);
+        } else {
+            format = 'csv';
+            content = QueryManager.toDelimited(set, ',');
+        }
+        const suffix = this.grids.length > 1 ? `-${index + 1}` : '';
         vscode.postMessage({
-            command: 'exportCsv',
-            csv: QueryManager.toDelimited(set, ','),
-            defaultName: `query-results${suffix}.csv`
+            command: 'exportResults',
+            format,
+            content,
+            defaultName: `query-results${suffix}.${QueryManager.EXPORT_EXTENSIONS[format]}`
         });
     }
 
-    onCsvExported(message) {
+    // Runs the query of these results again on the extension side, streaming
+    // every row of the set to a file (not only those loaded in the grid).
+    exportAllRows(index, format) {
+        const run = this.lastRun;
+        if (!run || this.isRunning) return;
+        this.setRunning(true);
+        this.setStatus('Exporting all rows...', '');
+        this.post({
+            command: 'exportAllRows', database: run.database, query: run.query, setIndex: index, format,
+            startLine: run.startLine, sqlcmd: run.sqlcmd, parameters: run.parameters || null
+        });
+    }
+
+    onAllRowsExported(message) {
+        this.setRunning(false);
         if (message.success) {
-            this.setStatus(`CSV saved to ${message.path}`, 'success');
+            this.setStatus(`${message.rows.toLocaleString()} row(s) saved to ${message.path} in ${this.formatDuration(message.durationMs)}`, 'success');
         } else if (message.cancelled) {
-            this.setStatus('CSV export cancelled.', '');
+            this.setStatus('Export cancelled.', '');
         } else {
-            this.setStatus(`CSV export failed: ${message.message}`, 'error');
+            this.setStatus(`Export failed: ${message.message}`, 'error');
+        }
+    }
+
+    onResultsExported(message) {
+        if (message.success) {
+            this.setStatus(`${message.label} saved to ${message.path}`, 'success');
+        } else if (message.cancelled) {
+            this.setStatus(`${message.label} export cancelled.`, '');
+        } else {
+            this.setStatus(`${message.label} export failed: ${message.message}`, 'error');
         }
     }
 
@@ -144,13 +565,25 @@ class QueryManager {
         this.autocomplete.onColumnsLoaded(message.objectName, message.columns);
     }
 
-    // Called by ExplorerManager whenever the shared database selector changes
+    // Called by ExplorerManager whenever the shared database selector changes;
+    // it becomes the active tab's target unless a query or transaction holds it.
     onDatabaseChanged(database) {
         this.autocomplete.reset();
-        this.runBtn.disabled = !database || this.isRunning;
-        if (!this.isRunning) {
-            this.setStatus(database ? '' : 'Select a database in Explorer to run queries.', '');
+        const doc = this.activeDoc;
+        if (database && !doc.isRunning && !doc.transaction.open) {
+            doc.database = database;
+            this.renderDocumentTabs();
+            this.saveDocuments();
         }
+        if (!doc.isRunning) this.setStatus('', '');
+        else this.renderToolbar();
+    }
+
+    // Explorer's database list, offered as the target of each tab.
+    onDatabasesLoaded(databases) {
+        this.databaseSelect.innerHTML = '<option value="">Database...</option>';
+        databases.forEach(name => this.databaseSelect.add(new Option(name, name)));
+        this.renderToolbar();
     }
 
     // Fill the editor with a given SQL string and run it immediately
@@ -160,128 +593,415 @@ class QueryManager {
         this.runQuery();
     }
 
-    // Fill the editor without running (used by the Explorer script generator)
-    setQueryText(sql) {
-        this.input.value = sql;
+    // Opens SQL in a new tab without running it (Explorer script generator,
+    // saved queries); options: { title, database }.
+    openQueryText(sql, options = {}) {
+        this.openDocument(sql, options);
         this.input.focus();
         this.input.setSelectionRange(0, 0);
         this.input.scrollTop = 0;
         this.setStatus('Script inserted - review and run when ready.', '');
     }
 
+    hasSelection() {
+        return this.input.selectionEnd > this.input.selectionStart;
+    }
+
+    updateRunLabel() {
+        this.runBtn.textContent = this.hasSelection() ? '▶ Run Selection' : '▶ Run Query';
+    }
+
+    // Runs the selection, or the whole editor when nothing is selected.
     runQuery() {
-        const database = appState.currentDatabase;
-        const query = this.input.value.trim();
+        if (this.hasSelection()) this.runRange(this.input.selectionStart, this.input.selectionEnd);
+        else this.runRange(0, this.input.value.length);
+    }
 
-        if (this.isRunning) return;
-        if (!database) {
-            this.setStatus('Select a database in Explorer first.', 'error');
+    // Same range as runQuery, compiled only.
+    showEstimatedPlan() {
+        if (this.hasSelection()) this.runRange(this.input.selectionStart, this.input.selectionEnd, true);
+        else this.runRange(0, this.input.value.length, true);
+    }
+
+    // Asks the extension for the statement around the cursor; the answer
+    // (onStatementLocated) selects it and runs it.
+    runCurrentStatement() {
+        if (this.isRunning || !this.canRun()) return;
+        this.post({
+            command: 'locateStatement',
+            text: this.input.value,
+            offset: this.input.selectionStart
+        });
+    }
+
+    onStatementLocated(message) {
+        if (!message.success) {
+            this.setStatus(message.message, 'error');
             return;
         }
+        if (this.doc === this.activeDoc) {
+            this.input.focus();
+            this.input.setSelectionRange(message.start, message.end);
+            this.updateRunLabel();
+        } else {
+            this.doc.selectionStart = message.start;
+            this.doc.selectionEnd = message.end;
+        }
+        this.runRange(message.start, message.end);
+    }
+
+    canRun(database = this.doc.database) {
+        if (!database) {
+            this.setStatus('Select a database for this tab first.', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    // Runs the editor text between two offsets (or only asks for its
+    // estimated plan); startLine lets the extension report error lines as
+    // editor lines. database: the document's target unless given.
+    runRange(start, end, estimatedPlan = false, database = this.doc.database) {
+        const source = this.documentText();
+        const text = source.slice(start, end);
+        const query = text.trim();
+
+        if (this.isRunning) return;
+        if (!this.canRun(database)) return;
         if (!query) {
             this.setStatus('Enter a query first.', 'error');
             return;
         }
 
+        const queryStart = start + text.indexOf(query);
+        const startLine = QueryManager.lineAt(source, queryStart);
+        const sqlcmd = this.sqlcmdCheckbox.checked;
+        if (estimatedPlan) {
+            this.beginRun({ command: 'getEstimatedPlan', database, query, startLine, sqlcmd });
+        } else {
+            this.beginRun({
+                command: 'executeQuery',
+                database,
+                query,
+                maxRows: Number(this.maxRowsSelect.value),
+                startLine,
+                sqlcmd,
+                actualPlan: this.actualPlanCheckbox.checked
+            });
+        }
+        this.post(this.pendingRequest);
+    }
+
+    // The request is kept until the answer: sent again with values if the
+    // extension asks for parameters.
+    beginRun(request) {
         this.setRunning(true);
-        this.setStatus('Running...', '');
-        this.resultsContainer.innerHTML = '<p class="placeholder-text">Running query...</p>';
+        this.planViewer.clear();
+        this.showResultTabs(false);
+        this.switchResultTab('results');
+        if (request.command === 'getEstimatedPlan') {
+            this.setStatus('Compiling...', '');
+            this.resultsContainer.innerHTML = '<p class="placeholder-text">Retrieving the estimated plan...</p>';
+        } else {
+            this.setStatus('Running...', '');
+            this.resultsContainer.innerHTML = '<p class="placeholder-text">Running query...</p>';
+        }
+        this.pendingRequest = request;
+    }
 
-        vscode.postMessage({
-            command: 'executeQuery',
-            database,
-            query,
-            maxRows: Number(this.maxRowsSelect.value)
-        });
+    // A run the extension started from a .sql editor (SQL Wayfarer: Execute):
+    // shown in the tab of that file, opened on first use, with what ran.
+    onEditorQueryStarted(message) {
+        const doc = this.documents.find(d => d.id === message.documentId)
+            || this.createDocument({ id: message.documentId, title: message.title });
+        doc.database = message.database;
+        doc.text = message.query;
+        if (doc === this.activeDoc) this.input.value = message.query;
+        else this.activateDocument(doc);
+        this.beginRun({ command: 'executeQuery', database: message.database, query: message.query, startLine: message.startLine, sqlcmd: false });
+        this.saveDocuments();
+    }
+
+    // 1-based line number of a character offset.
+    static lineAt(text, offset) {
+        return text.slice(0, offset).split('\n').length;
     }
 
     cancelQuery() {
         if (!this.isRunning) return;
         this.setStatus('Cancelling...', '');
-        vscode.postMessage({ command: 'cancelQuery' });
+        this.post({ command: 'cancelQuery' });
     }
 
-    // Toggle the Run/Cancel pair while a query is in flight
+    // Toggle the Run/Cancel pair while a query is in flight; the tab shows it too.
     setRunning(running) {
-        this.isRunning = running;
-        this.runBtn.disabled = running || !appState.currentDatabase;
-        this.cancelBtn.style.display = running ? '' : 'none';
+        this.doc.isRunning = running;
+        if (this.doc === this.activeDoc) this.renderToolbar();
+        this.renderDocumentTabs();
+    }
+
+    // === Manual transaction ===
+
+    // Sent after begin, after each run while open, and when the transaction ends
+    // (commit, rollback, aborted by an error, connection closed, panel closed).
+    onTransactionState(message) {
+        this.doc.transaction = { open: !!message.open, tranCount: message.tranCount };
+        if (this.doc === this.activeDoc) this.renderToolbar();
+        if (message.message) this.setStatus(message.message, message.error ? 'error' : 'success');
     }
 
     onQueryResult(message) {
         this.setRunning(false);
+        this.lastRun = this.pendingRequest;
         const resultSets = message.resultSets || [];
-        this.lastResultSets = resultSets;
         const duration = this.formatDuration(message.durationMs);
 
+        const batchReport = this.buildRiskWarnings(message.riskWarnings) + this.buildImpactReport(message.impact)
+            + this.buildCascadeReport(message.triggerCascade) + this.buildBatchReport(message);
+
         if (resultSets.length === 0) {
             const affected = Array.isArray(message.rowsAffected)
                 ? message.rowsAffected.reduce((sum, n) => sum + n, 0)
                 : 0;
             let html = `<p class="placeholder-text">Query executed successfully. ${affected} row(s) affected.</p>`;
             html += this.buildMessagesBlock(message.messages);
-            this.resultsContainer.innerHTML = html;
-            this.setStatus(`Done in ${duration} — ${affected} row(s) affected.`, 'success');
+            this.resultsContainer.innerHTML = batchReport + html;
+            this.setBatchStatus(message, `Done in ${duration} — ${affected} row(s) affected.`);
             return;
         }
 
-        this.displayResultSets(resultSets, message.messages);
+        this.displayResultSets(resultSets, message.messages, message.resultId, message.maxRows);
+        this.resultsContainer.insertAdjacentHTML('afterbegin', batchReport);
 
         const totalShown = resultSets.reduce((sum, set) => sum + set.rows.length, 0);
         const totalRows = resultSets.reduce((sum, set) => sum + set.totalRows, 0);
         const truncated = totalShown < totalRows ? ` (showing ${totalShown} of ${totalRows})` : '';
         const setsLabel = resultSets.length > 1 ? `${resultSets.length} result sets, ` : '';
-        this.setStatus(`Done in ${duration} — ${setsLabel}${totalRows} row(s)${truncated}.`, 'success');
+        this.setBatchStatus(message, `Done in ${duration} — ${setsLabel}${totalRows} row(s)${truncated}.`);
+    }
+
+    // Per-batch outcome of a script with several GO batches; empty otherwise.
+    buildBatchReport(message) {
+        if (!message.batches) return '';
+        let html = '';
+        if (message.batchErrors && message.batchErrors.length > 0) {
+            html += `<pre class="query-error-box">${this.escapeHtml(message.batchErrors.join('\n'))}</pre>`;
+        }
+        const items = message.batches.map(batch => {
+            const repeat = batch.repeat > 1 ? ` ×${batch.repeat}` : '';
+            const time = batch.durationMs !== undefined ? ` — ${this.formatDuration(batch.durationMs)}` : '';
+            return `<li class="batch-${batch.status}">Batch ${batch.number} (line ${batch.startLine})${repeat}: ${batch.status}${time}</li>`;
+        });
+        return html + `<ul class="batch-report">${items.join('')}</ul>`;
+    }
+
+    // Risk rules the connection grades 'warn': reported, never asked.
+    buildRiskWarnings(warnings) {
+        if (!warnings || warnings.length === 0) return '';
+        const items = warnings.map(w => `<li class="impact-over">${this.escapeHtml(w)}</li>`);
+        return `<div class="impact-report"><span class="impact-title">Risk warnings</span>`
+            + `<ul class="batch-report">${items.join('')}</ul></div>`;
+    }
+
+    // Dry-run impact preview (connection setting): rows each write changed in
+    // a transaction that was rolled back, and the triggers on those tables.
+    buildImpactReport(impact) {
+        if (!impact) return '';
+        const esc = (s) => this.escapeHtml(s);
+        let items;
+        if (impact.skipped) {
+            items = [`<li class="batch-skipped">Skipped: ${esc(impact.skipped)}.</li>`];
+        } else {
+            const batched = new Set(impact.entries.map(e => e.batch)).size > 1;
+            items = impact.entries.map(e => {
+                const label = e.kind ? (e.target ? `${e.kind} ${e.target}` : e.kind) : e.label;
+                const over = e.rows > impact.threshold ? ' class="impact-over"' : '';
+                return `<li${over}>${batched ? `Batch ${e.batch}, ` : ''}${esc(label)} — ${e.rows.toLocaleString()} row(s)</li>`;
+            });
+            if (impact.error) items.push(`<li class="batch-error">The dry run stopped on an error: ${esc(impact.error)}</li>`);
+            if (impact.triggers === null) items.push('<li class="batch-skipped">Triggers could not be listed.</li>');
+            else if (impact.triggers.length > 0) items.push(`<li>Triggers that fire: ${esc(impact.triggers.map(t => t.trigger).join(', '))}</li>`);
+        }
+        return `<div class="impact-report"><span class="impact-title">Impact preview (dry run, rolled back)</span>`
+            + `<ul class="batch-report">${items.join('')}</ul></div>`;
+    }
+
+    // Tables the query writes itself and through the triggers it fires
+    // (posted only when a trigger fires).
+    buildCascadeReport(cascade) {
+        if (!cascade) return '';
+        const esc = (s) => this.escapeHtml(s);
+        const items = [
+            `<li>Written directly: ${esc(cascade.direct.join(', ') || '—')}</li>`,
+            `<li>Triggers fired: ${esc(cascade.triggersFired.join(', '))}</li>`
+        ];
+        if (cascade.cascaded.length > 0) items.push(`<li class="impact-over">Written through triggers: ${esc(cascade.cascaded.join(', '))}</li>`);
+        if (cascade.truncated) items.push('<li class="batch-skipped">The trigger cascade is deeper than analyzed.</li>');
+        return `<div class="impact-report"><span class="impact-title">Trigger cascade</span>`
+            + `<ul class="batch-report">${items.join('')}</ul></div>`;
+    }
+
+    setBatchStatus(message, text) {
+        const failed = (message.batches || []).filter(b => b.status === 'error').length;
+        if (failed > 0) {
+            this.setStatus(`${text} ${failed} of ${message.batches.length} batches failed.`, 'error');
+        } else {
+            this.setStatus(text, 'success');
+        }
+    }
+
+    // === Query parameters ===
+
+    onQueryParametersRequired(message) {
+        this.parametersDoc = this.doc;
+        this.setRunning(false);
+        this.setStatus('Enter the query parameters.', '');
+        this.resultsContainer.innerHTML = '<p class="placeholder-text">Waiting for parameter values...</p>';
+        const types = message.types || [];
+        this.parametersRows.innerHTML = message.parameters.map(p => {
+            const options = types.map(t => `<option value="${t}"${t === p.type ? ' selected' : ''}>${t}</option>`).join('');
+            return `<tr data-name="${this.escapeHtml(p.name)}">`
+                + `<td class="param-name">${this.escapeHtml(p.name)}</td>`
+                + `<td><select class="param-type">${options}</select></td>`
+                + `<td><input type="text" class="param-value" value="${this.escapeHtml(p.value)}" spellcheck="false"${p.isNull ? ' disabled' : ''}></td>`
+                + `<td><input type="checkbox" class="param-null"${p.isNull ? ' checked' : ''}></td>`
+                + `</tr>`;
+        }).join('');
+        this.parametersOverlay.classList.add('visible');
+        const first = this.parametersRows.querySelector('.param-value:not([disabled])');
+        if (first) { first.focus(); first.select(); }
+    }
+
+    submitParameters() {
+        const doc = this.parametersDoc;
+        if (!doc || !doc.pendingRequest) return;
+        const parameters = Array.from(this.parametersRows.querySelectorAll('tr')).map(row => ({
+            name: row.dataset.name,
+            type: row.querySelector('.param-type').value,
+            value: row.querySelector('.param-value').value,
+            isNull: row.querySelector('.param-null').checked
+        }));
+        this.parametersOverlay.classList.remove('visible');
+        this.parametersDoc = null;
+        this.withDocument(doc.id, () => {
+            this.setRunning(true);
+            this.setStatus(this.pendingRequest.command === 'getEstimatedPlan' ? 'Compiling...' : 'Running...', '');
+            this.pendingRequest = { ...this.pendingRequest, parameters };
+            this.post(this.pendingRequest);
+        });
+    }
+
+    closeParameters() {
+        const doc = this.parametersDoc;
+        this.parametersOverlay.classList.remove('visible');
+        this.parametersDoc = null;
+        if (!doc) return;
+        this.withDocument(doc.id, () => {
+            this.setStatus('Run cancelled.', '');
+            this.resultsContainer.innerHTML = '<p class="placeholder-text">Run a query to see results here.</p>';
+        });
+    }
+
+    // === Execution plan ===
+
+    // An estimated plan ends the request; an actual plan arrives just before
+    // the query's results.
+    onExecutionPlan(message) {
+        if (!message.actual) this.setRunning(false);
+        if (!message.success) {
+            if (message.actual) return; // the query's own result reports the failure
+            this.resultsContainer.innerHTML = `<pre class="query-error-box">${this.escapeHtml(message.message)}</pre>`;
+            this.setStatus('Could not get the execution plan.', 'error');
+            return;
+        }
+        this.showResultTabs(true);
+        this.planViewer.show(message.plan, message.actual);
+        if (!message.actual) {
+            this.resultsContainer.innerHTML = '<p class="placeholder-text">Estimated plan only — the query was not run.</p>';
+            this.setStatus(`Estimated plan — ${message.plan.statements.length} statement(s).`, 'success');
+        }
+        this.switchResultTab(message.actual ? 'results' : 'plan');
+    }
+
+    showResultTabs(show) {
+        this.doc.resultTabsShown = show;
+        if (this.doc === this.activeDoc) this.resultTabs.style.display = show ? '' : 'none';
+    }
+
+    switchResultTab(name) {
+        this.doc.resultTab = name;
+        if (this.doc !== this.activeDoc) return;
+        this.resultTabs.querySelectorAll('[data-result-tab]').forEach(tab =>
+            tab.classList.toggle('active', tab.dataset.resultTab === name));
+        this.resultsPane.style.display = name === 'results' ? '' : 'none';
+        this.planPane.style.display = name === 'plan' ? '' : 'none';
+        if (name === 'plan') this.planViewer.refresh();
     }
 
     onQueryError(message) {
         this.setRunning(false);
-        this.resultsContainer.innerHTML = `<pre class="query-error-box">${this.escapeHtml(message.message)}</pre>`;
+        this.resultsContainer.innerHTML = `<pre class="query-error-box">${this.escapeHtml(message.message)}</pre>`
+            + this.buildRiskWarnings(message.riskWarnings) + this.buildImpactReport(message.impact)
+            + this.buildCascadeReport(message.triggerCascade);
         const duration = message.durationMs ? ` after ${this.formatDuration(message.durationMs)}` : '';
         this.setStatus(message.cancelled ? `Query cancelled${duration}.` : `Query failed${duration}.`, 'error');
     }
 
-    displayResultSets(resultSets, messages) {
+    // One ResultGrid per result set; the grids page, sort and filter through the extension.
+    displayResultSets(resultSets, messages, resultId, pageSize) {
         let html = '';
+        const targetTable = QueryManager.guessTargetTable(this.pendingRequest ? this.pendingRequest.query : '');
 
         resultSets.forEach((set, index) => {
+            const batch = set.batch ? `Batch ${set.batch}, ` : '';
             const label = resultSets.length > 1
-                ? `Result ${index + 1} — ${set.totalRows} row(s)`
+                ? `${batch}Result ${index + 1} — ${set.totalRows} row(s)`
                 : `${set.totalRows} row(s)`;
+            const columnChoices = set.columns.map(col =>
+                `<label><input type="checkbox" data-rs-column="${this.escapeHtml(col)}" data-rs-index="${index}" checked> ${this.escapeHtml(col)}</label>`
+            ).join('');
             html += `<div class="result-set-actions">`
                 + `<span class="rs-label">${label}</span>`
                 + `<span class="rs-spacer"></span>`
-                + `<button data-rs-action="copy" data-rs-index="${index}" title="Copy to clipboard (tab-separated, pastes into Excel)"><i class="codicon codicon-copy"></i> Copy</button>`
-                + `<button data-rs-action="csv" data-rs-index="${index}" title="Export this result set as a CSV file"><i class="codicon codicon-desktop-download"></i> CSV</button>`
-                + `</div>`;
-
-            if (set.rows.length < set.totalRows) {
-                html += `<p class="truncation-note"><i class="codicon codicon-warning"></i> Showing first ${set.rows.length} of ${set.totalRows} rows (max rows limit).</p>`;
-            }
-
-            if (set.rows.length === 0) {
-                html += '<p class="placeholder-text">No rows.</p>';
-                return;
-            }
-
-            html += '<table><thead><tr>';
-            set.columns.forEach(col => {
-                html += `<th>${this.escapeHtml(col)}</th>`;
-            });
-            html += '</tr></thead><tbody>';
-
-            set.rows.forEach(row => {
-                html += '<tr>';
-                set.columns.forEach(col => {
-                    html += `<td>${this.escapeHtml(this.formatValue(row[col]))}</td>`;
-                });
-                html += '</tr>';
-            });
-            html += '</tbody></table>';
+                + `<details class="rs-columns"><summary title="Show or hide columns"><i class="codicon codicon-list-selection"></i> Columns</summary>`
+                + `<div class="rs-columns-menu">${columnChoices}</div></details>`
+                + `<button data-rs-action="copy" data-rs-index="${index}" title="Copy the loaded rows to the clipboard (tab-separated, pastes into Excel)"><i class="codicon codicon-copy"></i> Copy</button>`
+                + this.buildExportMenu(index, targetTable)
+                + `</div>`
+                + `<div class="result-grid-container" data-rs-index="${index}"></div>`;
         });
 
         html += this.buildMessagesBlock(messages);
         this.resultsContainer.innerHTML = html;
+        this.grids = resultSets.map((set, index) => new ResultGrid(
+            this.resultsContainer.querySelector(`.result-grid-container[data-rs-index="${index}"]`),
+            resultId, index, set, pageSize, this.doc.id));
+    }
+
+    // Exports take the loaded rows and the visible columns, like Copy; the
+    // "All rows" ones every row and column.
+    buildExportMenu(index, targetTable) {
+        const format = (name, label, title) =>
+            `<button data-rs-action="export" data-rs-format="${name}" data-rs-index="${index}" title="${title}">${label}</button>`;
+        const exportAll = (name, label) =>
+            `<button data-rs-action="export-all" data-rs-format="${name}" data-rs-index="${index}" title="Streams every row to a file, beyond the rows loaded here. Only for queries that do not modify data.">${label}</button>`;
+        return `<details class="rs-columns rs-export"><summary title="Export the loaded rows to a file"><i class="codicon codicon-desktop-download"></i> Export</summary>`
+            + `<div class="rs-columns-menu">`
+            + format('csv', 'CSV', 'Comma-separated values')
+            + format('json', 'JSON', 'An array of objects; numbers, booleans and NULLs keep their type')
+            + format('markdown', 'Markdown', 'A Markdown table, for tickets and pull requests')
+            + format('excel', 'Excel', 'XML Spreadsheet 2003: opens in Excel with typed cells')
+            + `<label>Target table <input type="text" class="rs-insert-table" data-rs-index="${index}" value="${this.escapeHtml(targetTable)}" placeholder="dbo.TableName" spellcheck="false"></label>`
+            + format('insert', 'INSERT script', 'INSERT ... VALUES statements into the target table')
+            + `<span class="rs-export-heading">All rows (runs the query again)</span>`
+            + exportAll('csv', 'All rows as CSV')
+            + exportAll('json', 'All rows as JSON')
+            + `</div></details>`;
+    }
+
+    onResultPage(message) {
+        const grid = (this.grids || [])[message.setIndex];
+        if (grid && grid.resultId === message.resultId) grid.onPage(message);
     }
 
     // PRINT / RAISERROR informational output, shown under the results like SSMS "Messages"
@@ -292,43 +1012,94 @@ class QueryManager {
 
     // === History ===
 
-    onHistoryLoaded(history) {
-        this.history = history || [];
-        this.historySelect.innerHTML = '<option value="">🕘 History…</option>';
-
-        this.history.forEach((entry, index) => {
-            const option = document.createElement('option');
-            const time = new Date(entry.timestamp);
-            const timeLabel = `${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`;
-            const queryLabel = entry.query.replace(/\s+/g, ' ').slice(0, 60);
-            option.value = String(index);
-            option.textContent = `${entry.success ? '✓' : '✗'} ${timeLabel} [${entry.database}] ${queryLabel}`;
-            this.historySelect.appendChild(option);
-        });
+    // history: the entries matching the search, pinned first; total and
+    // databases describe the whole history.
+    onHistoryLoaded(message) {
+        this.history = message.history || [];
+        const selected = this.historyDatabase.value;
+        this.historyDatabase.innerHTML = '<option value="">All databases</option>';
+        (message.databases || []).forEach(name => this.historyDatabase.add(new Option(name, name)));
+        this.historyDatabase.value = (message.databases || []).includes(selected) ? selected : '';
+
+        const esc = (s) => this.escapeHtml(s);
+        this.historyList.innerHTML = this.history.map((entry, index) => {
+            const time = new Date(entry.timestamp).toLocaleString();
+            const duration = entry.durationMs !== undefined ? ` · ${this.formatDuration(entry.durationMs)}` : '';
+            return `<li data-index="${index}" title="Load into the editor">`
+                + `<button class="history-pin${entry.pinned ? ' pinned' : ''}" title="${entry.pinned ? 'Unpin' : 'Pin: never removed from the history'}">${entry.pinned ? '★' : '☆'}</button>`
+                + `<span class="history-query">${esc(entry.query)}</span>`
+                + `<span class="history-meta">${entry.success ? '✓' : '✗'} [${esc(entry.database)}] ${esc(time)}${duration}</span></li>`;
+        }).join('') || '<li class="placeholder-text">No matching queries.</li>';
+        const total = message.total !== undefined ? message.total : this.history.length;
+        this.historyCount.textContent = this.history.length === total
+            ? `${total} quer${total === 1 ? 'y' : 'ies'}`
+            : `${this.history.length} of ${total} queries`;
+    }
+
+    openHistory() {
+        this.historyOverlay.classList.add('visible');
+        this.requestHistory();
+        this.historySearch.focus();
+    }
+
+    closeHistory() {
+        this.historyOverlay.classList.remove('visible');
+    }
 
-        if (this.history.length > 0) {
-            const clearOption = document.createElement('option');
-            clearOption.value = 'clear';
-            clearOption.textContent = '🗑 Clear history';
-            this.historySelect.appendChild(clearOption);
+    requestHistory() {
+        this.post({ command: 'getQueryHistory', filter: { text: this.historySearch.value, database: this.historyDatabase.value } });
+    }
+
+    onHistoryExported(message) {
+        if (message.success) {
+            this.setStatus(`${message.count} quer${message.count === 1 ? 'y' : 'ies'} exported to ${message.path}`, 'success');
+        } else if (message.cancelled) {
+            this.setStatus('History export cancelled.', '');
+        } else {
+            this.setStatus(`History export failed: ${message.message}`, 'error');
         }
     }
 
-    applyHistorySelection() {
-        const value = this.historySelect.value;
-        this.historySelect.value = '';
-        if (!value) return;
+    // === Saved queries ===
+
+    toggleSavedQueries() {
+        const show = this.savedQueriesPane.style.display === 'none';
+        this.savedQueriesPane.style.display = show ? '' : 'none';
+        if (show) vscode.postMessage({ command: 'getSavedQueries' });
+    }
 
-        if (value === 'clear') {
-            vscode.postMessage({ command: 'clearQueryHistory' });
+    onSavedQueriesLoaded(message) {
+        this.savedQueries = message.queries || [];
+        if (!message.success) {
+            this.savedQueriesList.innerHTML = `<li class="placeholder-text">${this.escapeHtml(message.message)}</li>`;
             return;
         }
+        const esc = (s) => this.escapeHtml(s);
+        this.savedQueriesList.innerHTML = this.savedQueries.map(q => `<li data-name="${esc(q.name)}" title="${esc(q.description || 'Open in the editor')}">`
+            + `<span class="saved-query-name">${esc(q.name)}</span>`
+            + `<span class="saved-query-meta">${q.database ? `[${esc(q.database)}] ` : ''}${esc(q.description || '')}</span>`
+            + '<span class="saved-query-actions">'
+            + `<button data-action="run" title="Run on ${q.database ? esc(q.database) : 'the selected database'}">▶ Run</button>`
+            + '<button data-action="rename">Rename</button>'
+            + '<button data-action="delete">Delete</button>'
+            + '</span></li>').join('')
+            || `<li class="placeholder-text">No saved queries yet in ${esc(message.folder)}. Write a query and click 💾 Save.</li>`;
+    }
 
-        const entry = this.history[Number(value)];
-        if (entry) {
-            this.input.value = entry.query;
-            this.input.focus();
+    onSavedQuerySaved(message) {
+        if (message.success) this.setStatus(`Saved as '${message.name}'.`, 'success');
+        else this.setStatus(`Save failed: ${message.message}`, 'error');
+    }
+
+    // Opened in a new tab targeting the query's database when it has one.
+    onSavedQueryOpened(message) {
+        if (!message.success) {
+            this.setStatus(message.message, 'error');
+            return;
         }
+        this.openQueryText(message.query, { title: message.name, database: message.database });
+        if (message.run) this.runQuery();
+        else this.setStatus(`Opened '${message.name}'${message.database ? ` (database ${message.database})` : ''}.`, '');
     }
 
     // === Formatting helpers ===
@@ -355,6 +1126,134 @@ class QueryManager {
         return lines.join('\r\n');
     }
 
+    // Array of objects. Values keep the JSON type they reached the webview
+    // with (dates are ISO strings); binary values become 0x... strings.
+    static toJson(set) {
+        const rows = set.rows.map(row => {
+            const object = {};
+            set.columns.forEach(col => {
+                const value = row[col];
+                const hex = QueryManager.binaryHex(value);
+                object[col] = hex !== null ? hex : value === undefined ? null : value;
+            });
+            return object;
+        });
+        return JSON.stringify(rows, null, 2);
+    }
+
+    // GitHub-flavoured table; numeric columns are right-aligned.
+    static toMarkdown(set) {
+        const cell = (value) => QueryManager.exportText(value, 'NULL')
+            .replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const numeric = set.columns.map(col => {
+            const values = set.rows.map(row => row[col]).filter(v => v !== null && v !== undefined);
+            return values.length > 0 && values.every(v => typeof v === 'number');
+        });
+        const lines = [
+            `| ${set.columns.map(cell).join(' | ')} |`,
+            `| ${numeric.map(right => right ? '---:' : '---').join(' | ')} |`
+        ];
+        for (const row of set.rows) {
+            lines.push(`| ${set.columns.map(col => cell(row[col])).join(' | ')} |`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // XML Spreadsheet 2003, which Excel opens (and saves as XLSX) without an
+    // import step: numbers, booleans and dates get typed cells, NULLs stay empty.
+    static toSpreadsheetMl(set, sheetName = 'Results') {
+        const xml = (text) => String(text)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]))
+            .replace(/\r?\n/g, '&#10;');
+        const cell = (value) => {
+            if (value === null || value === undefined) return '<Cell/>';
+            if (typeof value === 'number' && Number.isFinite(value)) return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+            if (typeof value === 'boolean') return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+            const date = value instanceof Date ? value.toISOString() : value;
+            if (typeof date === 'string' && QueryManager.ISO_DATE_TIME.test(date)) {
+                return `<Cell ss:StyleID="date"><Data ss:Type="DateTime">${date.replace(/Z$/, '')}</Data></Cell>`;
+            }
+            return `<Cell><Data ss:Type="String">${xml(QueryManager.exportText(value, ''))}</Data></Cell>`;
+        };
+        const rows = [
+            `   <Row>${set.columns.map(col => `<Cell ss:StyleID="header"><Data ss:Type="String">${xml(col)}</Data></Cell>`).join('')}</Row>`,
+            ...set.rows.map(row => `   <Row>${set.columns.map(col => cell(row[col])).join('')}</Row>`)
+        ];
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<?mso-application progid="Excel.Sheet"?>',
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+            ' <Styles>',
+            '  <Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+            '  <Style ss:ID="date"><NumberFormat ss:Format="yyyy-mm-dd hh:mm:ss"/></Style>',
+            ' </Styles>',
+            ` <Worksheet ss:Name="${xml(sheetName.slice(0, 31))}">`,
+            '  <Table>',
+            ...rows,
+            '  </Table>',
+            ' </Worksheet>',
+            '</Workbook>',
+            ''
+        ].join('\n');
+    }
+
+    // INSERT ... VALUES statements into `table`, 1000 rows per statement (the
+    // limit of a VALUES list). Text is sent as N'...' and converted by SQL
+    // Server to the column's type; binary values become 0x... literals.
+    static toInsertScript(set, table) {
+        const target = QueryManager.quoteTableName(table);
+        const columns = set.columns.map(col => `[${col.replace(/\]/g, ']]')}]`).join(', ');
+        const literal = (value) => {
+            if (value === null || value === undefined) return 'NULL';
+            if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+            if (typeof value === 'boolean') return value ? '1' : '0';
+            const hex = QueryManager.binaryHex(value);
+            if (hex !== null) return hex;
+            return `N'${QueryManager.exportText(value, '').replace(/'/g, "''")}'`;
+        };
+        if (set.rows.length === 0) return `-- No rows to insert into ${target}.\n`;
+
+        const statements = [];
+        for (let start = 0; start < set.rows.length; start += 1000) {
+            const values = set.rows.slice(start, start + 1000)
+                .map(row => `    (${set.columns.map(col => literal(row[col])).join(', ')})`);
+            statements.push(`INSERT INTO ${target} (${columns})\nVALUES\n${values.join(',\n')};`);
+        }
+        return statements.join('\n\n') + '\n';
+    }
+
+    // Brackets each part of a (possibly qualified) name, keeping parts already bracketed.
+    static quoteTableName(name) {
+        const parts = String(name).trim().match(/\[(?:[^\]]|\]\])*\]|[^.]+/g) || [];
+        return parts.map(part => part.startsWith('[') ? part : `[${part.trim().replace(/\]/g, ']]')}]`).join('.');
+    }
+
+    // The table of the query's first FROM, prefilled as the INSERT target.
+    static guessTargetTable(query) {
+        const name = '(?:\\[(?:[^\\]]|\\]\\])*\\]|[A-Za-z_#][\\w$#@]*)';
+        const match = new RegExp(`\\bFROM\\s+(${name}(?:\\s*\\.\\s*${name}){0,2})`, 'i').exec(query || '');
+        return match ? match[1].match(new RegExp(name, 'g')).join('.') : '';
+    }
+
+    // A binary value as it reaches the webview (Buffer JSON) as 0x..., else null.
+    static binaryHex(value) {
+        if (!value || typeof value !== 'object') return null;
+        const bytes = value.type === 'Buffer' && Array.isArray(value.data) ? value.data
+            : value instanceof Uint8Array ? Array.from(value) : null;
+        if (!bytes) return null;
+        return '0x' + bytes.map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    static exportText(value, nullText) {
+        if (value === null || value === undefined) return nullText;
+        if (value instanceof Date) return value.toISOString();
+        const hex = QueryManager.binaryHex(value);
+        if (hex !== null) return hex;
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
     formatDuration(ms) {
         if (typeof ms !== 'number') return '?';
         return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
@@ -368,8 +1267,8 @@ class QueryManager {
     }
 
     setStatus(message, type) {
-        this.status.textContent = message;
-        this.status.className = 'query-status' + (type ? ` ${type}` : '');
+        this.doc.status = { message, type };
+        if (this.doc === this.activeDoc) this.renderToolbar();
     }
 
     // Regex-based instead of a DOM element: called once per cell, so it has to be cheap.
@@ -381,6 +1280,10 @@ class QueryManager {
     }
 }
 
+QueryManager.EXPORT_EXTENSIONS = { csv: 'csv', json: 'json', markdown: 'md', excel: 'xml', insert: 'sql' };
+// Dates as they reach the webview (Date objects are serialised to ISO strings).
+QueryManager.ISO_DATE_TIME = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?Z$/;
+
 // Allow unit tests to require() this file; in the webview `module` is undefined.
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = QueryManager;
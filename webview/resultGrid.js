@@ -0,0 +1,270 @@
+/**
+ * VS Code Extension – Keep this header in every file.
+ *
+ * ✱ Comments in English only.
+ * ✱ Each section must have a name + brief description.
+ * ✱ Keep it simple – follow the KISS principle.
+ */
+'use strict';
+
+// Result grid of the Query tab, one per result set. Only the rows in view are
+// in the DOM (fixed row height, spacer rows above and below), so tens of
+// thousands of loaded rows stay smooth. Sorting and column filters are applied
+// by the extension over every row it kept (ResultStore), and "Load next page"
+// fetches the following rows from it: the query is never run again.
+class ResultGrid {
+    // set: { columns, rows, totalRows, availableRows } as posted with queryResult;
+    // documentId: the query document whose run kept the rows.
+    constructor(container, resultId, setIndex, set, pageSize, documentId = null) {
+        this.container = container;
+        this.resultId = resultId;
+        this.documentId = documentId;
+        this.setIndex = setIndex;
+        this.columns = set.columns;
+        this.rows = set.rows;
+        this.totalRows = set.totalRows;
+        this.availableRows = set.availableRows !== undefined ? set.availableRows : set.rows.length;
+        this.matchingRows = this.availableRows;
+        this.pageSize = pageSize;
+        this.sort = null; // { column, descending }
+        this.filters = {};
+        this.hidden = new Set();
+        this.widths = {};
+        this.loading = false;
+        this.requestId = 0;
+        this._filterTimer = null;
+        this._renderedRange = null;
+        // Fixed widths (table-layout: fixed), sized once from the first page:
+        // with virtual rows, content-sized columns would jump while scrolling.
+        this.columns.forEach(col => { this.widths[col] = ResultGrid.initialWidth(col, this.rows); });
+        this.render();
+    }
+
+    // === Layout ===
+
+    render() {
+        this.container.innerHTML = `
+            <div class="result-grid-viewport">
+                <table class="result-grid">
+                    <colgroup></colgroup>
+                    <thead>
+                        <tr class="result-grid-headers"></tr>
+                        <tr class="result-grid-filters"></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="result-grid-footer">
+                <span class="result-grid-count"></span>
+                <span class="rs-spacer"></span>
+                <button class="result-grid-more" title="Fetch the next rows from the extension (the query is not run again)">Load next page</button>
+            </div>`;
+        this.viewport = this.container.querySelector('.result-grid-viewport');
+        this.tbody = this.container.querySelector('tbody');
+        this.viewport.addEventListener('scroll', () => this.renderRows());
+        this.container.querySelector('.result-grid-more').addEventListener('click', () => this.loadNextPage());
+        this.renderHeader();
+        this.renderRows(true);
+        this.renderFooter();
+    }
+
+    visibleColumns() {
+        return this.columns.filter(col => !this.hidden.has(col));
+    }
+
+    renderHeader() {
+        const esc = ResultGrid._esc;
+        const columns = this.visibleColumns();
+        this.container.querySelector('colgroup').innerHTML = columns
+            .map(col => `<col style="width: ${this.widths[col]}px">`).join('');
+        this.container.querySelector('.result-grid').style.width = `${columns.reduce((sum, col) => sum + this.widths[col], 0)}px`;
+
+        const headers = this.container.querySelector('.result-grid-headers');
+        headers.innerHTML = columns.map(col => {
+            const arrow = this.sort && this.sort.column === col ? (this.sort.descending ? ' ▼' : ' ▲') : '';
+            return `<th data-column="${esc(col)}" title="Click to sort, drag the edge to resize">`
+                + `<span class="result-grid-sort">${esc(col)}${arrow}</span>`
+                + `<span class="result-grid-resize"></span></th>`;
+        }).join('');
+        headers.querySelectorAll('th').forEach(th => {
+            th.querySelector('.result-grid-sort').addEventListener('click', () => this.toggleSort(th.dataset.column));
+            th.querySelector('.result-grid-resize').addEventListener('mousedown', (e) => this.startResize(e, th));
+        });
+
+        const filters = this.container.querySelector('.result-grid-filters');
+        filters.innerHTML = columns.map(col =>
+            `<th><input type="text" class="result-grid-filter" data-column="${esc(col)}" value="${esc(this.filters[col] || '')}" placeholder="Filter…" spellcheck="false"></th>`
+        ).join('');
+        filters.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => this.setFilter(input.dataset.column, input.value));
+        });
+    }
+
+    // Renders the rows in view plus a margin; skipped when the range is unchanged.
+    renderRows(force) {
+        const columns = this.visibleColumns();
+        const height = ResultGrid.ROW_HEIGHT;
+        const first = Math.max(0, Math.floor(this.viewport.scrollTop / height) - ResultGrid.OVERSCAN);
+        const last = Math.min(this.rows.length, Math.ceil((this.viewport.scrollTop + this.viewport.clientHeight) / height) + ResultGrid.OVERSCAN);
+        const rangeKey = `${first}:${last}`;
+        if (!force && this._renderedRange === rangeKey) return;
+        this._renderedRange = rangeKey;
+
+        if (this.rows.length === 0) {
+            this.tbody.innerHTML = `<tr><td colspan="${columns.length || 1}" class="result-grid-empty">No rows.</td></tr>`;
+            return;
+        }
+        const esc = ResultGrid._esc;
+        let html = `<tr class="result-grid-spacer" style="height: ${first * height}px"></tr>`;
+        for (let i = first; i < last; i++) {
+            const row = this.rows[i];
+            html += '<tr>';
+            for (const col of columns) {
+                const text = ResultGrid.formatValue(row[col]);
+                const nullClass = row[col] === null || row[col] === undefined ? ' class="result-grid-null"' : '';
+                html += `<td${nullClass} title="${esc(text.length > 60 ? text.slice(0, 2000) : '')}">${esc(text)}</td>`;
+            }
+            html += '</tr>';
+        }
+        html += `<tr class="result-grid-spacer" style="height: ${(this.rows.length - last) * height}px"></tr>`;
+        this.tbody.innerHTML = html;
+    }
+
+    renderFooter() {
+        const count = this.container.querySelector('.result-grid-count');
+        const filtered = this.matchingRows !== this.availableRows ? ` (${this.matchingRows.toLocaleString()} matching the filters)` : '';
+        let text = `${this.rows.length.toLocaleString()} of ${this.matchingRows.toLocaleString()} row(s) loaded${filtered}`;
+        if (this.totalRows > this.availableRows) {
+            text += ` — ${(this.totalRows - this.availableRows).toLocaleString()} more row(s) were not kept (limit ${this.availableRows.toLocaleString()})`;
+        }
+        count.textContent = text;
+        const more = this.container.querySelector('.result-grid-more');
+        more.style.display = this.rows.length < this.matchingRows ? '' : 'none';
+        more.disabled = this.loading;
+    }
+
+    // === Sorting, filtering and paging (served by the extension) ===
+
+    // Ascending, descending, then back to the server's order.
+    toggleSort(column) {
+        if (!this.sort || this.sort.column !== column) this.sort = { column, descending: false };
+        else if (!this.sort.descending) this.sort = { column, descending: true };
+        else this.sort = null;
+        this.renderHeader();
+        this.reload();
+    }
+
+    setFilter(column, text) {
+        if (text.trim()) this.filters[column] = text;
+        else delete this.filters[column];
+        clearTimeout(this._filterTimer);
+        this._filterTimer = setTimeout(() => this.reload(), 300);
+    }
+
+    // Keeps as many rows loaded as before.
+    reload() {
+        this.requestPage(0, Math.max(this.pageSize, this.rows.length));
+    }
+
+    loadNextPage() {
+        if (this.loading || this.rows.length >= this.matchingRows) return;
+        this.requestPage(this.rows.length, this.pageSize);
+    }
+
+    requestPage(offset, count) {
+        this.loading = true;
+        this.requestId++;
+        this.renderFooter();
+        vscode.postMessage({
+            command: 'getResultPage', documentId: this.documentId, resultId: this.resultId, setIndex: this.setIndex,
+            offset, count, sort: this.sort, filters: this.filters, requestId: this.requestId
+        });
+    }
+
+    // Answers to an older request (sort clicked twice, filter still typed) are dropped.
+    onPage(message) {
+        if (message.requestId !== this.requestId) return;
+        this.loading = false;
+        if (!message.success) {
+            this.container.querySelector('.result-grid-count').textContent = message.message;
+            this.container.querySelector('.result-grid-more').style.display = 'none';
+            return;
+        }
+        if (message.offset === 0) {
+            this.rows = message.rows;
+            this.viewport.scrollTop = 0;
+        } else {
+            this.rows = this.rows.concat(message.rows);
+        }
+        this.matchingRows = message.matchingRows;
+        this.renderRows(true);
+        this.renderFooter();
+    }
+
+    // === Columns ===
+
+    setColumnHidden(column, hidden) {
+        if (hidden) this.hidden.add(column);
+        else this.hidden.delete(column);
+        this.renderHeader();
+        this.renderRows(true);
+    }
+
+    startResize(event, th) {
+        event.preventDefault();
+        event.stopPropagation();
+        const column = th.dataset.column;
+        const startX = event.clientX;
+        const startWidth = th.getBoundingClientRect().width;
+        const col = this.container.querySelectorAll('colgroup col')[this.visibleColumns().indexOf(column)];
+        const table = this.container.querySelector('.result-grid');
+        const onMove = (e) => {
+            this.widths[column] = Math.max(40, Math.round(startWidth + e.clientX - startX));
+            col.style.width = `${this.widths[column]}px`;
+            table.style.width = `${this.visibleColumns().reduce((sum, c) => sum + this.widths[c], 0)}px`;
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    // Loaded rows and shown columns, for Copy / CSV.
+    currentSet() {
+        return { columns: this.visibleColumns(), rows: this.rows };
+    }
+
+    // === Helpers ===
+
+    // Width in pixels fitting the header and the values of the first rows, within bounds.
+    static initialWidth(column, rows) {
+        let chars = column.length + 2;
+        for (const row of rows.slice(0, 100)) {
+            chars = Math.max(chars, ResultGrid.formatValue(row[column]).length);
+        }
+        return Math.min(360, Math.max(70, chars * 7 + 16));
+    }
+
+    static formatValue(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    static _esc(s) {
+        return String(s == null ? '' : s).replace(/[&<>"']/g, c => (
+            { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+        ));
+    }
+}
+
+ResultGrid.ROW_HEIGHT = 24;
+ResultGrid.OVERSCAN = 20;
+
+// Allow unit tests to require() this file; in the webview `module` is undefined.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultGrid;
+}
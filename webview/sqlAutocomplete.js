@@ -251,20 +251,42 @@ class SqlAutocomplete {
     // === Pure logic (unit-testable, no DOM) ===
 
     // Split the text before the caret into base + partial around the last dot:
-    // "SELECT e.Na|" -> { base: 'e', partial: 'Na', partialStart: 9 }
+    // "SELECT e.Na|" -> { base: 'e', partial: 'Na', partialStart: 9, afterExec: false }
+    // afterExec: the token is the procedure name of an EXEC.
     static extractContext(text, caret) {
         const before = text.slice(0, caret);
         const match = before.match(/[A-Za-z0-9_$#@[\].]*$/);
         const token = match ? match[0] : '';
         const tokenStart = caret - token.length;
+        const afterExec = /\bexec(?:ute)?\s+$/i.test(before.slice(0, tokenStart));
         const lastDot = token.lastIndexOf('.');
         if (lastDot === -1) {
-            return { base: '', partial: token, partialStart: tokenStart };
+            return { base: '', partial: token, partialStart: tokenStart, afterExec };
         }
         return {
             base: token.slice(0, lastDot),
             partial: token.slice(lastDot + 1),
-            partialStart: tokenStart + lastDot + 1
+            partialStart: tokenStart + lastDot + 1,
+            afterExec
+        };
+    }
+
+    // Procedure whose argument list holds the caret, with the parameters
+    // already given: "EXEC dbo.usp_Get @Id = 1, @|" ->
+    // { procedure: 'dbo.usp_Get', used: ['@id'] }. Null elsewhere, and where
+    // a value is expected ("@Id = |").
+    static execContext(text, caret) {
+        const before = text.slice(0, caret);
+        const re = /\bexec(?:ute)?\s+(?:@\w+\s*=\s*)?((?:\[[^\]]+\]|[\w$#]+)(?:\s*\.\s*(?:\[[^\]]+\]|[\w$#]+)){0,2})\s/gi;
+        let last = null;
+        let m;
+        while ((m = re.exec(before)) !== null) last = m;
+        if (!last) return null;
+        const args = before.slice(last.index + last[0].length);
+        if (/;|\n\s*\n/.test(args) || SqlAutocomplete.STATEMENT_START.test(args) || /=\s*@?\w*$/.test(args)) return null;
+        return {
+            procedure: last[1].replace(/[[\]\s]/g, ''),
+            used: (args.match(/@\w+(?=\s*=)/g) || []).map(name => name.toLowerCase())
         };
     }
 
@@ -295,14 +317,69 @@ class SqlAutocomplete {
         return aliases;
     }
 
+    // Object by qualified, display or bare name (brackets and case ignored).
+    static findObject(objects, name) {
+        const target = String(name || '').replace(/[[\]\s]/g, '').toLowerCase();
+        return objects.find(o =>
+            o.qualified_name.toLowerCase() === target ||
+            (o.object_name || '').toLowerCase() === target ||
+            (o.name || '').toLowerCase() === target
+        );
+    }
+
+    // Object a word of the text refers to, through the aliases of the text:
+    // "Sales.Orders" or "o" -> { object, column: null }; "o.Total" ->
+    // { object, column: 'Total' }. Null for anything else.
+    static resolveReference(objects, aliases, word) {
+        const name = String(word || '').replace(/[[\]]/g, '');
+        const direct = SqlAutocomplete.findObject(objects, aliases[name.toLowerCase()] || name);
+        if (direct) return { object: direct, column: null };
+        const lastDot = name.lastIndexOf('.');
+        if (lastDot === -1) return null;
+        const owner = name.slice(0, lastDot);
+        const object = SqlAutocomplete.findObject(objects, aliases[owner.toLowerCase()] || owner);
+        return object ? { object, column: name.slice(lastDot + 1) } : null;
+    }
+
+    // "EXEC dbo.usp_Get @Id = ${1:Id}, @Total = ${2:Total} OUTPUT" as a
+    // snippet (VS Code syntax); without the EXEC when the name follows one.
+    static execSnippet(name, parameters, afterExec = false) {
+        const escape = text => text.replace(/[$}\\]/g, '\\$&');
+        const args = parameters.map((p, i) =>
+            `${p.name} = \${${i + 1}:${escape(p.name.replace(/^@/, ''))}}${p.output ? ' OUTPUT' : ''}`);
+        return `${afterExec ? '' : 'EXEC '}${escape(name)}${args.length > 0 ? ` ${args.join(', ')}` : ''}`;
+    }
+
     // Build the suggestion list for a given context.
     // getColumns(qualifiedName) returns cached columns or undefined; when undefined
     // is hit, needsColumns tells the caller which object to fetch.
+    // Optional, for hosts that know procedure parameters (the .sql editors):
+    // options.getParameters(qualifiedName) returns cached [{ name, type, output }]
+    // or undefined, the procedures to fetch being listed in needsParameters;
+    // options.exec is execContext() at the caret. Procedures then carry an EXEC
+    // template in item.snippet, and "@" in their arguments lists the parameters.
     static buildSuggestions(ctx, objects, aliases, getColumns, options = {}) {
         const minLength = options.minLength === undefined ? 2 : options.minLength;
+        const maxItems = options.maxItems || SqlAutocomplete.MAX_ITEMS;
         const partial = (ctx.partial || '').toLowerCase();
         const items = [];
 
+        // "@" in the arguments of EXEC -> parameters not given yet
+        if (!ctx.base && partial.startsWith('@') && options.exec && options.getParameters) {
+            const proc = SqlAutocomplete.findObject(objects, options.exec.procedure);
+            if (proc && proc.object_type === 'Procedure') {
+                const parameters = options.getParameters(proc.qualified_name);
+                if (!parameters) return { items, needsParameters: [proc.qualified_name] };
+                for (const p of parameters) {
+                    const name = p.name.toLowerCase();
+                    if (name.startsWith(partial) && !options.exec.used.includes(name)) {
+                        items.push({ label: p.name, insert: `${p.name} = `, kind: 'parameter', detail: p.output ? `${p.type} OUTPUT` : p.type });
+                    }
+                }
+                return { items: items.slice(0, maxItems) };
+            }
+        }
+
         // Top level: keywords + object names
         if (!ctx.base) {
             if (partial.length < minLength) return { items };
@@ -315,10 +392,10 @@ class SqlAutocomplete {
                 const bareName = (obj.object_name || obj.name || '').toLowerCase();
                 if ((partial && bareName.startsWith(partial)) || obj.qualified_name.toLowerCase().startsWith(partial)) {
                     // obj.name is already schema-qualified except for dbo - exactly what we want to insert
-                    items.push({ label: obj.name, insert: obj.name, kind: obj.object_type, detail: obj.object_type });
+                    items.push({ label: obj.name, insert: obj.name, kind: obj.object_type, detail: obj.object_type, qualifiedName: obj.qualified_name });
                 }
             }
-            return { items: items.slice(0, SqlAutocomplete.MAX_ITEMS) };
+            return SqlAutocomplete.addExecSnippets(items.slice(0, maxItems), ctx, options);
         }
 
         const base = ctx.base.replace(/[[\]]/g, '');
@@ -329,19 +406,17 @@ class SqlAutocomplete {
         if (schemaObjects.length > 0) {
             for (const obj of schemaObjects) {
                 if (!partial || obj.object_name.toLowerCase().startsWith(partial)) {
-                    items.push({ label: obj.object_name, insert: obj.object_name, kind: obj.object_type, detail: obj.object_type });
+                    items.push({ label: obj.object_name, insert: obj.object_name, kind: obj.object_type, detail: obj.object_type, qualifiedName: obj.qualified_name });
                 }
             }
-            return { items: items.slice(0, SqlAutocomplete.MAX_ITEMS) };
+            // The schema is already typed: only the EXEC arguments can be added
+            return ctx.afterExec
+                ? SqlAutocomplete.addExecSnippets(items.slice(0, maxItems), ctx, options)
+                : { items: items.slice(0, maxItems) };
         }
 
         // "table." or "alias." -> columns
-        const target = (aliases[baseLower] || base).toLowerCase();
-        const obj = objects.find(o =>
-            o.qualified_name.toLowerCase() === target ||
-            (o.object_name || '').toLowerCase() === target ||
-            (o.name || '').toLowerCase() === target
-        );
+        const obj = SqlAutocomplete.findObject(objects, aliases[baseLower] || base);
         if (!obj || (obj.object_type !== 'Table' && obj.object_type !== 'View')) return { items };
 
         const columns = getColumns(obj.qualified_name);
@@ -352,7 +427,24 @@ class SqlAutocomplete {
                 items.push({ label: col.name, insert: col.name, kind: 'column', detail: col.type });
             }
         }
-        return { items: items.slice(0, SqlAutocomplete.MAX_ITEMS) };
+        return { items: items.slice(0, maxItems) };
+    }
+
+    // EXEC templates for the procedures of a suggestion list, when the host
+    // gives parameters (options.getParameters).
+    static addExecSnippets(items, ctx, options) {
+        if (!options.getParameters) return { items };
+        const needsParameters = [];
+        for (const item of items) {
+            if (item.kind !== 'Procedure') continue;
+            const parameters = options.getParameters(item.qualifiedName);
+            if (parameters) {
+                item.snippet = SqlAutocomplete.execSnippet(item.insert, parameters, ctx.afterExec);
+            } else {
+                needsParameters.push(item.qualifiedName);
+            }
+        }
+        return needsParameters.length > 0 ? { items, needsParameters } : { items };
     }
 }
 
@@ -368,6 +460,9 @@ SqlAutocomplete.KEYWORDS = [
     'COUNT(*)', 'SUM', 'AVG', 'MIN', 'MAX', 'GETDATE()', 'CAST', 'CONVERT', 'ISNULL', 'COALESCE'
 ];
 
+// Statements that end the argument list of an EXEC.
+SqlAutocomplete.STATEMENT_START = /\b(?:select|insert|update|delete|merge|exec|execute|declare|set|if|while|begin|end|go|return|print)\b/i;
+
 // Words that can follow a table name in FROM/JOIN but are never an alias.
 SqlAutocomplete.RESERVED = new Set([
     'where', 'on', 'inner', 'left', 'right', 'full', 'cross', 'outer', 'join',